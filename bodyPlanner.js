@@ -0,0 +1,209 @@
+/**
+ * Body Planner - Builds creep bodies from per-role templates
+ * A template names the parts a body starts with, a pattern repeated as far as energy and caps allow,
+ * and how many MOVE parts the body needs to travel at full speed
+ */
+const bodyPlanner = {
+    // MOVE parts per other part - full speed on plains, full speed on roads, or a single MOVE for creeps that sit still
+    MOVE_RATIOS: {
+        plain: 1,
+        road: 0.5,
+        static: 0
+    },
+    
+    // Order parts are laid out in - TOUGH soaks damage first, HEAL survives longest
+    PART_ORDER: [TOUGH, WORK, CARRY, ATTACK, RANGED_ATTACK, CLAIM, MOVE, HEAL],
+    
+    // Urgency above which a template's urgent variant is used
+    URGENT_THRESHOLD: 0.8,
+    
+    // Body templates by role:
+    //   fixed      - parts added once
+    //   pattern    - parts repeated as often as energy and caps allow
+    //   move       - MOVE_RATIOS key or a ratio; MOVE parts are then added for the other parts
+    //   maxRepeats - cap on pattern repeats
+    //   maxParts   - cap on body size, never above MAX_CREEP_SIZE
+    //   limits     - caps on single part types, e.g. { [WORK]: 15 }
+    //   minimum    - body used when not even one repeat is affordable
+    //   urgent     - fields replaced when spawning at high urgency
+    TEMPLATES: {
+        harvester: {
+            // Six WORK parts drain a source before it regenerates
+            fixed: [CARRY],
+            pattern: [WORK, WORK, MOVE],
+            maxRepeats: 3,
+            minimum: [WORK, CARRY, MOVE]
+        },
+        hauler: {
+            pattern: [CARRY, CARRY],
+            move: 'road',
+            // Faster trips when energy is short
+            urgent: { move: 'plain' }
+        },
+        upgrader: {
+            pattern: [WORK, CARRY],
+            move: 'road',
+            minimum: [WORK, CARRY, MOVE],
+            urgent: { pattern: [WORK, WORK, CARRY] }
+        },
+        builder: {
+            pattern: [WORK, CARRY],
+            move: 'road',
+            minimum: [WORK, CARRY, MOVE]
+        },
+        defender: {
+            // Melee heavy - defenders stand still on ramparts, so they need little MOVE
+            pattern: [ATTACK, ATTACK, MOVE],
+            maxRepeats: 10,
+            minimum: [ATTACK, MOVE]
+        },
+        pioneer: {
+            // Balanced worker that moves at full speed on plains and roads
+            pattern: [WORK, CARRY],
+            move: 'plain',
+            maxRepeats: 5
+        },
+        claimer: {
+            // Extra MOVE helps across swamps
+            fixed: [CLAIM],
+            pattern: [MOVE],
+            maxRepeats: 2
+        },
+        reserver: {
+            pattern: [CLAIM, MOVE],
+            maxRepeats: 2
+        },
+        scout: {
+            fixed: [MOVE]
+        },
+        mineralMiner: {
+            // No CARRY - minerals drop into the container the miner stands on
+            pattern: [WORK, WORK, MOVE]
+        },
+        remoteMiner: {
+            fixed: [CARRY],
+            pattern: [WORK, WORK, MOVE],
+            maxRepeats: 3,
+            minimum: [WORK, CARRY, MOVE]
+        },
+        remoteHauler: {
+            pattern: [CARRY, CARRY],
+            move: 'road',
+            maxRepeats: 5
+        }
+    },
+    
+    /**
+     * Add or replace the template for a role
+     * @param {string} role - Role name
+     * @param {Object} template - Body template
+     */
+    registerTemplate: function(role, template) {
+        this.TEMPLATES[role] = template;
+    },
+    
+    /**
+     * Get the template for a role with urgency and caller overrides applied
+     * @param {string} role - Role name
+     * @param {Object} options - Template fields to override, plus urgency (0-1)
+     * @returns {Object|null} - Template or null if the role has none
+     */
+    getTemplate: function(role, options = {}) {
+        const base = this.TEMPLATES[role];
+        if (!base) return null;
+        
+        const urgent = options.urgency > this.URGENT_THRESHOLD && base.urgent ? base.urgent : {};
+        return Object.assign({}, base, urgent, _.omit(options, 'urgency'));
+    },
+    
+    /**
+     * Build the best body for a role that fits the energy
+     * @param {string} role - Role name
+     * @param {number} energy - Energy to spend
+     * @param {Object} options - Template fields to override, plus urgency (0-1)
+     * @returns {string[]} - Body parts, or an empty array if nothing fits
+     */
+    getBody: function(role, energy, options = {}) {
+        const template = this.getTemplate(role, options);
+        if (!template) return [];
+        
+        const maxParts = Math.min(template.maxParts || MAX_CREEP_SIZE, MAX_CREEP_SIZE);
+        const pattern = template.pattern || [];
+        const maxRepeats = pattern.length === 0 ? 0 :
+            (template.maxRepeats !== undefined ? template.maxRepeats : Infinity);
+        
+        // Add repeats until the next one would break the energy or size limit
+        let body = null;
+        for (let repeats = 0; repeats <= maxRepeats; repeats++) {
+            const candidate = this.assemble(template, repeats);
+            if (candidate.length > maxParts || this.getCost(candidate) > energy) break;
+            if (this.exceedsLimits(candidate, template.limits)) break;
+            
+            // A body made of only the fixed parts is useless unless the role has no pattern
+            if (repeats > 0 || pattern.length === 0) body = candidate;
+        }
+        
+        if (!body && template.minimum && this.getCost(template.minimum) <= energy) {
+            body = template.minimum.slice();
+        }
+        
+        return body ? this.sortBody(body) : [];
+    },
+    
+    /**
+     * Put together a template's parts for a number of pattern repeats
+     * @param {Object} template - Body template
+     * @param {number} repeats - Pattern repeats
+     * @returns {string[]} - Unsorted body parts
+     */
+    assemble: function(template, repeats) {
+        let body = (template.fixed || []).slice();
+        for (let i = 0; i < repeats; i++) {
+            body = body.concat(template.pattern);
+        }
+        
+        if (template.move === undefined) return body;
+        
+        const ratio = typeof template.move === 'number' ? template.move : this.MOVE_RATIOS[template.move];
+        const moves = body.filter(part => part === MOVE).length;
+        const wanted = Math.max(1, Math.ceil((body.length - moves) * ratio));
+        for (let i = moves; i < wanted; i++) {
+            body.push(MOVE);
+        }
+        
+        return body;
+    },
+    
+    /**
+     * Check if a body has more of any part type than allowed
+     * @param {string[]} body - Body parts
+     * @param {Object} limits - Caps by part type, if any
+     * @returns {boolean} - True if a cap is exceeded
+     */
+    exceedsLimits: function(body, limits) {
+        if (!limits) return false;
+        
+        const counts = _.countBy(body);
+        return Object.keys(limits).some(type => (counts[type] || 0) > limits[type]);
+    },
+    
+    /**
+     * Sort body parts into PART_ORDER
+     * @param {string[]} body - Body parts
+     * @returns {string[]} - Sorted body parts
+     */
+    sortBody: function(body) {
+        return _.sortBy(body, part => this.PART_ORDER.indexOf(part));
+    },
+    
+    /**
+     * Get the energy cost of a body
+     * @param {Array} body - Body parts, as part types or creep.body entries
+     * @returns {number} - Energy cost
+     */
+    getCost: function(body) {
+        return _.sum(body, part => BODYPART_COST[part.type || part]);
+    }
+};
+
+module.exports = bodyPlanner;
@@ -3,6 +3,8 @@
  */
 const utils = require('utils');
 const optimizer = require('roomOptimizer');
+const costMatrixManager = require('costMatrixManager');
+const nukeManager = require('nukeManager');
 
 // Main construction module
 const construction = {
@@ -206,6 +208,14 @@ const construction = {
             STRUCTURE_TOWER,
             STRUCTURE_EXTENSION,
             STRUCTURE_STORAGE,
+            STRUCTURE_TERMINAL,
+            STRUCTURE_LINK,
+            STRUCTURE_LAB,
+            STRUCTURE_EXTRACTOR,
+            STRUCTURE_FACTORY,
+            STRUCTURE_POWER_SPAWN,
+            STRUCTURE_OBSERVER,
+            STRUCTURE_NUKER,
             STRUCTURE_CONTAINER,
             STRUCTURE_ROAD
         ];
@@ -260,6 +270,9 @@ const construction = {
                 const key = `${pos.x},${pos.y},${structureType}`;
                 if (existingStructures.has(key) || existingSites.has(key)) continue;
                 
+                // Anything built inside an incoming nuke's blast would be lost on impact
+                if (nukeManager.isInBlastZone(room, pos.x, pos.y)) continue;
+                
                 // Create the construction site
                 const result = room.createConstructionSite(pos.x, pos.y, structureType);
                 
@@ -327,6 +340,9 @@ const construction = {
                     for (const pos of plan.defenses.walls) {
                         if (sitesCreated >= maxSites) break;
                         
+                        // Hold off inside an incoming nuke's blast
+                        if (nukeManager.isInBlastZone(room, pos.x, pos.y)) continue;
+                        
                         const key = `${pos.x},${pos.y},${STRUCTURE_WALL}`;
                         if (!existingStructures.has(key) && !existingSites.has(key)) {
                             const result = room.createConstructionSite(pos.x, pos.y, STRUCTURE_WALL);
@@ -363,6 +379,9 @@ const construction = {
             for (const pos of room.memory.construction.roads.positions) {
                 if (sitesCreated >= maxSites) break;
                 
+                // Hold off inside an incoming nuke's blast
+                if (nukeManager.isInBlastZone(room, pos.x, pos.y)) continue;
+                
                 // Check if already built
                 const structures = room.lookForAt(LOOK_STRUCTURES, pos.x, pos.y);
                 const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, pos.x, pos.y);
@@ -384,6 +403,9 @@ const construction = {
             for (const pos of room.memory.construction.containers.positions) {
                 if (sitesCreated >= maxSites) break;
                 
+                // Hold off inside an incoming nuke's blast
+                if (nukeManager.isInBlastZone(room, pos.x, pos.y)) continue;
+                
                 // Check if already built
                 const structures = room.lookForAt(LOOK_STRUCTURES, pos.x, pos.y);
                 const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, pos.x, pos.y);
@@ -406,6 +428,9 @@ const construction = {
             for (const pos of room.memory.construction.extensions.positions) {
                 if (sitesCreated >= maxSites) break;
                 
+                // Hold off inside an incoming nuke's blast
+                if (nukeManager.isInBlastZone(room, pos.x, pos.y)) continue;
+                
                 // Check if already built
                 const structures = room.lookForAt(LOOK_STRUCTURES, pos.x, pos.y);
                 const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, pos.x, pos.y);
@@ -614,13 +639,15 @@ const construction = {
         sources.forEach(s => exclusions.add(`${s.pos.x},${s.pos.y}`));
         room.find(FIND_MINERALS).forEach(m => exclusions.add(`${m.pos.x},${m.pos.y}`));
         
-        // Path options optimized for road planning
+        // Path options optimized for road planning - existing roads (ROAD_COST in the static matrix)
+        // must be cheaper than open ground, or new roads get laid alongside them
         const pathOptions = {
             ignoreCreeps: true,
-            swampCost: 2,
-            plainCost: 1,
+            swampCost: 10,
+            plainCost: 2,
             maxOps: 2000,
-            serialize: false
+            serialize: false,
+            costCallback: roomName => costMatrixManager.getStaticMatrix(roomName)
         };
         
         for (const source of sources) {
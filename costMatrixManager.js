@@ -0,0 +1,143 @@
+/**
+ * Cost Matrix Manager - Shared cost matrices for every pathfinding caller
+ * A long-lived static layer per room holds terrain walls, roads and impassable objects;
+ * a per-tick creep layer is built on top of it only when a search has to avoid creeps
+ */
+const costMatrixManager = {
+    // Cost of a tile with a road - matches PathFinder's usual plain 2 / swamp 10 weighting
+    ROAD_COST: 1,
+    
+    // Cost of a tile nothing can walk through
+    BLOCKED_COST: 255,
+    
+    // Ticks an unused matrix is kept - rooms out of sight keep their last known structures until then
+    MATRIX_TTL: 1500,
+    
+    /**
+     * Get the static cost matrix for a room, rebuilding it when structures were built or destroyed
+     * Callers must not modify the returned matrix - clone it first
+     * @param {string} roomName - Room name
+     * @returns {PathFinder.CostMatrix} - Cost matrix
+     */
+    getStaticMatrix: function(roomName) {
+        if (!global.costMatrixCache) global.costMatrixCache = {};
+        
+        const cached = global.costMatrixCache[roomName];
+        const room = Game.rooms[roomName];
+        
+        // Check for structure changes at most once per tick; rooms out of sight keep what was last seen
+        if (cached && cached.checked === Game.time) return cached.matrix;
+        if (cached && !room) {
+            cached.checked = Game.time;
+            return cached.matrix;
+        }
+        
+        const structures = room ? room.find(FIND_STRUCTURES) : [];
+        const structureCount = room ? structures.length : null;
+        if (cached && cached.structureCount === structureCount) {
+            cached.checked = Game.time;
+            return cached.matrix;
+        }
+        
+        const matrix = this.buildStaticMatrix(roomName, room, structures);
+        global.costMatrixCache[roomName] = {
+            matrix: matrix,
+            structureCount: structureCount,
+            checked: Game.time
+        };
+        
+        return matrix;
+    },
+    
+    /**
+     * Get a room's cost matrix with this tick's creeps marked as impassable
+     * @param {string} roomName - Room name
+     * @returns {PathFinder.CostMatrix} - Cost matrix
+     */
+    getCreepMatrix: function(roomName) {
+        if (!global.creepMatrixCache || global.creepMatrixCache.tick !== Game.time) {
+            global.creepMatrixCache = { tick: Game.time, matrices: {} };
+        }
+        
+        const cache = global.creepMatrixCache.matrices;
+        if (cache[roomName]) return cache[roomName];
+        
+        const matrix = this.getStaticMatrix(roomName).clone();
+        const room = Game.rooms[roomName];
+        if (room) {
+            for (const creep of room.find(FIND_CREEPS)) {
+                matrix.set(creep.pos.x, creep.pos.y, this.BLOCKED_COST);
+            }
+            for (const powerCreep of room.find(FIND_POWER_CREEPS)) {
+                matrix.set(powerCreep.pos.x, powerCreep.pos.y, this.BLOCKED_COST);
+            }
+        }
+        
+        cache[roomName] = matrix;
+        return matrix;
+    },
+    
+    /**
+     * Get the matrix for a room, with or without the creep layer
+     * @param {string} roomName - Room name
+     * @param {boolean} avoidCreeps - Include this tick's creeps
+     * @returns {PathFinder.CostMatrix} - Cost matrix
+     */
+    getMatrix: function(roomName, avoidCreeps) {
+        return avoidCreeps ? this.getCreepMatrix(roomName) : this.getStaticMatrix(roomName);
+    },
+    
+    /**
+     * Build the static layer for a room
+     * @param {string} roomName - Room name
+     * @param {Room|undefined} room - The room, if visible
+     * @param {Array} structures - Structures in the room
+     * @returns {PathFinder.CostMatrix} - Cost matrix
+     */
+    buildStaticMatrix: function(roomName, room, structures) {
+        const matrix = new PathFinder.CostMatrix();
+        
+        // Walls are already impassable to PathFinder, but Room.findPath callers replace its matrix with this one
+        const terrain = Game.map.getRoomTerrain(roomName);
+        for (let y = 0; y < 50; y++) {
+            for (let x = 0; x < 50; x++) {
+                if (terrain.get(x, y) === TERRAIN_MASK_WALL) {
+                    matrix.set(x, y, this.BLOCKED_COST);
+                }
+            }
+        }
+        
+        if (!room) return matrix;
+        
+        for (const structure of structures) {
+            if (structure.structureType === STRUCTURE_ROAD) {
+                if (matrix.get(structure.pos.x, structure.pos.y) === 0) {
+                    matrix.set(structure.pos.x, structure.pos.y, this.ROAD_COST);
+                }
+            } else if (OBSTACLE_OBJECT_TYPES.includes(structure.structureType) ||
+                       (structure.structureType === STRUCTURE_RAMPART && !structure.my && !structure.isPublic)) {
+                matrix.set(structure.pos.x, structure.pos.y, this.BLOCKED_COST);
+            }
+        }
+        
+        // Sources and minerals can't be walked over either
+        for (const object of [...room.find(FIND_SOURCES), ...room.find(FIND_MINERALS)]) {
+            matrix.set(object.pos.x, object.pos.y, this.BLOCKED_COST);
+        }
+        
+        return matrix;
+    },
+    
+    /**
+     * Drop static matrices that haven't been used for a while
+     */
+    cleanCache: function() {
+        for (const roomName in global.costMatrixCache) {
+            if (Game.time - global.costMatrixCache[roomName].checked > this.MATRIX_TTL) {
+                delete global.costMatrixCache[roomName];
+            }
+        }
+    }
+};
+
+module.exports = costMatrixManager;
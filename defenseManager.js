@@ -3,8 +3,42 @@
  * Optimized for CPU efficiency and resiliency
  */
 const utils = require('utils');
+const bodyPlanner = require('bodyPlanner');
 
 const defenseManager = {
+    // Structures whose loss cripples a room; safe mode protects them
+    CRITICAL_STRUCTURES: [STRUCTURE_SPAWN, STRUCTURE_TOWER, STRUCTURE_STORAGE, STRUCTURE_TERMINAL],
+    
+    // A critical structure below this fraction of its hits counts as falling
+    SAFE_MODE_HITS_RATIO: 0.5,
+    
+    // Threat level at which rampart defenders are spawned
+    DEFENDER_THREAT_LEVEL: 2,
+    
+    // Most defenders kept per room
+    MAX_DEFENDERS: 3,
+    
+    // Heal multiplier for boosted HEAL parts
+    HEAL_BOOSTS: { LO: 2, LHO2: 3, XLHO2: 4 },
+    
+    // Fraction of damage taken by boosted TOUGH parts
+    TOUGH_BOOSTS: { GO: 0.7, GHO2: 0.5, XGHO2: 0.3 },
+    
+    // Threat level at which nearby rooms are asked for help
+    ALERT_THREAT_LEVEL: 3,
+    
+    // Owned rooms within this many route hops answer an alert
+    ASSIST_RANGE: 3,
+    
+    // Alerts not refreshed for this long are dropped (room lost or out of sight)
+    ALERT_TIMEOUT: 50,
+    
+    // Energy sent per terminal transfer to a room under attack
+    ASSIST_ENERGY: 5000,
+    
+    // Helpers keep at least this much energy in storage for themselves
+    ASSIST_STORAGE_MIN: 20000,
+    
     /**
      * Run defense manager for a room
      * @param {Room} room - The room to manage defense for
@@ -37,7 +71,7 @@ const defenseManager = {
         }
         
         // Run tower operations regardless of hostiles (handles heal and repair)
-        this.runTowers(room);
+        this.runTowers(room, hostiles);
         
         // Handle hostile-specific logic
         if (hostiles.length === 0) {
@@ -45,6 +79,7 @@ const defenseManager = {
                 console.log(`Room ${room.name} is now safe from player threats.`);
                 room.memory.defense.threatLevel = 0;
             }
+            this.clearAlert(room.name);
             return;
         }
         
@@ -52,6 +87,9 @@ const defenseManager = {
         const threatLevel = this.assessThreatLevel(hostiles);
         room.memory.defense.threatLevel = threatLevel;
         
+        // Last resort when towers and defenders can't hold
+        this.checkSafeMode(room, hostiles);
+        
         // Handle defense based on threat level
         if (threatLevel >= 4) {
             // Critical threat - activate emergency mode
@@ -77,8 +115,9 @@ const defenseManager = {
             }
         }
         
-        // Alert nearby rooms if needed
-        if (threatLevel >= 3 && Game.time % 10 === 0) {
+        // Alert nearby rooms if needed - immediately, then refresh every 10 ticks while the attack lasts
+        const alerted = Memory.defenseAlerts && Memory.defenseAlerts[room.name];
+        if ((threatLevel >= this.ALERT_THREAT_LEVEL && !alerted) || (alerted && Game.time % 10 === 0)) {
             this.alertNearbyRooms(room);
         }
     },
@@ -148,27 +187,39 @@ const defenseManager = {
     
     /**
      * Run tower operations for a room
+     * All towers focus the one hostile they can actually kill; with no such target they heal and repair
      * @param {Room} room - The room to run towers for
+     * @param {Array} hostiles - Hostile creeps in the room
      */
-    runTowers: function(room) {
+    runTowers: function(room, hostiles) {
         const towers = room.find(FIND_MY_STRUCTURES, {
-            filter: s => s.structureType === STRUCTURE_TOWER && s.energy > 0
+            filter: s => s.structureType === STRUCTURE_TOWER && s.store[RESOURCE_ENERGY] >= TOWER_ENERGY_COST
         });
         
         if (towers.length === 0) return;
         
-        // Process each tower with priority actions
+        // Priority 1: Focus fire on the best target with positive net damage
+        const target = hostiles.length > 0 ? this.selectTowerTarget(room, towers, hostiles) : null;
+        if (target) {
+            for (const tower of towers) {
+                tower.attack(target);
+            }
+            room.memory.defense.towerTarget = target.id;
+            return;
+        }
+        
+        // Holding fire against healers we can't out-damage saves energy for when they close in
+        if (hostiles.length > 0 && Game.time % 10 === 0) {
+            console.log(`🏰 Towers in ${room.name} holding fire: healing outpaces damage on all ${hostiles.length} hostiles`);
+        }
+        room.memory.defense.towerTarget = null;
+        
         for (const tower of towers) {
-            // Priority 1: Heal injured creeps
+            // Priority 2: Heal injured creeps
             if (this.towerHeal(tower)) continue;
             
-            // Priority 2: Attack hostiles
-            if (this.towerAttack(tower)) continue;
-            
-            // Priority 3: Repair critical structures (only if tower has >80% energy)
-            if (tower.energy > tower.energyCapacity * 0.6) {
-                this.towerRepair(tower);
-            }
+            // Priority 3: Repair critical structures (only if tower has >60% energy)
+            this.towerRepair(tower);
         }
     },
     
@@ -191,65 +242,85 @@ const defenseManager = {
     },
     
     /**
-     * Tower attack logic with priority targeting
-     * @param {StructureTower} tower - The tower
-     * @returns {boolean} - True if action taken
+     * Choose one target for every tower in the room
+     * Net damage is combined tower damage (with range falloff) plus our creeps' damage,
+     * reduced by boosted TOUGH parts, minus the healing nearby hostiles can put on the target
+     * @param {Room} room - The room
+     * @param {Array} towers - Towers that can fire
+     * @param {Array} hostiles - Hostile creeps in the room
+     * @returns {Creep|null} - Target with the highest positive net damage, or null
      */
-    towerAttack: function(tower) {
-        // Use cached hostiles from room memory if available to save CPU
-        let hostiles;
-        if (tower.room.memory.defense && tower.room.memory.defense.hostileCache && 
-            Game.time - tower.room.memory.defense.hostileCacheTime < 3) {
-            hostiles = tower.room.memory.defense.hostileCache.map(id => Game.getObjectById(id))
-                .filter(c => c !== null);
-        } else {
-            hostiles = tower.room.find(FIND_HOSTILE_CREEPS, {
-                filter: c => c.owner.username !== 'Source Keeper'
-            });
+    selectTowerTarget: function(room, towers, hostiles) {
+        const defenders = room.find(FIND_MY_CREEPS, {
+            filter: c => c.getActiveBodyparts(ATTACK) > 0 || c.getActiveBodyparts(RANGED_ATTACK) > 0
+        });
+        
+        let best = null;
+        let bestScore = 0;
+        
+        for (const hostile of hostiles) {
+            const net = this.getNetDamage(hostile, towers, defenders, hostiles);
+            if (net <= 0) continue;
             
-            // Cache the results
-            if (!tower.room.memory.defense) tower.room.memory.defense = {};
-            tower.room.memory.defense.hostileCache = hostiles.map(c => c.id);
-            tower.room.memory.defense.hostileCacheTime = Game.time;
+            // Prefer healers, then targets that die soonest
+            const isHealer = hostile.getActiveBodyparts(HEAL) > 0;
+            const score = net * (isHealer ? 2 : 1) + (net >= hostile.hits ? 10000 : 0);
+            if (score > bestScore) {
+                best = hostile;
+                bestScore = score;
+            }
         }
         
-        if (hostiles.length === 0) return false;
+        return best;
+    },
+    
+    /**
+     * Net damage a hostile takes in one tick from all towers and our creeps
+     * @param {Creep} hostile - The target
+     * @param {Array} towers - Towers that can fire
+     * @param {Array} defenders - Our creeps with ATTACK or RANGED_ATTACK parts
+     * @param {Array} hostiles - All hostile creeps (potential healers)
+     * @returns {number} - Damage after TOUGH boosts minus healing
+     */
+    getNetDamage: function(hostile, towers, defenders, hostiles) {
+        let damage = this.getTowerDamage(towers, hostile.pos);
         
-        // Prioritize targets by threat level and health
-        const healers = hostiles.filter(c => c.body.some(part => part.type === HEAL));
-        const attackers = hostiles.filter(c => 
-            c.body.some(part => part.type === ATTACK || part.type === RANGED_ATTACK)
-        );
+        for (const creep of defenders) {
+            const range = creep.pos.getRangeTo(hostile);
+            if (range <= 1) damage += creep.getActiveBodyparts(ATTACK) * ATTACK_POWER;
+            if (range <= 3) damage += creep.getActiveBodyparts(RANGED_ATTACK) * RANGED_ATTACK_POWER;
+        }
         
-        let target;
+        return this.getEffectiveDamage(hostile, damage) - this.getHealingOn(hostile, hostiles);
+    },
+    
+    /**
+     * Hits a creep actually loses from raw damage, accounting for boosted TOUGH parts
+     * Damage is applied to body parts front to back, like the server does
+     * @param {Creep} creep - The target
+     * @param {number} damage - Raw damage
+     * @returns {number} - Hits lost
+     */
+    getEffectiveDamage: function(creep, damage) {
+        let remaining = damage;
+        let effective = 0;
         
-        // First priority: Low health healers
-        const weakHealers = healers.filter(c => c.hits < c.hitsMax * 0.5);
-        if (weakHealers.length > 0) {
-            target = tower.pos.findClosestByRange(weakHealers);
-        }
-        // Second priority: Low health attackers
-        else if (!target) {
-            const weakAttackers = attackers.filter(c => c.hits < c.hitsMax * 0.5);
-            if (weakAttackers.length > 0) {
-                target = tower.pos.findClosestByRange(weakAttackers);
+        for (const part of creep.body) {
+            if (remaining <= 0) break;
+            if (part.hits <= 0) continue;
+            
+            const ratio = part.type === TOUGH && part.boost && this.TOUGH_BOOSTS[part.boost] || 1;
+            const absorbed = part.hits / ratio;
+            if (remaining <= absorbed) {
+                effective += remaining * ratio;
+                remaining = 0;
+            } else {
+                effective += part.hits;
+                remaining -= absorbed;
             }
         }
-        // Third priority: Healers
-        else if (!target && healers.length > 0) {
-            target = tower.pos.findClosestByRange(healers);
-        }
-        // Fourth priority: Attackers
-        else if (!target && attackers.length > 0) {
-            target = tower.pos.findClosestByRange(attackers);
-        }
-        // Last priority: Any hostile
-        else {
-            target = tower.pos.findClosestByRange(hostiles);
-        }
-            
-        tower.attack(target);
-        return true;
+        
+        return effective + remaining;
     },
     
     /**
@@ -288,13 +359,401 @@ const defenseManager = {
         return false;
     },
     
+    /**
+     * Activate safe mode when the room is about to fall
+     * Requires a hostile able to do damage, and either a critical structure destroyed this attack,
+     * a critical structure below SAFE_MODE_HITS_RATIO that towers can't save, or a hostile attacking the controller
+     * @param {Room} room - The room under attack
+     * @param {Array} hostiles - Hostile creeps in the room
+     * @returns {boolean} - True if safe mode was activated
+     */
+    checkSafeMode: function(room, hostiles) {
+        const controller = room.controller;
+        if (controller.safeMode || controller.safeModeCooldown || controller.upgradeBlocked) return false;
+        if (!controller.safeModeAvailable) return false;
+        
+        // Scouts and unarmed creeps are not worth a safe mode
+        const dangerous = hostiles.filter(c => c.body.some(part =>
+            part.type === ATTACK || part.type === RANGED_ATTACK || part.type === WORK || part.type === CLAIM));
+        if (dangerous.length === 0) return false;
+        
+        let reason = null;
+        
+        // A critical structure was destroyed last tick
+        for (const entry of room.getEventLog()) {
+            if (entry.event === EVENT_OBJECT_DESTROYED && entry.data &&
+                this.CRITICAL_STRUCTURES.includes(entry.data.type)) {
+                reason = `${entry.data.type} destroyed`;
+                break;
+            }
+        }
+        
+        // A player is attacking the controller
+        if (!reason) {
+            const claimer = dangerous.find(c => c.owner.username !== 'Invader' &&
+                c.getActiveBodyparts(CLAIM) > 0 && c.pos.isNearTo(controller));
+            if (claimer) reason = `controller attacked by ${claimer.owner.username}`;
+        }
+        
+        // Critical structures are going down and towers can't out-damage the enemy's healing
+        if (!reason) {
+            const falling = room.find(FIND_MY_STRUCTURES, {
+                filter: s => this.CRITICAL_STRUCTURES.includes(s.structureType) &&
+                             s.hits < s.hitsMax * this.SAFE_MODE_HITS_RATIO
+            });
+            
+            if (falling.length > 0 && !this.canTowersBreakHealing(room, hostiles)) {
+                reason = `${falling[0].structureType} at ${Math.round(falling[0].hits / falling[0].hitsMax * 100)}% and towers can't out-damage healing`;
+            }
+        }
+        
+        if (!reason) return false;
+        
+        const result = controller.activateSafeMode();
+        if (result === OK) {
+            room.memory.defense.safeMode = { activated: Game.time, reason: reason };
+            console.log(`🛡️ SAFE MODE activated in ${room.name}: ${reason}`);
+            Game.notify(`Safe mode activated in ${room.name}: ${reason}`);
+            return true;
+        }
+        
+        utils.logError(`safe_mode_${room.name}`, `Failed to activate safe mode in ${room.name} (${reason}): ${result}`, 100);
+        return false;
+    },
+    
+    /**
+     * Tower damage at a position, with range falloff
+     * @param {Array} towers - Towers that can fire
+     * @param {RoomPosition} pos - Target position
+     * @returns {number} - Combined damage per tick
+     */
+    getTowerDamage: function(towers, pos) {
+        let damage = 0;
+        
+        for (const tower of towers) {
+            const range = tower.pos.getRangeTo(pos);
+            if (range <= TOWER_OPTIMAL_RANGE) {
+                damage += TOWER_POWER_ATTACK;
+            } else if (range >= TOWER_FALLOFF_RANGE) {
+                damage += TOWER_POWER_ATTACK * (1 - TOWER_FALLOFF);
+            } else {
+                const falloff = (range - TOWER_OPTIMAL_RANGE) / (TOWER_FALLOFF_RANGE - TOWER_OPTIMAL_RANGE);
+                damage += TOWER_POWER_ATTACK * (1 - TOWER_FALLOFF * falloff);
+            }
+        }
+        
+        return damage;
+    },
+    
+    /**
+     * Healing hostiles can put on a target in one tick
+     * @param {Creep} target - The hostile being shot
+     * @param {Array} hostiles - All hostile creeps
+     * @returns {number} - Healing per tick
+     */
+    getHealingOn: function(target, hostiles) {
+        let healing = 0;
+        
+        for (const healer of hostiles) {
+            const range = healer.pos.getRangeTo(target);
+            if (range > 3) continue;
+            
+            const power = range <= 1 ? HEAL_POWER : RANGED_HEAL_POWER;
+            for (const part of healer.body) {
+                if (part.type !== HEAL || part.hits <= 0) continue;
+                healing += power * (part.boost && this.HEAL_BOOSTS[part.boost] || 1);
+            }
+        }
+        
+        return healing;
+    },
+    
+    /**
+     * Check if towers out-damage enemy healing on at least one hostile
+     * @param {Room} room - The room
+     * @param {Array} hostiles - Hostile creeps
+     * @returns {boolean} - True if towers can make progress
+     */
+    canTowersBreakHealing: function(room, hostiles) {
+        const towers = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_TOWER && s.store[RESOURCE_ENERGY] >= TOWER_ENERGY_COST
+        });
+        if (towers.length === 0) return false;
+        
+        return this.selectTowerTarget(room, towers, hostiles) !== null;
+    },
+    
+    /**
+     * Get a spawn request for a rampart defender when the room is under attack
+     * @param {Room} room - The room
+     * @returns {Object|null} - Spawn request or null
+     */
+    getDefenderRequest: function(room) {
+        const defense = room.memory.defense;
+        if (!defense || !defense.threatLevel || defense.threatLevel < this.DEFENDER_THREAT_LEVEL) return null;
+        if (room.controller.safeMode) return null;
+        
+        // Defenders fight from ramparts; without any they would just feed the enemy
+        if (this.getRamparts(room).length === 0) return null;
+        
+        if (this.countDefenders(room.name) >= this.getWantedDefenders(defense.threatLevel)) return null;
+        
+        return this.createDefenderRequest(room, room.name);
+    },
+    
+    /**
+     * Defenders wanted for a threat level
+     * @param {number} threatLevel - Threat level (0-5)
+     * @returns {number} - Defender count
+     */
+    getWantedDefenders: function(threatLevel) {
+        return Math.min(this.MAX_DEFENDERS, threatLevel - this.DEFENDER_THREAT_LEVEL + 1);
+    },
+    
+    /**
+     * Count defenders guarding a room, including ones sent from other rooms
+     * @param {string} roomName - The defended room
+     * @returns {number} - Defender count
+     */
+    countDefenders: function(roomName) {
+        return _.filter(Game.creeps, c => c.memory.role === 'defender' &&
+            (c.memory.targetRoom || c.memory.homeRoom) === roomName).length;
+    },
+    
+    /**
+     * Build a defender spawn request
+     * @param {Room} room - The spawning room
+     * @param {string} targetRoom - The room to defend
+     * @returns {Object} - Spawn request
+     */
+    createDefenderRequest: function(room, targetRoom) {
+        const body = bodyPlanner.getBody('defender', room.energyCapacityAvailable);
+        
+        const memory = {
+            role: 'defender',
+            homeRoom: room.name
+        };
+        if (targetRoom !== room.name) memory.targetRoom = targetRoom;
+        
+        return {
+            role: 'defender',
+            body: body,
+            name: `Defender_${Game.time}`,
+            memory: memory
+        };
+    },
+    
+    /**
+     * Get a spawn request to help a nearby room under attack
+     * Sends defenders while the room is short of them, and an energy hauler when no terminal link exists
+     * @param {Room} room - A potential helper room
+     * @returns {Object|null} - Spawn request or null
+     */
+    getAssistRequest: function(room) {
+        if (!Memory.defenseAlerts) return null;
+        
+        for (const alertedRoom in Memory.defenseAlerts) {
+            const alert = this.getActiveAlert(alertedRoom);
+            if (!alert || !alert.helpers.includes(room.name)) continue;
+            
+            const target = Game.rooms[alertedRoom];
+            if (!target || !target.controller || target.controller.safeMode) continue;
+            
+            if (this.getRamparts(target).length > 0 &&
+                this.countDefenders(alertedRoom) < this.getWantedDefenders(alert.threatLevel)) {
+                return this.createDefenderRequest(room, alertedRoom);
+            }
+            
+            // Terminals move energy faster; haulers are the fallback
+            if (target.terminal && room.terminal) continue;
+            if (!room.storage || room.storage.store[RESOURCE_ENERGY] < this.ASSIST_STORAGE_MIN) continue;
+            
+            const haulers = _.filter(Game.creeps, c => c.memory.role === 'hauler' && c.memory.assistRoom === alertedRoom);
+            if (haulers.length > 0) continue;
+            
+            // Unroaded trips between rooms need full speed on plains
+            const body = bodyPlanner.getBody('hauler', room.energyCapacityAvailable, { move: 'plain', maxRepeats: 8 });
+            
+            return {
+                role: 'hauler',
+                body: body,
+                name: `AssistHauler_${Game.time}`,
+                memory: {
+                    role: 'hauler',
+                    homeRoom: room.name,
+                    assistRoom: alertedRoom,
+                    working: false
+                }
+            };
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Get our ramparts at positions planned by roomPlanner.planDefenses
+     * Falls back to all our ramparts when the room has no plan
+     * @param {Room} room - The room
+     * @returns {Array} - Rampart structures
+     */
+    getRamparts: function(room) {
+        const ramparts = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_RAMPART
+        });
+        
+        const plan = room.memory.roomPlan;
+        if (!plan || !plan.defenses || !plan.defenses.ramparts) return ramparts;
+        
+        const planned = new Set(plan.defenses.ramparts.map(pos => `${pos.x},${pos.y}`));
+        return ramparts.filter(r => planned.has(`${r.pos.x},${r.pos.y}`));
+    },
+    
     /**
      * Alert nearby rooms about invasion
+     * Helpers send defenders and energy, and remote creeps avoid the room until the alert clears
      * @param {Room} room - The room under attack
      */
     alertNearbyRooms: function(room) {
-        // This would be expanded in a multi-room setup
-        console.log(`⚠️ ALERT: Room ${room.name} under attack! Threat level: ${room.memory.defense.threatLevel}`);
+        if (!Memory.defenseAlerts) Memory.defenseAlerts = {};
+        
+        const isNew = !Memory.defenseAlerts[room.name];
+        const alert = Memory.defenseAlerts[room.name] || { started: Game.time };
+        alert.threatLevel = Math.max(alert.threatLevel || 0, room.memory.defense.threatLevel);
+        alert.updated = Game.time;
+        alert.helpers = this.findHelperRooms(room.name);
+        Memory.defenseAlerts[room.name] = alert;
+        
+        if (isNew) {
+            console.log(`⚠️ ALERT: Room ${room.name} under attack! Threat level: ${alert.threatLevel}, ` +
+                        `helpers: ${alert.helpers.join(', ') || 'none'}`);
+        }
+        
+        this.sendAssistEnergy(room, alert);
+        this.queueTowerRefills(room);
+    },
+    
+    /**
+     * Drop the alert for a room once it is safe
+     * @param {string} roomName - The room
+     */
+    clearAlert: function(roomName) {
+        if (!Memory.defenseAlerts || !Memory.defenseAlerts[roomName]) return;
+        
+        const alert = Memory.defenseAlerts[roomName];
+        console.log(`✓ Invasion alert for ${roomName} cleared after ${Game.time - alert.started} ticks`);
+        delete Memory.defenseAlerts[roomName];
+    },
+    
+    /**
+     * Get the alert for a room if it is still current
+     * @param {string} roomName - The room
+     * @returns {Object|null} - Alert or null
+     */
+    getActiveAlert: function(roomName) {
+        const alert = Memory.defenseAlerts && Memory.defenseAlerts[roomName];
+        if (!alert) return null;
+        
+        if (Game.time - alert.updated > this.ALERT_TIMEOUT) {
+            delete Memory.defenseAlerts[roomName];
+            return null;
+        }
+        
+        return alert;
+    },
+    
+    /**
+     * Find owned rooms close enough to help, nearest first
+     * @param {string} roomName - The room under attack
+     * @returns {Array} - Helper room names
+     */
+    findHelperRooms: function(roomName) {
+        const helpers = [];
+        
+        for (const name in Game.rooms) {
+            const room = Game.rooms[name];
+            if (name === roomName || !room.controller || !room.controller.my || room.controller.level < 3) continue;
+            
+            // Rooms fighting their own battle can't spare anything
+            if (room.memory.defense && room.memory.defense.threatLevel >= this.DEFENDER_THREAT_LEVEL) continue;
+            
+            const route = Game.map.findRoute(name, roomName);
+            if (route === ERR_NO_PATH || route.length > this.ASSIST_RANGE) continue;
+            
+            helpers.push({ name: name, distance: route.length });
+        }
+        
+        return _.sortBy(helpers, 'distance').map(h => h.name);
+    },
+    
+    /**
+     * Send energy from the nearest helper terminal that can spare it
+     * @param {Room} room - The room under attack
+     * @param {Object} alert - The room's alert
+     */
+    sendAssistEnergy: function(room, alert) {
+        const terminal = room.terminal;
+        if (!terminal || !terminal.my) return;
+        
+        // Enough on hand already - haulers just need to move it to the towers
+        if (terminal.store[RESOURCE_ENERGY] >= this.ASSIST_ENERGY * 2) return;
+        if (terminal.store.getFreeCapacity() < this.ASSIST_ENERGY) return;
+        
+        for (const helperName of alert.helpers) {
+            const helper = Game.rooms[helperName];
+            if (!helper || !helper.terminal || !helper.storage || helper.terminal.cooldown > 0) continue;
+            if (helper.storage.store[RESOURCE_ENERGY] < this.ASSIST_STORAGE_MIN) continue;
+            
+            const cost = Game.market.calcTransactionCost(this.ASSIST_ENERGY, helperName, room.name);
+            if (helper.terminal.store[RESOURCE_ENERGY] < this.ASSIST_ENERGY + cost) continue;
+            
+            const result = helper.terminal.send(RESOURCE_ENERGY, this.ASSIST_ENERGY, room.name, 'defense assist');
+            if (result === OK) {
+                console.log(`🔋 ${helperName} sent ${this.ASSIST_ENERGY} energy to ${room.name} for tower refills`);
+                return;
+            }
+        }
+    },
+    
+    /**
+     * Queue haul jobs to top up towers from storage or terminal
+     * @param {Room} room - The room under attack
+     */
+    queueTowerRefills: function(room) {
+        const roomManager = require('roomManager');
+        const sources = [room.storage, room.terminal].filter(s => s && s.my && s.store[RESOURCE_ENERGY] > 0);
+        if (sources.length === 0) return;
+        
+        const source = _.max(sources, s => s.store[RESOURCE_ENERGY]);
+        const towers = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_TOWER &&
+                         s.store[RESOURCE_ENERGY] < s.store.getCapacity(RESOURCE_ENERGY) * 0.7
+        });
+        
+        for (const tower of towers) {
+            roomManager.addHaulJob(room, `tower_${tower.id}`, {
+                from: source.id,
+                to: tower.id,
+                resourceType: RESOURCE_ENERGY,
+                amount: tower.store.getFreeCapacity(RESOURCE_ENERGY)
+            });
+        }
+    },
+    
+    /**
+     * Check if travelling between two rooms passes through a room under attack
+     * Uses the same cached route creeps travel along
+     * @param {string} fromRoom - Current room
+     * @param {string} toRoom - Destination room
+     * @returns {boolean} - True if the route is threatened
+     */
+    isRouteThreatened: function(fromRoom, toRoom) {
+        if (!Memory.defenseAlerts || Object.keys(Memory.defenseAlerts).length === 0) return false;
+        
+        const route = require('movementManager').findRoute(fromRoom, toRoom);
+        if (!route) return false;
+        
+        // The room we're leaving doesn't count - creeps are already on their way out
+        return route.slice(1).some(roomName => this.getActiveAlert(roomName) !== null);
     },
     
     /**
@@ -0,0 +1,336 @@
+/**
+ * Economy Solver - Sizes a room's local workforce from its energy budget
+ * Income comes from harvested sources, source links and remote miners; haulers are sized from real haul paths,
+ * and what is left after creep upkeep is split between repairing, building and upgrading
+ */
+const bodyPlanner = require('bodyPlanner');
+
+const economySolver = {
+    // Ticks a solution is reused before the room is solved again
+    SOLVE_INTERVAL: 20,
+    
+    // Ticks a haul path length is kept before it is searched again
+    PATH_TTL: 5000,
+    
+    // Share of its life a worker spends working rather than fetching energy
+    WORKER_UPTIME: 0.6,
+    
+    // Storage level the room saves towards - energy above it is spent, below it part of the income is kept back
+    STORAGE_TARGET: 50000,
+    
+    // Ticks over which the gap to the storage target is closed
+    STORAGE_DRAIN_TICKS: 5000,
+    
+    // Largest share of the budget kept back while storage is under target
+    MAX_SAVE_SHARE: 0.5,
+    
+    // Share of the budget spent on repairs while anything needs repairing
+    REPAIR_SHARE: 0.1,
+    
+    // Share spent on repairs while ramparts are being raised against an incoming nuke
+    NUKE_REPAIR_SHARE: 0.5,
+    
+    // Largest share of the budget spent on construction while sites exist
+    BUILD_SHARE: 0.7,
+    
+    // Ticks the remaining construction work should be finished in - fewer sites get fewer builders
+    BUILD_HORIZON: 1000,
+    
+    // More builders only crowd the same sites
+    MAX_BUILDERS: 4,
+    
+    // Upgrade policy by storage energy, checked from the top - rooms without storage use the normal band
+    // A low store cuts upgrading to one small upgrader that only keeps the controller from downgrading.
+    // Bands with a minLevel only apply from that RCL, so younger rooms filling storage keep levelling
+    UPGRADE_BANDS: [
+        { name: 'full', storage: 400000, maxUpgraders: 8, minLevel: 7 },
+        { name: 'normal', storage: 20000, maxUpgraders: 6 },
+        { name: 'low', storage: 0, maxUpgraders: 1, maxWork: 1, minLevel: 8 }
+    ],
+    
+    /**
+     * Solve a room's creep counts, reusing the last solution for a few ticks
+     * @param {Room} room - The room
+     * @param {number} harvesterCount - Planned harvesters
+     * @returns {Object} - Counts by role plus the budget behind them
+     */
+    solve: function(room, harvesterCount) {
+        if (!global.economyCache) global.economyCache = {};
+        
+        const cached = global.economyCache[room.name];
+        if (cached && cached.harvesters === harvesterCount && Game.time - cached.time < this.SOLVE_INTERVAL) {
+            return cached.value;
+        }
+        
+        const value = this.calculate(room, harvesterCount);
+        global.economyCache[room.name] = { time: Game.time, harvesters: harvesterCount, value: value };
+        return value;
+    },
+    
+    /**
+     * Get a room's last solution without solving again
+     * @param {Room} room - The room
+     * @returns {Object|null} - Counts by role, harvesters included, or null when no recent solution exists
+     */
+    getCachedSolution: function(room) {
+        const cached = global.economyCache && global.economyCache[room.name];
+        if (!cached || Game.time - cached.time >= this.SOLVE_INTERVAL) return null;
+        
+        return Object.assign({ harvester: cached.harvesters }, cached.value);
+    },
+    
+    /**
+     * Work out hauler, builder and upgrader counts for a room
+     * @param {Room} room - The room
+     * @param {number} harvesterCount - Planned harvesters
+     * @returns {Object} - Counts by role plus the budget behind them
+     */
+    calculate: function(room, harvesterCount) {
+        // Bodies the room would spawn now - counts are sized for those, not for older creeps
+        const capacity = Math.max(room.energyCapacityAvailable, SPAWN_ENERGY_CAPACITY);
+        const bodies = {};
+        for (const role of ['harvester', 'hauler', 'upgrader', 'builder']) {
+            bodies[role] = bodyPlanner.getBody(role, capacity, this.getBodyOptions(room, role));
+        }
+        
+        const income = this.estimateIncome(room);
+        const drop = room.storage || room.find(FIND_MY_SPAWNS)[0];
+        const carryPerHauler = this.countParts(bodies.hauler, CARRY) * CARRY_CAPACITY;
+        
+        // Carry capacity needed to bring every hauled source's output home and come back
+        let haulCarry = 0;
+        if (drop) {
+            for (const hauled of income.hauled) {
+                haulCarry += hauled.amount * 2 * this.getHaulDistance(room, hauled.source, drop);
+            }
+        }
+        const sourceHaulers = Math.ceil(haulCarry / carryPerHauler);
+        
+        // Creeps this calculation doesn't size - remote, defense and expansion creeps - still cost their bodies
+        const localRoles = ['harvester', 'hauler', 'upgrader', 'builder'];
+        const otherCreeps = _.filter(Game.creeps, c => c.memory.homeRoom === room.name && !localRoles.includes(c.memory.role));
+        const upkeep = harvesterCount * this.getUpkeep(bodies.harvester) +
+                       sourceHaulers * this.getUpkeep(bodies.hauler) +
+                       _.sum(otherCreeps, c => this.getUpkeep(c.body));
+        
+        const available = income.total - upkeep;
+        const budget = Math.max(0, available + this.getStorageAdjustment(room, available));
+        
+        // Energy each worker spends per tick, body upkeep included
+        const upgraderWork = this.countParts(bodies.upgrader, WORK);
+        const builderWork = this.countParts(bodies.builder, WORK);
+        const upgraderRate = upgraderWork * UPGRADE_CONTROLLER_POWER * this.WORKER_UPTIME + this.getUpkeep(bodies.upgrader);
+        const builderRate = builderWork * BUILD_POWER * this.WORKER_UPTIME + this.getUpkeep(bodies.builder);
+        const repairerRate = builderWork * REPAIR_POWER * REPAIR_COST * this.WORKER_UPTIME + this.getUpkeep(bodies.builder);
+        
+        const repairTargets = (room.memory.repairTargets || []).length;
+        let repairers = repairTargets > 0 ? Math.ceil(budget * this.REPAIR_SHARE / repairerRate) : 0;
+        
+        // Ramparts in a nuke's blast have to reach their target before impact
+        if (require('nukeManager').needsFortifying(room)) {
+            repairers = Math.max(repairers, Math.ceil(budget * this.NUKE_REPAIR_SHARE / repairerRate));
+        }
+        
+        // Builders for the work left on the sites, up to the build share of the budget
+        const constructionSites = room.find(FIND_MY_CONSTRUCTION_SITES);
+        const buildWork = _.sum(constructionSites, s => s.progressTotal - s.progress);
+        const buildPerBuilder = builderWork * BUILD_POWER * this.WORKER_UPTIME * this.BUILD_HORIZON;
+        const constructors = constructionSites.length > 0 ? Math.max(1, Math.min(
+            Math.round(budget * this.BUILD_SHARE / builderRate),
+            Math.ceil(buildWork / buildPerBuilder))) : 0;
+        
+        // One builder always stays on as the room's repairer
+        const builders = Math.max(1, Math.min(this.MAX_BUILDERS, repairers + constructors));
+        const builderSpend = Math.min(builders, constructors) * builderRate +
+                             Math.max(0, builders - constructors) * repairerRate;
+        
+        // Upgrading takes whatever is left, and one upgrader always keeps the controller from downgrading
+        const band = this.getUpgradeBand(room);
+        const upgradeBudget = Math.max(0, budget - builderSpend);
+        let upgraders = Math.min(band.maxUpgraders, Math.floor(upgradeBudget / upgraderRate));
+        
+        // Upgraders past the RCL 8 limit would stand idle
+        if (room.controller.level === 8) {
+            upgraders = Math.min(upgraders, Math.floor(this.getUpgradeWorkLimit(room) / upgraderWork));
+        }
+        upgraders = Math.max(1, upgraders);
+        
+        // Upgraders working from a controller container are fed by haulers unless a controller link does it
+        const links = room.memory.links;
+        const controllerContainer = room.controller.pos.findInRange(FIND_STRUCTURES, 3, {
+            filter: s => s.structureType === STRUCTURE_CONTAINER
+        })[0];
+        if (drop && controllerContainer && !(links && links.controller)) {
+            const upgradeEnergy = upgraders * upgraderWork * UPGRADE_CONTROLLER_POWER * this.WORKER_UPTIME;
+            haulCarry += upgradeEnergy * 2 * this.getHaulDistance(room, controllerContainer, drop);
+        }
+        
+        // Always keep at least one hauler for spawn refilling and hub link emptying
+        const haulers = Math.max(1, Math.ceil(haulCarry / carryPerHauler));
+        
+        return {
+            hauler: haulers,
+            upgrader: upgraders,
+            builder: builders,
+            budget: {
+                income: income.total,
+                upkeep: upkeep,
+                spendable: budget,
+                build: builderSpend,
+                upgrade: upgradeBudget,
+                upgradeBand: band.name
+            }
+        };
+    },
+    
+    /**
+     * Get the storage band that sets a room's upgrade policy
+     * @param {Room} room - The room
+     * @returns {Object} - Entry from UPGRADE_BANDS
+     */
+    getUpgradeBand: function(room) {
+        const normal = _.find(this.UPGRADE_BANDS, band => band.name === 'normal');
+        if (!room.storage) return normal;
+        
+        const energy = room.storage.store[RESOURCE_ENERGY];
+        const level = room.controller.level;
+        return _.find(this.UPGRADE_BANDS, band => energy >= band.storage && level >= (band.minLevel || 0)) || normal;
+    },
+    
+    /**
+     * Get the most WORK parts worth putting on upgraders
+     * @param {Room} room - The room
+     * @returns {number} - WORK parts, or Infinity when unlimited
+     */
+    getUpgradeWorkLimit: function(room) {
+        let limit = this.getUpgradeBand(room).maxWork || Infinity;
+        
+        // RCL 8 controllers take at most 15 energy per tick, however many WORK parts upgrade
+        if (room.controller.level === 8) {
+            limit = Math.min(limit, CONTROLLER_MAX_UPGRADE_PER_TICK / UPGRADE_CONTROLLER_POWER);
+        }
+        
+        return limit;
+    },
+    
+    /**
+     * Get body planner options a room's economy puts on a role
+     * @param {Room} room - The room
+     * @param {string} role - Role name
+     * @returns {Object} - Options for bodyPlanner.getBody
+     */
+    getBodyOptions: function(room, role) {
+        if (role !== 'upgrader' || !room.controller) return {};
+        
+        const limit = this.getUpgradeWorkLimit(room);
+        return limit === Infinity ? {} : { limits: { [WORK]: limit } };
+    },
+    
+    /**
+     * Estimate a room's energy income per tick
+     * @param {Room} room - The room
+     * @returns {Object} - {total, linked, remote, hauled: [{source, amount}]}
+     */
+    estimateIncome: function(room) {
+        const harvesters = _.filter(Game.creeps, c => c.memory.role === 'harvester' && c.memory.homeRoom === room.name);
+        const linkedSources = this.getLinkedSources(room);
+        
+        const income = { total: 0, linked: 0, remote: 0, hauled: [] };
+        
+        // Local sources yield what their harvesters can take, up to the source's regeneration
+        for (const source of room.find(FIND_SOURCES)) {
+            const work = _.sum(harvesters, c => c.memory.sourceId === source.id ? c.getActiveBodyparts(WORK) : 0);
+            const amount = Math.min(source.energyCapacity / ENERGY_REGEN_TIME, work * HARVEST_POWER);
+            if (amount === 0) continue;
+            
+            if (linkedSources.includes(source.id)) {
+                income.linked += amount * (1 - LINK_LOSS_RATIO);
+            } else {
+                income.hauled.push({ source: source, amount: amount });
+            }
+        }
+        
+        // Remote miners - their own haulers bring the energy home
+        const miners = _.filter(Game.creeps, c => c.memory.role === 'remoteMiner' && c.memory.homeRoom === room.name);
+        for (const miner of miners) {
+            const remote = Memory.remoteOps && Memory.remoteOps.rooms && Memory.remoteOps.rooms[miner.memory.targetRoom];
+            const reserved = remote && remote.reservation && remote.reservation.username === Memory.username;
+            const regen = (reserved ? SOURCE_ENERGY_CAPACITY : SOURCE_ENERGY_NEUTRAL_CAPACITY) / ENERGY_REGEN_TIME;
+            income.remote += Math.min(regen, miner.getActiveBodyparts(WORK) * HARVEST_POWER);
+        }
+        
+        income.total = income.linked + income.remote + _.sum(income.hauled, h => h.amount);
+        return income;
+    },
+    
+    /**
+     * Get sources whose output is sent home by a source link
+     * @param {Room} room - The room
+     * @returns {Array} - Source ids
+     */
+    getLinkedSources: function(room) {
+        // Links only carry energy once there is a controller or hub link to receive it
+        const links = room.memory.links;
+        if (!links || !links.source || !(links.controller || links.hub)) return [];
+        
+        const sourceLinks = links.source.map(id => Game.getObjectById(id)).filter(link => link);
+        return room.find(FIND_SOURCES)
+            .filter(source => sourceLinks.some(link => link.pos.inRangeTo(source, 2)))
+            .map(source => source.id);
+    },
+    
+    /**
+     * Get the walking distance from an object to the room's drop-off point, cached in room memory
+     * @param {Room} room - The room
+     * @param {RoomObject} from - Source or container
+     * @param {Structure} drop - Storage or spawn
+     * @returns {number} - Path length
+     */
+    getHaulDistance: function(room, from, drop) {
+        if (!room.memory.haulDistances) room.memory.haulDistances = {};
+        
+        const cached = room.memory.haulDistances[from.id];
+        if (cached && cached.drop === drop.id && Game.time - cached.time < this.PATH_TTL) {
+            return cached.length;
+        }
+        
+        const movementManager = require('movementManager');
+        const length = Math.max(1, movementManager.getPathLength(from.pos, drop.pos, 1));
+        room.memory.haulDistances[from.id] = { drop: drop.id, length: length, time: Game.time };
+        return length;
+    },
+    
+    /**
+     * Energy per tick to spend from or save into storage
+     * @param {Room} room - The room
+     * @param {number} available - Income left after upkeep
+     * @returns {number} - Positive to spend stored energy, negative to save income
+     */
+    getStorageAdjustment: function(room, available) {
+        if (!room.storage) return 0;
+        
+        const adjustment = (room.storage.store[RESOURCE_ENERGY] - this.STORAGE_TARGET) / this.STORAGE_DRAIN_TICKS;
+        return Math.max(adjustment, -Math.max(0, available) * this.MAX_SAVE_SHARE);
+    },
+    
+    /**
+     * Energy per tick a body costs to keep spawning
+     * @param {Array} body - Body parts, as part types or creep.body entries
+     * @returns {number} - Energy per tick
+     */
+    getUpkeep: function(body) {
+        return bodyPlanner.getCost(body) / CREEP_LIFE_TIME;
+    },
+    
+    /**
+     * Count parts of one type in a body
+     * @param {string[]} body - Body parts
+     * @param {string} type - Part type
+     * @returns {number} - Number of parts
+     */
+    countParts: function(body, type) {
+        return body.filter(part => part === type).length;
+    }
+};
+
+module.exports = economySolver;
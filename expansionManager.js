@@ -0,0 +1,380 @@
+/**
+ * Expansion Manager - Picks and settles new rooms
+ * Scores scouted rooms, sends a claimer, then pioneers until the new room has its own spawn
+ */
+const helpers = require('helpers');
+const bodyPlanner = require('bodyPlanner');
+
+const expansionManager = {
+    // Furthest a claim target may be from its parent room (in rooms)
+    MAX_DISTANCE: 5,
+
+    // Parent rooms must be at least this RCL to support a new colony
+    MIN_PARENT_RCL: 4,
+
+    // Number of pioneers kept alive while bootstrapping
+    PIONEER_COUNT: 4,
+
+    // Give up on a target if it isn't claimed within this many ticks
+    CLAIM_TIMEOUT: 5000,
+
+    // Give up if the first spawn isn't built within this many ticks of claiming
+    BOOTSTRAP_TIMEOUT: 20000,
+
+    // Failed targets are skipped for this long
+    RETRY_COOLDOWN: 50000,
+
+    /**
+     * Initialize expansion memory
+     */
+    initMemory: function() {
+        if (!Memory.expansion) {
+            Memory.expansion = {
+                target: null,
+                parent: null,
+                status: null,
+                started: 0,
+                failed: {}
+            };
+        }
+    },
+
+    /**
+     * Run the expansion planner
+     */
+    run: function() {
+        // Skip in emergency mode
+        if (global.emergencyMode) return;
+
+        // Only run every 50 ticks to save CPU
+        if (Game.time % 50 !== 0) return;
+
+        this.initMemory();
+
+        const expansion = Memory.expansion;
+
+        if (!expansion.target) {
+            this.selectTarget();
+            return;
+        }
+
+        this.updateProgress();
+    },
+
+    /**
+     * Pick a new claim target if GCL allows another room
+     */
+    selectTarget: function() {
+        // Check GCL headroom
+        const ownedRooms = _.filter(Game.rooms, room => room.controller && room.controller.my).length;
+        if (ownedRooms >= Game.gcl.level) return;
+
+        if (!Memory.remoteOps || !Memory.remoteOps.rooms) return;
+
+        // Strongest parent with spare energy
+        const parents = _.filter(Game.rooms, room =>
+            room.controller && room.controller.my &&
+            room.controller.level >= this.MIN_PARENT_RCL &&
+            room.find(FIND_MY_SPAWNS).length > 0);
+        if (parents.length === 0) return;
+
+        let best = null;
+        let bestScore = -Infinity;
+
+        for (const roomName in Memory.remoteOps.rooms) {
+            for (const parent of parents) {
+                const score = this.scoreRoom(roomName, parent.name);
+                if (score !== null && score > bestScore) {
+                    bestScore = score;
+                    best = { roomName, parent: parent.name };
+                }
+            }
+        }
+
+        if (!best) return;
+
+        Memory.expansion.target = best.roomName;
+        Memory.expansion.parent = best.parent;
+        Memory.expansion.status = 'claiming';
+        Memory.expansion.started = Game.time;
+
+        // Stop remote mining a room we're about to own
+        this.releaseRemote(best.roomName);
+
+        console.log(`🚩 Expansion: claiming ${best.roomName} from ${best.parent} (score ${bestScore.toFixed(0)})`);
+    },
+
+    /**
+     * Score a scouted room as a claim target
+     * @param {string} roomName - Candidate room
+     * @param {string} parentName - Parent room that would support it
+     * @returns {number|null} - Score, or null if the room can't be claimed
+     */
+    scoreRoom: function(roomName, parentName) {
+        const roomData = Memory.remoteOps.rooms[roomName];
+
+        // Must have a free controller and no visible threats
+        if (!roomData.controller || roomData.owner || roomData.hostiles) return null;
+        if (roomData.reservation && roomData.reservation.username !== Memory.username) return null;
+
+        // Need reasonably fresh intel
+        if (!roomData.lastScout || Game.time - roomData.lastScout > 10000) return null;
+
+        // Skip recently failed targets
+        const failed = Memory.expansion.failed[roomName];
+        if (failed && Game.time - failed < this.RETRY_COOLDOWN) return null;
+
+        const sources = roomData.sources || 0;
+        if (sources === 0) return null;
+
+        // Distance from the parent
+        const route = Game.map.findRoute(parentName, roomName);
+        if (route === ERR_NO_PATH || route.length > this.MAX_DISTANCE) return null;
+
+        // Keeper rooms are not worth the fight
+        if (roomData.keeperLairs) return null;
+
+        let score = sources * 50;
+        score -= route.length * 15;
+
+        // Terrain is available without vision
+        const terrain = this.getTerrainStats(roomName);
+        score += terrain.plain * 40;
+        score -= terrain.swamp * 30;
+
+        // Immediate neighbours of our rooms fight over remotes
+        if (route.length === 1) score -= 20;
+
+        // Minerals we don't already have are worth a bit more
+        if (roomData.mineralType) {
+            const haveMineral = _.some(Game.rooms, room =>
+                room.controller && room.controller.my &&
+                room.find(FIND_MINERALS).some(mineral => mineral.mineralType === roomData.mineralType));
+            if (!haveMineral) score += 15;
+        }
+
+        return score;
+    },
+
+    /**
+     * Get terrain ratios for a room
+     * @param {string} roomName - The room
+     * @returns {Object} - Fractions of plain, swamp and wall tiles
+     */
+    getTerrainStats: function(roomName) {
+        const terrain = Game.map.getRoomTerrain(roomName);
+        let plain = 0;
+        let swamp = 0;
+        let wall = 0;
+
+        for (let x = 0; x < 50; x++) {
+            for (let y = 0; y < 50; y++) {
+                const tile = terrain.get(x, y);
+                if (tile === TERRAIN_MASK_WALL) wall++;
+                else if (tile === TERRAIN_MASK_SWAMP) swamp++;
+                else plain++;
+            }
+        }
+
+        return {
+            plain: plain / 2500,
+            swamp: swamp / 2500,
+            wall: wall / 2500
+        };
+    },
+
+    /**
+     * Advance the current expansion
+     */
+    updateProgress: function() {
+        const expansion = Memory.expansion;
+        const room = Game.rooms[expansion.target];
+
+        // Parent lost - nothing left to support the colony
+        const parent = Game.rooms[expansion.parent];
+        if (!parent || !parent.controller || !parent.controller.my) {
+            this.abandon('parent room lost');
+            return;
+        }
+
+        if (expansion.status === 'claiming') {
+            if (room && room.controller && room.controller.my) {
+                expansion.status = 'bootstrapping';
+                expansion.started = Game.time;
+                console.log(`🚩 Expansion: ${expansion.target} claimed, sending pioneers`);
+                return;
+            }
+
+            // Someone else got there first
+            if (room && room.controller && room.controller.owner && !room.controller.my) {
+                this.abandon(`claimed by ${room.controller.owner.username}`);
+                return;
+            }
+
+            if (Game.time - expansion.started > this.CLAIM_TIMEOUT) {
+                this.abandon('claim timed out');
+            }
+            return;
+        }
+
+        if (expansion.status === 'bootstrapping') {
+            // Lost the controller
+            if (room && (!room.controller || !room.controller.my)) {
+                this.abandon('controller lost');
+                return;
+            }
+
+            if (room) {
+                // New room can spawn on its own - support ends here
+                if (room.find(FIND_MY_SPAWNS).length > 0) {
+                    console.log(`🚩 Expansion: ${expansion.target} has its first spawn, parent support ends`);
+                    this.finish();
+                    return;
+                }
+
+                this.placeSpawnSite(room);
+            }
+
+            if (Game.time - expansion.started > this.BOOTSTRAP_TIMEOUT) {
+                this.abandon('bootstrap timed out');
+            }
+        }
+    },
+
+    /**
+     * Place the first spawn construction site between sources and controller
+     * @param {Room} room - The newly claimed room
+     */
+    placeSpawnSite: function(room) {
+        const sites = room.find(FIND_MY_CONSTRUCTION_SITES, {
+            filter: s => s.structureType === STRUCTURE_SPAWN
+        });
+        if (sites.length > 0) return;
+
+        // Center on the average of sources and controller
+        const points = room.find(FIND_SOURCES).map(s => s.pos).concat([room.controller.pos]);
+        const anchor = {
+            x: Math.round(_.sum(points, p => p.x) / points.length),
+            y: Math.round(_.sum(points, p => p.y) / points.length)
+        };
+
+        const pos = helpers.findBestPosition(room, anchor, 2, 8);
+        if (!pos) {
+            helpers.logError(`expansion_spawn_${room.name}`, `No spawn position found in ${room.name}`, 500);
+            return;
+        }
+
+        const result = room.createConstructionSite(pos.x, pos.y, STRUCTURE_SPAWN);
+        if (result === OK) {
+            console.log(`🚩 Expansion: placed spawn site in ${room.name} at (${pos.x},${pos.y})`);
+        }
+    },
+
+    /**
+     * Get the next expansion creep a parent room should spawn
+     * @param {Room} room - The spawning room
+     * @returns {Object|null} - Spawn request ({role, body, name, memory}) or null
+     */
+    getSpawnRequest: function(room) {
+        const expansion = Memory.expansion;
+        if (!expansion || !expansion.target || expansion.parent !== room.name) return null;
+
+        if (expansion.status === 'claiming') {
+            const claimers = _.filter(Game.creeps, c =>
+                c.memory.role === 'claimer' && c.memory.targetRoom === expansion.target);
+            if (claimers.length > 0) return null;
+
+            const body = bodyPlanner.getBody('claimer', room.energyCapacityAvailable);
+
+            return {
+                role: 'claimer',
+                body: body,
+                name: `Claimer_${Game.time}`,
+                memory: {
+                    role: 'claimer',
+                    homeRoom: room.name,
+                    targetRoom: expansion.target
+                }
+            };
+        }
+
+        if (expansion.status === 'bootstrapping') {
+            const pioneers = _.filter(Game.creeps, c =>
+                c.memory.role === 'pioneer' && c.memory.targetRoom === expansion.target);
+            if (pioneers.length >= this.PIONEER_COUNT) return null;
+
+            const body = bodyPlanner.getBody('pioneer', room.energyCapacityAvailable);
+
+            return {
+                role: 'pioneer',
+                body: body,
+                name: `Pioneer_${Game.time}`,
+                memory: {
+                    role: 'pioneer',
+                    homeRoom: room.name,
+                    targetRoom: expansion.target,
+                    working: false
+                }
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Remove a room from remote mining before claiming it
+     * @param {string} roomName - The room to release
+     */
+    releaseRemote: function(roomName) {
+        if (!Memory.remoteOps || !Memory.remoteOps.activeRemotes) return;
+
+        for (const baseRoom in Memory.remoteOps.activeRemotes) {
+            _.pull(Memory.remoteOps.activeRemotes[baseRoom], roomName);
+        }
+
+        if (Memory.remoteOps.rooms[roomName]) {
+            Memory.remoteOps.rooms[roomName].mining = false;
+        }
+    },
+
+    /**
+     * Finish the current expansion successfully
+     */
+    finish: function() {
+        Memory.expansion.target = null;
+        Memory.expansion.parent = null;
+        Memory.expansion.status = null;
+    },
+
+    /**
+     * Abandon the current expansion target
+     * @param {string} reason - Why it was abandoned
+     */
+    abandon: function(reason) {
+        const expansion = Memory.expansion;
+        console.log(`🚩 Expansion: abandoning ${expansion.target} - ${reason}`);
+
+        expansion.failed[expansion.target] = Game.time;
+        this.finish();
+    },
+
+    /**
+     * Get expansion status for the console
+     * @returns {string} - Status information
+     */
+    getStatus: function() {
+        const expansion = Memory.expansion;
+        if (!expansion || !expansion.target) {
+            const ownedRooms = _.filter(Game.rooms, room => room.controller && room.controller.my).length;
+            return `No expansion in progress (${ownedRooms}/${Game.gcl.level} rooms for GCL)`;
+        }
+
+        const claimers = _.filter(Game.creeps, c => c.memory.role === 'claimer' && c.memory.targetRoom === expansion.target).length;
+        const pioneers = _.filter(Game.creeps, c => c.memory.role === 'pioneer' && c.memory.targetRoom === expansion.target).length;
+
+        return `Expansion to ${expansion.target} from ${expansion.parent}: ${expansion.status} ` +
+               `for ${Game.time - expansion.started} ticks (${claimers} claimers, ${pioneers} pioneers)`;
+    }
+};
+
+module.exports = expansionManager;
@@ -0,0 +1,273 @@
+/**
+ * Factory Manager - Compresses surplus energy and minerals into bars and unpacks them when stock runs low
+ * One product is made at a time; haulers load its components and carry finished goods back to storage
+ */
+const roomManager = require('roomManager');
+const terminalManager = require('terminalManager');
+
+const factoryManager = {
+    // Bar made from each raw resource - the factory can also turn each bar back into its resource
+    BARS: {
+        [RESOURCE_ENERGY]: RESOURCE_BATTERY,
+        [RESOURCE_HYDROGEN]: RESOURCE_REDUCTANT,
+        [RESOURCE_OXYGEN]: RESOURCE_OXIDANT,
+        [RESOURCE_UTRIUM]: RESOURCE_UTRIUM_BAR,
+        [RESOURCE_LEMERGIUM]: RESOURCE_LEMERGIUM_BAR,
+        [RESOURCE_KEANIUM]: RESOURCE_KEANIUM_BAR,
+        [RESOURCE_ZYNTHIUM]: RESOURCE_ZYNTHIUM_BAR,
+        [RESOURCE_CATALYST]: RESOURCE_PURIFIER,
+        [RESOURCE_GHODIUM]: RESOURCE_GHODIUM_MELT
+    },
+    
+    // Raw stock (storage + terminal) above which bars are made, anything not listed uses DEFAULT_COMPRESS_ABOVE
+    COMPRESS_ABOVE: {
+        [RESOURCE_ENERGY]: 500000
+    },
+    DEFAULT_COMPRESS_ABOVE: 20000,
+    
+    // Raw stock below which bars are unpacked, anything not listed uses DEFAULT_DECOMPRESS_BELOW
+    DECOMPRESS_BELOW: {
+        [RESOURCE_ENERGY]: 50000
+    },
+    DEFAULT_DECOMPRESS_BELOW: 2000,
+    
+    // Bars don't use up the energy the rest of the room needs
+    MIN_ENERGY: 20000,
+    
+    // Components are loaded for this many production runs at a time
+    LOAD_RUNS: 5,
+    
+    // Finished goods are carried out once the factory holds this much
+    OUTPUT_UNLOAD_AMOUNT: 1000,
+    
+    // How often the product is chosen and hauler jobs are checked
+    LOGISTICS_INTERVAL: 10,
+    
+    /**
+     * Run factory operations for a room
+     * @param {Room} room - The room to manage the factory for
+     */
+    run: function(room) {
+        // Factories are only available from RCL 7
+        if (!room.controller || room.controller.level < 7 || !room.storage) return;
+        
+        const factory = this.getFactory(room);
+        if (!factory) return;
+        
+        if (!room.memory.factory) room.memory.factory = { product: null, produced: {} };
+        const state = room.memory.factory;
+        
+        if (Game.time % this.LOGISTICS_INTERVAL === 0) {
+            this.updateProduct(room, factory, state);
+            this.manageLogistics(room, factory, state);
+        }
+        
+        this.produce(room, factory, state);
+    },
+    
+    /**
+     * Get the room's factory
+     * @param {Room} room - The room
+     * @returns {StructureFactory|null} - The factory or null
+     */
+    getFactory: function(room) {
+        return room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_FACTORY
+        })[0] || null;
+    },
+    
+    /**
+     * Produce the current product once the factory is ready and loaded
+     * @param {Room} room - The room
+     * @param {StructureFactory} factory - The factory
+     * @param {Object} state - Factory memory
+     */
+    produce: function(room, factory, state) {
+        if (!state.product || factory.cooldown > 0) return;
+        
+        const recipe = COMMODITIES[state.product];
+        if (!this.hasComponents(factory.store, recipe)) return;
+        
+        if (factory.produce(state.product) === OK) {
+            state.produced[state.product] = (state.produced[state.product] || 0) + recipe.amount;
+        }
+    },
+    
+    /**
+     * Choose what to produce - unpacking bars for a shortage comes before compressing a surplus
+     * @param {Room} room - The room
+     * @param {StructureFactory} factory - The factory
+     * @param {Object} state - Factory memory
+     */
+    updateProduct: function(room, factory, state) {
+        const product = this.chooseProduct(room, factory);
+        if (product === state.product) return;
+        
+        state.product = product;
+        if (product) {
+            const components = Object.keys(COMMODITIES[product].components).join(' + ');
+            console.log(`Room ${room.name} factory now producing ${product} from ${components}`);
+        }
+    },
+    
+    /**
+     * Find the product the room needs most
+     * @param {Room} room - The room
+     * @param {StructureFactory} factory - The factory
+     * @returns {string|null} - Resource to produce or null
+     */
+    chooseProduct: function(room, factory) {
+        const energy = this.getStock(room, factory, RESOURCE_ENERGY);
+        
+        // Unpack bars for raw resources that are running low
+        for (const raw in this.BARS) {
+            if (this.getStock(room, factory, raw) >= this.getThreshold(this.DECOMPRESS_BELOW, this.DEFAULT_DECOMPRESS_BELOW, raw)) continue;
+            if (this.canAfford(room, factory, COMMODITIES[raw], energy)) return raw;
+        }
+        
+        // Compress surpluses, keeping the energy reserve for everything else
+        for (const raw in this.BARS) {
+            const bar = this.BARS[raw];
+            if (this.getStock(room, factory, raw) <= this.getThreshold(this.COMPRESS_ABOVE, this.DEFAULT_COMPRESS_ABOVE, raw)) continue;
+            if (this.canAfford(room, factory, COMMODITIES[bar], energy)) return bar;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Check if a recipe's components are in stock for at least one run
+     * @param {Room} room - The room
+     * @param {StructureFactory} factory - The factory
+     * @param {Object} recipe - COMMODITIES entry
+     * @param {number} energy - Energy in stock
+     * @returns {boolean} - True if the recipe can run
+     */
+    canAfford: function(room, factory, recipe, energy) {
+        for (const component in recipe.components) {
+            if (this.getStock(room, factory, component) < recipe.components[component]) return false;
+        }
+        
+        // Energy spent on bars has to come out of the surplus, never the reserve
+        const energyUsed = recipe.components[RESOURCE_ENERGY] || 0;
+        return energyUsed === 0 || energy - energyUsed >= this.MIN_ENERGY;
+    },
+    
+    /**
+     * Check if a store holds every component of a recipe
+     * @param {Store} store - The store
+     * @param {Object} recipe - COMMODITIES entry
+     * @returns {boolean} - True if one run is possible
+     */
+    hasComponents: function(store, recipe) {
+        return Object.keys(recipe.components).every(component => store[component] >= recipe.components[component]);
+    },
+    
+    /**
+     * Queue hauler jobs to load components and carry out products and leftovers
+     * @param {Room} room - The room
+     * @param {StructureFactory} factory - The factory
+     * @param {Object} state - Factory memory
+     */
+    manageLogistics: function(room, factory, state) {
+        const components = state.product ? COMMODITIES[state.product].components : {};
+        
+        // Load components for a few runs
+        for (const component in components) {
+            const wanted = components[component] * this.LOAD_RUNS;
+            if (factory.store[component] < components[component]) {
+                this.queueLoad(room, factory, component, wanted - factory.store[component]);
+            }
+        }
+        
+        // Carry out finished goods and anything the current product doesn't use
+        for (const resourceType in factory.store) {
+            if (components[resourceType]) continue;
+            
+            const amount = factory.store[resourceType];
+            if (resourceType !== state.product || amount >= this.OUTPUT_UNLOAD_AMOUNT) {
+                this.queueUnload(room, factory, resourceType, amount);
+            }
+        }
+    },
+    
+    /**
+     * Queue a job to bring a resource from storage or terminal into the factory
+     * @param {Room} room - The room
+     * @param {StructureFactory} factory - The factory
+     * @param {string} resourceType - Resource to load
+     * @param {number} amount - Amount wanted
+     */
+    queueLoad: function(room, factory, resourceType, amount) {
+        const source = [room.storage, room.terminal].find(s => s && s.store[resourceType] > 0);
+        if (!source) return;
+        
+        roomManager.addHaulJob(room, `factory_${resourceType}`, {
+            from: source.id,
+            to: factory.id,
+            resourceType: resourceType,
+            amount: Math.min(amount, source.store[resourceType])
+        });
+    },
+    
+    /**
+     * Queue a job to empty a resource from the factory into storage or terminal
+     * @param {Room} room - The room
+     * @param {StructureFactory} factory - The factory
+     * @param {string} resourceType - Resource to remove
+     * @param {number} amount - Amount to remove
+     */
+    queueUnload: function(room, factory, resourceType, amount) {
+        const target = [room.storage, room.terminal].find(s => s && s.store.getFreeCapacity() > 0);
+        if (!target) return;
+        
+        roomManager.addHaulJob(room, `factory_${resourceType}`, {
+            from: factory.id,
+            to: target.id,
+            resourceType: resourceType,
+            amount: amount
+        });
+    },
+    
+    /**
+     * Get the amount of a resource in storage, terminal and factory
+     * @param {Room} room - The room
+     * @param {StructureFactory} factory - The factory
+     * @param {string} resourceType - The resource
+     * @returns {number} - Amount in stock
+     */
+    getStock: function(room, factory, resourceType) {
+        return terminalManager.getStock(room, resourceType) + (factory.store[resourceType] || 0);
+    },
+    
+    /**
+     * Look up a per-resource threshold
+     * @param {Object} thresholds - Thresholds by resource
+     * @param {number} fallback - Threshold for unlisted resources
+     * @param {string} resourceType - The resource
+     * @returns {number} - Threshold
+     */
+    getThreshold: function(thresholds, fallback, resourceType) {
+        return thresholds[resourceType] !== undefined ? thresholds[resourceType] : fallback;
+    },
+    
+    /**
+     * Describe every factory's product and output for the console
+     * @returns {string} - Status listing
+     */
+    getStatusReport: function() {
+        let output = 'Factories:\n';
+        for (const roomName in Game.rooms) {
+            const state = Game.rooms[roomName].memory.factory;
+            if (!state) continue;
+            
+            const produced = Object.keys(state.produced)
+                .map(resourceType => `${resourceType} ${state.produced[resourceType]}`)
+                .join(', ') || 'nothing yet';
+            output += `  ${roomName}: producing ${state.product || 'nothing'}, total produced: ${produced}\n`;
+        }
+        return output;
+    }
+};
+
+module.exports = factoryManager;
@@ -0,0 +1,415 @@
+/**
+ * Lab Manager - Runs reactions and creep boosting
+ * Two input labs feed the rest of the planned cluster, one lab is held back for boosts at RCL 7+
+ */
+const roomManager = require('roomManager');
+
+const labManager = {
+    // Compounds to keep in stock, in production order, with target amounts
+    REACTION_TARGETS: [
+        { compound: RESOURCE_HYDROXIDE, amount: 3000 },
+        { compound: RESOURCE_ZYNTHIUM_KEANITE, amount: 1000 },
+        { compound: RESOURCE_UTRIUM_LEMERGITE, amount: 1000 },
+        { compound: RESOURCE_GHODIUM, amount: 3000 },
+        { compound: RESOURCE_GHODIUM_HYDRIDE, amount: 3000 },
+        { compound: RESOURCE_GHODIUM_ACID, amount: 3000 },
+        { compound: RESOURCE_CATALYZED_GHODIUM_ACID, amount: 3000 }
+    ],
+    
+    // Boosts requested for spawned creeps, best compound first
+    BOOST_ROLES: {
+        upgrader: {
+            part: WORK,
+            compounds: [RESOURCE_CATALYZED_GHODIUM_ACID, RESOURCE_GHODIUM_ACID, RESOURCE_GHODIUM_HYDRIDE],
+            // RCL 8 upgrading is capped at 15 energy/tick, so boosts only pay off at RCL 7
+            minRcl: 7,
+            maxRcl: 7
+        }
+    },
+    
+    // Minimum reagent stock needed to start a reaction
+    MIN_REAGENT_STOCK: 500,
+    
+    // Output labs are emptied once they reach this amount
+    OUTPUT_UNLOAD_AMOUNT: 1000,
+    
+    // How often loading/unloading jobs are checked
+    LOGISTICS_INTERVAL: 10,
+    
+    // Reverse lookup of REACTIONS (product -> reagents), built on first use
+    reagentCache: null,
+    
+    /**
+     * Run lab operations for a room
+     * @param {Room} room - The room to manage labs for
+     */
+    run: function(room) {
+        // Labs are only available from RCL 6
+        if (!room.controller || room.controller.level < 6) return;
+        
+        const labs = this.getLabs(room);
+        if (!labs) return;
+        
+        // Pick a reaction and keep labs stocked
+        if (Game.time % this.LOGISTICS_INTERVAL === 0) {
+            this.updateReaction(room, labs);
+            this.manageLogistics(room, labs);
+        }
+        
+        this.runReactions(room, labs);
+    },
+    
+    /**
+     * Run the current reaction in every ready output lab
+     * @param {Room} room - The room
+     * @param {Object} labs - Lab assignment
+     */
+    runReactions: function(room, labs) {
+        const reaction = labs.reaction;
+        if (!reaction) return;
+        
+        const input1 = Game.getObjectById(labs.inputs[0]);
+        const input2 = Game.getObjectById(labs.inputs[1]);
+        if (!input1 || !input2) return;
+        
+        // Both inputs must hold the right reagents
+        if (input1.mineralType !== reaction.reagents[0] || input2.mineralType !== reaction.reagents[1]) return;
+        if (input1.store[input1.mineralType] < LAB_REACTION_AMOUNT ||
+            input2.store[input2.mineralType] < LAB_REACTION_AMOUNT) return;
+        
+        for (const id of labs.outputs) {
+            const lab = Game.getObjectById(id);
+            if (!lab || lab.cooldown > 0) continue;
+            
+            // Skip labs holding something else - they are waiting to be emptied
+            if (lab.mineralType && lab.mineralType !== reaction.product) continue;
+            if (lab.store.getFreeCapacity(reaction.product) < LAB_REACTION_AMOUNT) continue;
+            
+            lab.runReaction(input1, input2);
+        }
+    },
+    
+    /**
+     * Choose the reaction to run based on stocks in storage and terminal
+     * @param {Room} room - The room
+     * @param {Object} labs - Lab assignment
+     */
+    updateReaction: function(room, labs) {
+        const current = labs.reaction;
+        
+        // Keep running the current reaction while it's still needed and possible
+        if (current && this.getStock(room, current.product) < current.target &&
+            this.canReact(room, labs, current.reagents)) {
+            return;
+        }
+        
+        labs.reaction = null;
+        
+        for (const target of this.REACTION_TARGETS) {
+            if (this.getStock(room, target.compound) >= target.amount) continue;
+            
+            const reagents = this.getReagents(target.compound);
+            if (!reagents) continue;
+            
+            if (this.getStock(room, reagents[0]) >= this.MIN_REAGENT_STOCK &&
+                this.getStock(room, reagents[1]) >= this.MIN_REAGENT_STOCK) {
+                labs.reaction = {
+                    product: target.compound,
+                    reagents: reagents,
+                    target: target.amount,
+                    since: Game.time
+                };
+                console.log(`Room ${room.name} labs now producing ${target.compound} from ${reagents[0]} + ${reagents[1]}`);
+                return;
+            }
+        }
+    },
+    
+    /**
+     * Check if a reaction can continue with stock and reagents already loaded
+     * @param {Room} room - The room
+     * @param {Object} labs - Lab assignment
+     * @param {string[]} reagents - The two reagents
+     * @returns {boolean} - True if both reagents are still available
+     */
+    canReact: function(room, labs, reagents) {
+        for (let i = 0; i < 2; i++) {
+            const lab = Game.getObjectById(labs.inputs[i]);
+            const loaded = lab && lab.mineralType === reagents[i] ? lab.store[reagents[i]] : 0;
+            if (loaded + this.getStock(room, reagents[i]) < LAB_REACTION_AMOUNT) return false;
+        }
+        return true;
+    },
+    
+    /**
+     * Queue hauler jobs to load inputs, empty outputs and stock the boost lab
+     * @param {Room} room - The room
+     * @param {Object} labs - Lab assignment
+     */
+    manageLogistics: function(room, labs) {
+        const reaction = labs.reaction;
+        
+        // Input labs: hold only the current reagents
+        for (let i = 0; i < labs.inputs.length; i++) {
+            const lab = Game.getObjectById(labs.inputs[i]);
+            if (!lab) continue;
+            
+            const wanted = reaction ? reaction.reagents[i] : null;
+            if (lab.mineralType && lab.mineralType !== wanted) {
+                this.queueUnload(room, lab, lab.mineralType);
+            } else if (wanted && lab.store[wanted] < LAB_MINERAL_CAPACITY / 2) {
+                this.queueLoad(room, lab, wanted, LAB_MINERAL_CAPACITY - lab.store[wanted]);
+            }
+        }
+        
+        // Output labs: empty finished product or leftovers from an old reaction
+        for (const id of labs.outputs) {
+            const lab = Game.getObjectById(id);
+            if (!lab || !lab.mineralType) continue;
+            
+            const wrongType = !reaction || lab.mineralType !== reaction.product;
+            if (wrongType || lab.store[lab.mineralType] >= this.OUTPUT_UNLOAD_AMOUNT) {
+                this.queueUnload(room, lab, lab.mineralType);
+            }
+        }
+        
+        // Boost lab: stock the best available boost compound and energy
+        if (labs.boost) {
+            const lab = Game.getObjectById(labs.boost);
+            if (!lab) return;
+            
+            const compound = this.getBoostCompound(room);
+            if (lab.mineralType && lab.mineralType !== compound) {
+                this.queueUnload(room, lab, lab.mineralType);
+            } else if (compound && lab.store[compound] < LAB_MINERAL_CAPACITY / 2) {
+                this.queueLoad(room, lab, compound, LAB_MINERAL_CAPACITY / 2 - lab.store[compound]);
+            } else if (compound && lab.store[RESOURCE_ENERGY] < LAB_ENERGY_CAPACITY / 2) {
+                this.queueLoad(room, lab, RESOURCE_ENERGY, LAB_ENERGY_CAPACITY - lab.store[RESOURCE_ENERGY]);
+            }
+        }
+    },
+    
+    /**
+     * Queue a job to bring a resource from storage or terminal into a lab
+     * @param {Room} room - The room
+     * @param {StructureLab} lab - The lab to fill
+     * @param {string} resourceType - Resource to load
+     * @param {number} amount - Amount wanted
+     */
+    queueLoad: function(room, lab, resourceType, amount) {
+        const source = [room.storage, room.terminal].find(s => s && s.store[resourceType] > 0);
+        if (!source) return;
+        
+        roomManager.addHaulJob(room, `lab_${lab.id}`, {
+            from: source.id,
+            to: lab.id,
+            resourceType: resourceType,
+            amount: Math.min(amount, source.store[resourceType])
+        });
+    },
+    
+    /**
+     * Queue a job to empty a lab into the terminal or storage
+     * @param {Room} room - The room
+     * @param {StructureLab} lab - The lab to empty
+     * @param {string} resourceType - Resource to remove
+     */
+    queueUnload: function(room, lab, resourceType) {
+        const target = [room.terminal, room.storage].find(s => s && s.store.getFreeCapacity() > 0);
+        if (!target) return;
+        
+        roomManager.addHaulJob(room, `lab_${lab.id}`, {
+            from: lab.id,
+            to: target.id,
+            resourceType: resourceType,
+            amount: lab.store[resourceType]
+        });
+    },
+    
+    /**
+     * Get the boosts a new creep should receive
+     * Called by spawnManager after the body is calculated
+     * @param {Room} room - The spawning room
+     * @param {string} role - The creep role
+     * @param {string[]} body - The creep body
+     * @returns {Object|null} - Boost request ({compound, parts}) or null
+     */
+    getBoostForSpawn: function(room, role, body) {
+        const config = this.BOOST_ROLES[role];
+        if (!config || !room.controller) return null;
+        
+        const rcl = room.controller.level;
+        if (rcl < config.minRcl || rcl > config.maxRcl) return null;
+        
+        const labs = room.memory.labs;
+        const lab = labs && labs.boost ? Game.getObjectById(labs.boost) : null;
+        if (!lab || !lab.mineralType || !config.compounds.includes(lab.mineralType)) return null;
+        
+        // Only boost if the lab can cover every part
+        const parts = body.filter(part => part === config.part).length;
+        if (parts === 0) return null;
+        if (lab.store[lab.mineralType] < parts * LAB_BOOST_MINERAL ||
+            lab.store[RESOURCE_ENERGY] < parts * LAB_BOOST_ENERGY) return null;
+        
+        return {
+            compound: lab.mineralType,
+            parts: parts
+        };
+    },
+    
+    /**
+     * Move a creep to the boost lab and boost it
+     * @param {Creep} creep - The creep waiting for boosts
+     * @returns {boolean} - True if the creep is still busy boosting
+     */
+    boostCreep: function(creep) {
+        const boost = creep.memory.boost;
+        
+        // Give up if boosting is no longer possible - an unboosted creep is better than an idle one
+        const labs = creep.room.memory.labs;
+        const lab = labs && labs.boost ? Game.getObjectById(labs.boost) : null;
+        if (!lab || lab.mineralType !== boost.compound || creep.ticksToLive < CREEP_LIFE_TIME - 200) {
+            delete creep.memory.boost;
+            return false;
+        }
+        
+        // Creep is still spawning
+        if (creep.spawning) return true;
+        
+        const result = lab.boostCreep(creep);
+        if (result === ERR_NOT_IN_RANGE) {
+            const movementManager = require('movementManager');
+            movementManager.moveToTarget(creep, lab, { reusePath: 10 });
+            creep.say('💉');
+            return true;
+        }
+        
+        delete creep.memory.boost;
+        return false;
+    },
+    
+    /**
+     * Get the best boost compound in stock for any configured role
+     * @param {Room} room - The room
+     * @returns {string|null} - Compound to stock in the boost lab
+     */
+    getBoostCompound: function(room) {
+        const rcl = room.controller.level;
+        
+        for (const role in this.BOOST_ROLES) {
+            const config = this.BOOST_ROLES[role];
+            if (rcl < config.minRcl || rcl > config.maxRcl) continue;
+            
+            // Keep the currently loaded compound while it's still useful
+            const lab = Game.getObjectById(room.memory.labs.boost);
+            if (lab && lab.mineralType && config.compounds.includes(lab.mineralType)) {
+                return lab.mineralType;
+            }
+            
+            for (const compound of config.compounds) {
+                if (this.getStock(room, compound) >= LAB_BOOST_MINERAL * 10) {
+                    return compound;
+                }
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Get lab assignment for a room, re-assigning when lab count changes
+     * @param {Room} room - The room
+     * @returns {Object|null} - Lab assignment or null if too few labs
+     */
+    getLabs: function(room) {
+        const labStructures = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_LAB
+        });
+        
+        // Need two inputs and at least one output
+        if (labStructures.length < 3) return null;
+        
+        if (!room.memory.labs || room.memory.labs.count !== labStructures.length) {
+            this.assignLabs(room, labStructures);
+        }
+        
+        return room.memory.labs;
+    },
+    
+    /**
+     * Assign input, output and boost labs
+     * Inputs are the first two planned labs (cluster center) since every other lab is in range of them
+     * @param {Room} room - The room
+     * @param {StructureLab[]} labStructures - All labs in the room
+     */
+    assignLabs: function(room, labStructures) {
+        const plan = room.memory.roomPlan;
+        const plannedLabs = plan && plan.rcl && plan.rcl[8] && plan.rcl[8].structures ?
+                          plan.rcl[8].structures[STRUCTURE_LAB] || [] : [];
+        
+        // Order labs by planned position, unplanned labs last
+        const planIndex = lab => {
+            const index = plannedLabs.findIndex(pos => pos.x === lab.pos.x && pos.y === lab.pos.y);
+            return index === -1 ? plannedLabs.length : index;
+        };
+        let ordered = _.sortBy(labStructures, planIndex);
+        
+        // Without a plan, use the labs in range of the most other labs as inputs
+        if (plannedLabs.length === 0) {
+            ordered = _.sortBy(labStructures, lab =>
+                -labStructures.filter(other => other.pos.inRangeTo(lab, 2)).length);
+        }
+        
+        const inputs = ordered.slice(0, 2);
+        let outputs = ordered.slice(2).filter(lab => inputs.every(input => input.pos.inRangeTo(lab, 2)));
+        
+        // Hold back one output for boosting once there are enough labs
+        let boost = null;
+        if (room.controller.level >= 7 && outputs.length >= 2) {
+            boost = outputs[outputs.length - 1];
+            outputs = outputs.slice(0, -1);
+        }
+        
+        room.memory.labs = {
+            inputs: inputs.map(lab => lab.id),
+            outputs: outputs.map(lab => lab.id),
+            boost: boost ? boost.id : null,
+            count: labStructures.length,
+            reaction: room.memory.labs ? room.memory.labs.reaction : null
+        };
+    },
+    
+    /**
+     * Get the total amount of a resource in storage and terminal
+     * @param {Room} room - The room
+     * @param {string} resourceType - Resource to count
+     * @returns {number} - Amount in stock
+     */
+    getStock: function(room, resourceType) {
+        let amount = 0;
+        if (room.storage) amount += room.storage.store[resourceType] || 0;
+        if (room.terminal) amount += room.terminal.store[resourceType] || 0;
+        return amount;
+    },
+    
+    /**
+     * Get the two reagents that react into a compound
+     * @param {string} compound - The product
+     * @returns {string[]|null} - Reagent pair or null if not a reaction product
+     */
+    getReagents: function(compound) {
+        // Build reverse lookup of REACTIONS once per global reset
+        if (!this.reagentCache) {
+            this.reagentCache = {};
+            for (const a in REACTIONS) {
+                for (const b in REACTIONS[a]) {
+                    this.reagentCache[REACTIONS[a][b]] = [a, b];
+                }
+            }
+        }
+        
+        return this.reagentCache[compound] || null;
+    }
+};
+
+module.exports = labManager;
@@ -0,0 +1,233 @@
+/**
+ * Lifecycle Manager - Renews expensive creeps and recycles ones the room no longer needs
+ * Idle spawns top up large creeps passing nearby; surplus roles and outdated bodies are sent back to be recycled
+ */
+const roomManager = require('roomManager');
+const spawnManager = require('spawnManager');
+const bodyPlanner = require('bodyPlanner');
+const economySolver = require('economySolver');
+
+const lifecycleManager = {
+    // How often renew and recycle candidates are picked
+    CHECK_INTERVAL: 10,
+    
+    // Only bodies costing at least this much are worth renewing - cheap creeps are simply respawned
+    RENEW_MIN_COST: 1000,
+    
+    // Creeps are only pulled in for renewal when already this close to an idle spawn
+    RENEW_RANGE: 5,
+    
+    // Renewal starts below this many ticks to live and stops once it's reached the upper mark
+    RENEW_BELOW: 1000,
+    RENEW_UNTIL: 1400,
+    
+    // Local roles whose counts and bodies the spawn manager plans, and so can be recycled
+    RECYCLE_ROLES: ['harvester', 'hauler', 'upgrader', 'builder'],
+    
+    // Ticks a role has to stay over its optimal count before a creep is recycled
+    SURPLUS_TICKS: 300,
+    
+    // Bodies costing less than this share of what the room can now build are outdated
+    OUTDATED_BODY_RATIO: 0.5,
+    
+    // Outdated creeps closer to death than this are left to die on their own
+    OUTDATED_MIN_TTL: 300,
+    
+    /**
+     * Pick creeps to renew and recycle in a room
+     * @param {Room} room - The room to manage
+     */
+    run: function(room) {
+        if (Game.time % this.CHECK_INTERVAL !== 0) return;
+        
+        // Every creep is needed at work during an emergency
+        if (global.emergencyMode) return;
+        
+        const spawns = room.find(FIND_MY_SPAWNS);
+        if (spawns.length === 0) return;
+        
+        const creeps = _.filter(Game.creeps, c =>
+            c.memory.homeRoom === room.name && c.room.name === room.name && !c.spawning);
+        
+        this.planRecycling(room, spawns, creeps);
+        this.planRenewal(room, spawns, creeps);
+    },
+    
+    /**
+     * Send a creep near each idle spawn for renewal
+     * @param {Room} room - The room
+     * @param {Array} spawns - Spawns in the room
+     * @param {Array} creeps - Creeps homed and present in the room
+     */
+    planRenewal: function(room, spawns, creeps) {
+        // Queued creeps get the spawn's time and energy first
+        if (spawnManager.getQueue(room.name).length > 0) return;
+        
+        for (const spawn of spawns) {
+            if (spawn.spawning) continue;
+            if (creeps.some(c => c.memory.lifecycle && c.memory.lifecycle.spawnId === spawn.id)) continue;
+            
+            const candidates = creeps.filter(c => !c.memory.lifecycle &&
+                c.pos.inRangeTo(spawn, this.RENEW_RANGE) && this.shouldRenew(room, c));
+            if (candidates.length === 0) continue;
+            
+            const creep = _.min(candidates, c => c.ticksToLive);
+            creep.memory.lifecycle = { action: 'renew', spawnId: spawn.id };
+        }
+    },
+    
+    /**
+     * Check if a creep is worth renewing
+     * @param {Room} room - The creep's home room
+     * @param {Creep} creep - The creep
+     * @returns {boolean} - True if the creep should be renewed
+     */
+    shouldRenew: function(room, creep) {
+        if (creep.ticksToLive >= this.RENEW_BELOW) return false;
+        
+        // A replacement is already on its way
+        if (creep.memory.replacedBy) return false;
+        
+        // Claim parts can't be renewed, and renewing strips boosts
+        if (creep.body.some(p => p.type === CLAIM || p.boost)) return false;
+        
+        if (bodyPlanner.getCost(creep.body) < this.RENEW_MIN_COST) return false;
+        
+        return !this.isOutdated(room, creep);
+    },
+    
+    /**
+     * Send at most one surplus or outdated creep at a time back to be recycled
+     * @param {Room} room - The room
+     * @param {Array} spawns - Spawns in the room
+     * @param {Array} creeps - Creeps homed and present in the room
+     */
+    planRecycling: function(room, spawns, creeps) {
+        if (creeps.some(c => c.memory.lifecycle && c.memory.lifecycle.action === 'recycle')) return;
+        
+        const roomCounts = roomManager.getRoomData(room.name, 'creepCounts');
+        const optimal = this.getOptimalCounts(room);
+        if (!roomCounts || !optimal) return;
+        
+        // Creeps already on their way out don't count towards the role's numbers
+        const counts = Object.assign({}, roomCounts);
+        for (const name in Game.creeps) {
+            const memory = Game.creeps[name].memory;
+            if (memory.homeRoom !== room.name || memory.assistRoom || counts[memory.role] === undefined) continue;
+            if (memory.replacedBy || (memory.lifecycle && memory.lifecycle.action === 'recycle')) counts[memory.role]--;
+        }
+        
+        if (!room.memory.surplusSince) room.memory.surplusSince = {};
+        const surplusSince = room.memory.surplusSince;
+        
+        for (const role of this.RECYCLE_ROLES) {
+            const roleCreeps = creeps.filter(c => c.memory.role === role && !c.memory.lifecycle &&
+                !c.memory.replacedBy && !c.memory.replaces);
+            
+            // Roles that stayed over their optimal count give up their weakest creep
+            if (counts[role] > optimal[role]) {
+                if (!surplusSince[role]) surplusSince[role] = Game.time;
+                
+                if (Game.time - surplusSince[role] >= this.SURPLUS_TICKS && roleCreeps.length > 0) {
+                    const creep = _.min(roleCreeps, c => bodyPlanner.getCost(c.body) * c.ticksToLive);
+                    this.recycle(creep, spawns, 'surplus');
+                    delete surplusSince[role];
+                    return;
+                }
+                continue;
+            }
+            delete surplusSince[role];
+            
+            // Outdated bodies are swapped out one at a time, only while the room can afford the replacement
+            if (counts[role] < 2 || room.energyAvailable < room.energyCapacityAvailable) continue;
+            
+            const outdated = roleCreeps.filter(c =>
+                c.ticksToLive > this.OUTDATED_MIN_TTL && this.isOutdated(room, c));
+            if (outdated.length > 0) {
+                this.recycle(_.min(outdated, c => bodyPlanner.getCost(c.body)), spawns, 'outdated body');
+                return;
+            }
+        }
+    },
+    
+    /**
+     * Get the counts the spawn manager is working towards, from the solver's cached solution
+     * @param {Room} room - The room
+     * @returns {Object|null} - Counts by role, or null until the room has been solved
+     */
+    getOptimalCounts: function(room) {
+        const solution = economySolver.getCachedSolution(room);
+        if (!solution) return null;
+        
+        // Manual limits override the solver, as in roomManager.analyzeRoomNeeds
+        const limits = room.memory.creepLimits || {};
+        const optimal = {};
+        for (const role of this.RECYCLE_ROLES) {
+            optimal[role] = limits[role] !== undefined ? limits[role] : solution[role];
+        }
+        return optimal;
+    },
+    
+    /**
+     * Check if a creep's body is much weaker than what the room can now build for its role
+     * @param {Room} room - The creep's home room
+     * @param {Creep} creep - The creep
+     * @returns {boolean} - True if the body is outdated
+     */
+    isOutdated: function(room, creep) {
+        if (!this.RECYCLE_ROLES.includes(creep.memory.role)) return false;
+        
+        const role = creep.memory.role;
+        const body = spawnManager.calculateBody(role, room.energyCapacityAvailable, 0.5,
+            economySolver.getBodyOptions(room, role));
+        if (body.length === 0) return false;
+        
+        return bodyPlanner.getCost(creep.body) < bodyPlanner.getCost(body) * this.OUTDATED_BODY_RATIO;
+    },
+    
+    /**
+     * Mark a creep for recycling at the closest spawn
+     * @param {Creep} creep - The creep
+     * @param {Array} spawns - Spawns in its room
+     * @param {string} reason - Reason shown in the log
+     */
+    recycle: function(creep, spawns, reason) {
+        const spawn = creep.pos.findClosestByRange(spawns);
+        creep.memory.lifecycle = { action: 'recycle', spawnId: spawn.id };
+        console.log(`♻️ Recycling ${creep.memory.role} ${creep.name} in ${creep.room.name}: ${reason}`);
+    },
+    
+    /**
+     * Move a creep marked for renewal or recycling to its spawn
+     * @param {Creep} creep - The creep
+     * @returns {boolean} - True if the creep is busy and its role should not run
+     */
+    runCreep: function(creep) {
+        const lifecycle = creep.memory.lifecycle;
+        const spawn = Game.getObjectById(lifecycle.spawnId);
+        
+        // Renewal gives way as soon as the spawn has other work or the creep is topped up
+        if (!spawn || (lifecycle.action === 'renew' && (spawn.spawning ||
+            creep.ticksToLive >= this.RENEW_UNTIL || spawnManager.getQueue(spawn.room.name).length > 0))) {
+            delete creep.memory.lifecycle;
+            return false;
+        }
+        
+        if (!creep.pos.isNearTo(spawn)) {
+            const movementManager = require('movementManager');
+            movementManager.moveToTarget(creep, spawn);
+            creep.say(lifecycle.action === 'renew' ? '🔄' : '♻️');
+            return true;
+        }
+        
+        const result = lifecycle.action === 'renew' ? spawn.renewCreep(creep) : spawn.recycleCreep(creep);
+        if (result !== OK) {
+            delete creep.memory.lifecycle;
+            return false;
+        }
+        
+        return true;
+    }
+};
+
+module.exports = lifecycleManager;
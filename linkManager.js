@@ -0,0 +1,193 @@
+/**
+ * Link Manager - Moves energy through the link network
+ * Source links feed the controller link first, then the hub link next to storage
+ */
+const linkManager = {
+    // Minimum energy in a source link before it fires (avoids wasting cooldown on small sends)
+    SOURCE_SEND_THRESHOLD: 400,
+    
+    // Controller link is topped up while below this fraction of capacity
+    CONTROLLER_FILL_RATIO: 0.5,
+    
+    // How often link roles are re-classified
+    CLASSIFY_INTERVAL: 100,
+    
+    /**
+     * Run link transfers for a room
+     * @param {Room} room - The room to manage links for
+     */
+    run: function(room) {
+        // Links are only available from RCL 5
+        if (!room.controller || room.controller.level < 5) return;
+        
+        const links = this.getLinks(room);
+        if (!links) return;
+        
+        const controllerLink = links.controller ? Game.getObjectById(links.controller) : null;
+        const hubLink = links.hub ? Game.getObjectById(links.hub) : null;
+        
+        // Send from each source link once it has built up enough energy
+        for (const id of links.source) {
+            const sourceLink = Game.getObjectById(id);
+            if (!sourceLink || sourceLink.cooldown > 0) continue;
+            if (sourceLink.store[RESOURCE_ENERGY] < this.SOURCE_SEND_THRESHOLD) continue;
+            
+            const target = this.selectTarget(sourceLink, controllerLink, hubLink);
+            if (target) {
+                const result = sourceLink.transferEnergy(target);
+                if (result === OK) {
+                    // Track pending energy so the next source link sees the updated fill level
+                    target._pendingEnergy = (target._pendingEnergy || 0) + sourceLink.store[RESOURCE_ENERGY];
+                }
+            }
+        }
+        
+        // Hub link tops up the controller link when source links can't keep up
+        if (hubLink && controllerLink && hubLink.cooldown === 0 && hubLink.store[RESOURCE_ENERGY] > 0 &&
+            this.needsEnergy(controllerLink)) {
+            hubLink.transferEnergy(controllerLink);
+        }
+    },
+    
+    /**
+     * Choose where a source link should send its energy
+     * @param {StructureLink} sourceLink - The sending link
+     * @param {StructureLink|null} controllerLink - The controller link
+     * @param {StructureLink|null} hubLink - The hub link
+     * @returns {StructureLink|null} - Target link or null
+     */
+    selectTarget: function(sourceLink, controllerLink, hubLink) {
+        // Controller first to keep upgraders supplied
+        if (controllerLink && this.needsEnergy(controllerLink)) {
+            return controllerLink;
+        }
+        
+        // Otherwise send to the hub for haulers to move into storage
+        if (hubLink && this.getFreeCapacity(hubLink) >= sourceLink.store[RESOURCE_ENERGY]) {
+            return hubLink;
+        }
+        
+        // Fall back to the controller link if it has room for the whole load
+        if (controllerLink && this.getFreeCapacity(controllerLink) >= sourceLink.store[RESOURCE_ENERGY]) {
+            return controllerLink;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Check if a link is below its fill target
+     * @param {StructureLink} link - The link to check
+     * @returns {boolean} - True if the link should receive energy
+     */
+    needsEnergy: function(link) {
+        const energy = link.store[RESOURCE_ENERGY] + (link._pendingEnergy || 0);
+        return energy < LINK_CAPACITY * this.CONTROLLER_FILL_RATIO;
+    },
+    
+    /**
+     * Get free capacity including energy already sent this tick
+     * @param {StructureLink} link - The link to check
+     * @returns {number} - Free energy capacity
+     */
+    getFreeCapacity: function(link) {
+        return link.store.getFreeCapacity(RESOURCE_ENERGY) - (link._pendingEnergy || 0);
+    },
+    
+    /**
+     * Get classified link ids for a room, re-classifying when links change
+     * @param {Room} room - The room to get links for
+     * @returns {Object|null} - Link ids ({source, controller, hub}) or null if no links
+     */
+    getLinks: function(room) {
+        const memory = room.memory.links;
+        
+        if (!memory || Game.time - memory.lastUpdate >= this.CLASSIFY_INTERVAL) {
+            this.classifyLinks(room);
+        }
+        
+        return room.memory.links.count > 0 ? room.memory.links : null;
+    },
+    
+    /**
+     * Get the hub link for a room
+     * @param {Room} room - The room to check
+     * @returns {StructureLink|null} - The hub link or null
+     */
+    getHubLink: function(room) {
+        if (!room.memory.links || !room.memory.links.hub) return null;
+        return Game.getObjectById(room.memory.links.hub);
+    },
+    
+    /**
+     * Classify links as source, controller or hub links
+     * Uses the room plan order (hub, controller, then sources) and falls back to proximity
+     * @param {Room} room - The room to classify links for
+     */
+    classifyLinks: function(room) {
+        const links = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_LINK
+        });
+        
+        const result = {
+            source: [],
+            controller: null,
+            hub: null,
+            count: links.length,
+            lastUpdate: Game.time
+        };
+        
+        // Planned link positions in order: storage/hub, controller, sources
+        const plannedLinks = this.getPlannedLinks(room);
+        const sources = room.find(FIND_SOURCES);
+        
+        for (const link of links) {
+            let type = null;
+            
+            const planIndex = plannedLinks.findIndex(pos => pos.x === link.pos.x && pos.y === link.pos.y);
+            if (planIndex === 0) {
+                type = 'hub';
+            } else if (planIndex === 1) {
+                type = 'controller';
+            } else if (planIndex > 1) {
+                type = 'source';
+            } else if (sources.some(source => link.pos.inRangeTo(source, 2))) {
+                // Not in plan - classify by what it's next to
+                type = 'source';
+            } else if (link.pos.inRangeTo(room.controller, 4)) {
+                type = 'controller';
+            } else {
+                type = 'hub';
+            }
+            
+            if (type === 'source') {
+                result.source.push(link.id);
+            } else if (!result[type]) {
+                result[type] = link.id;
+            } else {
+                // Extra controller/hub links act as senders
+                result.source.push(link.id);
+            }
+        }
+        
+        room.memory.links = result;
+    },
+    
+    /**
+     * Get planned link positions from the room plan
+     * @param {Room} room - The room to check
+     * @returns {Array} - Planned link positions in plan order
+     */
+    getPlannedLinks: function(room) {
+        const plan = room.memory.roomPlan;
+        if (!plan || !plan.rcl) return [];
+        
+        // The RCL 8 plan holds every link in its final order
+        const rclPlan = plan.rcl[8] || plan.rcl[room.controller.level];
+        if (!rclPlan || !rclPlan.structures) return [];
+        
+        return rclPlan.structures[STRUCTURE_LINK] || [];
+    }
+};
+
+module.exports = linkManager;
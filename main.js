@@ -9,16 +9,33 @@ const roleScout = require('role.scout');
 const roleReserver = require('role.reserver');
 const roleRemoteMiner = require('role.remoteMiner');
 const roleRemoteHauler = require('role.remoteHauler');
+const roleClaimer = require('role.claimer');
+const rolePioneer = require('role.pioneer');
+const roleDefender = require('role.defender');
+const roleMineralMiner = require('role.mineralMiner');
 const roomManager = require('roomManager');
 const spawnManager = require('spawnManager');
 const construction = require('construction'); // Updated to use consolidated construction module
 const defenseManager = require('defenseManager');
 const remoteManager = require('remoteManager');
+const linkManager = require('linkManager');
+const labManager = require('labManager');
+const mineralManager = require('mineralManager');
+const factoryManager = require('factoryManager');
+const powerManager = require('powerManager');
+const observerManager = require('observerManager');
+const nukeManager = require('nukeManager');
+const lifecycleManager = require('lifecycleManager');
+const terminalManager = require('terminalManager');
+const expansionManager = require('expansionManager');
 const movementManager = require('movementManager');
+const trafficManager = require('trafficManager');
+const costMatrixManager = require('costMatrixManager');
 const recoveryManager = require('recoveryManager');
 const utils = require('utils');
 const helpers = require('helpers');
 const memoryManager = require('memoryManager');
+const statsManager = require('statsManager');
 
 // Global performance tracking
 global.stats = {
@@ -28,6 +45,7 @@ global.stats = {
         creepActions: 0,
         spawning: 0,
         construction: 0,
+        remote: 0,
         memoryCleanup: 0,
         ticks: 0
     }
@@ -165,6 +183,67 @@ global.replaceMisalignedStructure = function(roomName) {
     }
 };
 
+// Global function to show remote mining status and profitability
+global.remoteStatus = function(roomName) {
+    return remoteManager.getDetailedStatus(roomName);
+};
+
+// Global function to show colony expansion progress
+global.expansionStatus = function() {
+    return expansionManager.getStatus();
+};
+
+// Global function to show mineral mining status per room
+global.mineralStatus = function() {
+    return mineralManager.getStatusReport();
+};
+
+// Global function to show what each factory is making and has made
+global.factoryStatus = function() {
+    return factoryManager.getStatusReport();
+};
+
+// Global function to show power processing and operator status
+global.powerStatus = function() {
+    return powerManager.getStatusReport();
+};
+
+// Global function to show each observer's intel sweep
+global.observerStatus = function() {
+    return observerManager.getStatusReport();
+};
+
+// Global functions to show incoming nukes and our nukers, and to launch a loaded nuker
+global.nukeStatus = function() {
+    return nukeManager.getStatusReport();
+};
+
+global.launchNuke = function(roomName, x, y) {
+    return nukeManager.launch(roomName, x, y);
+};
+
+// Global function to summarize collected stats (income, spending, RCL progress, CPU)
+global.statsReport = function(roomName) {
+    return statsManager.getReport(roomName);
+};
+
+// Global functions to inspect and edit a room's spawn queue
+global.spawnQueue = function(roomName) {
+    return spawnManager.getQueueStatus(roomName);
+};
+
+global.spawnQueueAdd = function(roomName, role, priority, body) {
+    return spawnManager.addRequest(roomName, { role: role, priority: priority, body: body });
+};
+
+global.spawnQueueRemove = function(roomName, id) {
+    return spawnManager.removeRequest(roomName, id);
+};
+
+global.spawnQueuePriority = function(roomName, id, priority) {
+    return spawnManager.setPriority(roomName, id, priority);
+};
+
 // Global function to clear room optimizer caches
 global.clearRoomCaches = function() {
     construction.optimizer.clearCaches();
@@ -274,6 +353,7 @@ module.exports.loop = function() {
         
         // Track CPU usage for memory cleanup
         global.stats.cpu.memoryCleanup = Game.cpu.getUsed() - memStart;
+        statsManager.recordCpu('memory', global.stats.cpu.memoryCleanup);
     }
     
     // Reset creep movement tracking for this tick
@@ -284,6 +364,7 @@ module.exports.loop = function() {
     // Clean movement cache periodically
     if (currentTick % 100 === 0) {
         movementManager.cleanCache();
+        costMatrixManager.cleanCache();
     }
     
     // Process each room we control - distribute CPU load across ticks
@@ -306,6 +387,7 @@ module.exports.loop = function() {
         
         // Update repair targets for builders
         roomManager.analyzeRepairTargets(room);
+        statsManager.recordCpu('roomManager', Game.cpu.getUsed() - roomStart);
         
         // Run defense manager - this is critical for survival
         try {
@@ -313,12 +395,90 @@ module.exports.loop = function() {
             defenseManager.run(room);
             
             // Track defense CPU usage
+            const defenseUsed = Game.cpu.getUsed() - defenseStart;
             if (!global.stats.cpu.defense) global.stats.cpu.defense = 0;
-            global.stats.cpu.defense += Game.cpu.getUsed() - defenseStart;
+            global.stats.cpu.defense += defenseUsed;
+            statsManager.recordCpu('defense', defenseUsed);
         } catch (error) {
             console.log(`Error in defenseManager for room ${room.name}: ${error}`);
         }
         
+        // Run link transfers - cheap and keeps energy flowing without haulers
+        if (recoveryManager.shouldRun('high')) {
+            const linkStart = Game.cpu.getUsed();
+            try {
+                linkManager.run(room);
+            } catch (error) {
+                console.log(`Error in linkManager for room ${room.name}: ${error}`);
+            }
+            statsManager.recordCpu('links', Game.cpu.getUsed() - linkStart);
+        }
+        
+        // Run lab reactions and boost lab stocking
+        if (recoveryManager.shouldRun('low')) {
+            const labStart = Game.cpu.getUsed();
+            try {
+                labManager.run(room);
+            } catch (error) {
+                console.log(`Error in labManager for room ${room.name}: ${error}`);
+            }
+            statsManager.recordCpu('labs', Game.cpu.getUsed() - labStart);
+        }
+        
+        // Start, pause and resume mineral mining
+        if (recoveryManager.shouldRun('low')) {
+            try {
+                mineralManager.run(room);
+            } catch (error) {
+                console.log(`Error in mineralManager for room ${room.name}: ${error}`);
+            }
+        }
+        
+        // Compress surplus into bars and unpack bars for shortages
+        if (recoveryManager.shouldRun('low')) {
+            try {
+                factoryManager.run(room);
+            } catch (error) {
+                console.log(`Error in factoryManager for room ${room.name}: ${error}`);
+            }
+        }
+        
+        // Keep the power spawn stocked and process power with spare energy
+        if (recoveryManager.shouldRun('low')) {
+            try {
+                powerManager.run(room);
+            } catch (error) {
+                console.log(`Error in powerManager for room ${room.name}: ${error}`);
+            }
+        }
+        
+        // Sweep nearby rooms with the observer, stalest intel first
+        if (recoveryManager.shouldRun('low')) {
+            try {
+                observerManager.run(room);
+            } catch (error) {
+                console.log(`Error in observerManager for room ${room.name}: ${error}`);
+            }
+        }
+        
+        // Raise ramparts against incoming nukes - impact won't wait for the bucket to recover
+        if (recoveryManager.shouldRun('high')) {
+            try {
+                nukeManager.run(room);
+            } catch (error) {
+                console.log(`Error in nukeManager for room ${room.name}: ${error}`);
+            }
+        }
+        
+        // Keep the nuker loaded
+        if (recoveryManager.shouldRun('low')) {
+            try {
+                nukeManager.runNuker(room);
+            } catch (error) {
+                console.log(`Error in nukeManager.runNuker for room ${room.name}: ${error}`);
+            }
+        }
+        
         // Distribute CPU-intensive operations across ticks based on room name hash
         const roomHash = room.name.split('').reduce((a, b) => a + b.charCodeAt(0), 0);
         const roomOffset = roomHash % 5; // Distribute across 5 ticks
@@ -337,7 +497,18 @@ module.exports.loop = function() {
             (currentTick + roomOffset) % 3 === 0) {
             const spawnStart = Game.cpu.getUsed();
             spawnManager.run(room);
-            global.stats.cpu.spawning += Game.cpu.getUsed() - spawnStart;
+            const spawnUsed = Game.cpu.getUsed() - spawnStart;
+            global.stats.cpu.spawning += spawnUsed;
+            statsManager.recordCpu('spawning', spawnUsed);
+        }
+        
+        // Renew expensive creeps at idle spawns and recycle the ones no longer needed
+        if (recoveryManager.shouldRun('low')) {
+            try {
+                lifecycleManager.run(room);
+            } catch (error) {
+                console.log(`Error in lifecycleManager for room ${room.name}: ${error}`);
+            }
         }
         
         // Handle construction planning - run periodically and distribute by room
@@ -373,7 +544,9 @@ module.exports.loop = function() {
                     time: Game.time
                 };
             }
-            global.stats.cpu.construction += Game.cpu.getUsed() - constructionStart;
+            const constructionUsed = Game.cpu.getUsed() - constructionStart;
+            global.stats.cpu.construction += constructionUsed;
+            statsManager.recordCpu('construction', constructionUsed);
         }
         
         // Track CPU usage per room
@@ -394,6 +567,41 @@ module.exports.loop = function() {
         }
     }
     
+    // Run remote mining operations - lowest priority, skipped first during recovery
+    if (recoveryManager.shouldRun('low')) {
+        const remoteStart = Game.cpu.getUsed();
+        try {
+            remoteManager.run();
+        } catch (error) {
+            console.log(`Error in remoteManager.run: ${error}`);
+        }
+        const remoteUsed = Game.cpu.getUsed() - remoteStart;
+        global.stats.cpu.remote += remoteUsed;
+        statsManager.recordCpu('remote', remoteUsed);
+    }
+    
+    // Pick and settle new rooms when GCL allows
+    if (recoveryManager.shouldRun('low')) {
+        const expansionStart = Game.cpu.getUsed();
+        try {
+            expansionManager.run();
+        } catch (error) {
+            console.log(`Error in expansionManager.run: ${error}`);
+        }
+        statsManager.recordCpu('expansion', Game.cpu.getUsed() - expansionStart);
+    }
+    
+    // Balance resources between rooms and trade surplus on the market
+    if (recoveryManager.shouldRun('low')) {
+        const terminalStart = Game.cpu.getUsed();
+        try {
+            terminalManager.run();
+        } catch (error) {
+            console.log(`Error in terminalManager.run: ${error}`);
+        }
+        statsManager.recordCpu('terminal', Game.cpu.getUsed() - terminalStart);
+    }
+    
     // Process creeps by type for better CPU batching
     const creepStart = Game.cpu.getUsed();
     
@@ -409,10 +617,14 @@ module.exports.loop = function() {
             hauler: [],
             upgrader: [],
             builder: [],
+            mineralMiner: [],
             scout: [],
             reserver: [],
             remoteMiner: [],
-            remoteHauler: []
+            remoteHauler: [],
+            claimer: [],
+            pioneer: [],
+            defender: []
         };
         
         // Sort creeps by role
@@ -462,13 +674,19 @@ module.exports.loop = function() {
         // Process the creeps with error handling
         for (const creep of creepsToProcess) {
             try {
+                // Newly spawned creeps visit the boost lab before starting work
+                if (creep.memory.boost && labManager.boostCreep(creep)) continue;
+                
+                // Creeps picked for renewal or recycling head to their spawn instead of working
+                if (creep.memory.lifecycle && lifecycleManager.runCreep(creep)) continue;
+                
                 roleFunction.run(creep);
             } catch (error) {
                 console.log(`Error running ${creep.memory.role} ${creep.name}: ${error}`);
                 // Basic fallback behavior - move to spawn if error
                 if (Game.time % 10 === 0) { // Only try occasionally to save CPU
                     const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
-                    if (spawn) creep.moveTo(spawn);
+                    if (spawn) movementManager.moveToTarget(creep, spawn);
                 }
             }
         }
@@ -484,6 +702,9 @@ module.exports.loop = function() {
         global.roleCpuUsage[priority].creeps += creepsToProcess.length;
     };
     
+    // Process defenders first while the room is under attack
+    processCreepRole(creepsByRole.defender, roleDefender, 'critical');
+    
     // Process harvesters first as they're the foundation of the economy
     processCreepRole(creepsByRole.harvester, roleHarvester, 'critical');
     
@@ -496,13 +717,38 @@ module.exports.loop = function() {
     // Process builders last as they're less critical
     processCreepRole(creepsByRole.builder, roleBuilder, 'low');
     
+    // Process mineral miners - minerals can wait when CPU is short
+    processCreepRole(creepsByRole.mineralMiner, roleMineralMiner, 'low');
+    
     // Process remote operation roles
     processCreepRole(creepsByRole.scout, roleScout, 'low');
     processCreepRole(creepsByRole.reserver, roleReserver, 'low');
     processCreepRole(creepsByRole.remoteMiner, roleRemoteMiner, 'low');
     processCreepRole(creepsByRole.remoteHauler, roleRemoteHauler, 'low');
     
+    // Process expansion roles
+    processCreepRole(creepsByRole.claimer, roleClaimer, 'medium');
+    processCreepRole(creepsByRole.pioneer, rolePioneer, 'medium');
+    
+    // Spawn, renew and work operator power creeps
+    if (recoveryManager.shouldRun('low')) {
+        try {
+            powerManager.runPowerCreeps();
+        } catch (error) {
+            console.log(`Error in powerManager.runPowerCreeps: ${error}`);
+        }
+    }
+    
     global.stats.cpu.creepActions = Game.cpu.getUsed() - creepStart;
+    statsManager.recordCpu('creeps', global.stats.cpu.creepActions);
+    
+    // Settle every move registered this tick - creeps only actually move here,
+    // so movement is tracked once per tick rather than on every moveToTarget call
+    try {
+        performanceMonitor.trackModule('traffic', trafficManager.run, trafficManager);
+    } catch (error) {
+        console.log(`Error in trafficManager.run: ${error}`);
+    }
     
     // Visualize traffic if enabled
     if (Memory.visualizeTraffic) {
@@ -624,6 +870,7 @@ module.exports.loop = function() {
             creepActions: global.stats.cpu.creepActions / global.stats.cpu.ticks,
             spawning: global.stats.cpu.spawning / global.stats.cpu.ticks,
             construction: global.stats.cpu.construction / global.stats.cpu.ticks,
+            remote: (global.stats.cpu.remote || 0) / global.stats.cpu.ticks,
             defense: (global.stats.cpu.defense || 0) / global.stats.cpu.ticks,
             memoryCleanup: global.stats.cpu.memoryCleanup / global.stats.cpu.ticks,
             emergencyMode: global.emergencyMode ? global.emergencyMode.level : 'off',
@@ -647,6 +894,13 @@ module.exports.loop = function() {
         // Log memory statistics
         memoryManager.logMemoryStats();
     }
+    
+    // Record this tick's stats sample last so it sees the full CPU used
+    try {
+        statsManager.run();
+    } catch (error) {
+        console.log(`Error in statsManager.run: ${error}`);
+    }
     } catch (error) {
         errorHandler(error);
     }
@@ -54,8 +54,8 @@ const memoryManager = {
         // Clean up memory for non-existent creeps
         for (const name in Memory.creeps) {
             if (!Game.creeps[name]) {
-                // If the creep had a source assigned, release it
-                if (Memory.creeps[name].sourceId && Memory.creeps[name].homeRoom) {
+                // If the creep had a source assigned, release it unless a replacement took it over
+                if (Memory.creeps[name].sourceId && Memory.creeps[name].homeRoom && !Memory.creeps[name].replacedBy) {
                     try {
                         const roomManager = require('roomManager');
                         roomManager.releaseSource(Memory.creeps[name].sourceId, Memory.creeps[name].homeRoom);
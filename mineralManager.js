@@ -0,0 +1,184 @@
+/**
+ * Mineral Manager - Runs each room's mineral operation once its extractor is built
+ * A dedicated miner works the mineral while it has any left, and mining pauses while the room is stocked up
+ */
+const bodyPlanner = require('bodyPlanner');
+const terminalManager = require('terminalManager');
+
+const mineralManager = {
+    // How often mineral status is refreshed
+    CHECK_INTERVAL: 10,
+    
+    // Mining pauses once storage and terminal hold this much of the mineral
+    STOCK_LIMIT: 30000,
+    
+    // Limit used while a terminal can sell the surplus at a known market price
+    SELLING_STOCK_LIMIT: 100000,
+    
+    // Paused mining only resumes once stock has fallen this far below the limit
+    RESUME_MARGIN: 5000,
+    
+    // Miners are spawned this many ticks before the mineral regenerates, so they arrive as it does
+    REGEN_LEAD_TIME: 100,
+    
+    /**
+     * Refresh the status of every mineral in a room and send idle miners to be recycled
+     * @param {Room} room - The room to manage
+     */
+    run: function(room) {
+        if (Game.time % this.CHECK_INTERVAL !== 0) return;
+        if (!room.controller || room.controller.level < 6) return;
+        
+        if (!room.memory.minerals) room.memory.minerals = {};
+        
+        for (const mineral of room.find(FIND_MINERALS)) {
+            if (!room.memory.minerals[mineral.id]) {
+                room.memory.minerals[mineral.id] = {
+                    pos: { x: mineral.pos.x, y: mineral.pos.y },
+                    mineralType: mineral.mineralType
+                };
+            }
+            
+            const mineralMemory = room.memory.minerals[mineral.id];
+            const status = this.getStatus(room, mineral, mineralMemory.status);
+            if (status !== mineralMemory.status) {
+                console.log(`Mineral ${mineral.mineralType} in ${room.name}: ${mineralMemory.status || 'new'} -> ${status}`);
+            }
+            
+            mineralMemory.status = status;
+            mineralMemory.hasExtractor = status !== 'noExtractor';
+            mineralMemory.isActive = status === 'active';
+            
+            // A miner with nothing to mine is worth more as recycled energy
+            if (status === 'depleted' || status === 'stocked') {
+                this.recycleMiners(room, mineral.id, status);
+            }
+        }
+    },
+    
+    /**
+     * Work out whether a mineral should be mined right now
+     * @param {Room} room - The room
+     * @param {Mineral} mineral - The mineral
+     * @param {string} [previous] - Status from the last check
+     * @returns {string} - 'noExtractor', 'depleted', 'stocked' or 'active'
+     */
+    getStatus: function(room, mineral, previous) {
+        const extractor = mineral.pos.lookFor(LOOK_STRUCTURES)
+            .find(s => s.structureType === STRUCTURE_EXTRACTOR && s.my);
+        if (!extractor) return 'noExtractor';
+        
+        if (mineral.mineralAmount === 0) return 'depleted';
+        
+        const stock = terminalManager.getStock(room, mineral.mineralType);
+        const limit = this.getStockLimit(room, mineral.mineralType);
+        
+        // Hold the pause until stock has dropped well below the limit so mining doesn't flicker on and off
+        if (stock >= limit || (previous === 'stocked' && stock > limit - this.RESUME_MARGIN)) {
+            return 'stocked';
+        }
+        
+        return 'active';
+    },
+    
+    /**
+     * Get the stock at which mining pauses
+     * @param {Room} room - The room
+     * @param {string} mineralType - The mineral
+     * @returns {number} - Stock limit
+     */
+    getStockLimit: function(room, mineralType) {
+        // Surplus the terminal can sell keeps paying off, so mine further ahead
+        const sellable = room.terminal && room.terminal.my && terminalManager.getAveragePrice(mineralType);
+        return sellable ? this.SELLING_STOCK_LIMIT : this.STOCK_LIMIT;
+    },
+    
+    /**
+     * Send a paused mineral's miners back to a spawn to be recycled
+     * @param {Room} room - The room
+     * @param {string} mineralId - The mineral's id
+     * @param {string} reason - Reason shown in the log
+     */
+    recycleMiners: function(room, mineralId, reason) {
+        const spawns = room.find(FIND_MY_SPAWNS);
+        if (spawns.length === 0) return;
+        
+        const lifecycleManager = require('lifecycleManager');
+        const miners = _.filter(Game.creeps, c => c.memory.role === 'mineralMiner' &&
+            c.memory.sourceId === mineralId && !c.memory.lifecycle && !c.spawning);
+        for (const miner of miners) {
+            lifecycleManager.recycle(miner, spawns, `mineral ${reason}`);
+        }
+    },
+    
+    /**
+     * Get a mineral miner spawn request if an active mineral has no miner
+     * @param {Room} room - The base room
+     * @returns {Object|null} - Spawn request or null
+     */
+    getSpawnRequest: function(room) {
+        if (!room.memory.minerals) return null;
+        
+        for (const mineralId in room.memory.minerals) {
+            if (!this.needsMiner(room, mineralId)) continue;
+            if (_.some(Game.creeps, c => c.memory.role === 'mineralMiner' && c.memory.sourceId === mineralId)) continue;
+            
+            const body = bodyPlanner.getBody('mineralMiner', room.energyCapacityAvailable);
+            if (body.length === 0) return null;
+            
+            return {
+                role: 'mineralMiner',
+                body: body,
+                name: `MMiner_${Game.time}`,
+                memory: {
+                    role: 'mineralMiner',
+                    homeRoom: room.name,
+                    sourceId: mineralId
+                }
+            };
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Check if a mineral should have a miner
+     * @param {Room} room - The room
+     * @param {string} mineralId - The mineral's id
+     * @returns {boolean} - True if a miner should be working it
+     */
+    needsMiner: function(room, mineralId) {
+        const mineralMemory = room.memory.minerals[mineralId];
+        if (mineralMemory.isActive) return true;
+        
+        // A depleted mineral gets its miner back just before it regenerates
+        const mineral = Game.getObjectById(mineralId);
+        return !!mineral && mineralMemory.status === 'depleted' &&
+            mineral.ticksToRegeneration !== undefined && mineral.ticksToRegeneration <= this.REGEN_LEAD_TIME;
+    },
+    
+    /**
+     * Describe the mineral operations of every owned room for the console
+     * @returns {string} - Status listing
+     */
+    getStatusReport: function() {
+        let output = 'Mineral operations:\n';
+        for (const roomName in Game.rooms) {
+            const room = Game.rooms[roomName];
+            if (!room.controller || !room.controller.my || !room.memory.minerals) continue;
+            
+            for (const mineralId in room.memory.minerals) {
+                const mineralMemory = room.memory.minerals[mineralId];
+                const mineral = Game.getObjectById(mineralId);
+                const amount = mineral ? mineral.mineralAmount : '?';
+                const regen = mineral && mineral.ticksToRegeneration ? `, regenerates in ${mineral.ticksToRegeneration}` : '';
+                const stock = terminalManager.getStock(room, mineralMemory.mineralType);
+                output += `  ${roomName} ${mineralMemory.mineralType}: ${mineralMemory.status || 'unknown'} ` +
+                    `(${amount} left${regen}, ${stock}/${this.getStockLimit(room, mineralMemory.mineralType)} stocked)\n`;
+            }
+        }
+        return output;
+    }
+};
+
+module.exports = mineralManager;
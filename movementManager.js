@@ -1,184 +1,396 @@
 /**
- * Movement Manager - CPU optimized movement with path caching
+ * Movement Manager - CPU optimized movement with paths serialized into creep memory
  */
-const helpers = require('helpers');
+const trafficManager = require('trafficManager');
+const costMatrixManager = require('costMatrixManager');
+const performanceMonitor = require('performanceMonitor');
 
 const movementManager = {
-    // Cache for path finding operations
-    pathCache: {},
+    // Ticks a creep may stand still on its path before it paths around other creeps
+    STUCK_TICKS: 2,
+    
+    // Ticks a path is offered to other creeps heading to the same target
+    SHARED_PATH_TTL: 100,
+    
+    // Paths kept per target for other creeps to reuse
+    MAX_SHARED_PATHS: 5,
+    
+    // Position offsets for each direction constant, used to walk serialized paths
+    DIRECTION_OFFSETS: {
+        [TOP]: [0, -1], [TOP_RIGHT]: [1, -1], [RIGHT]: [1, 0], [BOTTOM_RIGHT]: [1, 1],
+        [BOTTOM]: [0, 1], [BOTTOM_LEFT]: [-1, 1], [LEFT]: [-1, 0], [TOP_LEFT]: [-1, -1]
+    },
+    
+    // Ticks a room-to-room route is reused before it is searched again
+    ROUTE_CACHE_TTL: 1500,
+    
+    // Route costs per room - highways are the fastest way between sectors
+    HIGHWAY_ROUTE_COST: 1,
+    ROOM_ROUTE_COST: 2,
+    HOSTILE_ROUTE_COST: 5,
+    KEEPER_ROUTE_COST: 10,
+    
+    // Hostiles seen this recently make a room expensive to route through
+    HOSTILE_MEMORY: 1500,
+    
+    // PathFinder operation limit for paths across several rooms
+    CROSS_ROOM_MAX_OPS: 20000,
+    
+    // Creeps travelling to a room stop once this close to its centre
+    ROOM_ARRIVAL_RANGE: 22,
     
     /**
-     * Move a creep to a target with path caching
+     * Move a creep to a target along the path stored in its memory
+     * Another creep's path or a new search is used when the stored one doesn't fit
+     * The move is registered with trafficManager, which settles it against every other creep's move
      * @param {Creep} creep - The creep to move
      * @param {Object|RoomPosition} target - The target to move to
-     * @param {Object} options - Movement options
+     * @param {Object} options - Movement options (range, priority)
      * @returns {number} - Result of the move operation
      */
     moveToTarget: function(creep, target, options = {}) {
-        // Default options
-        options.reusePath = options.reusePath || 20;
-        options.visualizePathStyle = options.visualizePathStyle || {stroke: '#ffffff'};
-        options.range = options.range || 1;
+        const range = options.range !== undefined ? options.range : 1;
         
-        // Generate a unique key for this path
         const targetPos = target.pos || target;
         if (!targetPos) return ERR_INVALID_TARGET;
         
-        const pathKey = `${creep.pos.roomName}_${creep.pos.x},${creep.pos.y}_${targetPos.roomName}_${targetPos.x},${targetPos.y}_${options.range}`;
-        
         // Check if we're already at the target
-        if (creep.pos.inRangeTo(targetPos, options.range)) {
+        if (creep.pos.inRangeTo(targetPos, range)) {
+            delete creep.memory._path;
             return OK;
         }
         
-        // Check for cached path
-        const currentTick = Game.time;
-        const shouldRecomputePath = !this.pathCache[pathKey] || 
-                                   this.pathCache[pathKey].time + 50 < currentTick ||
-                                   this.pathCache[pathKey].incomplete ||
-                                   currentTick % 20 === creep.id.charCodeAt(0) % 20; // Occasional recompute to avoid traffic jams
-        
-        // If we have a valid cached path, use it
-        if (!shouldRecomputePath) {
-            const result = creep.moveByPath(this.pathCache[pathKey].path);
-            
-            // If movement failed, invalidate the cache
-            if (result !== OK && result !== ERR_TIRED) {
-                this.pathCache[pathKey].incomplete = true;
-            }
-            
-            return result;
+        // Don't spend CPU on a path the creep can't use this tick
+        const status = trafficManager.canMove(creep);
+        if (status !== OK) return status;
+        
+        const dest = `${targetPos.roomName}:${targetPos.x},${targetPos.y}:${range}`;
+        const here = `${creep.pos.roomName}:${creep.pos.x},${creep.pos.y}`;
+        let path = creep.memory._path;
+        if (path && path.dest !== dest) path = null;
+        
+        // Still on the tile it tried to leave last time - something is in the way
+        if (path) {
+            path.stuck = path.last === here ? path.stuck + 1 : 0;
+        }
+        
+        // Stuck or blocked creeps route around others until traffic clears
+        const stuck = path && path.stuck >= this.STUCK_TICKS;
+        const avoidCreeps = stuck || trafficManager.isBlocked(creep);
+        
+        // A path already searched around creeps is kept while it still makes progress
+        const usable = path && !stuck && (path.avoid || !avoidCreeps);
+        let direction = usable ? this.getPathDirection(creep.pos, path) : null;
+        
+        // Pick up a path another creep already found to this target
+        if (!direction && !avoidCreeps) {
+            path = this.findSharedPath(creep.pos, dest);
+            direction = path ? this.getPathDirection(creep.pos, path) : null;
         }
         
-        // No valid cache, compute a new path
-        options.costCallback = (roomName, costMatrix) => {
-            // Avoid other creeps when pathfinding
-            const room = Game.rooms[roomName];
-            if (!room) return costMatrix;
+        // No usable path, search a new one
+        if (!direction) {
+            const steps = performanceMonitor.trackFunction('movementManager.findPath', this.findPath, this,
+                creep.pos, targetPos, range, avoidCreeps);
+            if (!steps || steps.length === 0) {
+                delete creep.memory._path;
+                return ERR_NO_PATH;
+            }
             
-            // Add creeps as obstacles
-            room.find(FIND_CREEPS).forEach(otherCreep => {
-                // Don't avoid self
-                if (otherCreep.id === creep.id) return;
-                
-                // Add high cost for creep positions
-                costMatrix.set(otherCreep.pos.x, otherCreep.pos.y, 255);
-            });
+            path = { dest: dest, room: creep.pos.roomName, path: this.serializePath(creep.pos, steps) };
             
-            return costMatrix;
-        };
-        
-        // Find a new path
-        const result = creep.moveTo(targetPos, options);
-        
-        // Cache the path if successful
-        if (result === OK || result === ERR_TIRED) {
-            // Get the path from the creep's memory
-            if (creep._move && creep._move.path) {
-                this.pathCache[pathKey] = {
-                    path: creep._move.path,
-                    time: currentTick,
-                    incomplete: false
-                };
+            // Paths around other creeps only suit this moment, so they aren't shared
+            if (avoidCreeps) {
+                path.avoid = true;
+            } else {
+                this.sharePath(path);
             }
+            direction = steps[0].direction;
+        }
+        
+        path.last = here;
+        path.stuck = path.stuck || 0;
+        creep.memory._path = path;
+        
+        return trafficManager.registerMove(creep, direction, options.priority, { pos: targetPos, range: range });
+    },
+    
+    /**
+     * Search a path to a target
+     * @param {RoomPosition} origin - Start position
+     * @param {RoomPosition} targetPos - Target position
+     * @param {number} range - Range to stop at
+     * @param {boolean} avoidCreeps - Path around creeps in the way
+     * @returns {Array} - Steps in the same format as Room.findPath, within the origin room
+     */
+    findPath: function(origin, targetPos, range, avoidCreeps) {
+        if (targetPos.roomName !== origin.roomName) {
+            return this.findCrossRoomPath(origin, targetPos, range, avoidCreeps);
         }
         
-        return result;
+        const result = PathFinder.search(origin, { pos: targetPos, range: range }, {
+            plainCost: 2,
+            swampCost: 10,
+            maxRooms: 1,
+            roomCallback: roomName => costMatrixManager.getMatrix(roomName, avoidCreeps)
+        });
+        return this.toSteps(origin, result.path);
     },
     
     /**
-     * Check if a creep is blocking others and should move aside
-     * @param {Creep} creep - The creep to check
-     * @returns {boolean} - True if the creep moved aside
+     * Move a creep into another room along the cached room route
+     * @param {Creep} creep - The creep to move
+     * @param {string} roomName - Destination room
+     * @param {Object} options - Movement options (priority)
+     * @returns {number} - Result of the move operation
      */
+    moveToRoom: function(creep, roomName, options = {}) {
+        const target = new RoomPosition(25, 25, roomName);
+        return this.moveToTarget(creep, target, Object.assign({}, options, { range: this.ROOM_ARRIVAL_RANGE }));
+    },
+    
     /**
-     * Clean the path cache periodically
+     * Find a path to a position in another room, searching only the rooms on the route
+     * @param {RoomPosition} origin - Start position
+     * @param {RoomPosition} targetPos - Target position
+     * @param {number} range - Range to stop at
+     * @param {boolean} avoidCreeps - Path around creeps in the origin room
+     * @returns {Array} - Steps in the same format as Room.findPath, within the origin room
      */
-    cleanCache: function() {
-        const currentTick = Game.time;
-        const maxAge = 100; // Cache entries older than this will be removed
+    findCrossRoomPath: function(origin, targetPos, range, avoidCreeps) {
+        return this.toSteps(origin, this.searchAlongRoute(origin, targetPos, range, avoidCreeps).path);
+    },
+    
+    /**
+     * Run PathFinder across the rooms on the cached route to a target
+     * @param {RoomPosition} origin - Start position
+     * @param {RoomPosition} targetPos - Target position
+     * @param {number} range - Range to stop at
+     * @param {boolean} avoidCreeps - Path around creeps in the origin room
+     * @returns {Object} - PathFinder.search result
+     */
+    searchAlongRoute: function(origin, targetPos, range, avoidCreeps) {
+        const route = targetPos.roomName !== origin.roomName ?
+            this.findRoute(origin.roomName, targetPos.roomName) : [origin.roomName];
         
-        for (const key in this.pathCache) {
-            if (this.pathCache[key].time + maxAge < currentTick) {
-                delete this.pathCache[key];
+        return PathFinder.search(origin, { pos: targetPos, range: range }, {
+            plainCost: 2,
+            swampCost: 10,
+            maxOps: this.CROSS_ROOM_MAX_OPS,
+            roomCallback: roomName => {
+                // Stay on the route; without one, let PathFinder pick its own way
+                if (route && !route.includes(roomName)) return false;
+                return costMatrixManager.getMatrix(roomName, avoidCreeps && roomName === origin.roomName);
             }
+        });
+    },
+    
+    /**
+     * Get the length of the path between two positions, in any rooms
+     * @param {RoomPosition} origin - Start position
+     * @param {RoomPosition} targetPos - Target position
+     * @param {number} range - Range to stop at
+     * @returns {number} - Number of steps
+     */
+    getPathLength: function(origin, targetPos, range) {
+        return this.searchAlongRoute(origin, targetPos, range, false).path.length;
+    },
+    
+    /**
+     * Convert a PathFinder path into steps, stopping at the edge of the origin room
+     * Only the steps in this room are usable - the path is searched again after each exit
+     * @param {RoomPosition} origin - Start position
+     * @param {Array} path - Positions from PathFinder.search
+     * @returns {Array} - Steps in the same format as Room.findPath
+     */
+    toSteps: function(origin, path) {
+        const steps = [];
+        let previous = origin;
+        for (const pos of path) {
+            if (pos.roomName !== origin.roomName) break;
+            const dx = pos.x - previous.x;
+            const dy = pos.y - previous.y;
+            steps.push({ x: pos.x, y: pos.y, dx: dx, dy: dy, direction: previous.getDirectionTo(pos) });
+            previous = pos;
         }
+        
+        return steps;
     },
     
-    checkAndGiveWay: function(creep) {
-        // Don't move if fatigued or already moved this tick
-        if (creep.fatigue > 0 || creep._moved) return false;
+    /**
+     * Get the rooms between two rooms, avoiding hostile and source keeper rooms
+     * @param {string} fromRoom - Start room
+     * @param {string} toRoom - Destination room
+     * @returns {Array|null} - Room names including both ends, or null if there is no route
+     */
+    findRoute: function(fromRoom, toRoom) {
+        if (!Memory.routeCache) Memory.routeCache = {};
         
-        // Check for creeps that might be blocked by this one
-        const adjacentPositions = [
-            [0, -1], [1, -1], [1, 0], [1, 1],
-            [0, 1], [-1, 1], [-1, 0], [-1, -1]
-        ];
+        const key = `${fromRoom}_${toRoom}`;
+        const cached = Memory.routeCache[key];
+        if (cached && Game.time - cached.time < this.ROUTE_CACHE_TTL) {
+            return cached.rooms;
+        }
         
-        // Check if we're in a traffic jam (multiple creeps around us)
-        const surroundingCreeps = creep.pos.findInRange(FIND_MY_CREEPS, 1, {
-            filter: c => c.id !== creep.id
+        const route = Game.map.findRoute(fromRoom, toRoom, {
+            routeCallback: (roomName) => this.getRouteCost(roomName, fromRoom, toRoom)
         });
         
-        // If we're not in a traffic jam, no need to move
-        if (surroundingCreeps.length < 2) return false;
+        const rooms = route === ERR_NO_PATH ? null : [fromRoom].concat(route.map(step => step.room));
+        Memory.routeCache[key] = { rooms: rooms, time: Game.time };
+        return rooms;
+    },
+    
+    /**
+     * Cost of routing through a room, from scouting data in Memory.remoteOps.rooms
+     * @param {string} roomName - Room to score
+     * @param {string} fromRoom - Start of the route
+     * @param {string} toRoom - End of the route
+     * @returns {number} - Route cost, Infinity to avoid the room entirely
+     */
+    getRouteCost: function(roomName, fromRoom, toRoom) {
+        if (roomName === fromRoom || roomName === toRoom) return this.ROOM_ROUTE_COST;
         
-        // If we're working on something important, don't move unless severe traffic
-        if (creep.memory.working && surroundingCreeps.length < 3) return false;
+        const room = Game.rooms[roomName];
+        if (room && room.controller && room.controller.my) return this.ROOM_ROUTE_COST;
         
-        // Find a direction to move that's not blocked
-        for (let i = 0; i < adjacentPositions.length; i++) {
-            const [dx, dy] = adjacentPositions[i];
-            const x = creep.pos.x + dx;
-            const y = creep.pos.y + dy;
-            
-            // Skip if out of bounds
-            if (x < 0 || x > 49 || y < 0 || y > 49) continue;
-            
-            // Check if the position is walkable
-            const pos = new RoomPosition(x, y, creep.room.name);
-            const objects = creep.room.lookAt(pos);
-            
-            let isWalkable = true;
-            for (const obj of objects) {
-                if (obj.type === 'creep') {
-                    isWalkable = false;
-                    break;
-                }
-                if (obj.type === 'terrain' && obj.terrain === 'wall') {
-                    isWalkable = false;
-                    break;
-                }
-                if (obj.type === 'structure' && 
-                    obj.structure.structureType !== STRUCTURE_ROAD && 
-                    obj.structure.structureType !== STRUCTURE_CONTAINER && 
-                    (obj.structure.structureType !== STRUCTURE_RAMPART || !obj.structure.my)) {
-                    isWalkable = false;
-                    break;
-                }
+        const data = Memory.remoteOps && Memory.remoteOps.rooms && Memory.remoteOps.rooms[roomName];
+        if (data) {
+            // Other players' rooms have towers
+            if (data.owner && data.owner !== Memory.username) return Infinity;
+            if (data.keeperLairs > 0) return this.KEEPER_ROUTE_COST;
+            if (data.hostiles || (data.lastHostile && Game.time - data.lastHostile < this.HOSTILE_MEMORY)) {
+                return this.HOSTILE_ROUTE_COST;
             }
+        }
+        
+        return this.isHighway(roomName) ? this.HIGHWAY_ROUTE_COST : this.ROOM_ROUTE_COST;
+    },
+    
+    /**
+     * Check if a room is a highway
+     * @param {string} roomName - Room name
+     * @returns {boolean} - True for highway rooms
+     */
+    isHighway: function(roomName) {
+        const parsed = /^[WE](\d+)[NS](\d+)$/.exec(roomName);
+        if (!parsed) return false;
+        return parsed[1] % 10 === 0 || parsed[2] % 10 === 0;
+    },
+    
+    /**
+     * Register a single step for a creep
+     * @param {Creep} creep - The creep to move
+     * @param {number} direction - Direction constant
+     * @param {number} priority - Optional priority override
+     * @returns {number} - Result of registering the move
+     */
+    move: function(creep, direction, priority) {
+        return trafficManager.registerMove(creep, direction, priority);
+    },
+    
+    /**
+     * Serialize path steps as the start position followed by one digit per direction
+     * @param {RoomPosition} origin - Position the path starts from
+     * @param {Array} steps - Steps from Room.findPath
+     * @returns {string} - Serialized path, e.g. "2530" + "3345"
+     */
+    serializePath: function(origin, steps) {
+        const pad = n => (n < 10 ? '0' : '') + n;
+        return pad(origin.x) + pad(origin.y) + steps.map(step => step.direction).join('');
+    },
+    
+    /**
+     * Find the next direction from a position along a serialized path
+     * @param {RoomPosition} pos - Current position
+     * @param {Object} path - Stored path {room, path}
+     * @returns {number|null} - Direction constant, or null if the position is off the path
+     */
+    getPathDirection: function(pos, path) {
+        const index = this.findPathIndex(pos, path);
+        return index === -1 ? null : Number(path.path[index]);
+    },
+    
+    /**
+     * Walk a serialized path to find where a position lies on it
+     * @param {RoomPosition} pos - Position to look for
+     * @param {Object} path - Stored path {room, path}
+     * @returns {number} - Index of the next direction digit, or -1 if the position is off the path
+     */
+    findPathIndex: function(pos, path) {
+        if (path.room !== pos.roomName) return -1;
+        
+        let x = Number(path.path.substr(0, 2));
+        let y = Number(path.path.substr(2, 2));
+        for (let i = 4; i < path.path.length; i++) {
+            if (x === pos.x && y === pos.y) return i;
             
-            // If we found a walkable position, move there
-            if (isWalkable) {
-                creep.move(i + 1); // Direction constants start at 1
-                creep._moved = true;
-                return true;
-            }
+            const offset = this.DIRECTION_OFFSETS[path.path[i]];
+            x += offset[0];
+            y += offset[1];
         }
+        return -1;
+    },
+    
+    /**
+     * Offer a freshly searched path to other creeps heading to the same target
+     * @param {Object} path - Stored path {dest, room, path}
+     */
+    sharePath: function(path) {
+        if (!global.sharedPaths) global.sharedPaths = {};
+        
+        const paths = global.sharedPaths[path.dest] || (global.sharedPaths[path.dest] = []);
+        paths.push({ room: path.room, path: path.path, time: Game.time });
+        if (paths.length > this.MAX_SHARED_PATHS) paths.shift();
+    },
+    
+    /**
+     * Find a shared path to a target that passes through a position
+     * @param {RoomPosition} pos - Current position
+     * @param {string} dest - Destination key
+     * @returns {Object|null} - Stored path starting at the position, or null
+     */
+    findSharedPath: function(pos, dest) {
+        const paths = global.sharedPaths && global.sharedPaths[dest];
+        if (!paths) return null;
         
-        return false;
+        for (let i = paths.length - 1; i >= 0; i--) {
+            const shared = paths[i];
+            if (Game.time - shared.time > this.SHARED_PATH_TTL) continue;
+            
+            const index = this.findPathIndex(pos, shared);
+            if (index === -1) continue;
+            
+            // Keep only the part still ahead of this creep
+            return {
+                dest: dest,
+                room: shared.room,
+                path: this.serializePath(pos, []) + shared.path.substr(index)
+            };
+        }
+        return null;
     },
     
     /**
-     * Clean up the path cache to prevent memory bloat
+     * Expire shared paths and room routes
      */
     cleanCache: function() {
         const currentTick = Game.time;
         
-        // Remove old paths
-        for (const key in this.pathCache) {
-            if (this.pathCache[key].time + 100 < currentTick) {
-                delete this.pathCache[key];
+        // Remove old shared paths
+        for (const dest in global.sharedPaths) {
+            const paths = global.sharedPaths[dest].filter(p => currentTick - p.time <= this.SHARED_PATH_TTL);
+            if (paths.length > 0) {
+                global.sharedPaths[dest] = paths;
+            } else {
+                delete global.sharedPaths[dest];
+            }
+        }
+        
+        // Remove expired routes
+        for (const key in Memory.routeCache) {
+            if (currentTick - Memory.routeCache[key].time >= this.ROUTE_CACHE_TTL) {
+                delete Memory.routeCache[key];
             }
         }
     }
@@ -0,0 +1,334 @@
+/**
+ * Nuke Manager - Prepares rooms for incoming nukes and keeps our nukers loaded
+ * Ramparts over valuable structures in the blast are raised above the damage before impact,
+ * and nothing new is built inside the blast until the nuke has landed
+ */
+const roomManager = require('roomManager');
+const terminalManager = require('terminalManager');
+
+const nukeManager = {
+    // How often rooms are checked for incoming nukes and nukers are restocked
+    CHECK_INTERVAL: 10,
+    
+    // Nukes damage every structure within this range of where they land
+    BLAST_RADIUS: 2,
+    
+    // Hits added on top of the blast damage so decay and stray damage can't leave a rampart short
+    RAMPART_MARGIN: 100000,
+    
+    // Structures worth the rampart energy it takes to save them - anything else is rebuilt after impact
+    PROTECTED_STRUCTURES: [
+        STRUCTURE_SPAWN,
+        STRUCTURE_TOWER,
+        STRUCTURE_STORAGE,
+        STRUCTURE_TERMINAL,
+        STRUCTURE_LAB,
+        STRUCTURE_FACTORY,
+        STRUCTURE_POWER_SPAWN,
+        STRUCTURE_NUKER
+    ],
+    
+    // Energy only goes into the nuker while storage and terminal hold more than this
+    NUKER_ENERGY_RESERVE: 100000,
+    
+    /**
+     * Track incoming nukes for a room and place the ramparts they call for
+     * @param {Room} room - The room to manage
+     */
+    run: function(room) {
+        if (!room.controller || !room.controller.my) return;
+        if (Game.time % this.CHECK_INTERVAL !== 0) return;
+        
+        this.updateNukes(room);
+    },
+    
+    /**
+     * Keep a room's nuker loaded - unlike nuke tracking, this can wait while CPU is short
+     * @param {Room} room - The room to manage
+     */
+    runNuker: function(room) {
+        if (!room.controller || !room.controller.my) return;
+        if (Game.time % this.CHECK_INTERVAL !== 0) return;
+        
+        this.stockNuker(room);
+    },
+    
+    /**
+     * Record incoming nukes and the rampart hits needed to survive them
+     * @param {Room} room - The room
+     */
+    updateNukes: function(room) {
+        const nukes = room.find(FIND_NUKES);
+        if (nukes.length === 0) {
+            if (room.memory.nukes) {
+                console.log(`☢️ Nuke threat in ${room.name} is over`);
+                delete room.memory.nukes;
+            }
+            return;
+        }
+        
+        const known = room.memory.nukes ? room.memory.nukes.nukes.map(nuke => nuke.id) : [];
+        for (const nuke of nukes) {
+            if (known.includes(nuke.id)) continue;
+            console.log(`☢️ NUKE incoming in ${room.name} at (${nuke.pos.x},${nuke.pos.y}) from ` +
+                `${nuke.launchRoomName}, landing in ${nuke.timeToLand} ticks`);
+        }
+        
+        const rampartTargets = this.getRampartTargets(room, nukes);
+        room.memory.nukes = {
+            nukes: nukes.map(nuke => ({
+                id: nuke.id,
+                x: nuke.pos.x,
+                y: nuke.pos.y,
+                landsAt: Game.time + nuke.timeToLand
+            })),
+            rampartTargets: rampartTargets
+        };
+        
+        this.placeRamparts(room, rampartTargets);
+    },
+    
+    /**
+     * Work out the hits each rampart in the blast needs - over protected structures and existing ramparts
+     * @param {Room} room - The room
+     * @param {Array} nukes - Incoming nukes
+     * @returns {Object} - Target hits keyed by "x,y"
+     */
+    getRampartTargets: function(room, nukes) {
+        const maxHits = RAMPART_HITS_MAX[room.controller.level] || 0;
+        const targets = {};
+        
+        for (const structure of room.find(FIND_MY_STRUCTURES)) {
+            if (structure.structureType !== STRUCTURE_RAMPART &&
+                !this.PROTECTED_STRUCTURES.includes(structure.structureType)) continue;
+            
+            const damage = this.getBlastDamage(nukes, structure.pos.x, structure.pos.y);
+            if (damage === 0) continue;
+            
+            // A rampart that can't hold the blast only wastes energy
+            const hits = damage + this.RAMPART_MARGIN;
+            if (hits > maxHits) continue;
+            
+            targets[`${structure.pos.x},${structure.pos.y}`] = hits;
+        }
+        
+        return targets;
+    },
+    
+    /**
+     * Get the combined damage nukes deal to a tile
+     * @param {Array} nukes - Incoming nukes
+     * @param {number} x - Tile x
+     * @param {number} y - Tile y
+     * @returns {number} - Damage in hits
+     */
+    getBlastDamage: function(nukes, x, y) {
+        let damage = 0;
+        for (const nuke of nukes) {
+            const range = Math.max(Math.abs(nuke.pos.x - x), Math.abs(nuke.pos.y - y));
+            if (range === 0) {
+                damage += NUKE_DAMAGE[0];
+            } else if (range <= this.BLAST_RADIUS) {
+                damage += NUKE_DAMAGE[2];
+            }
+        }
+        return damage;
+    },
+    
+    /**
+     * Put rampart sites over protected structures in the blast that don't have one yet
+     * @param {Room} room - The room
+     * @param {Object} rampartTargets - Target hits keyed by "x,y"
+     */
+    placeRamparts: function(room, rampartTargets) {
+        for (const key in rampartTargets) {
+            const [x, y] = key.split(',').map(Number);
+            const structures = room.lookForAt(LOOK_STRUCTURES, x, y);
+            if (structures.some(s => s.structureType === STRUCTURE_RAMPART)) continue;
+            
+            const sites = room.lookForAt(LOOK_CONSTRUCTION_SITES, x, y);
+            if (sites.some(s => s.structureType === STRUCTURE_RAMPART)) continue;
+            
+            if (room.createConstructionSite(x, y, STRUCTURE_RAMPART) === OK) {
+                console.log(`☢️ Placed rampart at (${x},${y}) in ${room.name} against incoming nuke`);
+            }
+        }
+    },
+    
+    /**
+     * Check if a tile will be hit by an incoming nuke
+     * @param {Room} room - The room
+     * @param {number} x - Tile x
+     * @param {number} y - Tile y
+     * @returns {boolean} - True if the tile is inside a blast
+     */
+    isInBlastZone: function(room, x, y) {
+        const state = room.memory.nukes;
+        if (!state) return false;
+        
+        return state.nukes.some(nuke => Math.max(Math.abs(nuke.x - x), Math.abs(nuke.y - y)) <= this.BLAST_RADIUS);
+    },
+    
+    /**
+     * Get the hits a rampart should be raised to before an incoming nuke lands
+     * @param {Room} room - The room
+     * @param {RoomPosition} pos - The rampart's position
+     * @returns {number|null} - Target hits, or null if the tile isn't threatened
+     */
+    getRampartTarget: function(room, pos) {
+        const state = room.memory.nukes;
+        if (!state) return null;
+        
+        return state.rampartTargets[`${pos.x},${pos.y}`] || null;
+    },
+    
+    /**
+     * Get the rampart furthest below its nuke target
+     * @param {Room} room - The room
+     * @returns {StructureRampart|null} - Rampart to repair or null
+     */
+    getFortifyTarget: function(room) {
+        if (!room.memory.nukes) return null;
+        
+        let best = null;
+        let bestShortfall = 0;
+        const ramparts = room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_RAMPART
+        });
+        
+        for (const rampart of ramparts) {
+            const target = this.getRampartTarget(room, rampart.pos);
+            if (!target || target - rampart.hits <= bestShortfall) continue;
+            
+            bestShortfall = target - rampart.hits;
+            best = rampart;
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Check if any rampart still needs raising against an incoming nuke
+     * @param {Room} room - The room
+     * @returns {boolean} - True while fortifying
+     */
+    needsFortifying: function(room) {
+        return !!this.getFortifyTarget(room);
+    },
+    
+    /**
+     * Get a room's nuker
+     * @param {Room} room - The room
+     * @returns {StructureNuker|null} - The nuker or null
+     */
+    getNuker: function(room) {
+        return room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_NUKER
+        })[0] || null;
+    },
+    
+    /**
+     * Queue hauler jobs to fill the nuker with energy and ghodium
+     * @param {Room} room - The room
+     */
+    stockNuker: function(room) {
+        const nuker = this.getNuker(room);
+        if (!nuker) return;
+        
+        const capacities = {
+            [RESOURCE_ENERGY]: NUKER_ENERGY_CAPACITY,
+            [RESOURCE_GHODIUM]: NUKER_GHODIUM_CAPACITY
+        };
+        
+        for (const resourceType in capacities) {
+            const missing = capacities[resourceType] - nuker.store[resourceType];
+            if (missing <= 0) continue;
+            
+            if (resourceType === RESOURCE_ENERGY &&
+                terminalManager.getStock(room, RESOURCE_ENERGY) <= this.NUKER_ENERGY_RESERVE) continue;
+            
+            const source = [room.storage, room.terminal].find(s => s && s.store[resourceType] > 0);
+            if (!source) continue;
+            
+            roomManager.addHaulJob(room, `nuker_${resourceType}`, {
+                from: source.id,
+                to: nuker.id,
+                resourceType: resourceType,
+                amount: Math.min(missing, source.store[resourceType])
+            });
+        }
+    },
+    
+    /**
+     * Launch a loaded nuker in range at a target position
+     * @param {string} roomName - Target room
+     * @param {number} x - Target x
+     * @param {number} y - Target y
+     * @returns {string} - Result message
+     */
+    launch: function(roomName, x, y) {
+        const target = new RoomPosition(x, y, roomName);
+        
+        const nukers = [];
+        for (const name in Game.rooms) {
+            const room = Game.rooms[name];
+            if (!room.controller || !room.controller.my) continue;
+            
+            const nuker = this.getNuker(room);
+            if (nuker && Game.map.getRoomLinearDistance(name, roomName) <= NUKE_RANGE) nukers.push(nuker);
+        }
+        if (nukers.length === 0) return `No nuker within ${NUKE_RANGE} rooms of ${roomName}`;
+        
+        const ready = nukers.find(nuker => !nuker.cooldown &&
+            nuker.store[RESOURCE_ENERGY] >= NUKER_ENERGY_CAPACITY &&
+            nuker.store[RESOURCE_GHODIUM] >= NUKER_GHODIUM_CAPACITY);
+        if (!ready) return `No nuker in range of ${roomName} is loaded and off cooldown`;
+        
+        const result = ready.launchNuke(target);
+        if (result !== OK) return `Launch from ${ready.room.name} failed: ${result}`;
+        
+        console.log(`☢️ Nuke launched from ${ready.room.name} at ${roomName} (${x},${y})`);
+        return `Nuke launched from ${ready.room.name} at ${roomName} (${x},${y})`;
+    },
+    
+    /**
+     * Describe incoming nukes and our nukers for the console
+     * @returns {string} - Status listing
+     */
+    getStatusReport: function() {
+        let output = 'Incoming nukes:\n';
+        for (const roomName in Game.rooms) {
+            const room = Game.rooms[roomName];
+            const state = room.memory.nukes;
+            if (!state) continue;
+            
+            const tiles = Object.keys(state.rampartTargets);
+            const ready = tiles.filter(key => {
+                const [x, y] = key.split(',').map(Number);
+                return room.lookForAt(LOOK_STRUCTURES, x, y).some(s =>
+                    s.structureType === STRUCTURE_RAMPART && s.hits >= state.rampartTargets[key]);
+            }).length;
+            
+            for (const nuke of state.nukes) {
+                output += `  ${roomName} (${nuke.x},${nuke.y}): lands in ${nuke.landsAt - Game.time} ticks\n`;
+            }
+            output += `  ${roomName}: ${ready}/${tiles.length} ramparts in the blast at target\n`;
+        }
+        
+        output += 'Nukers:\n';
+        for (const roomName in Game.rooms) {
+            const room = Game.rooms[roomName];
+            if (!room.controller || !room.controller.my) continue;
+            
+            const nuker = this.getNuker(room);
+            if (!nuker) continue;
+            
+            const cooldown = nuker.cooldown ? `, cooldown ${nuker.cooldown}` : '';
+            output += `  ${roomName}: energy ${nuker.store[RESOURCE_ENERGY]}/${NUKER_ENERGY_CAPACITY}, ` +
+                `ghodium ${nuker.store[RESOURCE_GHODIUM]}/${NUKER_GHODIUM_CAPACITY}${cooldown}\n`;
+        }
+        return output;
+    }
+};
+
+module.exports = nukeManager;
@@ -0,0 +1,186 @@
+/**
+ * Observer Manager - Sweeps rooms around an RCL 8 room with its observer to keep intel fresh
+ * One room is observed per tick, stalest intel first, and recorded in the same format scouts write
+ */
+const roleScout = require('role.scout');
+
+const observerManager = {
+    // Rooms this far away (linear distance) are swept - expansion never claims further than 5 rooms out
+    SCAN_RANGE: 5,
+    
+    // How long the list of rooms in range is cached before it is rebuilt
+    ROOM_LIST_TTL: 10000,
+    
+    // Rooms that gave no vision when observed are skipped for this long
+    UNOBSERVABLE_TIMEOUT: 10000,
+    
+    /**
+     * Record the room observed last tick and observe the next one
+     * @param {Room} room - The room to manage
+     */
+    run: function(room) {
+        // Observers are only available at RCL 8
+        if (!room.controller || room.controller.level < 8) return;
+        
+        const observer = this.getObserver(room);
+        if (!observer) return;
+        
+        if (!room.memory.observer) room.memory.observer = { target: null, requested: 0, observed: 0, unobservable: {} };
+        const state = room.memory.observer;
+        
+        // Vision from an observation arrives the tick after it was requested and is gone the tick after that
+        let next = null;
+        if (state.target && Game.rooms[state.target]) {
+            roleScout.recordRoomIntel(Game.rooms[state.target], room.name);
+            state.observed++;
+        } else if (state.target && state.requested === Game.time - 1) {
+            state.unobservable[state.target] = Game.time;
+        } else if (state.target) {
+            // A skipped run (CPU recovery) lets the vision lapse - that says nothing about the room
+            next = state.target;
+        }
+        
+        if (!next) next = this.getNextRoom(room, state);
+        state.target = next && observer.observeRoom(next) === OK ? next : null;
+        state.requested = Game.time;
+    },
+    
+    /**
+     * Get a room's observer
+     * @param {Room} room - The room
+     * @returns {StructureObserver|null} - The observer or null
+     */
+    getObserver: function(room) {
+        return room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_OBSERVER
+        })[0] || null;
+    },
+    
+    /**
+     * Check if a room's intel is kept by an observer instead of scouts
+     * @param {Room} room - The room
+     * @returns {boolean} - True if the observer sweeps for this room
+     */
+    hasObserver: function(room) {
+        return !!room.controller && room.controller.level >= 8 && !!this.getObserver(room);
+    },
+    
+    /**
+     * Pick the room in range with the oldest intel - rooms never scouted come first, nearest first
+     * @param {Room} room - The observing room
+     * @param {Object} state - Observer memory
+     * @returns {string|null} - Room to observe or null
+     */
+    getNextRoom: function(room, state) {
+        const rooms = Memory.remoteOps && Memory.remoteOps.rooms ? Memory.remoteOps.rooms : {};
+        
+        for (const roomName in state.unobservable) {
+            if (Game.time - state.unobservable[roomName] > this.UNOBSERVABLE_TIMEOUT) delete state.unobservable[roomName];
+        }
+        
+        let best = null;
+        let bestAge = -1;
+        for (const roomName of this.getRoomsInRange(room)) {
+            if (roomName === state.target || state.unobservable[roomName]) continue;
+            
+            // Our own rooms are always visible
+            const visible = Game.rooms[roomName];
+            if (visible && visible.controller && visible.controller.my) continue;
+            
+            const age = Game.time - (rooms[roomName] ? rooms[roomName].lastScout || 0 : 0);
+            if (age > bestAge) {
+                bestAge = age;
+                best = roomName;
+            }
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Get the rooms within scan range of a room, nearest first, skipping rooms in another zone
+     * @param {Room} room - The observing room
+     * @returns {Array} - Room names
+     */
+    getRoomsInRange: function(room) {
+        if (!global.observerRoomCache) global.observerRoomCache = {};
+        
+        const cached = global.observerRoomCache[room.name];
+        if (cached && Game.time - cached.built < this.ROOM_LIST_TTL) return cached.rooms;
+        
+        const range = Math.min(this.SCAN_RANGE, OBSERVER_RANGE);
+        const origin = this.parseRoomName(room.name);
+        const status = Game.map.getRoomStatus(room.name).status;
+        const rooms = [];
+        
+        for (let dx = -range; dx <= range; dx++) {
+            for (let dy = -range; dy <= range; dy++) {
+                if (dx === 0 && dy === 0) continue;
+                
+                const roomName = this.roomNameFromCoords(origin.x + dx, origin.y + dy);
+                
+                // Closed, novice and respawn areas can't be reached from here
+                if (Game.map.getRoomStatus(roomName).status !== status) continue;
+                
+                rooms.push(roomName);
+            }
+        }
+        
+        const sorted = _.sortBy(rooms, roomName => Game.map.getRoomLinearDistance(room.name, roomName));
+        global.observerRoomCache[room.name] = { built: Game.time, rooms: sorted };
+        return sorted;
+    },
+    
+    /**
+     * Convert a room name to world coordinates
+     * @param {string} roomName - Room name such as W1N1
+     * @returns {Object} - {x, y} with x growing east and y growing south
+     */
+    parseRoomName: function(roomName) {
+        const match = roomName.match(/^([WE])(\d+)([NS])(\d+)$/);
+        const x = parseInt(match[2]);
+        const y = parseInt(match[4]);
+        
+        return {
+            x: match[1] === 'W' ? -x - 1 : x,
+            y: match[3] === 'N' ? -y - 1 : y
+        };
+    },
+    
+    /**
+     * Convert world coordinates back to a room name
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {string} - Room name
+     */
+    roomNameFromCoords: function(x, y) {
+        const horizontal = x < 0 ? `W${-x - 1}` : `E${x}`;
+        const vertical = y < 0 ? `N${-y - 1}` : `S${y}`;
+        return horizontal + vertical;
+    },
+    
+    /**
+     * Describe each observer's sweep for the console
+     * @returns {string} - Status listing
+     */
+    getStatusReport: function() {
+        const rooms = Memory.remoteOps && Memory.remoteOps.rooms ? Memory.remoteOps.rooms : {};
+        
+        let output = 'Observers:\n';
+        for (const roomName in Game.rooms) {
+            const room = Game.rooms[roomName];
+            if (!room.controller || !room.controller.my || !this.getObserver(room) || !room.memory.observer) continue;
+            
+            const inRange = this.getRoomsInRange(room);
+            const ages = inRange.map(name => rooms[name] && rooms[name].lastScout ? Game.time - rooms[name].lastScout : Infinity);
+            const known = ages.filter(age => age !== Infinity).length;
+            const oldest = known < ages.length ? 'never' : `${_.max(ages)} ticks`;
+            
+            output += `  ${roomName}: ${room.memory.observer.observed} observed, ${known}/${inRange.length} rooms known, ` +
+                `oldest intel ${oldest}, next ${room.memory.observer.target || 'none'}\n`;
+        }
+        return output;
+    }
+};
+
+module.exports = observerManager;
@@ -93,6 +93,9 @@ const performanceMonitor = {
         this.moduleStats[name].maxCpu = Math.max(this.moduleStats[name].maxCpu, cpuUsed);
         this.moduleStats[name].minCpu = Math.min(this.moduleStats[name].minCpu, cpuUsed);
         
+        // Module CPU is also persisted by the stats collector, which survives global resets
+        require('statsManager').recordCpu(name, cpuUsed);
+        
         return result;
     },
     
@@ -0,0 +1,382 @@
+/**
+ * Power Manager - Processes power and runs operator power creeps
+ * The power spawn is kept stocked and burns power while the room has spare energy;
+ * each operator lives in a home room with a power spawn, generating ops and boosting spawns, extensions and sources
+ */
+const linkManager = require('linkManager');
+const movementManager = require('movementManager');
+const roomManager = require('roomManager');
+const spawnManager = require('spawnManager');
+const terminalManager = require('terminalManager');
+
+const powerManager = {
+    // Power is only processed while storage and terminal hold this much energy
+    PROCESS_ENERGY_ABOVE: 150000,
+    
+    // The power spawn is topped up once it falls below this share of its capacity
+    REFILL_RATIO: 0.5,
+    
+    // How often power spawns are restocked and operators upgraded
+    LOGISTICS_INTERVAL: 10,
+    
+    // Operator powers in the order levels are spent on them
+    OPERATOR_POWERS: [PWR_GENERATE_OPS, PWR_OPERATE_SPAWN, PWR_OPERATE_EXTENSION, PWR_REGEN_SOURCE],
+    
+    // Operators head back to the power spawn for renewal below this many ticks to live
+    RENEW_BELOW: 1000,
+    
+    // Ops an operator keeps on hand - any more are stored, any less are topped up from storage
+    OPS_CARRY: 300,
+    
+    // Extensions are refilled by power once the room's spawn energy drops below this share
+    EXTENSION_REFILL_RATIO: 0.5,
+    
+    /**
+     * Stock the power spawn and process power for a room
+     * @param {Room} room - The room to manage
+     */
+    run: function(room) {
+        // Power spawns are only available at RCL 8
+        if (!room.controller || room.controller.level < 8) return;
+        
+        const powerSpawn = this.getPowerSpawn(room);
+        if (!powerSpawn) return;
+        
+        if (Game.time % this.LOGISTICS_INTERVAL === 0) {
+            this.manageLogistics(room, powerSpawn);
+        }
+        
+        if (powerSpawn.store[RESOURCE_POWER] >= 1 &&
+            powerSpawn.store[RESOURCE_ENERGY] >= POWER_SPAWN_ENERGY_RATIO &&
+            terminalManager.getStock(room, RESOURCE_ENERGY) >= this.PROCESS_ENERGY_ABOVE) {
+            powerSpawn.processPower();
+        }
+    },
+    
+    /**
+     * Get a room's power spawn
+     * @param {Room} room - The room
+     * @returns {StructurePowerSpawn|null} - The power spawn or null
+     */
+    getPowerSpawn: function(room) {
+        if (!room) return null;
+        
+        return room.find(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_POWER_SPAWN
+        })[0] || null;
+    },
+    
+    /**
+     * Queue hauler jobs to keep the power spawn stocked with power and energy
+     * @param {Room} room - The room
+     * @param {StructurePowerSpawn} powerSpawn - The power spawn
+     */
+    manageLogistics: function(room, powerSpawn) {
+        const capacities = {
+            [RESOURCE_POWER]: POWER_SPAWN_POWER_CAPACITY,
+            [RESOURCE_ENERGY]: POWER_SPAWN_ENERGY_CAPACITY
+        };
+        
+        for (const resourceType in capacities) {
+            const stored = powerSpawn.store[resourceType];
+            if (stored >= capacities[resourceType] * this.REFILL_RATIO) continue;
+            
+            const source = [room.storage, room.terminal].find(s => s && s.store[resourceType] > 0);
+            if (!source) continue;
+            
+            roomManager.addHaulJob(room, `powerSpawn_${resourceType}`, {
+                from: source.id,
+                to: powerSpawn.id,
+                resourceType: resourceType,
+                amount: Math.min(capacities[resourceType] - stored, source.store[resourceType])
+            });
+        }
+    },
+    
+    /**
+     * Create, upgrade and run every operator power creep
+     */
+    runPowerCreeps: function() {
+        if (Game.gpl.level > 0) this.createOperator();
+        
+        for (const name in Game.powerCreeps) {
+            const powerCreep = Game.powerCreeps[name];
+            if (powerCreep.className !== POWER_CLASS.OPERATOR) continue;
+            
+            try {
+                if (Game.time % this.LOGISTICS_INTERVAL === 0) this.upgradeOperator(powerCreep);
+                this.runOperator(powerCreep);
+            } catch (error) {
+                console.log(`Error running power creep ${name}: ${error}`);
+            }
+        }
+    },
+    
+    /**
+     * Get the power levels not yet spent on creating or upgrading power creeps
+     * @returns {number} - Free power levels
+     */
+    getFreeLevels: function() {
+        return Game.gpl.level - _.sum(Game.powerCreeps, powerCreep => powerCreep.level + 1);
+    },
+    
+    /**
+     * Create an operator once the account has a free power level and no operator yet
+     */
+    createOperator: function() {
+        if (_.some(Game.powerCreeps, powerCreep => powerCreep.className === POWER_CLASS.OPERATOR)) return;
+        if (this.getFreeLevels() < 1) return;
+        
+        const name = `Operator_${Game.time}`;
+        if (PowerCreep.create(name, POWER_CLASS.OPERATOR) === OK) {
+            console.log(`Created operator power creep ${name}`);
+        }
+    },
+    
+    /**
+     * Spend a free power level on the first operator power that can still be raised
+     * @param {PowerCreep} powerCreep - The operator
+     */
+    upgradeOperator: function(powerCreep) {
+        if (this.getFreeLevels() < 1) return;
+        
+        for (const power of this.OPERATOR_POWERS) {
+            const info = POWER_INFO[power];
+            const level = powerCreep.powers[power] ? powerCreep.powers[power].level : 0;
+            
+            // Each power level needs a minimum creep level
+            if (level >= info.level.length || powerCreep.level < info.level[level]) continue;
+            
+            if (powerCreep.upgrade(power) === OK) {
+                console.log(`Power creep ${powerCreep.name} upgraded power ${power} to level ${level + 1}`);
+                return;
+            }
+        }
+    },
+    
+    /**
+     * Get an operator's home room, moving it to another room with a power spawn if needed
+     * @param {PowerCreep} powerCreep - The operator
+     * @returns {string|null} - Home room name
+     */
+    getHomeRoom: function(powerCreep) {
+        const current = powerCreep.memory.homeRoom;
+        if (current && this.getPowerSpawn(Game.rooms[current])) return current;
+        
+        const home = _.find(Game.rooms, room => room.controller && room.controller.my && this.getPowerSpawn(room));
+        powerCreep.memory.homeRoom = home ? home.name : null;
+        return powerCreep.memory.homeRoom;
+    },
+    
+    /**
+     * Spawn, renew and work an operator
+     * @param {PowerCreep} powerCreep - The operator
+     */
+    runOperator: function(powerCreep) {
+        const homeRoom = this.getHomeRoom(powerCreep);
+        if (!homeRoom) return;
+        
+        const room = Game.rooms[homeRoom];
+        const powerSpawn = this.getPowerSpawn(room);
+        
+        // Operators out of play respawn at their home power spawn once the cooldown is over
+        if (powerCreep.ticksToLive === undefined) {
+            if (powerCreep.spawnCooldownTime && powerCreep.spawnCooldownTime > Date.now()) return;
+            if (powerCreep.spawn(powerSpawn) === OK) {
+                console.log(`Spawning power creep ${powerCreep.name} in ${homeRoom}`);
+            }
+            return;
+        }
+        
+        if (powerCreep.room.name !== homeRoom) {
+            movementManager.moveToRoom(powerCreep, homeRoom);
+            return;
+        }
+        
+        if (powerCreep.ticksToLive < this.RENEW_BELOW) {
+            if (powerCreep.renew(powerSpawn) === ERR_NOT_IN_RANGE) {
+                movementManager.moveToTarget(powerCreep, powerSpawn);
+            }
+            return;
+        }
+        
+        // Powers only work in rooms whose controller has been enabled
+        if (!room.controller.isPowerEnabled) {
+            if (powerCreep.enableRoom(room.controller) === ERR_NOT_IN_RANGE) {
+                movementManager.moveToTarget(powerCreep, room.controller);
+            }
+            return;
+        }
+        
+        // One power per tick - ops are only generated when nothing else is cast
+        const task = this.getTask(powerCreep, room);
+        if (task) {
+            const range = POWER_INFO[task.power].range;
+            if (powerCreep.pos.inRangeTo(task.target, range)) {
+                powerCreep.usePower(task.power, task.target);
+                return;
+            }
+            movementManager.moveToTarget(powerCreep, task.target, { range: range });
+        } else {
+            this.manageOps(powerCreep, room);
+        }
+        
+        if (this.canUsePower(powerCreep, PWR_GENERATE_OPS)) {
+            powerCreep.usePower(PWR_GENERATE_OPS);
+        }
+    },
+    
+    /**
+     * Pick the most useful power to cast in the home room
+     * @param {PowerCreep} powerCreep - The operator
+     * @param {Room} room - The home room
+     * @returns {Object|null} - {power, target} or null
+     */
+    getTask: function(powerCreep, room) {
+        // Spawns working through a queue spawn faster
+        if (this.canUsePower(powerCreep, PWR_OPERATE_SPAWN) && spawnManager.getQueue(room.name).length > 0) {
+            const spawn = _.find(room.find(FIND_MY_SPAWNS), s => s.spawning && !this.hasEffect(s, PWR_OPERATE_SPAWN));
+            if (spawn) return { power: PWR_OPERATE_SPAWN, target: spawn };
+        }
+        
+        // Refill extensions straight from storage when haulers fall behind
+        if (this.canUsePower(powerCreep, PWR_OPERATE_EXTENSION) && room.storage &&
+            room.energyAvailable < room.energyCapacityAvailable * this.EXTENSION_REFILL_RATIO &&
+            room.storage.store[RESOURCE_ENERGY] > 0) {
+            return { power: PWR_OPERATE_EXTENSION, target: room.storage };
+        }
+        
+        if (this.canUsePower(powerCreep, PWR_REGEN_SOURCE)) {
+            const source = _.find(room.find(FIND_SOURCES), s => !this.hasEffect(s, PWR_REGEN_SOURCE));
+            if (source) return { power: PWR_REGEN_SOURCE, target: source };
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Keep an idle operator's ops near OPS_CARRY by trading with storage
+     * @param {PowerCreep} powerCreep - The operator
+     * @param {Room} room - The home room
+     */
+    manageOps: function(powerCreep, room) {
+        const storage = room.storage;
+        if (!storage) return;
+        
+        const ops = powerCreep.store[RESOURCE_OPS];
+        let result = OK;
+        if (ops > this.OPS_CARRY) {
+            result = powerCreep.transfer(storage, RESOURCE_OPS, ops - this.OPS_CARRY);
+        } else if (ops < this.OPS_CARRY && storage.store[RESOURCE_OPS] > 0) {
+            result = powerCreep.withdraw(storage, RESOURCE_OPS,
+                Math.min(this.OPS_CARRY - ops, storage.store[RESOURCE_OPS], powerCreep.store.getFreeCapacity()));
+        }
+        
+        // Wait next to storage so ops can be swapped without a trip
+        if (result === ERR_NOT_IN_RANGE || !this.isParkingTile(room, powerCreep.pos)) {
+            const park = this.getParkingTile(room);
+            if (park) {
+                movementManager.moveToTarget(powerCreep, park, { range: 0 });
+            } else {
+                movementManager.moveToTarget(powerCreep, storage);
+            }
+        }
+    },
+    
+    /**
+     * Find a free tile for an idle operator next to storage
+     * @param {Room} room - The home room
+     * @returns {RoomPosition|null} - Tile to wait on, or null if every tile next to storage is taken
+     */
+    getParkingTile: function(room) {
+        const terrain = room.getTerrain();
+        const center = room.storage.pos;
+        
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const x = center.x + dx;
+                const y = center.y + dy;
+                if (x < 1 || x > 48 || y < 1 || y > 48 || terrain.get(x, y) === TERRAIN_MASK_WALL) continue;
+                
+                const pos = new RoomPosition(x, y, room.name);
+                if (pos.lookFor(LOOK_CREEPS).length > 0 || pos.lookFor(LOOK_POWER_CREEPS).length > 0) continue;
+                if (this.isParkingTile(room, pos)) return pos;
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Check if a tile next to storage keeps an operator out of the way
+     * Haulers empty the hub link from the tiles it shares with storage, and roads carry traffic
+     * @param {Room} room - The home room
+     * @param {RoomPosition} pos - The tile
+     * @returns {boolean} - True if an operator can wait there
+     */
+    isParkingTile: function(room, pos) {
+        if (!pos.isNearTo(room.storage)) return false;
+        
+        const hubLink = linkManager.getHubLink(room);
+        if (hubLink && pos.isNearTo(hubLink)) return false;
+        
+        return !pos.lookFor(LOOK_STRUCTURES).some(s =>
+            s.structureType === STRUCTURE_ROAD || OBSTACLE_OBJECT_TYPES.includes(s.structureType));
+    },
+    
+    /**
+     * Check if an operator has a power ready and the ops to cast it
+     * @param {PowerCreep} powerCreep - The operator
+     * @param {number} power - Power constant
+     * @returns {boolean} - True if the power can be used now
+     */
+    canUsePower: function(powerCreep, power) {
+        const learned = powerCreep.powers[power];
+        if (!learned || learned.cooldown > 0) return false;
+        
+        return powerCreep.store[RESOURCE_OPS] >= (POWER_INFO[power].ops || 0);
+    },
+    
+    /**
+     * Check if an object is already under a power's effect
+     * @param {RoomObject} target - The object
+     * @param {number} power - Power constant
+     * @returns {boolean} - True if the effect is active
+     */
+    hasEffect: function(target, power) {
+        return (target.effects || []).some(effect => effect.effect === power);
+    },
+    
+    /**
+     * Describe power processing and operators for the console
+     * @returns {string} - Status listing
+     */
+    getStatusReport: function() {
+        let output = 'Power spawns:\n';
+        for (const roomName in Game.rooms) {
+            const room = Game.rooms[roomName];
+            if (!room.controller || !room.controller.my) continue;
+            
+            const powerSpawn = this.getPowerSpawn(room);
+            if (!powerSpawn) continue;
+            
+            const energy = terminalManager.getStock(room, RESOURCE_ENERGY);
+            const state = energy >= this.PROCESS_ENERGY_ABOVE ? 'processing' : `paused (energy ${energy}/${this.PROCESS_ENERGY_ABOVE})`;
+            output += `  ${roomName}: ${state}, power ${powerSpawn.store[RESOURCE_POWER]}, ` +
+                `${terminalManager.getStock(room, RESOURCE_POWER)} in stock\n`;
+        }
+        
+        output += `Operators (GPL ${Game.gpl.level}, ${Math.max(0, this.getFreeLevels())} free levels):\n`;
+        for (const name in Game.powerCreeps) {
+            const powerCreep = Game.powerCreeps[name];
+            if (powerCreep.className !== POWER_CLASS.OPERATOR) continue;
+            
+            const where = powerCreep.ticksToLive === undefined ? 'not spawned' :
+                `in ${powerCreep.room.name}, ${powerCreep.ticksToLive} ticks, ${powerCreep.store[RESOURCE_OPS]} ops`;
+            output += `  ${name} level ${powerCreep.level}, home ${powerCreep.memory.homeRoom || 'none'}: ${where}\n`;
+        }
+        return output;
+    }
+};
+
+module.exports = powerManager;
@@ -3,8 +3,18 @@
  * Optimized for CPU efficiency and resiliency
  */
 const utils = require('utils');
+const bodyPlanner = require('bodyPlanner');
 
 const remoteManager = {
+    // Maximum CPU remote operations may use in a single run
+    CPU_BUDGET: 3,
+    
+    // Ticks of income/upkeep collected before a remote is judged
+    ECONOMY_WINDOW: 3000,
+    
+    // Ticks an unprofitable remote is left alone before it can be picked again
+    UNPROFITABLE_COOLDOWN: 20000,
+    
     /**
      * Initialize remote operations memory
      */
@@ -17,6 +27,12 @@ const remoteManager = {
                 activeRemotes: {}
             };
         }
+        
+        // Reservation checks compare against our username
+        if (!Memory.username) {
+            const spawn = _.find(Game.spawns, s => s.owner);
+            if (spawn) Memory.username = spawn.owner.username;
+        }
     },
     
     /**
@@ -36,13 +52,29 @@ const remoteManager = {
         // Initialize memory
         this.initMemory();
         
+        const startCpu = Game.cpu.getUsed();
+        
+        // Update remote room data first so decisions use fresh intel
+        this.updateRemoteRooms();
+        
+        // Owned rooms from RCL 3 in a fixed order, starting with the room the last run ran out of budget on
+        const baseRooms = _.filter(Game.rooms, room => room.controller && room.controller.my && room.controller.level >= 3)
+            .map(room => room.name)
+            .sort();
+        const start = _.sortedIndex(baseRooms, Memory.remoteOps.nextRoom || '') % Math.max(1, baseRooms.length);
+        delete Memory.remoteOps.nextRoom;
+        
         // Process each owned room
-        for (const roomName in Game.rooms) {
+        for (let i = 0; i < baseRooms.length; i++) {
+            const roomName = baseRooms[(start + i) % baseRooms.length];
             const room = Game.rooms[roomName];
-            if (!room.controller || !room.controller.my) continue;
             
-            // Skip rooms below RCL 3
-            if (room.controller.level < 3) continue;
+            // Stop once the budget is spent - remaining rooms go first next run, and every run handles at least one
+            if (i > 0 && Game.cpu.getUsed() - startCpu > this.CPU_BUDGET) {
+                utils.logError('remote_cpu_budget', `Remote operations hit CPU budget (${this.CPU_BUDGET}), deferring ${roomName}`, 100);
+                Memory.remoteOps.nextRoom = roomName;
+                break;
+            }
             
             // Check for adjacent rooms to scout
             this.identifyRoomsToScout(room);
@@ -51,11 +83,7 @@ const remoteManager = {
             this.manageRemoteOperations(room);
         }
         
-        // Update remote room data
-        this.updateRemoteRooms();
-        
-        // Spawn remote creeps as needed
-        this.spawnRemoteCreeps();
+        Memory.remoteOps.lastUpdate = Game.time;
     },
     
     /**
@@ -111,6 +139,10 @@ const remoteManager = {
                 // Check for hostiles
                 const hostiles = room.find(FIND_HOSTILE_CREEPS);
                 roomData.hostiles = hostiles.length > 0;
+                if (roomData.hostiles) roomData.lastHostile = Game.time;
+                
+                // Track whether the room can be reserved
+                roomData.controller = !!room.controller;
                 
                 // Check controller reservation
                 if (room.controller) {
@@ -213,6 +245,9 @@ const remoteManager = {
                 }
             }
         }
+        
+        // Drop remotes that cost more to run than they bring home
+        this.evaluateRemoteEconomy(room);
     },
     
     /**
@@ -233,6 +268,9 @@ const remoteManager = {
             // Skip if already being mined
             if (roomData.mining) continue;
             
+            // Skip if recently dropped for losing energy
+            if (roomData.unprofitableUntil && Game.time < roomData.unprofitableUntil) continue;
+            
             // Skip if has hostiles
             if (roomData.hostiles) continue;
             
@@ -291,7 +329,15 @@ const remoteManager = {
         
         // Count remote creeps
         const scouts = _.filter(Game.creeps, c => c.memory.role === 'scout' && c.memory.homeRoom === roomName).length;
-        output += `Scouts: ${scouts}\n\n`;
+        output += `Scouts: ${scouts}\n`;
+        
+        // Show base room profitability from the last evaluation
+        const room = Game.rooms[roomName];
+        if (room && room.memory.remoteEconomy) {
+            const report = room.memory.remoteEconomy;
+            output += `Net energy: ${report.net} (${report.income} income, ${report.upkeep} upkeep)\n`;
+        }
+        output += `\n`;
         
         // Show info for each remote room
         for (const remoteName of activeRemotes) {
@@ -311,6 +357,12 @@ const remoteManager = {
             // Show hostiles
             output += `Hostiles: ${remoteData.hostiles ? 'YES' : 'No'}\n`;
             
+            // Show economy for the current tracking window
+            if (remoteData.economy) {
+                const economy = remoteData.economy;
+                output += `Economy: ${economy.income} income, ${economy.upkeep} upkeep over ${Game.time - economy.since} ticks\n`;
+            }
+            
             // Show creeps assigned to this room
             const reservers = _.filter(Game.creeps, c => c.memory.role === 'reserver' && c.memory.targetRoom === remoteName).length;
             const miners = _.filter(Game.creeps, c => c.memory.role === 'remoteMiner' && c.memory.targetRoom === remoteName).length;
@@ -358,50 +410,49 @@ const remoteManager = {
     },
     
     /**
-     * Spawn remote creeps as needed
+     * Get the next remote creep a base room should spawn
+     * Called by spawnManager once the local economy is satisfied
+     * @param {Room} room - The base room
+     * @returns {Object|null} - Spawn request ({role, body, memory}) or null
      */
-    spawnRemoteCreeps: function() {
-        // Skip if CPU is low
-        if (!utils.shouldExecute('medium')) return;
+    getSpawnRequest: function(room) {
+        if (!Memory.remoteOps || !Memory.remoteOps.activeRemotes) return null;
         
-        // Process each base room
-        for (const baseRoomName in Memory.remoteOps.activeRemotes) {
-            const baseRoom = Game.rooms[baseRoomName];
-            if (!baseRoom) continue;
-            
-            // Skip if room is not ready
-            if (baseRoom.controller.level < 3) continue;
-            
-            // Skip if no spawns available
-            const spawns = baseRoom.find(FIND_MY_SPAWNS, {
-                filter: s => !s.spawning
-            });
-            if (spawns.length === 0) continue;
+        // Skip if room is not ready
+        if (!room.controller || room.controller.level < 3) return null;
+        
+        const activeRemotes = Memory.remoteOps.activeRemotes[room.name];
+        if (!activeRemotes) return null;
+        
+        // Scouts keep intel fresh for the whole pipeline
+        const scoutRequest = this.getScoutRequest(room);
+        if (scoutRequest) return scoutRequest;
+        
+        // Miners first, then haulers to move their output, then reservers
+        for (const remoteRoomName of activeRemotes) {
+            if (!Memory.remoteOps.rooms[remoteRoomName]) continue;
             
-            // Check if we need to spawn a scout
-            this.spawnScoutIfNeeded(baseRoom, spawns[0]);
+            // Don't send fresh creeps through a room under attack
+            if (require('defenseManager').isRouteThreatened(room.name, remoteRoomName)) continue;
             
-            // Process each active remote room
-            for (const remoteRoomName of Memory.remoteOps.activeRemotes[baseRoomName]) {
-                const remoteData = Memory.remoteOps.rooms[remoteRoomName];
-                if (!remoteData) continue;
-                
-                // Spawn reserver if needed
-                this.spawnReserverIfNeeded(baseRoom, spawns[0], remoteRoomName);
-                
-                // Spawn remote miners and haulers
-                this.spawnRemoteMinersIfNeeded(baseRoom, spawns[0], remoteRoomName);
-                this.spawnRemoteHaulersIfNeeded(baseRoom, spawns[0], remoteRoomName);
-            }
+            const request = this.getRemoteMinerRequest(room, remoteRoomName) ||
+                          this.getRemoteHaulerRequest(room, remoteRoomName) ||
+                          this.getReserverRequest(room, remoteRoomName);
+            if (request) return request;
         }
+        
+        return null;
     },
     
     /**
-     * Spawn a scout if needed
+     * Get a scout spawn request if needed
      * @param {Room} room - The base room
-     * @param {StructureSpawn} spawn - The spawn to use
+     * @returns {Object|null} - Spawn request or null
      */
-    spawnScoutIfNeeded: function(room, spawn) {
+    getScoutRequest: function(room) {
+        // An observer keeps intel fresh without scouts
+        if (require('observerManager').hasObserver(room)) return null;
+        
         // Count existing scouts
         const scouts = _.filter(Game.creeps, c => 
             c.memory.role === 'scout' && 
@@ -409,7 +460,7 @@ const remoteManager = {
         );
         
         // Only need one scout per room
-        if (scouts.length >= 1) return;
+        if (scouts.length >= 1) return null;
         
         // Find rooms that need scouting
         let needsScouting = false;
@@ -433,39 +484,37 @@ const remoteManager = {
             }
         }
         
-        // Spawn scout if needed
-        if (needsScouting) {
-            const body = [MOVE];
-            const name = `Scout_${Game.time}`;
-            
-            const result = spawn.spawnCreep(body, name, {
-                memory: {
-                    role: 'scout',
-                    homeRoom: room.name,
-                    roomComplete: false
-                }
-            });
-            
-            if (result === OK) {
-                console.log(`Spawning scout in ${room.name}`);
+        if (!needsScouting) return null;
+        
+        return {
+            role: 'scout',
+            body: bodyPlanner.getBody('scout', room.energyCapacityAvailable),
+            name: `Scout_${Game.time}`,
+            memory: {
+                role: 'scout',
+                homeRoom: room.name,
+                roomComplete: false
             }
-        }
+        };
     },
     
     /**
-     * Spawn a reserver if needed
+     * Get a reserver spawn request if needed
      * @param {Room} room - The base room
-     * @param {StructureSpawn} spawn - The spawn to use
      * @param {string} remoteRoomName - The remote room name
+     * @returns {Object|null} - Spawn request or null
      */
-    spawnReserverIfNeeded: function(room, spawn, remoteRoomName) {
+    getReserverRequest: function(room, remoteRoomName) {
         // Skip if room level is too low for reservers
-        if (room.controller.level < 4) return;
+        if (room.controller.level < 4) return null;
+        
+        // Two CLAIM parts need 1300 energy capacity
+        if (room.energyCapacityAvailable < 1300) return null;
         
         const remoteData = Memory.remoteOps.rooms[remoteRoomName];
         
         // Skip if no controller
-        if (!remoteData.controller) return;
+        if (!remoteData.controller) return null;
         
         // Check if reservation is needed
         let needsReservation = false;
@@ -481,43 +530,39 @@ const remoteManager = {
             needsReservation = true;
         }
         
+        if (!needsReservation) return null;
+        
         // Count existing reservers for this room
         const reservers = _.filter(Game.creeps, c => 
             c.memory.role === 'reserver' && 
             c.memory.targetRoom === remoteRoomName
         );
         
-        // Spawn reserver if needed
-        if (needsReservation && reservers.length === 0) {
-            // Basic reserver body
-            const body = [CLAIM, CLAIM, MOVE, MOVE];
-            const name = `Reserver_${Game.time}`;
-            
-            const result = spawn.spawnCreep(body, name, {
-                memory: {
-                    role: 'reserver',
-                    homeRoom: room.name,
-                    targetRoom: remoteRoomName
-                }
-            });
-            
-            if (result === OK) {
-                console.log(`Spawning reserver for ${remoteRoomName} from ${room.name}`);
+        if (reservers.length > 0) return null;
+        
+        return {
+            role: 'reserver',
+            body: bodyPlanner.getBody('reserver', room.energyCapacityAvailable),
+            name: `Reserver_${Game.time}`,
+            memory: {
+                role: 'reserver',
+                homeRoom: room.name,
+                targetRoom: remoteRoomName
             }
-        }
+        };
     },
     
     /**
-     * Spawn remote miners if needed
+     * Get a remote miner spawn request if a source is uncovered
      * @param {Room} room - The base room
-     * @param {StructureSpawn} spawn - The spawn to use
      * @param {string} remoteRoomName - The remote room name
+     * @returns {Object|null} - Spawn request or null
      */
-    spawnRemoteMinersIfNeeded: function(room, spawn, remoteRoomName) {
+    getRemoteMinerRequest: function(room, remoteRoomName) {
         const remoteData = Memory.remoteOps.rooms[remoteRoomName];
         
         // Skip if no source positions
-        if (!remoteData.sourcePositions || remoteData.sourcePositions.length === 0) return;
+        if (!remoteData.sourcePositions || remoteData.sourcePositions.length === 0) return null;
         
         // Count existing miners for each source
         const miners = _.filter(Game.creeps, c => 
@@ -525,57 +570,44 @@ const remoteManager = {
             c.memory.targetRoom === remoteRoomName
         );
         
-        // Check each source
+        // Find the first source without a miner
         for (const sourcePos of remoteData.sourcePositions) {
-            // Check if this source already has a miner
-            const hasMiner = miners.some(m => m.memory.sourceId === sourcePos.id);
-            
-            // Spawn miner if needed
-            if (!hasMiner) {
-                // Calculate body based on room energy
-                let body;
-                const energy = room.energyCapacityAvailable;
-                
-                if (energy >= 800) {
-                    body = [WORK, WORK, WORK, WORK, WORK, WORK, CARRY, MOVE, MOVE, MOVE];
-                } else if (energy >= 550) {
-                    body = [WORK, WORK, WORK, WORK, CARRY, MOVE, MOVE];
-                } else {
-                    body = [WORK, WORK, CARRY, MOVE];
-                }
-                
-                const name = `RMiner_${Game.time}`;
-                
-                const result = spawn.spawnCreep(body, name, {
-                    memory: {
-                        role: 'remoteMiner',
-                        homeRoom: room.name,
-                        targetRoom: remoteRoomName,
-                        sourceId: sourcePos.id
-                    }
-                });
-                
-                if (result === OK) {
-                    console.log(`Spawning remote miner for ${remoteRoomName} from ${room.name}`);
+            if (miners.some(m => m.memory.sourceId === sourcePos.id)) continue;
+            
+            return {
+                role: 'remoteMiner',
+                body: bodyPlanner.getBody('remoteMiner', room.energyCapacityAvailable),
+                name: `RMiner_${Game.time}`,
+                memory: {
+                    role: 'remoteMiner',
+                    homeRoom: room.name,
+                    targetRoom: remoteRoomName,
+                    sourceId: sourcePos.id
                 }
-                
-                // Only spawn one miner per cycle
-                return;
-            }
+            };
         }
+        
+        return null;
     },
     
     /**
-     * Spawn remote haulers if needed
+     * Get a remote hauler spawn request if the remote is under-served
      * @param {Room} room - The base room
-     * @param {StructureSpawn} spawn - The spawn to use
      * @param {string} remoteRoomName - The remote room name
+     * @returns {Object|null} - Spawn request or null
      */
-    spawnRemoteHaulersIfNeeded: function(room, spawn, remoteRoomName) {
+    getRemoteHaulerRequest: function(room, remoteRoomName) {
         const remoteData = Memory.remoteOps.rooms[remoteRoomName];
         
         // Skip if no sources
-        if (!remoteData.sources || remoteData.sources === 0) return;
+        if (!remoteData.sources || remoteData.sources === 0) return null;
+        
+        // Don't send haulers before there is a miner to haul for
+        const hasMiner = _.some(Game.creeps, c => 
+            c.memory.role === 'remoteMiner' && 
+            c.memory.targetRoom === remoteRoomName
+        );
+        if (!hasMiner) return null;
         
         // Count existing haulers
         const haulers = _.filter(Game.creeps, c => 
@@ -593,38 +625,115 @@ const remoteManager = {
             neededHaulers += Math.floor(route.length / 2);
         }
         
-        // Spawn hauler if needed
-        if (haulers.length < neededHaulers) {
-            // Calculate body based on room energy
-            let body;
-            const energy = room.energyCapacityAvailable;
-            
-            if (energy >= 1000) {
-                // Balanced hauler with 10 CARRY, 5 MOVE
-                body = [CARRY, CARRY, CARRY, CARRY, CARRY, CARRY, CARRY, CARRY, CARRY, CARRY, MOVE, MOVE, MOVE, MOVE, MOVE];
-            } else if (energy >= 600) {
-                // Medium hauler with 6 CARRY, 3 MOVE
-                body = [CARRY, CARRY, CARRY, CARRY, CARRY, CARRY, MOVE, MOVE, MOVE];
-            } else {
-                // Small hauler with 4 CARRY, 2 MOVE
-                body = [CARRY, CARRY, CARRY, CARRY, MOVE, MOVE];
+        if (haulers.length >= neededHaulers) return null;
+        
+        return {
+            role: 'remoteHauler',
+            body: bodyPlanner.getBody('remoteHauler', room.energyCapacityAvailable),
+            name: `RHauler_${Game.time}`,
+            memory: {
+                role: 'remoteHauler',
+                homeRoom: room.name,
+                targetRoom: remoteRoomName,
+                working: false
             }
+        };
+    },
+    
+    /**
+     * Record energy delivered home from a remote room
+     * @param {string} remoteRoomName - The remote room the energy came from
+     * @param {number} amount - Energy delivered
+     */
+    recordIncome: function(remoteRoomName, amount) {
+        const economy = this.getEconomy(remoteRoomName);
+        if (economy) economy.income += amount;
+    },
+    
+    /**
+     * Record the spawn cost of a creep serving a remote room
+     * @param {string} remoteRoomName - The remote room the creep serves
+     * @param {number} cost - Body cost in energy
+     */
+    recordUpkeep: function(remoteRoomName, cost) {
+        const economy = this.getEconomy(remoteRoomName);
+        if (economy) economy.upkeep += cost;
+    },
+    
+    /**
+     * Get (and initialize) the economy tracking window for a remote room
+     * @param {string} remoteRoomName - The remote room name
+     * @returns {Object|null} - Economy data or null if the room is not tracked
+     */
+    getEconomy: function(remoteRoomName) {
+        if (!Memory.remoteOps || !Memory.remoteOps.rooms[remoteRoomName]) return null;
+        
+        const remoteData = Memory.remoteOps.rooms[remoteRoomName];
+        if (!remoteData.economy) {
+            remoteData.economy = {
+                income: 0,
+                upkeep: 0,
+                since: Game.time
+            };
+        }
+        
+        return remoteData.economy;
+    },
+    
+    /**
+     * Evaluate remote profitability for a base room and drop losing remotes
+     * @param {Room} room - The base room
+     */
+    evaluateRemoteEconomy: function(room) {
+        const activeRemotes = Memory.remoteOps.activeRemotes[room.name];
+        const report = {
+            income: 0,
+            upkeep: 0,
+            net: 0,
+            remotes: {},
+            updated: Game.time
+        };
+        
+        for (let i = 0; i < activeRemotes.length; i++) {
+            const remoteName = activeRemotes[i];
+            const remoteData = Memory.remoteOps.rooms[remoteName];
+            const economy = this.getEconomy(remoteName);
+            if (!economy) continue;
             
-            const name = `RHauler_${Game.time}`;
+            const window = Game.time - economy.since;
             
-            const result = spawn.spawnCreep(body, name, {
-                memory: {
-                    role: 'remoteHauler',
-                    homeRoom: room.name,
-                    targetRoom: remoteRoomName,
-                    working: false
+            // Close the window once it is long enough to cover a full creep lifetime
+            if (window >= this.ECONOMY_WINDOW) {
+                economy.lastNet = economy.income - economy.upkeep;
+                economy.lastIncome = economy.income;
+                economy.lastUpkeep = economy.upkeep;
+                
+                if (economy.lastNet < 0) {
+                    console.log(`Room ${room.name} dropping unprofitable remote ${remoteName} ` +
+                              `(income ${economy.income}, upkeep ${economy.upkeep} over ${window} ticks)`);
+                    activeRemotes.splice(i, 1);
+                    remoteData.mining = false;
+                    remoteData.unprofitableUntil = Game.time + this.UNPROFITABLE_COOLDOWN;
+                    delete remoteData.economy;
+                    i--;
+                    continue;
                 }
-            });
-            
-            if (result === OK) {
-                console.log(`Spawning remote hauler for ${remoteRoomName} from ${room.name}`);
+                
+                economy.income = 0;
+                economy.upkeep = 0;
+                economy.since = Game.time;
             }
+            
+            // Report the last closed window when available, otherwise the running one
+            const income = economy.lastIncome !== undefined ? economy.lastIncome : economy.income;
+            const upkeep = economy.lastUpkeep !== undefined ? economy.lastUpkeep : economy.upkeep;
+            report.remotes[remoteName] = { income, upkeep, net: income - upkeep };
+            report.income += income;
+            report.upkeep += upkeep;
         }
+        
+        report.net = report.income - report.upkeep;
+        room.memory.remoteEconomy = report;
     }
 };
 
@@ -10,9 +10,6 @@ const roleBuilder = {
      * @param {Creep} creep - The creep to run the role for
      */
     run: function(creep) {
-        // Check if we need to move aside for other creeps
-        movementManager.checkAndGiveWay(creep);
-        
         // Initialize building state if not set
         if (creep.memory.building === undefined) {
             creep.memory.building = false;
@@ -222,14 +219,19 @@ const roleBuilder = {
         const target = creep.memory.targetId ? Game.getObjectById(creep.memory.targetId) : null;
         if (!target) return false;
         
-        // Construction site
+        // Construction site - sites an incoming nuke will flatten are left until it has landed
         if (target.progressTotal !== undefined) {
-            return target.progress < target.progressTotal;
+            return target.progress < target.progressTotal && this.isBuildable(creep.room, target);
         }
         // Controller
         else if (target.structureType === STRUCTURE_CONTROLLER) {
             return target.my;
         }
+        // Ramparts raised against an incoming nuke stop at their target
+        else if (target.structureType === STRUCTURE_RAMPART) {
+            const nukeTarget = require('nukeManager').getRampartTarget(creep.room, target.pos);
+            return target.hits < (nukeTarget || target.hitsMax);
+        }
         // Repair target
         else if (target.hits !== undefined && target.hitsMax !== undefined) {
             return target.hits < target.hitsMax;
@@ -254,22 +256,27 @@ const roleBuilder = {
         });
         
         // Find construction sites
-        const constructionSites = creep.room.find(FIND_CONSTRUCTION_SITES);
+        const constructionSites = this.getBuildSites(creep.room);
+        
+        // Ramparts that still need raising before an incoming nuke lands
+        const fortifyTarget = require('nukeManager').getFortifyTarget(creep.room);
         
         // Determine best task based on role and available targets
         let bestTask = 'upgrading'; // Default
         
         if (creep.memory.isRepairer) {
             // Repairer priority: Repair > Construction > Upgrade
-            if (repairTargets.length > 0) {
+            if (repairTargets.length > 0 || fortifyTarget) {
                 bestTask = 'repairing';
             } else if (constructionSites.length > 0) {
                 bestTask = 'building';
             }
         } else {
-            // Builder priority: Construction > Upgrade
+            // Builder priority: Construction > Fortify > Upgrade
             if (constructionSites.length > 0) {
                 bestTask = 'building';
+            } else if (fortifyTarget) {
+                bestTask = 'repairing';
             }
         }
         
@@ -289,6 +296,12 @@ const roleBuilder = {
      */
     findTarget: function(creep) {
         if (creep.memory.task === 'repairing') {
+            // Ramparts racing an incoming nuke come before routine repairs - there is always a road to patch
+            const fortifyTarget = require('nukeManager').getFortifyTarget(creep.room);
+            if (fortifyTarget) {
+                return fortifyTarget;
+            }
+            
             // Find repair targets
             const repairTargets = creep.room.find(FIND_STRUCTURES, {
                 filter: s => s.hits < s.hitsMax * 0.8 && 
@@ -306,7 +319,7 @@ const roleBuilder = {
         
         if (creep.memory.task === 'building' || (creep.memory.task === 'repairing' && !creep.memory.isRepairer)) {
             // Find construction sites
-            const constructionSites = creep.room.find(FIND_CONSTRUCTION_SITES);
+            const constructionSites = this.getBuildSites(creep.room);
             if (constructionSites.length > 0) {
                 return creep.pos.findClosestByRange(constructionSites);
             }
@@ -317,6 +330,28 @@ const roleBuilder = {
         return creep.room.controller;
     },
     
+    /**
+     * Get the construction sites worth building now
+     * @param {Room} room - The room
+     * @returns {Array} - Construction sites
+     */
+    getBuildSites: function(room) {
+        return room.find(FIND_CONSTRUCTION_SITES, {
+            filter: site => this.isBuildable(room, site)
+        });
+    },
+    
+    /**
+     * Check if a construction site is worth building - anything but a rampart inside a nuke's blast would be lost
+     * @param {Room} room - The room
+     * @param {ConstructionSite} site - The site
+     * @returns {boolean} - True if the site should be built
+     */
+    isBuildable: function(room, site) {
+        return site.structureType === STRUCTURE_RAMPART ||
+            !require('nukeManager').isInBlastZone(room, site.pos.x, site.pos.y);
+    },
+    
     /**
      * Assign task based on room needs and creep specialization
      * @param {Creep} creep - The creep to assign task to
@@ -342,14 +377,15 @@ const roleBuilder = {
         });
         
         // Find construction sites
-        const constructionSites = creep.room.find(FIND_CONSTRUCTION_SITES);
+        const constructionSites = this.getBuildSites(creep.room);
+        const fortifyTarget = require('nukeManager').getFortifyTarget(creep.room);
         
         // Task assignment logic
-        if (creep.memory.isRepairer && repairTargets.length > 0) {
+        if (creep.memory.isRepairer && (repairTargets.length > 0 || fortifyTarget)) {
             creep.memory.task = 'repairing';
         } else if (constructionSites.length > 0) {
             creep.memory.task = 'building';
-        } else if (repairTargets.length > 0) {
+        } else if (repairTargets.length > 0 || fortifyTarget) {
             creep.memory.task = 'repairing';
         } else {
             creep.memory.task = 'upgrading';
@@ -1164,95 +1200,6 @@ const roleBuilder = {
         return priority;
     },
     
-    /**
-     * Harvest energy from a source
-     * @param {Creep} creep - The creep to harvest with
-     * @param {Object} source - The energy source
-     */
-    /**
-     * Reset a stuck builder
-     * @param {Creep} creep - The creep to reset
-     */
-    resetStuckBuilder: function(creep) {
-        // Clear all target-related memory
-        delete creep.memory.targetId;
-        delete creep.memory.targetPos;
-        delete creep.memory.lastTargetSearch;
-        delete creep.memory.forceUpgrade;
-        delete creep.memory.errorCount;
-        
-        // For repairers, look for repair targets first
-        if (creep.memory.isRepairer === true) {
-            // Look for repair targets
-            const repairTargets = creep.room.find(FIND_STRUCTURES, {
-                filter: s => s.hits < s.hitsMax * 0.8 && 
-                          (s.structureType === STRUCTURE_CONTAINER || 
-                           s.structureType === STRUCTURE_SPAWN ||
-                           s.structureType === STRUCTURE_EXTENSION ||
-                           s.structureType === STRUCTURE_TOWER ||
-                           s.structureType === STRUCTURE_ROAD)
-            });
-            
-            if (repairTargets.length > 0) {
-                // Find closest repair target
-                const target = this.findClosestByRange(creep, repairTargets);
-                creep.memory.targetId = target.id;
-                creep.memory.targetPos = {
-                    x: target.pos.x,
-                    y: target.pos.y,
-                    roomName: target.pos.roomName
-                };
-                creep.say('🔧');
-                console.log(`Repairer ${creep.name} reset to repair target: ${target.id}`);
-                return;
-            }
-            
-            // If no repair targets, look for construction sites
-            const sites = creep.room.find(FIND_CONSTRUCTION_SITES);
-            if (sites.length > 0) {
-                // Filter out the previous target that caused issues
-                const validSites = sites.filter(site => site.id !== creep.memory.targetId);
-                
-                // If we have other sites, use one of those
-                const sitesToUse = validSites.length > 0 ? validSites : sites;
-                const target = this.findClosestByRange(creep, sitesToUse);
-                
-                // Verify the target is valid before assigning
-                if (target && target.id) {
-                    creep.memory.targetId = target.id;
-                    creep.memory.targetPos = {
-                        x: target.pos.x,
-                        y: target.pos.y,
-                        roomName: target.pos.roomName
-                    };
-                    creep.say('🏗️');
-                    console.log(`Repairer ${creep.name} reset to construction site: ${target.id}`);
-                    return;
-                }
-            }
-            
-            // If nothing to repair or build, just move away from controller
-            const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
-            if (spawn) {
-                creep.moveTo(spawn);
-                creep.say('🏠');
-                console.log(`Repairer ${creep.name} has no targets, moving to spawn`);
-            }
-        } else {
-            // For regular builders, find a new target
-            const target = this.findBuildTarget(creep);
-            if (target) {
-                creep.memory.targetId = target.id;
-                creep.memory.targetPos = {
-                    x: target.pos.x,
-                    y: target.pos.y,
-                    roomName: target.pos.roomName
-                };
-                console.log(`Reset builder ${creep.name}, new target: ${target.id}`);
-            }
-        }
-    },
-    
     /**
      * Find the closest controller container
      * @param {Creep} creep - The upgrader creep
@@ -0,0 +1,49 @@
+/**
+ * Claimer Role - Claims the controller of an expansion target
+ */
+const movementManager = require('movementManager');
+
+const roleClaimer = {
+    run: function(creep) {
+        // If not in target room, travel there
+        if (creep.memory.targetRoom && creep.room.name !== creep.memory.targetRoom) {
+            movementManager.moveToRoom(creep, creep.memory.targetRoom);
+            return;
+        }
+        
+        const controller = creep.room.controller;
+        if (!controller) return;
+        
+        // Job done - claimers have no other use
+        if (controller.my) {
+            creep.suicide();
+            return;
+        }
+        
+        let result;
+        if (controller.reservation && controller.reservation.username !== creep.owner.username) {
+            // Clear a hostile reservation before claiming
+            result = creep.attackController(controller);
+        } else {
+            result = creep.claimController(controller);
+        }
+        
+        if (result === ERR_NOT_IN_RANGE) {
+            movementManager.moveToTarget(creep, controller);
+            creep.say('🏃');
+        } else if (result === OK) {
+            creep.say('🚩');
+        } else if (result === ERR_GCL_NOT_ENOUGH) {
+            // GCL dropped or another room was claimed first - let the planner pick this up again later
+            const expansionManager = require('expansionManager');
+            if (Memory.expansion && Memory.expansion.target === creep.room.name) {
+                expansionManager.abandon('GCL too low');
+            }
+            creep.suicide();
+        } else {
+            creep.say('❌');
+        }
+    }
+};
+
+module.exports = roleClaimer;
@@ -0,0 +1,85 @@
+/**
+ * Defender Role - Fights from the ramparts planned by roomPlanner.planDefenses
+ * Moves to the free rampart nearest the attackers and never steps outside the walls to chase
+ */
+const movementManager = require('movementManager');
+const defenseManager = require('defenseManager');
+
+const roleDefender = {
+    run: function(creep) {
+        // Defenders sent to help another room go home once its alert clears
+        if (creep.memory.targetRoom && !defenseManager.getActiveAlert(creep.memory.targetRoom)) {
+            delete creep.memory.targetRoom;
+            delete creep.memory.rampartId;
+        }
+        
+        // Travel to the defended room if outside it
+        const defendRoom = creep.memory.targetRoom || creep.memory.homeRoom;
+        if (defendRoom && creep.room.name !== defendRoom) {
+            movementManager.moveToRoom(creep, defendRoom);
+            return;
+        }
+        
+        const hostiles = defenseManager.getHostiles(creep.room);
+        const rampart = this.selectRampart(creep, hostiles);
+        
+        if (rampart) {
+            creep.memory.rampartId = rampart.id;
+            this.moveOnto(creep, rampart);
+        }
+        
+        if (hostiles.length === 0) return;
+        
+        // Hit whatever is in reach - prefer healers so towers can finish the rest
+        const inReach = hostiles.filter(c => creep.pos.isNearTo(c));
+        if (inReach.length > 0) {
+            const target = _.min(inReach, c => (c.getActiveBodyparts(HEAL) > 0 ? 0 : 1000000) + c.hits);
+            creep.attack(target);
+            creep.say('⚔️');
+        }
+    },
+    
+    /**
+     * Pick the free rampart closest to the attackers, or keep the current one when idle
+     * @param {Creep} creep - The defender
+     * @param {Array} hostiles - Hostile creeps in the room
+     * @returns {StructureRampart|null} - Rampart to stand on
+     */
+    selectRampart: function(creep, hostiles) {
+        const current = creep.memory.rampartId ? Game.getObjectById(creep.memory.rampartId) : null;
+        if (hostiles.length === 0 && current) return current;
+        
+        // Ramparts held by other creeps are taken
+        const ramparts = defenseManager.getRamparts(creep.room).filter(r => {
+            const occupant = r.pos.lookFor(LOOK_CREEPS)[0];
+            return !occupant || occupant.id === creep.id;
+        });
+        if (ramparts.length === 0) return null;
+        
+        if (hostiles.length === 0) {
+            // Wait near the middle of the base until needed
+            const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
+            return spawn ? spawn.pos.findClosestByRange(ramparts) : ramparts[0];
+        }
+        
+        // Distance to the nearest hostile, tie broken by travel distance for the defender
+        return _.min(ramparts, r => {
+            const nearest = _.min(hostiles.map(h => r.pos.getRangeTo(h)));
+            return nearest * 100 + creep.pos.getRangeTo(r);
+        });
+    },
+    
+    /**
+     * Move onto a rampart tile
+     * @param {Creep} creep - The defender
+     * @param {StructureRampart} rampart - Target rampart
+     */
+    moveOnto: function(creep, rampart) {
+        if (creep.pos.isEqualTo(rampart.pos)) return;
+        
+        // Defenders outrank everyone, so traffic pushes idle creeps off the rampart
+        movementManager.moveToTarget(creep, rampart, { range: 0 });
+    }
+};
+
+module.exports = roleDefender;
@@ -7,6 +7,9 @@ const utils = require('utils');
 const helpers = require('helpers');
 
 const roleHarvester = {
+    // How often a harvester without a source link checks whether one has been built
+    LINK_CHECK_INTERVAL: 100,
+    
     /**
      * Run the harvester role
      * @param {Creep} creep - The creep to run the role for
@@ -14,8 +17,8 @@ const roleHarvester = {
     run: function(creep) {
         const movementManager = require('movementManager');
         
-        // If creep is dying, release its source
-        if (creep.ticksToLive < 30 && creep.memory.sourceId) {
+        // If creep is dying, release its source - a replaced harvester hands it to its replacement instead
+        if (creep.ticksToLive < 30 && creep.memory.sourceId && !creep.memory.replacedBy) {
             try {
                 roomManager.releaseSource(creep.memory.sourceId, creep.memory.homeRoom);
             } catch (e) {
@@ -45,7 +48,7 @@ const roleHarvester = {
                 
                 // If there are other sources with energy and we're not too far from spawn time,
                 // consider switching to a better source
-                if (otherSources.length > 0 && creep.ticksToLive > 100) {
+                if (otherSources.length > 0 && creep.ticksToLive > 100 && !creep.memory.replacedBy) {
                     // Release current source
                     roomManager.releaseSource(creep.memory.sourceId, creep.memory.homeRoom);
                     creep.memory.sourceId = null;
@@ -100,8 +103,8 @@ const roleHarvester = {
                     }
                     
                     if (creep.memory.idlePos) {
+                        const movementManager = require('movementManager');
                         try {
-                            const movementManager = require('movementManager');
                             const idlePos = new RoomPosition(
                                 creep.memory.idlePos.x,
                                 creep.memory.idlePos.y,
@@ -111,7 +114,7 @@ const roleHarvester = {
                         } catch (e) {
                             // If movement fails, try to move to spawn directly
                             const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
-                            if (spawn) creep.moveTo(spawn);
+                            if (spawn) movementManager.moveToTarget(creep, spawn);
                         }
                     }
                 }
@@ -129,13 +132,26 @@ const roleHarvester = {
         // Check if this is a mineral
         const isMineral = source.mineralType !== undefined;
         
-        // Cache container near source/mineral
+        // Drop a cached container (or 'none') now and then so a source link built since gets picked up
+        if (!isMineral && creep.memory.containerId && Game.time % this.LINK_CHECK_INTERVAL === 0) {
+            const cached = creep.memory.containerId !== 'none' ? Game.getObjectById(creep.memory.containerId) : null;
+            if (!cached || cached.structureType !== STRUCTURE_LINK) creep.memory.containerId = null;
+        }
+        
+        // Cache container near source/mineral - a source link takes priority so energy skips haulers
         if (!creep.memory.containerId && creep.store.getFreeCapacity() === 0) {
+            const links = !isMineral && creep.room.memory.links ? creep.room.memory.links.source : [];
+            const sourceLink = links
+                .map(id => Game.getObjectById(id))
+                .find(link => link && link.pos.inRangeTo(source, 2));
+            
             const containers = source.pos.findInRange(FIND_STRUCTURES, 1, {
                 filter: s => s.structureType === STRUCTURE_CONTAINER
             });
             
-            if (containers.length > 0) {
+            if (sourceLink) {
+                creep.memory.containerId = sourceLink.id;
+            } else if (containers.length > 0) {
                 creep.memory.containerId = containers[0].id;
             } else {
                 creep.memory.containerId = 'none';
@@ -147,8 +163,17 @@ const roleHarvester = {
             if (creep.memory.containerId && creep.memory.containerId !== 'none') {
                 const container = Game.getObjectById(creep.memory.containerId);
                 if (container) {
-                    if (creep.transfer(container, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
-                        creep.moveTo(container, { reusePath: 5 });
+                    const result = creep.transfer(container, RESOURCE_ENERGY);
+                    if (result === ERR_NOT_IN_RANGE) {
+                        movementManager.moveToTarget(creep, container, { reusePath: 5 });
+                    } else if (result === ERR_FULL) {
+                        // A full link is waiting to send - spill into the source container or onto the ground
+                        const overflow = source.pos.findInRange(FIND_STRUCTURES, 1, {
+                            filter: s => s.structureType === STRUCTURE_CONTAINER && s.store.getFreeCapacity(RESOURCE_ENERGY) > 0
+                        })[0];
+                        if (!overflow || creep.transfer(overflow, RESOURCE_ENERGY) !== OK) {
+                            creep.drop(RESOURCE_ENERGY);
+                        }
                     }
                 } else {
                     // Container was destroyed, reset cache
@@ -196,17 +221,11 @@ const roleHarvester = {
                 
                 // Move to safety
                 const spawn = creep.room.find(FIND_MY_SPAWNS)[0];
-                if (spawn) creep.moveTo(spawn, { reusePath: 5 });
+                if (spawn) movementManager.moveToTarget(creep, spawn, { reusePath: 5 });
                 return;
             }
         }
         
-        // Check if we need to move aside for other creeps
-        if (creep.store.getFreeCapacity() === 0) {
-            // If we're full, check if we're blocking other creeps
-            movementManager.checkAndGiveWay(creep);
-        }
-        
         // Move to source/mineral and harvest
         let harvestResult;
         if (isMineral) {
@@ -6,12 +6,15 @@ const movementManager = require('movementManager');
 
 const roleHauler = {
     run: function(creep) {
-        // Check if we need to move aside for other creeps
-        movementManager.checkAndGiveWay(creep);
-        
         // Check and clean up builder assignments if needed
         this.checkBuilderAssignments(creep);
         
+        // Haulers sent to a room under attack ferry energy there until it is safe
+        if (creep.memory.assistRoom && this.runAssist(creep)) return;
+        
+        // Structure logistics (labs etc.) take over while a job is active
+        if (this.runHaulJob(creep)) return;
+        
         // State switching with minimal operations
         if (creep.memory.working && creep.store.getUsedCapacity() === 0) {
             creep.memory.working = false;
@@ -33,6 +36,133 @@ const roleHauler = {
         }
     },
     
+    /**
+     * Carry energy from home storage to the towers of a room under attack
+     * @param {Creep} creep - The hauler creep
+     * @returns {boolean} - True while the assist is still running
+     */
+    runAssist: function(creep) {
+        const defenseManager = require('defenseManager');
+        const assistRoom = creep.memory.assistRoom;
+        
+        // Alert over - head home and go back to normal hauling there
+        const alertActive = !!defenseManager.getActiveAlert(assistRoom);
+        if (!alertActive && creep.room.name === creep.memory.homeRoom) {
+            delete creep.memory.assistRoom;
+            return false;
+        }
+        
+        if (creep.memory.working && creep.store[RESOURCE_ENERGY] === 0) {
+            creep.memory.working = false;
+        } else if (!creep.memory.working && creep.store.getFreeCapacity() === 0) {
+            creep.memory.working = true;
+        }
+        
+        const targetRoom = creep.memory.working && alertActive ? assistRoom : creep.memory.homeRoom;
+        if (creep.room.name !== targetRoom) {
+            movementManager.moveToRoom(creep, targetRoom);
+            creep.say('🆘');
+            return true;
+        }
+        
+        if (!creep.memory.working) {
+            const storage = creep.room.storage;
+            if (!storage || storage.store[RESOURCE_ENERGY] === 0) {
+                // Nothing left to give - stay home
+                delete creep.memory.assistRoom;
+                return false;
+            }
+            
+            if (creep.withdraw(storage, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
+                movementManager.moveToTarget(creep, storage, { reusePath: 10 });
+            }
+            return true;
+        }
+        
+        // Towers first, then spawns and extensions so the room can replace its losses
+        const target = creep.pos.findClosestByRange(FIND_MY_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_TOWER &&
+                         s.store.getFreeCapacity(RESOURCE_ENERGY) > 100
+        }) || creep.pos.findClosestByRange(FIND_MY_STRUCTURES, {
+            filter: s => (s.structureType === STRUCTURE_SPAWN || s.structureType === STRUCTURE_EXTENSION) &&
+                         s.store.getFreeCapacity(RESOURCE_ENERGY) > 0
+        }) || creep.room.storage;
+        
+        if (target && creep.transfer(target, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
+            movementManager.moveToTarget(creep, target, { reusePath: 10 });
+        }
+        creep.say('🆘');
+        return true;
+    },
+    
+    /**
+     * Run an assigned haul job, or claim a queued one when empty
+     * @param {Creep} creep - The hauler creep
+     * @returns {boolean} - True if the creep is busy with a job this tick
+     */
+    runHaulJob: function(creep) {
+        const jobs = creep.room.memory.haulJobs;
+        let key = creep.memory.haulJob;
+        let job = key && jobs ? jobs[key] : null;
+        
+        if (key && !job) {
+            delete creep.memory.haulJob;
+        }
+        
+        if (!job) {
+            // Only claim new jobs when empty and the spawn isn't short of energy
+            if (!jobs || creep.store.getUsedCapacity() > 0 || creep.memory.assignedRequestId) return false;
+            if (creep.room.energyAvailable < creep.room.energyCapacityAvailable * 0.5) return false;
+            
+            key = _.findKey(jobs, j => !j.assignedHaulerId);
+            if (!key) return false;
+            
+            job = jobs[key];
+            job.assignedHaulerId = creep.id;
+            creep.memory.haulJob = key;
+        }
+        
+        // Deliver once we're carrying the job's resource
+        if (creep.store[job.resourceType] > 0) {
+            const target = Game.getObjectById(job.to);
+            const result = target ? creep.transfer(target, job.resourceType) : ERR_INVALID_TARGET;
+            
+            if (result === ERR_NOT_IN_RANGE) {
+                movementManager.moveToTarget(creep, target, { reusePath: 10 });
+                creep.say('🧪');
+                return true;
+            }
+            
+            // Done (or target full) - leftovers are returned by the normal delivery logic
+            delete jobs[key];
+            delete creep.memory.haulJob;
+            return result === OK;
+        }
+        
+        // Collect the resource
+        const source = Game.getObjectById(job.from);
+        const available = source && source.store ? source.store[job.resourceType] : 0;
+        if (!available) {
+            delete jobs[key];
+            delete creep.memory.haulJob;
+            return false;
+        }
+        
+        const amount = Math.min(job.amount, available, creep.store.getFreeCapacity());
+        const result = creep.withdraw(source, job.resourceType, amount);
+        
+        if (result === ERR_NOT_IN_RANGE) {
+            movementManager.moveToTarget(creep, source, { reusePath: 10 });
+            creep.say('🧪');
+        } else if (result !== OK) {
+            delete jobs[key];
+            delete creep.memory.haulJob;
+            return false;
+        }
+        
+        return true;
+    },
+    
     /**
      * Check and clean up builder assignments if needed
      * @param {Creep} creep - The hauler creep
@@ -352,6 +482,13 @@ const roleHauler = {
             allSources.push(...sources.tombstones);
             allSources.push(...sources.sourceContainers);
             allSources.push(...sources.otherContainers);
+            
+            // Hub link receives energy from source links and must be emptied to keep them flowing
+            const linkManager = require('linkManager');
+            const hubLink = linkManager.getHubLink(creep.room);
+            if (hubLink && hubLink.store[RESOURCE_ENERGY] >= 100) {
+                allSources.push(hubLink);
+            }
             // Storage is lowest priority and only if it has surplus
             if (sources.storage && sources.storage.store[RESOURCE_ENERGY] > 100) {
                 allSources.push(sources.storage);
@@ -376,7 +513,7 @@ const roleHauler = {
                     // Priority: Dropped > Tombstone > Source Container > Other Container > Storage
                     if (s.amount !== undefined) typeScore = 0; // Dropped resource
                     else if (s.store && !s.structureType) typeScore = 1; // Tombstone
-                    else if (sources.sourceContainers.includes(s)) typeScore = 2; // Source container
+                    else if (sources.sourceContainers.includes(s) || s === hubLink) typeScore = 2; // Source container or hub link
                     else if (sources.otherContainers.includes(s)) typeScore = 3; // Other container
                     else typeScore = 4; // Storage
                     
@@ -463,17 +600,15 @@ const roleHauler = {
         let mineralContainers = [];
         if (creep.room.memory.minerals) {
             for (const mineralId in creep.room.memory.minerals) {
-                const mineralMemory = creep.room.memory.minerals[mineralId];
-                if (mineralMemory.isActive) {
-                    const mineral = Game.getObjectById(mineralId);
-                    if (mineral) {
-                        // Find containers near this mineral
-                        const nearbyContainers = mineral.pos.findInRange(FIND_STRUCTURES, 1, {
-                            filter: s => s.structureType === STRUCTURE_CONTAINER && 
-                                      Object.keys(s.store).some(r => r !== RESOURCE_ENERGY && s.store[r] > 0)
-                        });
-                        mineralContainers = [...mineralContainers, ...nearbyContainers];
-                    }
+                // Containers are emptied even while mining is paused
+                const mineral = Game.getObjectById(mineralId);
+                if (mineral) {
+                    // Find containers near this mineral
+                    const nearbyContainers = mineral.pos.findInRange(FIND_STRUCTURES, 1, {
+                        filter: s => s.structureType === STRUCTURE_CONTAINER && 
+                                  Object.keys(s.store).some(r => r !== RESOURCE_ENERGY && s.store[r] > 0)
+                    });
+                    mineralContainers = [...mineralContainers, ...nearbyContainers];
                 }
             }
         }
@@ -0,0 +1,49 @@
+/**
+ * Mineral Miner Role - Static mineral mining through the room's extractor
+ * Carries nothing: the mineral drops into the container it stands on for haulers to collect
+ */
+const movementManager = require('movementManager');
+
+const roleMineralMiner = {
+    /**
+     * Run the mineral miner role
+     * @param {Creep} creep - The creep to run the role for
+     */
+    run: function(creep) {
+        const mineral = Game.getObjectById(creep.memory.sourceId);
+        if (!mineral) return;
+        
+        // Stand on the mineral container when there is one so nothing is left on the ground
+        if (!creep.memory.containerId) {
+            const container = mineral.pos.findInRange(FIND_STRUCTURES, 1, {
+                filter: s => s.structureType === STRUCTURE_CONTAINER
+            })[0];
+            creep.memory.containerId = container ? container.id : 'none';
+        }
+        
+        const container = creep.memory.containerId !== 'none' ? Game.getObjectById(creep.memory.containerId) : null;
+        if (creep.memory.containerId !== 'none' && !container) {
+            creep.memory.containerId = null;
+            return;
+        }
+        
+        if (container && !creep.pos.isEqualTo(container.pos)) {
+            movementManager.moveToTarget(creep, container, { range: 0 });
+            return;
+        }
+        if (!creep.pos.isNearTo(mineral)) {
+            movementManager.moveToTarget(creep, mineral);
+            return;
+        }
+        
+        // The extractor only allows a harvest every few ticks
+        const extractor = mineral.pos.lookFor(LOOK_STRUCTURES).find(s => s.structureType === STRUCTURE_EXTRACTOR);
+        if (!extractor || extractor.cooldown > 0 || mineral.mineralAmount === 0) return;
+        
+        if (creep.harvest(mineral) === OK) {
+            creep.say('⛏️' + mineral.mineralType);
+        }
+    }
+};
+
+module.exports = roleMineralMiner;
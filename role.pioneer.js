@@ -0,0 +1,111 @@
+/**
+ * Pioneer Role - Bootstraps a newly claimed room until it has its own spawn
+ */
+const movementManager = require('movementManager');
+
+const rolePioneer = {
+    run: function(creep) {
+        // If not in target room, travel there
+        if (creep.memory.targetRoom && creep.room.name !== creep.memory.targetRoom) {
+            movementManager.moveToRoom(creep, creep.memory.targetRoom);
+            return;
+        }
+        
+        // State switching with minimal operations
+        if (creep.memory.working && creep.store[RESOURCE_ENERGY] === 0) {
+            creep.memory.working = false;
+            delete creep.memory.sourceId;
+        } else if (!creep.memory.working && creep.store.getFreeCapacity() === 0) {
+            creep.memory.working = true;
+        }
+        
+        if (creep.memory.working) {
+            this.work(creep);
+        } else {
+            this.harvest(creep);
+        }
+    },
+    
+    /**
+     * Spend energy: keep the controller safe, then build, then upgrade
+     * @param {Creep} creep - The pioneer
+     */
+    work: function(creep) {
+        const controller = creep.room.controller;
+        
+        // Don't let a fresh controller downgrade while we build
+        if (controller && controller.my && controller.ticksToDowngrade < 1000) {
+            this.upgrade(creep, controller);
+            return;
+        }
+        
+        // Spawn site first, then anything else
+        const sites = creep.room.find(FIND_MY_CONSTRUCTION_SITES);
+        const site = _.find(sites, s => s.structureType === STRUCTURE_SPAWN) ||
+                    creep.pos.findClosestByRange(sites);
+        
+        if (site) {
+            if (creep.build(site) === ERR_NOT_IN_RANGE) {
+                movementManager.moveToTarget(creep, site, { range: 3 });
+                creep.say('🔨');
+            }
+            return;
+        }
+        
+        if (controller && controller.my) {
+            this.upgrade(creep, controller);
+        }
+    },
+    
+    /**
+     * Upgrade the controller
+     * @param {Creep} creep - The pioneer
+     * @param {StructureController} controller - The controller
+     */
+    upgrade: function(creep, controller) {
+        if (creep.upgradeController(controller) === ERR_NOT_IN_RANGE) {
+            movementManager.moveToTarget(creep, controller, { range: 3 });
+            creep.say('⚡');
+        }
+    },
+    
+    /**
+     * Gather energy: dropped energy first, then harvest the least crowded source
+     * @param {Creep} creep - The pioneer
+     */
+    harvest: function(creep) {
+        const dropped = creep.pos.findClosestByRange(FIND_DROPPED_RESOURCES, {
+            filter: r => r.resourceType === RESOURCE_ENERGY && r.amount >= 50
+        });
+        if (dropped && creep.pos.getRangeTo(dropped) <= 5) {
+            if (creep.pickup(dropped) === ERR_NOT_IN_RANGE) {
+                movementManager.moveToTarget(creep, dropped);
+            }
+            return;
+        }
+        
+        // Spread pioneers across sources
+        if (!creep.memory.sourceId) {
+            const sources = creep.room.find(FIND_SOURCES_ACTIVE);
+            if (sources.length === 0) return;
+            
+            const pioneers = _.filter(Game.creeps, c =>
+                c.memory.role === 'pioneer' && c.memory.targetRoom === creep.memory.targetRoom);
+            const source = _.min(sources, s => pioneers.filter(c => c.memory.sourceId === s.id).length);
+            creep.memory.sourceId = source.id;
+        }
+        
+        const source = Game.getObjectById(creep.memory.sourceId);
+        if (!source || source.energy === 0) {
+            delete creep.memory.sourceId;
+            return;
+        }
+        
+        if (creep.harvest(source) === ERR_NOT_IN_RANGE) {
+            movementManager.moveToTarget(creep, source);
+            creep.say('⛏️');
+        }
+    }
+};
+
+module.exports = rolePioneer;
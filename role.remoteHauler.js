@@ -26,9 +26,13 @@ const roleRemoteHauler = {
             // Check for hostiles before entering
             if (this.checkForHostiles(creep)) return;
             
-            const exit = creep.room.findExitTo(creep.memory.targetRoom);
-            const exitPos = creep.pos.findClosestByRange(exit);
-            movementManager.moveToTarget(creep, exitPos);
+            // Hold position rather than path through a room under attack
+            if (require('defenseManager').isRouteThreatened(creep.room.name, creep.memory.targetRoom)) {
+                creep.say('⏸️');
+                return;
+            }
+            
+            movementManager.moveToRoom(creep, creep.memory.targetRoom);
             return;
         }
         
@@ -93,9 +97,7 @@ const roleRemoteHauler = {
     deliverResources: function(creep) {
         // Return to home room
         if (creep.room.name !== creep.memory.homeRoom) {
-            const exit = creep.room.findExitTo(creep.memory.homeRoom);
-            const exitPos = creep.pos.findClosestByRange(exit);
-            movementManager.moveToTarget(creep, exitPos);
+            movementManager.moveToRoom(creep, creep.memory.homeRoom);
             return;
         }
         
@@ -135,9 +137,18 @@ const roleRemoteHauler = {
         
         // Transfer energy to target
         if (target) {
-            if (creep.transfer(target, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
+            // Remember the load size - the store isn't updated until next tick
+            const amount = Math.min(creep.store[RESOURCE_ENERGY], target.store.getFreeCapacity(RESOURCE_ENERGY));
+            const result = creep.transfer(target, RESOURCE_ENERGY);
+            
+            if (result === ERR_NOT_IN_RANGE) {
                 movementManager.moveToTarget(creep, target);
                 creep.say('🏃');
+            } else if (result === OK && creep.memory.targetRoom) {
+                // Credit the delivery to the remote room it came from
+                const remoteManager = require('remoteManager');
+                remoteManager.recordIncome(creep.memory.targetRoom, amount);
+                require('statsManager').recordIncome(creep.room.name, 'remote', amount);
             }
         } else {
             // If no valid target, move to spawn
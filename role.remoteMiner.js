@@ -7,9 +7,13 @@ const roleRemoteMiner = {
     run: function(creep) {
         // If not in target room, travel there
         if (creep.memory.targetRoom && creep.room.name !== creep.memory.targetRoom) {
-            const exit = creep.room.findExitTo(creep.memory.targetRoom);
-            const exitPos = creep.pos.findClosestByRange(exit);
-            movementManager.moveToTarget(creep, exitPos);
+            // Hold position rather than path through a room under attack
+            if (require('defenseManager').isRouteThreatened(creep.room.name, creep.memory.targetRoom)) {
+                creep.say('⏸️');
+                return;
+            }
+            
+            movementManager.moveToRoom(creep, creep.memory.targetRoom);
             return;
         }
         
@@ -7,9 +7,7 @@ const roleScout = {
     run: function(creep) {
         // If not in target room, travel there
         if (creep.memory.targetRoom && creep.room.name !== creep.memory.targetRoom) {
-            const exit = creep.room.findExitTo(creep.memory.targetRoom);
-            const exitPos = creep.pos.findClosestByRange(exit);
-            movementManager.moveToTarget(creep, exitPos);
+            movementManager.moveToRoom(creep, creep.memory.targetRoom);
             return;
         }
         
@@ -26,20 +24,37 @@ const roleScout = {
         // Skip if already completed
         if (creep.memory.roomComplete) return;
         
+        const roomData = this.recordRoomIntel(creep.room, creep.memory.homeRoom);
+        roomData.baseRoom = creep.memory.homeRoom;
+        
+        // Mark room as complete
+        creep.memory.roomComplete = true;
+        creep.say('📝');
+    },
+    
+    /**
+     * Record intel for a visible room in Memory.remoteOps.rooms - shared by scouts and observers
+     * @param {Room} room - The visible room
+     * @param {string} homeRoomName - Room the intel is scored from
+     * @returns {Object} - The room's intel entry
+     */
+    recordRoomIntel: function(room, homeRoomName) {
         // Store essential room data in memory
         if (!Memory.remoteOps) Memory.remoteOps = { rooms: {} };
-        if (!Memory.remoteOps.rooms[creep.room.name]) {
-            Memory.remoteOps.rooms[creep.room.name] = {};
+        if (!Memory.remoteOps.rooms[room.name]) {
+            Memory.remoteOps.rooms[room.name] = {};
         }
         
-        const roomData = Memory.remoteOps.rooms[creep.room.name];
+        const roomData = Memory.remoteOps.rooms[room.name];
         
         // Update basic info
         roomData.lastScout = Game.time;
-        roomData.baseRoom = creep.memory.homeRoom;
+        
+        // Remotes are only picked by their base room - the first room to see it claims it
+        if (!roomData.baseRoom) roomData.baseRoom = homeRoomName;
         
         // Count sources
-        const sources = creep.room.find(FIND_SOURCES);
+        const sources = room.find(FIND_SOURCES);
         roomData.sources = sources.length;
         
         // Store source positions
@@ -52,33 +67,40 @@ const roleScout = {
         }
         
         // Check for hostiles
-        const hostiles = creep.room.find(FIND_HOSTILE_CREEPS);
+        const hostiles = room.find(FIND_HOSTILE_CREEPS);
         roomData.hostiles = hostiles.length > 0;
         
         // Check controller status
-        if (creep.room.controller) {
+        if (room.controller) {
             roomData.controller = true;
             
-            if (creep.room.controller.owner) {
-                roomData.owner = creep.room.controller.owner.username;
-            } else if (creep.room.controller.reservation) {
+            if (room.controller.owner) {
+                roomData.owner = room.controller.owner.username;
+            } else if (room.controller.reservation) {
+                roomData.owner = null;
                 roomData.reservation = {
-                    username: creep.room.controller.reservation.username,
-                    ticksToEnd: creep.room.controller.reservation.ticksToEnd
+                    username: room.controller.reservation.username,
+                    ticksToEnd: room.controller.reservation.ticksToEnd
                 };
             } else {
+                roomData.owner = null;
                 roomData.reservation = null;
             }
         } else {
             roomData.controller = false;
         }
         
+        // Record mineral and keeper lairs for expansion planning
+        const minerals = room.find(FIND_MINERALS);
+        roomData.mineralType = minerals.length > 0 ? minerals[0].mineralType : null;
+        roomData.keeperLairs = room.find(FIND_HOSTILE_STRUCTURES, {
+            filter: s => s.structureType === STRUCTURE_KEEPER_LAIR
+        }).length;
+        
         // Calculate room score for remote mining
-        roomData.score = this.calculateRoomScore(creep.room, creep.memory.homeRoom);
+        roomData.score = this.calculateRoomScore(room, homeRoomName);
         
-        // Mark room as complete
-        creep.memory.roomComplete = true;
-        creep.say('📝');
+        return roomData;
     },
     
     calculateRoomScore: function(room, homeRoomName) {
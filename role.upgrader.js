@@ -10,9 +10,6 @@ const roleUpgrader = {
      * @param {Creep} creep - The creep to run the role for
      */
     run: function(creep) {
-        // Check if we need to move aside for other creeps
-        movementManager.checkAndGiveWay(creep);
-        
         // Initialize upgrading state if not set
         if (creep.memory.upgrading === undefined) {
             creep.memory.upgrading = false;
@@ -214,6 +211,15 @@ const roleUpgrader = {
                 }
             }
             
+            // Controller link is refilled by source links
+            if (!source && creep.room.memory.links && creep.room.memory.links.controller) {
+                const controllerLink = Game.getObjectById(creep.room.memory.links.controller);
+                if (controllerLink && controllerLink.store[RESOURCE_ENERGY] > 0) {
+                    source = controllerLink;
+                    creep.memory.energySourceId = source.id;
+                }
+            }
+            
             // Fallback to checking for containers near controller
             if (!source) {
                 const nearbyContainers = creep.pos.findInRange(FIND_STRUCTURES, 3, {
@@ -3,6 +3,8 @@
  */
 const utils = require('utils');
 const helpers = require('helpers');
+const bodyPlanner = require('bodyPlanner');
+const economySolver = require('economySolver');
 
 const roomManager = {
     // Cache for room data to avoid memory reads
@@ -220,6 +222,7 @@ const roomManager = {
         // Clean up stale energy requests - only do this every 10 ticks to save CPU
         if (Game.time % 10 === 0) {
             this.cleanupEnergyRequests(room);
+            this.cleanupHaulJobs(room);
         }
         
         // Process sources that don't have data yet
@@ -252,36 +255,6 @@ const roomManager = {
             }
         }
         
-        // Process minerals and extractors
-        if (room.controller && room.controller.level >= 6) {
-            // Initialize minerals memory if needed
-            if (!room.memory.minerals) {
-                room.memory.minerals = {};
-            }
-            
-            // Find minerals in the room
-            const minerals = room.find(FIND_MINERALS);
-            
-            for (const mineral of minerals) {
-                // Initialize mineral data if not exists
-                if (!room.memory.minerals[mineral.id]) {
-                    room.memory.minerals[mineral.id] = {
-                        pos: {x: mineral.pos.x, y: mineral.pos.y},
-                        mineralType: mineral.mineralType,
-                        assignedHarvesters: 0
-                    };
-                }
-                
-                // Check if extractor exists
-                const extractor = mineral.pos.lookFor(LOOK_STRUCTURES).find(s => s.structureType === STRUCTURE_EXTRACTOR);
-                room.memory.minerals[mineral.id].hasExtractor = !!extractor;
-                
-                // Check if mineral is ready for harvesting
-                const isActive = mineral.mineralAmount > 0 && extractor && !mineral.ticksToRegeneration;
-                room.memory.minerals[mineral.id].isActive = isActive;
-            }
-        }
-        
         // Batch find operations to reduce CPU usage - use cached find
         const structures = utils.cachedFind(room, FIND_STRUCTURES, {}, 20);
         
@@ -351,12 +324,16 @@ const roomManager = {
             const creep = Game.creeps[name];
             const homeRoom = creep.memory.homeRoom;
             
+            // Haulers on loan to a room under attack don't work for their home economy until they return
+            if (creep.memory.assistRoom) continue;
+            
             if (counts[homeRoom]) {
                 const role = creep.memory.role;
+                // Only local economy roles count - remote creeps must not hold back local spawning
                 if (counts[homeRoom][role] !== undefined) {
                     counts[homeRoom][role]++;
+                    counts[homeRoom].total++;
                 }
-                counts[homeRoom].total++;
             }
         }
         
@@ -396,7 +373,7 @@ const roomManager = {
     /**
      * Get the best source for a harvester to mine
      * @param {Room} room - The room to check
-     * @returns {Source|Mineral|null} - The best source or null if none available
+     * @returns {Source|null} - The best source or null if none available
      */
     getBestSource: function(room) {
         // Safety check for room memory
@@ -407,28 +384,6 @@ const roomManager = {
         // First, verify and clean up source assignments
         this.validateSourceAssignments(room);
         
-        // Check for active minerals with extractors at RCL 6+
-        if (room.controller && room.controller.level >= 6 && room.memory.minerals) {
-            for (const mineralId in room.memory.minerals) {
-                const mineralMemory = room.memory.minerals[mineralId];
-                
-                // Skip minerals that are not active or already have a harvester
-                if (!mineralMemory.isActive || mineralMemory.assignedHarvesters > 0) continue;
-                
-                // Get the actual mineral object
-                const mineral = Game.getObjectById(mineralId);
-                if (!mineral) {
-                    delete room.memory.minerals[mineralId];
-                    continue;
-                }
-                
-                // Assign harvester to this mineral
-                console.log(`Assigning harvester to mineral ${mineralId} (${mineral.mineralType}) in room ${room.name}`);
-                room.memory.minerals[mineralId].assignedHarvesters = 1;
-                return mineral;
-            }
-        }
-        
         // Find source with the lowest harvester-to-capacity ratio
         let bestSourceId = null;
         let lowestRatio = Infinity;
@@ -513,14 +468,7 @@ const roomManager = {
             actualAssignments[sourceId] = 0;
         }
         
-        // Initialize counts for each mineral
-        if (room.memory.minerals) {
-            for (const mineralId in room.memory.minerals) {
-                actualAssignments[mineralId] = 0;
-            }
-        }
-        
-        // Count harvesters by their assigned source or mineral
+        // Count harvesters by their assigned source
         for (const name in Game.creeps) {
             const creep = Game.creeps[name];
             if (creep.memory.role === 'harvester' && creep.memory.sourceId && 
@@ -543,19 +491,6 @@ const roomManager = {
             }
         }
         
-        // Update mineral assignments in memory
-        if (room.memory.minerals) {
-            for (const mineralId in room.memory.minerals) {
-                const remembered = room.memory.minerals[mineralId].assignedHarvesters || 0;
-                const actual = actualAssignments[mineralId] || 0;
-                
-                if (remembered !== actual) {
-                    room.memory.minerals[mineralId].assignedHarvesters = actual;
-                    correctionsMade = true;
-                }
-            }
-        }
-        
         // Log if corrections were made
         if (correctionsMade) {
             console.log(`Corrected harvester assignments in room ${room.name}`);
@@ -564,7 +499,7 @@ const roomManager = {
     
     /**
      * Release a source assignment when a harvester dies or switches sources
-     * @param {string} sourceId - ID of the source or mineral
+     * @param {string} sourceId - ID of the source
      * @param {string} roomName - Name of the room
      * @param {boolean} logRelease - Whether to log the release (default: false)
      */
@@ -585,22 +520,6 @@ const roomManager = {
                 helpers.logError(`source_release_${sourceId}`, `Released harvester from source ${sourceId} in room ${roomName} ` +
                             `(${room.memory.sources[sourceId].assignedHarvesters}/${room.memory.sources[sourceId].availableSpots} harvesters, ${energyInfo})`, 100);
             }
-            return;
-        }
-        
-        // Check if it's a mineral
-        if (room.memory.minerals && room.memory.minerals[sourceId]) {
-            const oldCount = room.memory.minerals[sourceId].assignedHarvesters || 0;
-            room.memory.minerals[sourceId].assignedHarvesters = 
-                Math.max(0, oldCount - 1);
-                
-            // Log release if requested or periodically
-            if (logRelease || (Game.time % 100 === 0 && oldCount > 0)) {
-                const mineral = Game.getObjectById(sourceId);
-                const mineralInfo = mineral ? `${mineral.mineralAmount} ${mineral.mineralType}` : 'unknown mineral';
-                helpers.logError(`mineral_release_${sourceId}`, `Released harvester from mineral ${sourceId} in room ${roomName} ` +
-                            `(${mineralInfo})`, 100);
-            }
         }
     },
     
@@ -659,6 +578,56 @@ const roomManager = {
         }
     },
     
+    /**
+     * Queue a haul job for haulers (moving minerals, compounds or energy between structures)
+     * @param {Room} room - The room the job is in
+     * @param {string} key - Unique job key, an existing job with the same key is kept
+     * @param {Object} job - Job details ({from, to, resourceType, amount})
+     * @returns {boolean} - True if the job was added
+     */
+    addHaulJob: function(room, key, job) {
+        if (!room.memory.haulJobs) {
+            room.memory.haulJobs = {};
+        }
+        
+        // Don't replace a job that may already be in progress
+        if (room.memory.haulJobs[key]) return false;
+        
+        room.memory.haulJobs[key] = {
+            from: job.from,
+            to: job.to,
+            resourceType: job.resourceType,
+            amount: job.amount,
+            created: Game.time
+        };
+        
+        return true;
+    },
+    
+    /**
+     * Clean up haul jobs whose structures are gone or that were never finished
+     * @param {Room} room - The room to clean up jobs for
+     */
+    cleanupHaulJobs: function(room) {
+        if (!room.memory.haulJobs) return;
+        
+        for (const key in room.memory.haulJobs) {
+            const job = room.memory.haulJobs[key];
+            
+            // Remove jobs older than a hauler lifetime or with missing endpoints
+            if (Game.time - job.created > CREEP_LIFE_TIME ||
+                !Game.getObjectById(job.from) || !Game.getObjectById(job.to)) {
+                delete room.memory.haulJobs[key];
+                continue;
+            }
+            
+            // Release jobs held by dead haulers
+            if (job.assignedHaulerId && !Game.getObjectById(job.assignedHaulerId)) {
+                delete job.assignedHaulerId;
+            }
+        }
+    },
+    
     /**
      * Get cached room data
      * @param {string} roomName - Name of the room
@@ -870,90 +839,17 @@ const roomManager = {
     analyzeRoomNeeds: function(room) {
         if (!room || !room.controller) return null;
         
-        const rcl = room.controller.level;
         const sourceCount = Object.keys(room.memory.sources || {}).length || 1;
         
-        // Count active minerals with extractors
-        let activeMineralCount = 0;
-        if (rcl >= 6 && room.memory.minerals) {
-            for (const mineralId in room.memory.minerals) {
-                if (room.memory.minerals[mineralId].isActive) {
-                    activeMineralCount++;
-                }
-            }
-        }
-        
-        // Count important structures
-        const containers = room.find(FIND_STRUCTURES, {
-            filter: s => s.structureType === STRUCTURE_CONTAINER
-        });
-        
-        // Separate source containers from controller containers
-        const sourceContainers = containers.filter(c => 
-            room.find(FIND_SOURCES, {
-                filter: source => source.pos.inRangeTo(c, 2)
-            }).length > 0
-        ).length;
-        
-        const controllerContainers = containers.filter(c => 
-            c.pos.inRangeTo(room.controller, 3)
-        ).length;
-        
-        const storage = room.storage ? 1 : 0;
-        
-        // Calculate energy transport needs
-        // Base energy production: 10 energy per source per tick
-        const energyPerTick = sourceCount * 10;
+        // Harvesters: Calculate based on energy capacity and harvesting efficiency
+        // Minerals have their own miners, spawned by mineralManager
+        const harvesterCount = this.calculateOptimalHarvesters(room, sourceCount);
         
-        // Calculate transport distance factor
-        // Longer distances between sources and destinations require more haulers
-        let distanceFactor = 1.0;
-        
-        // If we have sources and spawns, calculate average distance
-        const sources = room.find(FIND_SOURCES);
-        const spawns = room.find(FIND_MY_SPAWNS);
-        
-        if (sources.length > 0 && spawns.length > 0) {
-            let totalDistance = 0;
-            let pathCount = 0;
-            
-            for (const source of sources) {
-                for (const spawn of spawns) {
-                    // Use simple Manhattan distance as approximation
-                    const distance = Math.abs(source.pos.x - spawn.pos.x) + 
-                                    Math.abs(source.pos.y - spawn.pos.y);
-                    totalDistance += distance;
-                    pathCount++;
-                }
-            }
-            
-            // Average distance affects hauler needs
-            if (pathCount > 0) {
-                const avgDistance = totalDistance / pathCount;
-                // Longer distances need more haulers
-                distanceFactor = Math.max(1.0, avgDistance / 15); // Normalize to 1.0 at distance 15
-            }
-        }
-        
-        // Calculate requirements in priority order: Harvester -> Hauler -> Builder -> Upgrader
-        
-        // 1. Harvesters: Calculate based on energy capacity and harvesting efficiency
-        // Add one harvester per active mineral
-        const harvesterCount = this.calculateOptimalHarvesters(room, sourceCount) + activeMineralCount;
-        
-        // 2. Haulers: Based on energy production and infrastructure needs
-        const haulerBase = Math.ceil(energyPerTick / 50);
-        const haulerDistance = Math.ceil(haulerBase * distanceFactor);
-        const haulerInfra = sourceCount + storage + Math.min(1, controllerContainers);
-        const rclFactor = rcl <= 2 ? 1.0 : (rcl <= 4 ? 1.2 : 1.5);
-        const haulerCount = Math.ceil(Math.max(haulerDistance, haulerInfra) * rclFactor);
-        
-        // 3. Builders: Based on construction and repair needs
-        const constructionSites = room.find(FIND_CONSTRUCTION_SITES).length;
-        const builderCount = constructionSites > 0 ? 3 : 1; // 1 repairer + 2 builders when construction exists
-        
-        // 4. Upgraders: Minimal count, 1 needed at all times
-        const upgraderCount = 4 - builderCount; // Ensure at least 1 upgrader
+        // Haulers, builders and upgraders are sized from the room's energy budget
+        const economy = economySolver.solve(room, harvesterCount);
+        const haulerCount = economy.hauler;
+        const builderCount = economy.builder;
+        const upgraderCount = economy.upgrader;
         
         // Calculate total based on actual needs
         const calculatedTotal = harvesterCount + haulerCount + builderCount + upgraderCount;
@@ -1044,13 +940,8 @@ const roomManager = {
             const workPartsNeeded = Math.ceil(totalSourceRegen / 2);
             
             // Calculate what new harvesters would have (based on current energy capacity)
-            const energyCapacity = room.energyCapacityAvailable;
-            
-            // Make sure we use a reasonable energy amount for calculation
-            // If energy capacity is too low, use a minimum viable harvester (1W+1C+1M = 200)
-            const harvesterEnergy = Math.max(250, energyCapacity);
-            const harvesterSets = Math.floor(harvesterEnergy / 250);
-            const newHarvesterWorkParts = Math.max(1, Math.min(harvesterSets * 2, 32));
+            const body = bodyPlanner.getBody('harvester', room.energyCapacityAvailable);
+            const newHarvesterWorkParts = Math.max(1, body.filter(part => part === WORK).length);
             
             // Calculate how many more harvesters we need
             const workPartsDeficit = workPartsNeeded - currentWorkParts;
@@ -2,6 +2,8 @@
  * Room Planner - Handles comprehensive room layout planning across all RCL levels
  * Uses a top-down approach: plan for RCL 8 first, then derive lower level plans
  */
+const costMatrixManager = require('costMatrixManager');
+
 const roomPlanner = {
     /**
      * Generate a complete room plan from RCL 8 down to RCL 1
@@ -299,7 +301,7 @@ const roomPlanner = {
         
         // Create roads from spawn to sources
         for (const source of sources) {
-            const path = this.findPath(room, anchor, source.pos, terrain);
+            const path = this.findPath(room, anchor, source.pos);
             for (const step of path) {
                 // Skip the source position itself
                 if (step.x === source.pos.x && step.y === source.pos.y) continue;
@@ -313,7 +315,7 @@ const roomPlanner = {
         }
         
         // Create road to controller
-        const controllerPath = this.findPath(room, anchor, room.controller.pos, terrain);
+        const controllerPath = this.findPath(room, anchor, room.controller.pos);
         for (const step of controllerPath) {
             // Skip the controller position itself
             if (step.x === room.controller.pos.x && step.y === room.controller.pos.y) continue;
@@ -328,7 +330,7 @@ const roomPlanner = {
         if (rcl >= 6) {
             const minerals = room.find(FIND_MINERALS);
             for (const mineral of minerals) {
-                const path = this.findPath(room, anchor, mineral.pos, terrain);
+                const path = this.findPath(room, anchor, mineral.pos);
                 for (const step of path) {
                     // Skip the mineral position itself
                     if (step.x === mineral.pos.x && step.y === mineral.pos.y) continue;
@@ -384,7 +386,7 @@ const roomPlanner = {
     /**
      * Find a path between two positions
      */
-    findPath: function(room, fromPos, toPos, terrain) {
+    findPath: function(room, fromPos, toPos) {
         // Use PathFinder for better paths
         const result = PathFinder.search(
             new RoomPosition(fromPos.x, fromPos.y, room.name),
@@ -392,20 +394,7 @@ const roomPlanner = {
             {
                 plainCost: 2,
                 swampCost: 10,
-                roomCallback: function() {
-                    const costs = new PathFinder.CostMatrix();
-                    
-                    // Mark walls as unwalkable
-                    for (let y = 0; y < 50; y++) {
-                        for (let x = 0; x < 50; x++) {
-                            if (terrain.get(x, y) === TERRAIN_MASK_WALL) {
-                                costs.set(x, y, 255);
-                            }
-                        }
-                    }
-                    
-                    return costs;
-                }
+                roomCallback: roomName => costMatrixManager.getStaticMatrix(roomName)
             }
         );
         
@@ -0,0 +1,362 @@
+/**
+ * Simulator constants - The subset of Screeps game constants used by the AI
+ * Values match the live server so module logic behaves the same offline
+ */
+const constants = {
+    OK: 0,
+    ERR_NOT_OWNER: -1,
+    ERR_NO_PATH: -2,
+    ERR_NAME_EXISTS: -3,
+    ERR_BUSY: -4,
+    ERR_NOT_FOUND: -5,
+    ERR_NOT_ENOUGH_ENERGY: -6,
+    ERR_NOT_ENOUGH_RESOURCES: -6,
+    ERR_INVALID_TARGET: -7,
+    ERR_FULL: -8,
+    ERR_NOT_IN_RANGE: -9,
+    ERR_INVALID_ARGS: -10,
+    ERR_TIRED: -11,
+    ERR_NO_BODYPART: -12,
+    ERR_NOT_ENOUGH_EXTENSIONS: -6,
+    ERR_RCL_NOT_ENOUGH: -14,
+    ERR_GCL_NOT_ENOUGH: -15,
+    
+    FIND_EXIT_TOP: 1,
+    FIND_EXIT_RIGHT: 3,
+    FIND_EXIT_BOTTOM: 5,
+    FIND_EXIT_LEFT: 7,
+    FIND_EXIT: 10,
+    FIND_CREEPS: 101,
+    FIND_MY_CREEPS: 102,
+    FIND_HOSTILE_CREEPS: 103,
+    FIND_SOURCES_ACTIVE: 104,
+    FIND_SOURCES: 105,
+    FIND_DROPPED_RESOURCES: 106,
+    FIND_STRUCTURES: 107,
+    FIND_MY_STRUCTURES: 108,
+    FIND_HOSTILE_STRUCTURES: 109,
+    FIND_FLAGS: 110,
+    FIND_CONSTRUCTION_SITES: 111,
+    FIND_MY_SPAWNS: 112,
+    FIND_HOSTILE_SPAWNS: 113,
+    FIND_MY_CONSTRUCTION_SITES: 114,
+    FIND_HOSTILE_CONSTRUCTION_SITES: 115,
+    FIND_MINERALS: 116,
+    FIND_NUKES: 117,
+    FIND_TOMBSTONES: 118,
+    FIND_POWER_CREEPS: 119,
+    FIND_MY_POWER_CREEPS: 120,
+    FIND_HOSTILE_POWER_CREEPS: 121,
+    FIND_DEPOSITS: 122,
+    FIND_RUINS: 123,
+    
+    TOP: 1,
+    TOP_RIGHT: 2,
+    RIGHT: 3,
+    BOTTOM_RIGHT: 4,
+    BOTTOM: 5,
+    BOTTOM_LEFT: 6,
+    LEFT: 7,
+    TOP_LEFT: 8,
+    
+    LOOK_CREEPS: 'creep',
+    LOOK_ENERGY: 'energy',
+    LOOK_RESOURCES: 'resource',
+    LOOK_SOURCES: 'source',
+    LOOK_MINERALS: 'mineral',
+    LOOK_STRUCTURES: 'structure',
+    LOOK_FLAGS: 'flag',
+    LOOK_CONSTRUCTION_SITES: 'constructionSite',
+    LOOK_NUKES: 'nuke',
+    LOOK_TERRAIN: 'terrain',
+    LOOK_TOMBSTONES: 'tombstone',
+    LOOK_POWER_CREEPS: 'powerCreep',
+    
+    TERRAIN_MASK_WALL: 1,
+    TERRAIN_MASK_SWAMP: 2,
+    TERRAIN_MASK_LAVA: 4,
+    
+    MOVE: 'move',
+    WORK: 'work',
+    CARRY: 'carry',
+    ATTACK: 'attack',
+    RANGED_ATTACK: 'ranged_attack',
+    TOUGH: 'tough',
+    HEAL: 'heal',
+    CLAIM: 'claim',
+    
+    BODYPART_COST: {
+        move: 50,
+        work: 100,
+        attack: 80,
+        carry: 50,
+        heal: 250,
+        ranged_attack: 150,
+        tough: 10,
+        claim: 600
+    },
+    
+    CREEP_LIFE_TIME: 1500,
+    CREEP_CLAIM_LIFE_TIME: 600,
+    CREEP_SPAWN_TIME: 3,
+    MAX_CREEP_SIZE: 50,
+    CARRY_CAPACITY: 50,
+    HARVEST_POWER: 2,
+    HARVEST_MINERAL_POWER: 1,
+    REPAIR_POWER: 100,
+    REPAIR_COST: 0.01,
+    BUILD_POWER: 5,
+    UPGRADE_CONTROLLER_POWER: 1,
+    ATTACK_POWER: 30,
+    RANGED_ATTACK_POWER: 10,
+    HEAL_POWER: 12,
+    RANGED_HEAL_POWER: 4,
+    
+    SOURCE_ENERGY_CAPACITY: 3000,
+    SOURCE_ENERGY_NEUTRAL_CAPACITY: 1500,
+    ENERGY_REGEN_TIME: 300,
+    SPAWN_ENERGY_CAPACITY: 300,
+    SPAWN_HITS: 5000,
+    
+    STRUCTURE_SPAWN: 'spawn',
+    STRUCTURE_EXTENSION: 'extension',
+    STRUCTURE_ROAD: 'road',
+    STRUCTURE_WALL: 'constructedWall',
+    STRUCTURE_RAMPART: 'rampart',
+    STRUCTURE_KEEPER_LAIR: 'keeperLair',
+    STRUCTURE_PORTAL: 'portal',
+    STRUCTURE_CONTROLLER: 'controller',
+    STRUCTURE_LINK: 'link',
+    STRUCTURE_STORAGE: 'storage',
+    STRUCTURE_TOWER: 'tower',
+    STRUCTURE_OBSERVER: 'observer',
+    STRUCTURE_POWER_BANK: 'powerBank',
+    STRUCTURE_POWER_SPAWN: 'powerSpawn',
+    STRUCTURE_EXTRACTOR: 'extractor',
+    STRUCTURE_LAB: 'lab',
+    STRUCTURE_TERMINAL: 'terminal',
+    STRUCTURE_CONTAINER: 'container',
+    STRUCTURE_NUKER: 'nuker',
+    STRUCTURE_FACTORY: 'factory',
+    STRUCTURE_INVADER_CORE: 'invaderCore',
+    
+    OBSTACLE_OBJECT_TYPES: ['spawn', 'creep', 'powerCreep', 'source', 'mineral', 'deposit', 'controller', 'constructedWall',
+        'extension', 'link', 'storage', 'tower', 'observer', 'powerSpawn', 'powerBank', 'lab', 'terminal', 'nuker',
+        'factory', 'invaderCore'],
+    
+    CONSTRUCTION_COST: {
+        spawn: 15000,
+        extension: 3000,
+        road: 300,
+        constructedWall: 1,
+        rampart: 1,
+        link: 5000,
+        storage: 30000,
+        tower: 5000,
+        observer: 8000,
+        powerSpawn: 100000,
+        extractor: 5000,
+        lab: 50000,
+        terminal: 100000,
+        container: 5000,
+        nuker: 100000,
+        factory: 100000
+    },
+    
+    CONTROLLER_LEVELS: { 1: 200, 2: 45000, 3: 135000, 4: 405000, 5: 1215000, 6: 3645000, 7: 10935000 },
+    CONTROLLER_STRUCTURES: {
+        spawn: { 0: 0, 1: 1, 2: 1, 3: 1, 4: 1, 5: 1, 6: 1, 7: 2, 8: 3 },
+        extension: { 0: 0, 1: 0, 2: 5, 3: 10, 4: 20, 5: 30, 6: 40, 7: 50, 8: 60 },
+        link: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 2, 6: 3, 7: 4, 8: 6 },
+        road: { 0: 2500, 1: 2500, 2: 2500, 3: 2500, 4: 2500, 5: 2500, 6: 2500, 7: 2500, 8: 2500 },
+        constructedWall: { 1: 0, 2: 2500, 3: 2500, 4: 2500, 5: 2500, 6: 2500, 7: 2500, 8: 2500 },
+        rampart: { 1: 0, 2: 2500, 3: 2500, 4: 2500, 5: 2500, 6: 2500, 7: 2500, 8: 2500 },
+        storage: { 1: 0, 2: 0, 3: 0, 4: 1, 5: 1, 6: 1, 7: 1, 8: 1 },
+        tower: { 1: 0, 2: 0, 3: 1, 4: 1, 5: 2, 6: 2, 7: 3, 8: 6 },
+        observer: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0, 8: 1 },
+        powerSpawn: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0, 8: 1 },
+        extractor: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 1, 7: 1, 8: 1 },
+        terminal: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 1, 7: 1, 8: 1 },
+        lab: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 3, 7: 6, 8: 10 },
+        container: { 0: 5, 1: 5, 2: 5, 3: 5, 4: 5, 5: 5, 6: 5, 7: 5, 8: 5 },
+        nuker: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 0, 8: 1 },
+        factory: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, 6: 0, 7: 1, 8: 1 }
+    },
+    CONTROLLER_DOWNGRADE: { 1: 20000, 2: 10000, 3: 20000, 4: 40000, 5: 80000, 6: 120000, 7: 150000, 8: 200000 },
+    CONTROLLER_MAX_UPGRADE_PER_TICK: 15,
+    CONTROLLER_RESERVE: 1,
+    CONTROLLER_RESERVE_MAX: 5000,
+    CONTROLLER_CLAIM_DOWNGRADE: 300,
+    SAFE_MODE_DURATION: 20000,
+    SAFE_MODE_COOLDOWN: 50000,
+    
+    EXTENSION_ENERGY_CAPACITY: { 0: 50, 1: 50, 2: 50, 3: 50, 4: 50, 5: 50, 6: 50, 7: 100, 8: 200 },
+    STORAGE_CAPACITY: 1000000,
+    CONTAINER_CAPACITY: 2000,
+    TERMINAL_CAPACITY: 300000,
+    LINK_CAPACITY: 800,
+    LINK_COOLDOWN: 1,
+    LINK_LOSS_RATIO: 0.03,
+    
+    EVENT_ATTACK: 1,
+    EVENT_OBJECT_DESTROYED: 2,
+    EVENT_ATTACK_CONTROLLER: 3,
+    EVENT_BUILD: 4,
+    EVENT_HARVEST: 5,
+    EVENT_HEAL: 6,
+    EVENT_REPAIR: 7,
+    EVENT_RESERVE_CONTROLLER: 8,
+    EVENT_UPGRADE_CONTROLLER: 9,
+    EVENT_EXIT: 10,
+    EVENT_POWER: 11,
+    EVENT_TRANSFER: 12,
+    EVENT_ATTACK_TYPE_MELEE: 1,
+    EVENT_ATTACK_TYPE_RANGED: 2,
+    EVENT_ATTACK_TYPE_RANGED_MASS: 3,
+    EVENT_ATTACK_TYPE_DISMANTLE: 4,
+    EVENT_ATTACK_TYPE_HIT_BACK: 5,
+    EVENT_ATTACK_TYPE_NUKE: 6,
+    EVENT_HEAL_TYPE_MELEE: 1,
+    EVENT_HEAL_TYPE_RANGED: 2,
+    
+    TOWER_CAPACITY: 1000,
+    TOWER_ENERGY_COST: 10,
+    TOWER_POWER_ATTACK: 600,
+    TOWER_POWER_HEAL: 400,
+    TOWER_POWER_REPAIR: 800,
+    TOWER_OPTIMAL_RANGE: 5,
+    TOWER_FALLOFF_RANGE: 20,
+    TOWER_FALLOFF: 0.75,
+    
+    LAB_MINERAL_CAPACITY: 3000,
+    LAB_ENERGY_CAPACITY: 2000,
+    LAB_BOOST_ENERGY: 20,
+    LAB_BOOST_MINERAL: 30,
+    LAB_REACTION_AMOUNT: 5,
+    LAB_UNBOOST_ENERGY: 0,
+    LAB_UNBOOST_MINERAL: 15,
+    
+    TERMINAL_SEND_COST: 0.1,
+    TERMINAL_MIN_SEND: 100,
+    TERMINAL_COOLDOWN: 10,
+    MARKET_FEE: 0.05,
+    ORDER_SELL: 'sell',
+    ORDER_BUY: 'buy',
+    
+    POWER_SPAWN_ENERGY_CAPACITY: 5000,
+    POWER_SPAWN_POWER_CAPACITY: 100,
+    POWER_SPAWN_ENERGY_RATIO: 50,
+    NUKER_ENERGY_CAPACITY: 300000,
+    NUKER_GHODIUM_CAPACITY: 5000,
+    NUKE_LAND_TIME: 50000,
+    NUKE_RANGE: 10,
+    NUKE_DAMAGE: { 0: 10000000, 2: 5000000 },
+    RAMPART_HITS_MAX: { 2: 300000, 3: 1000000, 4: 3000000, 5: 10000000, 6: 30000000, 7: 100000000, 8: 300000000 },
+    OBSERVER_RANGE: 10,
+    POWER_CREEP_LIFE_TIME: 5000,
+    POWER_CLASS: { OPERATOR: 'operator' },
+    PWR_GENERATE_OPS: 1,
+    PWR_OPERATE_SPAWN: 2,
+    PWR_OPERATE_TOWER: 3,
+    PWR_OPERATE_STORAGE: 4,
+    PWR_OPERATE_LAB: 5,
+    PWR_OPERATE_EXTENSION: 6,
+    PWR_OPERATE_OBSERVER: 7,
+    PWR_OPERATE_TERMINAL: 8,
+    PWR_REGEN_SOURCE: 13,
+    PWR_REGEN_MINERAL: 14,
+    PWR_OPERATE_FACTORY: 19,
+    EXTRACTOR_COOLDOWN: 5,
+    MINERAL_REGEN_TIME: 50000,
+    
+    RESOURCE_ENERGY: 'energy',
+    RESOURCE_POWER: 'power',
+    RESOURCE_OPS: 'ops',
+    RESOURCE_HYDROGEN: 'H',
+    RESOURCE_OXYGEN: 'O',
+    RESOURCE_UTRIUM: 'U',
+    RESOURCE_LEMERGIUM: 'L',
+    RESOURCE_KEANIUM: 'K',
+    RESOURCE_ZYNTHIUM: 'Z',
+    RESOURCE_CATALYST: 'X',
+    RESOURCE_GHODIUM: 'G',
+    RESOURCE_HYDROXIDE: 'OH',
+    RESOURCE_ZYNTHIUM_KEANITE: 'ZK',
+    RESOURCE_UTRIUM_LEMERGITE: 'UL',
+    RESOURCE_BATTERY: 'battery',
+    RESOURCE_UTRIUM_BAR: 'utrium_bar',
+    RESOURCE_LEMERGIUM_BAR: 'lemergium_bar',
+    RESOURCE_ZYNTHIUM_BAR: 'zynthium_bar',
+    RESOURCE_KEANIUM_BAR: 'keanium_bar',
+    RESOURCE_GHODIUM_MELT: 'ghodium_melt',
+    RESOURCE_OXIDANT: 'oxidant',
+    RESOURCE_REDUCTANT: 'reductant',
+    RESOURCE_PURIFIER: 'purifier'
+};
+
+// Compound names follow a fixed pattern, so generate them instead of listing ~40 entries
+const MINERAL_NAMES = { U: 'UTRIUM', K: 'KEANIUM', L: 'LEMERGIUM', Z: 'ZYNTHIUM', G: 'GHODIUM' };
+const REACTIONS = {};
+
+const addReaction = function(a, b, product) {
+    REACTIONS[a] = REACTIONS[a] || {};
+    REACTIONS[b] = REACTIONS[b] || {};
+    REACTIONS[a][b] = product;
+    REACTIONS[b][a] = product;
+};
+
+addReaction('H', 'O', 'OH');
+addReaction('Z', 'K', 'ZK');
+addReaction('U', 'L', 'UL');
+addReaction('ZK', 'UL', 'G');
+
+for (const mineral in MINERAL_NAMES) {
+    const name = MINERAL_NAMES[mineral];
+    
+    // Tier 1: hydride and oxide
+    constants[`RESOURCE_${name}_HYDRIDE`] = `${mineral}H`;
+    constants[`RESOURCE_${name}_OXIDE`] = `${mineral}O`;
+    addReaction(mineral, 'H', `${mineral}H`);
+    addReaction(mineral, 'O', `${mineral}O`);
+    
+    // Tier 2: acid and alkalide
+    constants[`RESOURCE_${name}_ACID`] = `${mineral}H2O`;
+    constants[`RESOURCE_${name}_ALKALIDE`] = `${mineral}HO2`;
+    addReaction(`${mineral}H`, 'OH', `${mineral}H2O`);
+    addReaction(`${mineral}O`, 'OH', `${mineral}HO2`);
+    
+    // Tier 3: catalyzed
+    constants[`RESOURCE_CATALYZED_${name}_ACID`] = `X${mineral}H2O`;
+    constants[`RESOURCE_CATALYZED_${name}_ALKALIDE`] = `X${mineral}HO2`;
+    addReaction(`${mineral}H2O`, 'X', `X${mineral}H2O`);
+    addReaction(`${mineral}HO2`, 'X', `X${mineral}HO2`);
+}
+
+constants.REACTIONS = REACTIONS;
+
+// Factory recipes for bars - higher tier commodities need powered factories and aren't simulated
+const COMMODITIES = {
+    battery: { amount: 50, cooldown: 10, components: { energy: 600 } },
+    energy: { amount: 500, cooldown: 10, components: { battery: 50 } }
+};
+const BARS = { U: 'utrium_bar', L: 'lemergium_bar', Z: 'zynthium_bar', K: 'keanium_bar',
+    G: 'ghodium_melt', O: 'oxidant', H: 'reductant', X: 'purifier' };
+for (const mineral in BARS) {
+    COMMODITIES[BARS[mineral]] = { amount: 100, cooldown: 20, components: { [mineral]: 500, energy: 200 } };
+    COMMODITIES[mineral] = { amount: 500, cooldown: 20, components: { [BARS[mineral]]: 100, energy: 200 } };
+}
+constants.COMMODITIES = COMMODITIES;
+
+// Operator powers the AI uses - power creeps themselves aren't simulated
+constants.POWER_INFO = {
+    [constants.PWR_GENERATE_OPS]: { className: 'operator', level: [0, 2, 7, 14, 22], cooldown: 50, effect: [1, 2, 4, 6, 8] },
+    [constants.PWR_OPERATE_SPAWN]: { className: 'operator', level: [0, 2, 7, 14, 22], cooldown: 300, duration: 1000, range: 3, ops: 100 },
+    [constants.PWR_OPERATE_EXTENSION]: { className: 'operator', level: [0, 2, 7, 14, 22], cooldown: 50, range: 3, ops: 2 },
+    [constants.PWR_REGEN_SOURCE]: { className: 'operator', level: [10, 11, 12, 14, 22], cooldown: 100, duration: 300, range: 3 }
+};
+
+constants.RESOURCES_ALL = Object.keys(constants)
+    .filter(key => key.startsWith('RESOURCE_'))
+    .map(key => constants[key]);
+
+module.exports = constants;
@@ -0,0 +1,36 @@
+/**
+ * Basic fixture - A fresh RCL 2 colony with one spawn and an unscouted neighbour
+ */
+module.exports = function() {
+    return {
+        username: 'sim',
+        time: 1,
+        gcl: { level: 1 },
+        rooms: {
+            W1N1: {
+                terrain: {
+                    walls: [[5, 5, 8, 9], [30, 40, 36, 43], [44, 20, 46, 28]],
+                    swamps: [[12, 30, 18, 34], [33, 14, 36, 17]]
+                },
+                controller: { x: 25, y: 8, level: 2 },
+                sources: [
+                    { x: 10, y: 12 },
+                    { x: 40, y: 36 }
+                ],
+                mineral: { x: 38, y: 10, mineralType: 'H' },
+                structures: [
+                    { structureType: 'spawn', x: 25, y: 25, name: 'Spawn1', store: { energy: 300 } }
+                ]
+            },
+            W2N1: {
+                controller: { x: 20, y: 20, level: 0 },
+                sources: [
+                    { x: 12, y: 30 },
+                    { x: 35, y: 15 }
+                ],
+                mineral: { x: 40, y: 40, mineralType: 'O' }
+            }
+        },
+        memory: {}
+    };
+};
@@ -0,0 +1,43 @@
+/**
+ * Invaded fixture - An RCL 3 room with a tower and workers, under attack by an invader pair
+ */
+module.exports = function() {
+    const worker = ['work', 'work', 'carry', 'move'];
+    
+    return {
+        username: 'sim',
+        time: 100,
+        gcl: { level: 1 },
+        rooms: {
+            W1N1: {
+                terrain: {
+                    walls: [[5, 5, 8, 9]],
+                    swamps: [[12, 30, 18, 34]]
+                },
+                controller: { x: 25, y: 8, level: 3, progress: 20000 },
+                sources: [
+                    { x: 10, y: 12 },
+                    { x: 40, y: 36 }
+                ],
+                mineral: { x: 38, y: 10, mineralType: 'H' },
+                structures: [
+                    { structureType: 'spawn', x: 25, y: 25, name: 'Spawn1', store: { energy: 300 } },
+                    { structureType: 'tower', x: 27, y: 23, store: { energy: 800 } },
+                    { structureType: 'extension', x: 23, y: 23, store: { energy: 50 } },
+                    { structureType: 'extension', x: 23, y: 27, store: { energy: 50 } },
+                    { structureType: 'extension', x: 27, y: 27, store: { energy: 50 } }
+                ],
+                creeps: [
+                    { name: 'Harvester_1', body: worker, x: 11, y: 13, memory: { role: 'harvester', homeRoom: 'W1N1' } },
+                    { name: 'Harvester_2', body: worker, x: 39, y: 35, memory: { role: 'harvester', homeRoom: 'W1N1' } },
+                    { name: 'Upgrader_1', body: worker, x: 25, y: 10, memory: { role: 'upgrader', homeRoom: 'W1N1' } }
+                ],
+                hostiles: [
+                    { name: 'Invader_1', body: ['tough', 'attack', 'attack', 'move', 'move', 'move'], x: 30, y: 45 },
+                    { name: 'Invader_2', body: ['heal', 'heal', 'move', 'move'], x: 31, y: 46 }
+                ]
+            }
+        },
+        memory: {}
+    };
+};
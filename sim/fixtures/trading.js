@@ -0,0 +1,47 @@
+/**
+ * Trading fixture - Two RCL 6 rooms with storage and terminals, and a market with buyers, sellers and price history
+ * W1N1 is rich in energy and hydrogen; W5N1 is short of both
+ */
+module.exports = function() {
+    return {
+        username: 'sim',
+        time: 100,
+        gcl: { level: 2 },
+        rooms: {
+            W1N1: {
+                controller: { x: 25, y: 8, level: 6 },
+                sources: [{ x: 10, y: 12 }, { x: 40, y: 36 }],
+                mineral: { x: 38, y: 10, mineralType: 'H' },
+                structures: [
+                    { structureType: 'spawn', x: 25, y: 25, name: 'Spawn1', store: { energy: 300 } },
+                    { structureType: 'storage', x: 25, y: 29, store: { energy: 250000, H: 5000 } },
+                    { structureType: 'terminal', x: 27, y: 29, store: { energy: 50000, H: 5000 } }
+                ]
+            },
+            W5N1: {
+                controller: { x: 20, y: 20, level: 6 },
+                sources: [{ x: 12, y: 30 }],
+                mineral: { x: 40, y: 40, mineralType: 'O' },
+                structures: [
+                    { structureType: 'spawn', x: 25, y: 25, name: 'Spawn2', store: { energy: 300 } },
+                    { structureType: 'storage', x: 25, y: 29, store: { energy: 20000 } },
+                    { structureType: 'terminal', x: 27, y: 29, store: { energy: 5000 } }
+                ]
+            }
+        },
+        market: {
+            credits: 100000,
+            history: {
+                energy: [{ avgPrice: 0.3 }, { avgPrice: 0.3 }, { avgPrice: 0.3 }],
+                H: [{ avgPrice: 1 }, { avgPrice: 1 }, { avgPrice: 1 }]
+            },
+            orders: [
+                { id: 'buyH', type: 'buy', resourceType: 'H', price: 1.05, amount: 2000, roomName: 'W10N1' },
+                { id: 'lowballH', type: 'buy', resourceType: 'H', price: 0.5, amount: 10000, roomName: 'W2N1' },
+                { id: 'sellEnergy', type: 'sell', resourceType: 'energy', price: 0.31, amount: 100000, roomName: 'W10N1' },
+                { id: 'gougeEnergy', type: 'sell', resourceType: 'energy', price: 0.6, amount: 100000, roomName: 'W6N1' }
+            ]
+        },
+        memory: {}
+    };
+};
@@ -0,0 +1,193 @@
+/**
+ * Simulator harness - Runs the AI offline against a fixture world
+ * Installs the game globals, loads repo modules by their Screeps names and steps main.loop
+ */
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const C = require('./constants');
+const { createWorld } = require('./world');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Globals that exist before any harness runs; everything else was created by the AI or a previous harness
+const BASE_GLOBALS = new Set(Object.keys(global));
+
+// Screeps modules require each other by bare file name; map those onto the repo root
+const originalResolve = Module._resolveFilename;
+Module._resolveFilename = function(request, parent, ...rest) {
+    if (/^[\w.-]+$/.test(request) && parent && parent.filename &&
+        path.dirname(parent.filename) === ROOT) {
+        const file = path.join(ROOT, `${request}.js`);
+        if (fs.existsSync(file)) return file;
+    }
+    return originalResolve.call(this, request, parent, ...rest);
+};
+
+/**
+ * Load lodash the way the server provides it
+ * @returns {Object} - lodash
+ */
+const loadLodash = function() {
+    try {
+        return require('lodash');
+    } catch (error) {
+        throw new Error('The simulator needs lodash 3.10.1 (the version the Screeps server ships). ' +
+            'Run `npm install` in the repo root, or point NODE_PATH at a node_modules that has it.');
+    }
+};
+
+/**
+ * Create a harness around a fixture
+ * @param {Object|Function} fixture - Fixture object, or a function returning one
+ * @param {Object} options - {quiet: capture console output instead of printing it}
+ * @returns {Object} - Harness
+ */
+const createHarness = function(fixture, options = {}) {
+    const world = createWorld(typeof fixture === 'function' ? fixture() : fixture);
+    
+    const harness = {
+        world,
+        logs: [],
+        errors: [],
+        main: null,
+        
+        /**
+         * Install constants, classes and lodash as globals
+         */
+        install: function() {
+            global._ = loadLodash();
+            Object.assign(global, C);
+            for (const name in world.classes) {
+                if (name !== 'STRUCTURE_CLASSES') global[name] = world.classes[name];
+            }
+            global.PathFinder = world.PathFinder;
+        },
+        
+        /**
+         * Build this tick's Game, Memory and RawMemory
+         */
+        beginTick: function() {
+            const tick = world.beginTick();
+            global.Game = tick.Game;
+            global.Memory = tick.Memory;
+            global.RawMemory = tick.RawMemory;
+        },
+        
+        /**
+         * Resolve intents and advance the clock
+         */
+        endTick: function() {
+            world.endTick(global.Memory);
+        },
+        
+        /**
+         * Require a repo module by its Screeps name with globals in place
+         * @param {string} name - Module name, e.g. 'spawnManager'
+         * @returns {*} - Module exports
+         */
+        require: function(name) {
+            if (!global.Game) this.beginTick();
+            return require(path.join(ROOT, `${name}.js`));
+        },
+        
+        /**
+         * Load main.js fresh, as after a global reset
+         * @returns {Object} - main module
+         */
+        loadMain: function() {
+            this.reset();
+            if (!global.Game) this.beginTick();
+            this.main = this.require('main');
+            return this.main;
+        },
+        
+        /**
+         * Simulate a global reset: drop cached repo modules and AI-created globals
+         */
+        reset: function() {
+            for (const file in require.cache) {
+                if (path.dirname(file) === ROOT) delete require.cache[file];
+            }
+            for (const key of Object.keys(global)) {
+                if (!BASE_GLOBALS.has(key)) delete global[key];
+            }
+            this.install();
+        },
+        
+        /**
+         * Run one tick of main.loop
+         * @returns {Object} - Harness, for chaining
+         */
+        tick: function() {
+            if (!this.main) this.loadMain();
+            this.beginTick();
+            
+            const log = console.log;
+            if (options.quiet) {
+                console.log = (...args) => this.logs.push({ time: world.time, message: args.join(' ') });
+            }
+            try {
+                this.main.loop();
+            } catch (error) {
+                this.errors.push({ time: world.time, error });
+            } finally {
+                console.log = log;
+            }
+            
+            this.endTick();
+            return this;
+        },
+        
+        /**
+         * Run several ticks
+         * @param {number} count - Ticks to run
+         * @returns {Object} - Harness, for chaining
+         */
+        runTicks: function(count) {
+            for (let i = 0; i < count; i++) this.tick();
+            return this;
+        },
+        
+        /**
+         * Memory as persisted at the end of the last tick
+         * @returns {Object} - Parsed memory
+         */
+        get memory() {
+            return JSON.parse(world.rawMemory);
+        },
+        
+        /**
+         * Intents issued so far, optionally filtered
+         * @param {Object} filter - lodash-style filter, e.g. {action: 'harvest'}
+         * @returns {Array} - Matching intents
+         */
+        actions: function(filter) {
+            return filter ? _.filter(world.actions, filter) : world.actions;
+        },
+        
+        /**
+         * World events (spawned, death, built, levelUp, ...), optionally filtered
+         * @param {Object} filter - lodash-style filter
+         * @returns {Array} - Matching events
+         */
+        events: function(filter) {
+            return filter ? _.filter(world.events, filter) : world.events;
+        }
+    };
+    
+    harness.install();
+    return harness;
+};
+
+/**
+ * Load a fixture from sim/fixtures by name
+ * @param {string} name - Fixture name
+ * @returns {Object} - Fixture
+ */
+const loadFixture = function(name) {
+    const fixture = require(path.join(__dirname, 'fixtures', name));
+    return typeof fixture === 'function' ? fixture() : fixture;
+};
+
+module.exports = { createHarness, loadFixture, ROOT };
@@ -0,0 +1,197 @@
+/**
+ * Simulator map - Room names, terrain and inter-room routing
+ * Rooms not described by a fixture get open terrain with exits on every side
+ */
+const C = require('./constants');
+
+// Exit gaps are shared by every generated room so neighbours always line up
+const EXIT_GAP = { from: 20, to: 29 };
+
+const map = {
+    /**
+     * Parse a room name into world coordinates
+     * @param {string} roomName - Room name like W1N1
+     * @returns {Object} - {x, y} with y growing southwards
+     */
+    parseRoomName: function(roomName) {
+        const match = /^([WE])(\d+)([NS])(\d+)$/.exec(roomName);
+        if (!match) throw new Error(`Invalid room name ${roomName}`);
+        
+        const x = match[1] === 'W' ? -Number(match[2]) - 1 : Number(match[2]);
+        const y = match[3] === 'N' ? -Number(match[4]) - 1 : Number(match[4]);
+        return { x, y };
+    },
+    
+    /**
+     * Build a room name from world coordinates
+     * @param {number} x - World x
+     * @param {number} y - World y
+     * @returns {string} - Room name
+     */
+    roomNameFromCoords: function(x, y) {
+        const horizontal = x < 0 ? `W${-x - 1}` : `E${x}`;
+        const vertical = y < 0 ? `N${-y - 1}` : `S${y}`;
+        return horizontal + vertical;
+    },
+    
+    /**
+     * Build a terrain buffer from a fixture description
+     * @param {Object} spec - {rows, walls, swamps, exits}
+     * @returns {Uint8Array} - 2500 tiles indexed y * 50 + x
+     */
+    buildTerrain: function(spec = {}) {
+        const terrain = new Uint8Array(2500);
+        
+        // Explicit rows win: 'x' wall, '~' swamp, anything else plain
+        if (spec.rows) {
+            for (let y = 0; y < 50; y++) {
+                const row = spec.rows[y] || '';
+                for (let x = 0; x < 50; x++) {
+                    if (row[x] === 'x') terrain[y * 50 + x] = C.TERRAIN_MASK_WALL;
+                    else if (row[x] === '~') terrain[y * 50 + x] = C.TERRAIN_MASK_SWAMP;
+                }
+            }
+            return terrain;
+        }
+        
+        // Border walls with gaps on the listed sides
+        const exits = spec.exits || ['top', 'right', 'bottom', 'left'];
+        for (let i = 0; i < 50; i++) {
+            const gap = i >= EXIT_GAP.from && i <= EXIT_GAP.to;
+            if (!gap || !exits.includes('top')) terrain[i] = C.TERRAIN_MASK_WALL;
+            if (!gap || !exits.includes('bottom')) terrain[49 * 50 + i] = C.TERRAIN_MASK_WALL;
+            if (!gap || !exits.includes('left')) terrain[i * 50] = C.TERRAIN_MASK_WALL;
+            if (!gap || !exits.includes('right')) terrain[i * 50 + 49] = C.TERRAIN_MASK_WALL;
+        }
+        
+        // Rectangles given as [x1, y1, x2, y2]
+        const fill = (rects, mask) => {
+            for (const [x1, y1, x2, y2] of rects || []) {
+                for (let x = x1; x <= x2; x++) {
+                    for (let y = y1; y <= y2; y++) {
+                        terrain[y * 50 + x] = mask;
+                    }
+                }
+            }
+        };
+        fill(spec.walls, C.TERRAIN_MASK_WALL);
+        fill(spec.swamps, C.TERRAIN_MASK_SWAMP);
+        
+        return terrain;
+    },
+    
+    /**
+     * Describe the exits of a room
+     * @param {Object} world - Simulator world
+     * @param {string} roomName - The room
+     * @returns {Object} - Direction to neighbouring room name
+     */
+    describeExits: function(world, roomName) {
+        const terrain = world.getTerrain(roomName);
+        const { x, y } = this.parseRoomName(roomName);
+        const exits = {};
+        
+        const open = (tileAt) => {
+            for (let i = 1; i < 49; i++) {
+                if (tileAt(i) !== C.TERRAIN_MASK_WALL) return true;
+            }
+            return false;
+        };
+        
+        if (open(i => terrain[i])) exits[C.TOP] = this.roomNameFromCoords(x, y - 1);
+        if (open(i => terrain[i * 50 + 49])) exits[C.RIGHT] = this.roomNameFromCoords(x + 1, y);
+        if (open(i => terrain[49 * 50 + i])) exits[C.BOTTOM] = this.roomNameFromCoords(x, y + 1);
+        if (open(i => terrain[i * 50])) exits[C.LEFT] = this.roomNameFromCoords(x - 1, y);
+        
+        return exits;
+    },
+    
+    /**
+     * Find a room-level route between two rooms
+     * @param {Object} world - Simulator world
+     * @param {string} fromRoom - Start room
+     * @param {string} toRoom - Destination room
+     * @param {Object} opts - {routeCallback}
+     * @returns {Array|number} - [{exit, room}] or ERR_NO_PATH
+     */
+    findRoute: function(world, fromRoom, toRoom, opts = {}) {
+        if (fromRoom === toRoom) return [];
+        
+        const costs = { [fromRoom]: 0 };
+        const previous = {};
+        const open = [fromRoom];
+        const maxDistance = 30;
+        
+        while (open.length > 0) {
+            open.sort((a, b) => costs[a] - costs[b]);
+            const current = open.shift();
+            if (current === toRoom) break;
+            if (costs[current] > maxDistance) continue;
+            
+            const exits = this.describeExits(world, current);
+            for (const dir in exits) {
+                const next = exits[dir];
+                let cost = 1;
+                if (opts.routeCallback) {
+                    const result = opts.routeCallback(next, current);
+                    if (result !== undefined) cost = result;
+                }
+                if (cost === Infinity) continue;
+                
+                const total = costs[current] + cost;
+                if (costs[next] === undefined || total < costs[next]) {
+                    costs[next] = total;
+                    previous[next] = { room: current, exit: Number(dir) };
+                    if (!open.includes(next)) open.push(next);
+                }
+            }
+        }
+        
+        if (costs[toRoom] === undefined) return C.ERR_NO_PATH;
+        
+        const route = [];
+        let room = toRoom;
+        while (room !== fromRoom) {
+            route.unshift({ exit: previous[room].exit, room });
+            room = previous[room].room;
+        }
+        return route;
+    },
+    
+    /**
+     * Linear distance between two rooms
+     * @param {string} roomA - First room
+     * @param {string} roomB - Second room
+     * @returns {number} - Distance in rooms
+     */
+    getRoomLinearDistance: function(roomA, roomB) {
+        const a = this.parseRoomName(roomA);
+        const b = this.parseRoomName(roomB);
+        return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+    },
+    
+    /**
+     * Build the Game.map object
+     * @param {Object} world - Simulator world
+     * @param {Function} Terrain - Room.Terrain class
+     * @returns {Object} - Game.map
+     */
+    createGameMap: function(world, Terrain) {
+        return {
+            describeExits: roomName => this.describeExits(world, roomName),
+            findRoute: (from, to, opts) => this.findRoute(world, from.name || from, to.name || to, opts),
+            findExit: (from, to, opts) => {
+                const route = this.findRoute(world, from.name || from, to.name || to, opts);
+                if (route === C.ERR_NO_PATH) return C.ERR_NO_PATH;
+                return route.length > 0 ? route[0].exit : C.ERR_INVALID_ARGS;
+            },
+            getRoomLinearDistance: (a, b) => this.getRoomLinearDistance(a, b),
+            getRoomTerrain: roomName => new Terrain(roomName),
+            getRoomStatus: () => ({ status: 'normal', timestamp: null }),
+            getWorldSize: () => 202,
+            visual: world.createVisual()
+        };
+    }
+};
+
+module.exports = map;
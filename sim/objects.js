@@ -0,0 +1,1114 @@
+/**
+ * Simulator objects - Per-tick wrappers around world state
+ * Like the live server, fresh objects are built every tick and actions only queue intents
+ */
+const C = require('./constants');
+const map = require('./map');
+
+const DIRECTION_OFFSETS = {
+    [C.TOP]: [0, -1],
+    [C.TOP_RIGHT]: [1, -1],
+    [C.RIGHT]: [1, 0],
+    [C.BOTTOM_RIGHT]: [1, 1],
+    [C.BOTTOM]: [0, 1],
+    [C.BOTTOM_LEFT]: [-1, 1],
+    [C.LEFT]: [-1, 0],
+    [C.TOP_LEFT]: [-1, -1]
+};
+
+// Structures creeps can walk over
+const WALKABLE = [C.STRUCTURE_ROAD, C.STRUCTURE_CONTAINER, C.STRUCTURE_RAMPART];
+
+/**
+ * Convert a room position to global grid coordinates
+ * @param {Object} pos - {x, y, roomName}
+ * @returns {Object} - {x, y}
+ */
+const toGlobal = function(pos) {
+    const room = map.parseRoomName(pos.roomName);
+    return { x: room.x * 50 + pos.x, y: room.y * 50 + pos.y };
+};
+
+/**
+ * Direction from one position to another, across rooms if needed
+ * @param {Object} from - Start position
+ * @param {Object} to - Target position
+ * @returns {number} - Direction constant
+ */
+const directionBetween = function(from, to) {
+    const a = toGlobal(from);
+    const b = toGlobal(to);
+    const dx = Math.sign(b.x - a.x);
+    const dy = Math.sign(b.y - a.y);
+    for (const dir in DIRECTION_OFFSETS) {
+        const offset = DIRECTION_OFFSETS[dir];
+        if (offset[0] === dx && offset[1] === dy) return Number(dir);
+    }
+    return undefined;
+};
+
+/**
+ * Build a store object with the live server's accessors
+ * @param {Object} contents - Resource amounts
+ * @param {number|Object|null} capacity - Total capacity, per-resource capacity, or null for unlimited
+ * @returns {Proxy} - Store that reads missing resources as 0
+ */
+const createStore = function(contents, capacity) {
+    const store = {};
+    for (const resource in contents) {
+        if (contents[resource] > 0) store[resource] = contents[resource];
+    }
+    
+    const used = () => Object.keys(store).reduce((sum, r) => sum + store[r], 0);
+    const capacityFor = function(resource) {
+        if (capacity === null || capacity === undefined) return null;
+        if (typeof capacity === 'number') return capacity;
+        if (!resource) return null;
+        if (capacity[resource] !== undefined) return capacity[resource];
+        if (capacity.mineral !== undefined && resource !== C.RESOURCE_ENERGY) return capacity.mineral;
+        return null;
+    };
+    
+    Object.defineProperties(store, {
+        getCapacity: { value: capacityFor },
+        getUsedCapacity: {
+            value: function(resource) {
+                if (resource) return store[resource] || 0;
+                return typeof capacity === 'number' ? used() : null;
+            }
+        },
+        getFreeCapacity: {
+            value: function(resource) {
+                const cap = capacityFor(resource);
+                if (cap === null) return null;
+                if (typeof capacity === 'number') return cap - used();
+                
+                // Mineral slots hold one mineral type at a time
+                if (resource !== C.RESOURCE_ENERGY && capacity.mineral !== undefined &&
+                    Object.keys(store).some(r => r !== C.RESOURCE_ENERGY && r !== resource)) {
+                    return 0;
+                }
+                return cap - (store[resource] || 0);
+            }
+        }
+    });
+    
+    return new Proxy(store, {
+        get: function(target, prop) {
+            if (prop in target) return target[prop];
+            if (typeof prop === 'string' && C.RESOURCES_ALL.includes(prop)) return 0;
+            return undefined;
+        }
+    });
+};
+
+/**
+ * Create the game object classes bound to a world
+ * @param {Object} world - Simulator world
+ * @returns {Object} - Class constructors keyed by global name
+ */
+const createClasses = function(world) {
+    const resolvePos = function(a, b, roomName) {
+        if (typeof a === 'number') return { x: a, y: b, roomName };
+        return a && a.pos ? a.pos : a;
+    };
+    
+    const filterList = function(list, opts) {
+        if (!opts || !opts.filter) return list;
+        return _.filter(list, opts.filter);
+    };
+    
+    class RoomPosition {
+        constructor(x, y, roomName) {
+            this.x = x;
+            this.y = y;
+            this.roomName = roomName;
+        }
+        
+        getRangeTo(a, b) {
+            const target = resolvePos(a, b, this.roomName);
+            if (!target || target.roomName !== this.roomName) return Infinity;
+            return Math.max(Math.abs(this.x - target.x), Math.abs(this.y - target.y));
+        }
+        
+        inRangeTo(a, b, c) {
+            if (typeof a === 'number') return this.getRangeTo(a, b) <= c;
+            return this.getRangeTo(a) <= b;
+        }
+        
+        isNearTo(a, b) {
+            return this.getRangeTo(a, b) <= 1;
+        }
+        
+        isEqualTo(a, b) {
+            return this.getRangeTo(a, b) === 0;
+        }
+        
+        getDirectionTo(a, b) {
+            return directionBetween(this, resolvePos(a, b, this.roomName));
+        }
+        
+        findInRange(type, range, opts) {
+            const list = typeof type === 'number' ? this._roomFind(type) : type;
+            return filterList(list, opts).filter(o => this.getRangeTo(o) <= range);
+        }
+        
+        findClosestByRange(type, opts) {
+            const list = typeof type === 'number' ? this._roomFind(type) : type;
+            let closest = null;
+            let closestRange = Infinity;
+            for (const o of filterList(list, opts)) {
+                const range = this.getRangeTo(o);
+                if (range < closestRange) {
+                    closest = o;
+                    closestRange = range;
+                }
+            }
+            return closest;
+        }
+        
+        // Range stands in for path length; close enough for open test rooms
+        findClosestByPath(type, opts) {
+            return this.findClosestByRange(type, opts);
+        }
+        
+        findPathTo(a, b, opts) {
+            const room = world.game.rooms[this.roomName];
+            if (!room) return [];
+            const target = resolvePos(a, b, this.roomName);
+            return room.findPath(this, new RoomPosition(target.x, target.y, target.roomName),
+                typeof a === 'number' ? opts : b);
+        }
+        
+        lookFor(type) {
+            const room = world.game.rooms[this.roomName];
+            return room ? room.lookForAt(type, this.x, this.y) : [];
+        }
+        
+        look() {
+            const room = world.game.rooms[this.roomName];
+            return room ? room.lookAt(this.x, this.y) : [];
+        }
+        
+        createConstructionSite(structureType, name) {
+            const room = world.game.rooms[this.roomName];
+            if (!room) return C.ERR_INVALID_TARGET;
+            return room.createConstructionSite(this.x, this.y, structureType, name);
+        }
+        
+        toString() {
+            return `[room ${this.roomName} pos ${this.x},${this.y}]`;
+        }
+        
+        _roomFind(type) {
+            const room = world.game.rooms[this.roomName];
+            return room ? room.find(type) : [];
+        }
+    }
+    
+    class RoomVisual {
+        constructor(roomName) {
+            this.roomName = roomName;
+        }
+        
+        clear() { return this; }
+        circle() { return this; }
+        line() { return this; }
+        rect() { return this; }
+        poly() { return this; }
+        text() { return this; }
+        getSize() { return 0; }
+        export() { return ''; }
+        import() { return this; }
+    }
+    
+    class Terrain {
+        constructor(roomName) {
+            this.roomName = roomName;
+            this._tiles = world.getTerrain(roomName);
+        }
+        
+        get(x, y) {
+            return this._tiles[y * 50 + x];
+        }
+        
+        getRawBuffer() {
+            return new Uint8Array(this._tiles);
+        }
+    }
+    
+    class RoomObject {
+        constructor(record) {
+            this.id = record.id;
+            this.pos = new RoomPosition(record.x, record.y, record.room);
+            this._record = record;
+        }
+        
+        get room() {
+            return world.game.rooms[this.pos.roomName];
+        }
+    }
+    
+    class Source extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.energy = record.energy;
+            this.energyCapacity = record.energyCapacity;
+            this.ticksToRegeneration = record.ticksToRegeneration;
+        }
+    }
+    
+    class Mineral extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.mineralType = record.mineralType;
+            this.mineralAmount = record.mineralAmount;
+            this.density = record.density || 3;
+            this.ticksToRegeneration = record.ticksToRegeneration;
+        }
+    }
+    
+    class Resource extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.resourceType = record.resourceType;
+            this.amount = record.amount;
+        }
+    }
+    
+    class Tombstone extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.store = createStore(record.store, null);
+            this.deathTime = record.deathTime;
+            this.ticksToDecay = record.ticksToDecay;
+            this.creep = { name: record.creepName, my: record.owner === world.username };
+        }
+    }
+    
+    class Ruin extends Tombstone {}
+    
+    class Nuke extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.launchRoomName = record.launchRoomName;
+            this.timeToLand = record.timeToLand;
+        }
+    }
+    
+    class Flag extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.name = record.name;
+            this.color = record.color || 1;
+            this.secondaryColor = record.secondaryColor || 1;
+        }
+        
+        remove() {
+            return world.queueIntent(this, 'removeFlag', {});
+        }
+    }
+    
+    class ConstructionSite extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.structureType = record.structureType;
+            this.progress = record.progress;
+            this.progressTotal = record.progressTotal;
+            this.my = record.owner === world.username;
+            this.owner = { username: record.owner };
+        }
+        
+        remove() {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            return world.queueIntent(this, 'removeSite', {});
+        }
+    }
+    
+    class Structure extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.structureType = record.structureType;
+            this.hits = record.hits;
+            this.hitsMax = record.hitsMax;
+            if (record.store) {
+                this.store = createStore(record.store, world.getStoreCapacity(record));
+            }
+            if (record.owner) {
+                this.my = record.owner === world.username;
+                this.owner = { username: record.owner };
+            }
+            if (record.cooldown !== undefined) this.cooldown = record.cooldown;
+            if (record.ticksToDecay !== undefined) this.ticksToDecay = record.ticksToDecay;
+            if (record.isPublic !== undefined) this.isPublic = record.isPublic;
+        }
+        
+        // Legacy energy accessors some modules still read
+        get energy() {
+            return this.store ? this.store[C.RESOURCE_ENERGY] : undefined;
+        }
+        
+        get energyCapacity() {
+            return this.store ? this.store.getCapacity(C.RESOURCE_ENERGY) : undefined;
+        }
+        
+        isActive() {
+            return true;
+        }
+        
+        destroy() {
+            if (this.owner && !this.my) return C.ERR_NOT_OWNER;
+            return world.queueIntent(this, 'destroy', {});
+        }
+        
+        notifyWhenAttacked() {
+            return C.OK;
+        }
+    }
+    
+    class StructureController extends Structure {
+        constructor(record) {
+            super(record);
+            this.level = record.level || 0;
+            this.progress = record.level ? record.progress || 0 : undefined;
+            this.progressTotal = C.CONTROLLER_LEVELS[record.level];
+            this.my = record.owner === world.username;
+            this.owner = record.owner ? { username: record.owner } : undefined;
+            this.reservation = record.reservation ? Object.assign({}, record.reservation) : undefined;
+            this.ticksToDowngrade = record.owner ? record.ticksToDowngrade : undefined;
+            this.safeMode = record.safeMode || undefined;
+            this.safeModeAvailable = record.safeModeAvailable || 0;
+            this.safeModeCooldown = record.safeModeCooldown || undefined;
+            this.upgradeBlocked = record.upgradeBlocked || undefined;
+            this.sign = record.sign;
+            this.isPowerEnabled = false;
+        }
+        
+        activateSafeMode() {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (this.safeModeAvailable <= 0) return C.ERR_NOT_ENOUGH_RESOURCES;
+            if (this.safeModeCooldown || this.upgradeBlocked) return C.ERR_TIRED;
+            const active = Object.values(world.game.rooms).some(r => r.controller && r.controller.safeMode);
+            if (active) return C.ERR_BUSY;
+            return world.queueIntent(this, 'activateSafeMode', {});
+        }
+        
+        unclaim() {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            return world.queueIntent(this, 'unclaim', {});
+        }
+    }
+    
+    class StructureSpawn extends Structure {
+        constructor(record) {
+            super(record);
+            this.name = record.name;
+            this.spawning = record.spawning ? {
+                name: record.spawning.name,
+                needTime: record.spawning.needTime,
+                remainingTime: record.spawning.remainingTime,
+                directions: record.spawning.directions,
+                spawn: this,
+                cancel: () => world.queueIntent(this, 'cancelSpawning', {}),
+                setDirections: directions => world.queueIntent(this, 'setDirections', { directions })
+            } : null;
+        }
+        
+        get memory() {
+            Memory.spawns = Memory.spawns || {};
+            Memory.spawns[this.name] = Memory.spawns[this.name] || {};
+            return Memory.spawns[this.name];
+        }
+        
+        set memory(value) {
+            Memory.spawns = Memory.spawns || {};
+            Memory.spawns[this.name] = value;
+        }
+        
+        spawnCreep(body, name, opts = {}) {
+            return world.spawnCreep(this, body, name, opts);
+        }
+        
+        renewCreep(creep) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (this.spawning) return C.ERR_BUSY;
+            if (!creep || !creep.my || creep.spawning) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(creep)) return C.ERR_NOT_IN_RANGE;
+            if (creep.body.some(p => p.type === C.CLAIM)) return C.ERR_INVALID_TARGET;
+            if (creep.ticksToLive + Math.floor(600 / creep.body.length) > C.CREEP_LIFE_TIME) return C.ERR_FULL;
+            const cost = Math.ceil(world.bodyCost(creep.body.map(p => p.type)) / 2.5 / creep.body.length);
+            if (this.room.energyAvailable < cost) return C.ERR_NOT_ENOUGH_ENERGY;
+            return world.queueIntent(this, 'renewCreep', { target: creep.id, cost });
+        }
+        
+        recycleCreep(creep) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (!creep || !creep.my) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(creep)) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'recycleCreep', { target: creep.id });
+        }
+    }
+    
+    class StructureTower extends Structure {
+        _towerAction(action, target) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (!target || !target.pos || target.pos.roomName !== this.pos.roomName) return C.ERR_INVALID_TARGET;
+            if (this.store[C.RESOURCE_ENERGY] < C.TOWER_ENERGY_COST) return C.ERR_NOT_ENOUGH_ENERGY;
+            return world.queueIntent(this, 'tower', { action, target: target.id });
+        }
+        
+        attack(target) { return this._towerAction('attack', target); }
+        heal(target) { return this._towerAction('heal', target); }
+        repair(target) { return this._towerAction('repair', target); }
+    }
+    
+    class StructureLink extends Structure {
+        transferEnergy(target, amount) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (!target || target.structureType !== C.STRUCTURE_LINK) return C.ERR_INVALID_TARGET;
+            if (target.pos.roomName !== this.pos.roomName) return C.ERR_NOT_IN_RANGE;
+            if (this.cooldown > 0) return C.ERR_TIRED;
+            const energy = amount || this.store[C.RESOURCE_ENERGY];
+            if (energy <= 0 || this.store[C.RESOURCE_ENERGY] < energy) return C.ERR_NOT_ENOUGH_ENERGY;
+            if (target.store.getFreeCapacity(C.RESOURCE_ENERGY) <= 0) return C.ERR_FULL;
+            return world.queueIntent(this, 'transferEnergy', { target: target.id, amount: energy });
+        }
+    }
+    
+    class StructureLab extends Structure {
+        get mineralType() {
+            const types = Object.keys(this.store).filter(r => r !== C.RESOURCE_ENERGY && this.store[r] > 0);
+            return types[0] || null;
+        }
+        
+        get mineralAmount() {
+            return this.mineralType ? this.store[this.mineralType] : 0;
+        }
+        
+        get mineralCapacity() {
+            return C.LAB_MINERAL_CAPACITY;
+        }
+        
+        runReaction(lab1, lab2) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (this.cooldown > 0) return C.ERR_TIRED;
+            if (!lab1 || !lab2 || !lab1.mineralType || !lab2.mineralType) return C.ERR_NOT_ENOUGH_RESOURCES;
+            if (!this.pos.inRangeTo(lab1, 2) || !this.pos.inRangeTo(lab2, 2)) return C.ERR_NOT_IN_RANGE;
+            const product = (C.REACTIONS[lab1.mineralType] || {})[lab2.mineralType];
+            if (!product) return C.ERR_INVALID_ARGS;
+            if (lab1.mineralAmount < C.LAB_REACTION_AMOUNT || lab2.mineralAmount < C.LAB_REACTION_AMOUNT) {
+                return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            if (this.mineralType && this.mineralType !== product) return C.ERR_INVALID_TARGET;
+            if (this.store.getFreeCapacity(product) < C.LAB_REACTION_AMOUNT) return C.ERR_FULL;
+            return world.queueIntent(this, 'runReaction', { lab1: lab1.id, lab2: lab2.id, product });
+        }
+        
+        boostCreep(creep, bodyPartsCount) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (!creep || !creep.my) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(creep)) return C.ERR_NOT_IN_RANGE;
+            if (!this.mineralType || this.mineralAmount < C.LAB_BOOST_MINERAL ||
+                this.store[C.RESOURCE_ENERGY] < C.LAB_BOOST_ENERGY) {
+                return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            return world.queueIntent(this, 'boostCreep', { target: creep.id, count: bodyPartsCount });
+        }
+    }
+    
+    class StructureTerminal extends Structure {
+        send(resourceType, amount, destination, description) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (this.cooldown > 0) return C.ERR_TIRED;
+            if (amount < C.TERMINAL_MIN_SEND) return C.ERR_INVALID_ARGS;
+            const cost = world.game.market.calcTransactionCost(amount, this.pos.roomName, destination);
+            const needed = resourceType === C.RESOURCE_ENERGY ? amount + cost : amount;
+            if (this.store[resourceType] < needed || this.store[C.RESOURCE_ENERGY] < cost) {
+                return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            return world.queueIntent(this, 'send', { resourceType, amount, destination, description, cost });
+        }
+    }
+    
+    class StructureObserver extends Structure {
+        observeRoom(roomName) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (map.getRoomLinearDistance(this.pos.roomName, roomName) > C.OBSERVER_RANGE) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'observeRoom', { roomName });
+        }
+    }
+    
+    class StructurePowerSpawn extends Structure {
+        processPower() {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (this.store[C.RESOURCE_POWER] < 1 || this.store[C.RESOURCE_ENERGY] < C.POWER_SPAWN_ENERGY_RATIO) {
+                return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            return world.queueIntent(this, 'processPower', {});
+        }
+    }
+    
+    class StructureFactory extends Structure {
+        produce(resourceType) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (this.cooldown > 0) return C.ERR_TIRED;
+            const recipe = C.COMMODITIES[resourceType];
+            if (!recipe) return C.ERR_INVALID_ARGS;
+            for (const component in recipe.components) {
+                if (this.store[component] < recipe.components[component]) return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            return world.queueIntent(this, 'produce', { resourceType });
+        }
+    }
+    
+    class StructureNuker extends Structure {
+        launchNuke(pos) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (this.cooldown > 0) return C.ERR_TIRED;
+            if (this.store[C.RESOURCE_ENERGY] < C.NUKER_ENERGY_CAPACITY ||
+                this.store[C.RESOURCE_GHODIUM] < C.NUKER_GHODIUM_CAPACITY) {
+                return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            return world.queueIntent(this, 'launchNuke', { x: pos.x, y: pos.y, roomName: pos.roomName });
+        }
+    }
+    
+    class StructureRampart extends Structure {
+        setPublic(isPublic) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            return world.queueIntent(this, 'setPublic', { isPublic: !!isPublic });
+        }
+    }
+    
+    const STRUCTURE_CLASSES = {
+        [C.STRUCTURE_CONTROLLER]: StructureController,
+        [C.STRUCTURE_SPAWN]: StructureSpawn,
+        [C.STRUCTURE_TOWER]: StructureTower,
+        [C.STRUCTURE_LINK]: StructureLink,
+        [C.STRUCTURE_LAB]: StructureLab,
+        [C.STRUCTURE_TERMINAL]: StructureTerminal,
+        [C.STRUCTURE_OBSERVER]: StructureObserver,
+        [C.STRUCTURE_POWER_SPAWN]: StructurePowerSpawn,
+        [C.STRUCTURE_FACTORY]: StructureFactory,
+        [C.STRUCTURE_NUKER]: StructureNuker,
+        [C.STRUCTURE_RAMPART]: StructureRampart
+    };
+    
+    class Creep extends RoomObject {
+        constructor(record) {
+            super(record);
+            this.name = record.name;
+            this.body = record.body.map(part => Object.assign({}, part));
+            this.my = record.owner === world.username;
+            this.owner = { username: record.owner };
+            this.hits = record.hits;
+            this.hitsMax = record.body.length * 100;
+            this.fatigue = record.fatigue || 0;
+            this.spawning = !!record.spawning;
+            this.ticksToLive = record.spawning ? undefined : record.ticksToLive;
+            this.saying = record.saying;
+            this.store = createStore(record.store, world.getStoreCapacity(record));
+        }
+        
+        get memory() {
+            Memory.creeps = Memory.creeps || {};
+            Memory.creeps[this.name] = Memory.creeps[this.name] || {};
+            return Memory.creeps[this.name];
+        }
+        
+        set memory(value) {
+            Memory.creeps = Memory.creeps || {};
+            Memory.creeps[this.name] = value;
+        }
+        
+        get carry() {
+            return this.store;
+        }
+        
+        get carryCapacity() {
+            return this.store.getCapacity();
+        }
+        
+        getActiveBodyparts(type) {
+            return this.body.filter(part => part.type === type && part.hits > 0).length;
+        }
+        
+        _check(part) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            if (this.spawning) return C.ERR_BUSY;
+            if (part && this.getActiveBodyparts(part) === 0) return C.ERR_NO_BODYPART;
+            return C.OK;
+        }
+        
+        move(direction) {
+            const check = this._check(C.MOVE);
+            if (check !== C.OK) return check;
+            if (this.fatigue > 0) return C.ERR_TIRED;
+            
+            // Pulling is modelled as a plain move towards the other creep
+            if (direction && direction.pos) direction = this.pos.getDirectionTo(direction);
+            if (!DIRECTION_OFFSETS[direction]) return C.ERR_INVALID_ARGS;
+            return world.queueIntent(this, 'move', { direction });
+        }
+        
+        moveTo(a, b, c) {
+            const check = this._check(C.MOVE);
+            if (check !== C.OK) return check;
+            if (this.fatigue > 0) return C.ERR_TIRED;
+            
+            const target = resolvePos(a, b, this.pos.roomName);
+            const opts = (typeof a === 'number' ? c : b) || {};
+            if (!target || target.x === undefined) return C.ERR_INVALID_TARGET;
+            
+            const goal = new RoomPosition(target.x, target.y, target.roomName || this.pos.roomName);
+            const range = opts.range !== undefined ? opts.range : (world.isObstacle(goal) ? 1 : 0);
+            if (this.pos.getRangeTo(goal) <= range) return C.OK;
+            
+            const path = world.findPath(this.pos, goal, Object.assign({}, opts, { range }));
+            if (path.length === 0) return C.ERR_NO_PATH;
+            
+            return this.move(directionBetween(this.pos, path[0]));
+        }
+        
+        moveByPath(path) {
+            if (typeof path === 'string') path = Room.deserializePath(path);
+            if (!Array.isArray(path) || path.length === 0) return C.ERR_NOT_FOUND;
+            
+            // Steps from Room.findPath carry dx/dy, PathFinder paths are plain positions
+            for (let i = 0; i < path.length; i++) {
+                const step = path[i];
+                if (step.direction !== undefined) {
+                    if (step.x - step.dx === this.pos.x && step.y - step.dy === this.pos.y) {
+                        return this.move(step.direction);
+                    }
+                } else if (this.pos.isEqualTo(step) && path[i + 1]) {
+                    return this.move(directionBetween(this.pos, path[i + 1]));
+                }
+            }
+            
+            const first = path[0];
+            if (first.direction === undefined && this.pos.isNearTo(first)) {
+                return this.move(directionBetween(this.pos, first));
+            }
+            return C.ERR_NOT_FOUND;
+        }
+        
+        harvest(target) {
+            const check = this._check(C.WORK);
+            if (check !== C.OK) return check;
+            if (!target || (target.energy === undefined && target.mineralType === undefined)) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            
+            if (target.mineralType) {
+                const extractor = target.pos.lookFor(C.LOOK_STRUCTURES)
+                    .find(s => s.structureType === C.STRUCTURE_EXTRACTOR);
+                if (!extractor || !extractor.my) return C.ERR_NOT_FOUND;
+                if (extractor.cooldown > 0) return C.ERR_TIRED;
+                if (target.mineralAmount <= 0) return C.ERR_NOT_ENOUGH_RESOURCES;
+            } else if (target.energy <= 0) {
+                return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            
+            return world.queueIntent(this, 'harvest', { target: target.id });
+        }
+        
+        transfer(target, resourceType, amount) {
+            const check = this._check();
+            if (check !== C.OK) return check;
+            if (!target || !target.store || target === this) return C.ERR_INVALID_TARGET;
+            if (!C.RESOURCES_ALL.includes(resourceType)) return C.ERR_INVALID_ARGS;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            if (this.store[resourceType] <= 0 || (amount && this.store[resourceType] < amount)) {
+                return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            const free = target.store.getFreeCapacity(resourceType);
+            if (free === null) return C.ERR_INVALID_TARGET;
+            if (free <= 0 || (amount && free < amount)) return C.ERR_FULL;
+            return world.queueIntent(this, 'transfer', {
+                target: target.id,
+                resourceType,
+                amount: amount || Math.min(this.store[resourceType], free)
+            });
+        }
+        
+        withdraw(target, resourceType, amount) {
+            const check = this._check();
+            if (check !== C.OK) return check;
+            if (!target || !target.store) return C.ERR_INVALID_TARGET;
+            if (target.owner && !target.my && !(target.structureType === C.STRUCTURE_RAMPART && target.isPublic)) {
+                return C.ERR_NOT_OWNER;
+            }
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            if (target.store[resourceType] <= 0 || (amount && target.store[resourceType] < amount)) {
+                return C.ERR_NOT_ENOUGH_RESOURCES;
+            }
+            const free = this.store.getFreeCapacity();
+            if (free <= 0 || (amount && free < amount)) return C.ERR_FULL;
+            return world.queueIntent(this, 'withdraw', {
+                target: target.id,
+                resourceType,
+                amount: amount || Math.min(target.store[resourceType], free)
+            });
+        }
+        
+        pickup(target) {
+            const check = this._check();
+            if (check !== C.OK) return check;
+            if (!target || target.resourceType === undefined) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            if (this.store.getFreeCapacity() <= 0) return C.ERR_FULL;
+            return world.queueIntent(this, 'pickup', { target: target.id });
+        }
+        
+        drop(resourceType, amount) {
+            const check = this._check();
+            if (check !== C.OK) return check;
+            if (this.store[resourceType] <= 0) return C.ERR_NOT_ENOUGH_RESOURCES;
+            return world.queueIntent(this, 'drop', {
+                resourceType,
+                amount: Math.min(amount || this.store[resourceType], this.store[resourceType])
+            });
+        }
+        
+        build(target) {
+            const check = this._check(C.WORK);
+            if (check !== C.OK) return check;
+            if (!target || target.progressTotal === undefined) return C.ERR_INVALID_TARGET;
+            if (!this.pos.inRangeTo(target, 3)) return C.ERR_NOT_IN_RANGE;
+            if (this.store[C.RESOURCE_ENERGY] <= 0) return C.ERR_NOT_ENOUGH_RESOURCES;
+            return world.queueIntent(this, 'build', { target: target.id });
+        }
+        
+        repair(target) {
+            const check = this._check(C.WORK);
+            if (check !== C.OK) return check;
+            if (!target || target.hits === undefined || target.hitsMax === undefined) return C.ERR_INVALID_TARGET;
+            if (!this.pos.inRangeTo(target, 3)) return C.ERR_NOT_IN_RANGE;
+            if (this.store[C.RESOURCE_ENERGY] <= 0) return C.ERR_NOT_ENOUGH_RESOURCES;
+            return world.queueIntent(this, 'repair', { target: target.id });
+        }
+        
+        dismantle(target) {
+            const check = this._check(C.WORK);
+            if (check !== C.OK) return check;
+            if (!target || target.hits === undefined) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'dismantle', { target: target.id });
+        }
+        
+        upgradeController(target) {
+            const check = this._check(C.WORK);
+            if (check !== C.OK) return check;
+            if (!target || target.structureType !== C.STRUCTURE_CONTROLLER || !target.my) return C.ERR_INVALID_TARGET;
+            if (!this.pos.inRangeTo(target, 3)) return C.ERR_NOT_IN_RANGE;
+            if (this.store[C.RESOURCE_ENERGY] <= 0) return C.ERR_NOT_ENOUGH_RESOURCES;
+            return world.queueIntent(this, 'upgradeController', { target: target.id });
+        }
+        
+        claimController(target) {
+            const check = this._check(C.CLAIM);
+            if (check !== C.OK) return check;
+            if (!target || target.structureType !== C.STRUCTURE_CONTROLLER) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            if (target.owner || (target.reservation && target.reservation.username !== world.username)) {
+                return C.ERR_INVALID_TARGET;
+            }
+            const owned = Object.values(world.game.rooms).filter(r => r.controller && r.controller.my).length;
+            if (owned >= world.game.gcl.level) return C.ERR_GCL_NOT_ENOUGH;
+            return world.queueIntent(this, 'claimController', { target: target.id });
+        }
+        
+        reserveController(target) {
+            const check = this._check(C.CLAIM);
+            if (check !== C.OK) return check;
+            if (!target || target.structureType !== C.STRUCTURE_CONTROLLER || target.owner) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            if (target.reservation && target.reservation.username !== world.username) return C.ERR_INVALID_TARGET;
+            return world.queueIntent(this, 'reserveController', { target: target.id });
+        }
+        
+        attackController(target) {
+            const check = this._check(C.CLAIM);
+            if (check !== C.OK) return check;
+            if (!target || target.structureType !== C.STRUCTURE_CONTROLLER) return C.ERR_INVALID_TARGET;
+            if (!target.owner && !target.reservation) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'attackController', { target: target.id });
+        }
+        
+        signController(target, text) {
+            if (!target || target.structureType !== C.STRUCTURE_CONTROLLER) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'signController', { target: target.id, text });
+        }
+        
+        attack(target) {
+            const check = this._check(C.ATTACK);
+            if (check !== C.OK) return check;
+            if (!target || target.hits === undefined) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'attack', { target: target.id });
+        }
+        
+        rangedAttack(target) {
+            const check = this._check(C.RANGED_ATTACK);
+            if (check !== C.OK) return check;
+            if (!target || target.hits === undefined) return C.ERR_INVALID_TARGET;
+            if (!this.pos.inRangeTo(target, 3)) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'rangedAttack', { target: target.id });
+        }
+        
+        rangedMassAttack() {
+            const check = this._check(C.RANGED_ATTACK);
+            if (check !== C.OK) return check;
+            return world.queueIntent(this, 'rangedMassAttack', {});
+        }
+        
+        heal(target) {
+            const check = this._check(C.HEAL);
+            if (check !== C.OK) return check;
+            if (!target || target.hitsMax === undefined) return C.ERR_INVALID_TARGET;
+            if (!this.pos.isNearTo(target)) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'heal', { target: target.id, power: C.HEAL_POWER });
+        }
+        
+        rangedHeal(target) {
+            const check = this._check(C.HEAL);
+            if (check !== C.OK) return check;
+            if (!target || target.hitsMax === undefined) return C.ERR_INVALID_TARGET;
+            if (!this.pos.inRangeTo(target, 3)) return C.ERR_NOT_IN_RANGE;
+            return world.queueIntent(this, 'heal', { target: target.id, power: C.RANGED_HEAL_POWER });
+        }
+        
+        say(message, toPublic) {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            return world.queueIntent(this, 'say', { message: String(message).slice(0, 10), toPublic });
+        }
+        
+        suicide() {
+            if (!this.my) return C.ERR_NOT_OWNER;
+            return world.queueIntent(this, 'suicide', {});
+        }
+        
+        notifyWhenAttacked() {
+            return C.OK;
+        }
+        
+        cancelOrder(methodName) {
+            return world.cancelIntent(this, methodName);
+        }
+    }
+    
+    class Room {
+        constructor(state) {
+            this.name = state.name;
+            this.visual = new RoomVisual(state.name);
+            this._objects = [];
+        }
+        
+        get memory() {
+            Memory.rooms = Memory.rooms || {};
+            Memory.rooms[this.name] = Memory.rooms[this.name] || {};
+            return Memory.rooms[this.name];
+        }
+        
+        set memory(value) {
+            Memory.rooms = Memory.rooms || {};
+            Memory.rooms[this.name] = value;
+        }
+        
+        find(type, opts) {
+            const objects = this._objects;
+            const mine = o => o.my === true;
+            const hostile = o => o.my === false;
+            let list;
+            
+            switch (type) {
+                case C.FIND_CREEPS: list = objects.filter(o => o instanceof Creep); break;
+                case C.FIND_MY_CREEPS: list = objects.filter(o => o instanceof Creep && mine(o)); break;
+                case C.FIND_HOSTILE_CREEPS: list = objects.filter(o => o instanceof Creep && hostile(o)); break;
+                case C.FIND_SOURCES: list = objects.filter(o => o instanceof Source); break;
+                case C.FIND_SOURCES_ACTIVE: list = objects.filter(o => o instanceof Source && o.energy > 0); break;
+                case C.FIND_DROPPED_RESOURCES: list = objects.filter(o => o instanceof Resource); break;
+                case C.FIND_STRUCTURES: list = objects.filter(o => o instanceof Structure); break;
+                case C.FIND_MY_STRUCTURES: list = objects.filter(o => o instanceof Structure && mine(o)); break;
+                case C.FIND_HOSTILE_STRUCTURES: list = objects.filter(o => o instanceof Structure && hostile(o)); break;
+                case C.FIND_MY_SPAWNS: list = objects.filter(o => o instanceof StructureSpawn && mine(o)); break;
+                case C.FIND_HOSTILE_SPAWNS: list = objects.filter(o => o instanceof StructureSpawn && hostile(o)); break;
+                case C.FIND_CONSTRUCTION_SITES: list = objects.filter(o => o instanceof ConstructionSite); break;
+                case C.FIND_MY_CONSTRUCTION_SITES: list = objects.filter(o => o instanceof ConstructionSite && mine(o)); break;
+                case C.FIND_HOSTILE_CONSTRUCTION_SITES: list = objects.filter(o => o instanceof ConstructionSite && hostile(o)); break;
+                case C.FIND_MINERALS: list = objects.filter(o => o instanceof Mineral); break;
+                case C.FIND_NUKES: list = objects.filter(o => o instanceof Nuke); break;
+                case C.FIND_TOMBSTONES: list = objects.filter(o => o instanceof Tombstone && !(o instanceof Ruin)); break;
+                case C.FIND_RUINS: list = objects.filter(o => o instanceof Ruin); break;
+                case C.FIND_FLAGS: list = objects.filter(o => o instanceof Flag); break;
+                case C.FIND_EXIT_TOP:
+                case C.FIND_EXIT_RIGHT:
+                case C.FIND_EXIT_BOTTOM:
+                case C.FIND_EXIT_LEFT:
+                case C.FIND_EXIT:
+                    list = this._findExits(type);
+                    break;
+                default:
+                    list = [];
+            }
+            
+            return filterList(list, opts);
+        }
+        
+        _findExits(type) {
+            const terrain = world.getTerrain(this.name);
+            const exits = [];
+            for (let i = 0; i < 50; i++) {
+                const tiles = {
+                    [C.FIND_EXIT_TOP]: [i, 0],
+                    [C.FIND_EXIT_RIGHT]: [49, i],
+                    [C.FIND_EXIT_BOTTOM]: [i, 49],
+                    [C.FIND_EXIT_LEFT]: [0, i]
+                };
+                for (const side in tiles) {
+                    if (type !== C.FIND_EXIT && Number(side) !== type) continue;
+                    const [x, y] = tiles[side];
+                    if (terrain[y * 50 + x] !== C.TERRAIN_MASK_WALL) exits.push(new RoomPosition(x, y, this.name));
+                }
+            }
+            return _.uniq(exits, p => `${p.x},${p.y}`);
+        }
+        
+        getTerrain() {
+            return new Terrain(this.name);
+        }
+        
+        getPositionAt(x, y) {
+            return new RoomPosition(x, y, this.name);
+        }
+        
+        getEventLog(raw) {
+            const log = world.eventLogs[this.name] || [];
+            return raw ? JSON.stringify(log) : JSON.parse(JSON.stringify(log));
+        }
+        
+        lookAt(a, b) {
+            const pos = resolvePos(a, b, this.name);
+            const results = this._objects
+                .filter(o => o.pos.x === pos.x && o.pos.y === pos.y)
+                .map(o => ({ type: world.lookType(o), [world.lookType(o)]: o }));
+            results.push({ type: C.LOOK_TERRAIN, terrain: world.terrainName(this.name, pos.x, pos.y) });
+            return results;
+        }
+        
+        lookForAt(type, a, b) {
+            const pos = resolvePos(a, b, this.name);
+            if (type === C.LOOK_TERRAIN) return [world.terrainName(this.name, pos.x, pos.y)];
+            return this._objects.filter(o => o.pos.x === pos.x && o.pos.y === pos.y && world.lookType(o) === type);
+        }
+        
+        lookForAtArea(type, top, left, bottom, right, asArray) {
+            const results = asArray ? [] : {};
+            for (let y = top; y <= bottom; y++) {
+                for (let x = left; x <= right; x++) {
+                    if (x < 0 || y < 0 || x > 49 || y > 49) continue;
+                    const found = this.lookForAt(type, x, y);
+                    if (asArray) {
+                        for (const item of found) results.push({ type, x, y, [type]: item });
+                    } else if (found.length > 0) {
+                        results[y] = results[y] || {};
+                        results[y][x] = found;
+                    }
+                }
+            }
+            return results;
+        }
+        
+        findPath(fromPos, toPos, opts = {}) {
+            const goal = new RoomPosition(toPos.x, toPos.y, toPos.roomName || this.name);
+            const range = opts.range !== undefined ? opts.range : (world.isObstacle(goal) ? 1 : 0);
+            const path = world.findPath(fromPos, goal, Object.assign({ maxRooms: 1 }, opts, { range }));
+            
+            const steps = [];
+            let previous = fromPos;
+            for (const pos of path) {
+                if (pos.roomName !== this.name) break;
+                const dx = pos.x - previous.x;
+                const dy = pos.y - previous.y;
+                steps.push({ x: pos.x, y: pos.y, dx, dy, direction: directionBetween(previous, pos) });
+                previous = pos;
+            }
+            
+            return opts.serialize ? Room.serializePath(steps) : steps;
+        }
+        
+        findExitTo(room) {
+            return world.game.map.findExit(this.name, room.name || room);
+        }
+        
+        createConstructionSite(a, b, c, d) {
+            const pos = resolvePos(a, b, this.name);
+            const structureType = typeof a === 'number' ? c : b;
+            const name = typeof a === 'number' ? d : c;
+            return world.createConstructionSite(this, pos.x, pos.y, structureType, name);
+        }
+        
+        createFlag() {
+            return C.ERR_INVALID_ARGS;
+        }
+        
+        static serializePath(path) {
+            if (!path.length) return '';
+            const pad = n => (n > 9 ? `${n}` : `0${n}`);
+            return pad(path[0].x) + pad(path[0].y) + path.map(step => step.direction).join('');
+        }
+        
+        static deserializePath(path) {
+            const result = [];
+            if (!path.length) return result;
+            let x = parseInt(path.substring(0, 2), 10);
+            let y = parseInt(path.substring(2, 4), 10);
+            for (let i = 4; i < path.length; i++) {
+                const direction = parseInt(path.charAt(i), 10);
+                const [dx, dy] = DIRECTION_OFFSETS[direction];
+                if (i > 4) {
+                    x += dx;
+                    y += dy;
+                }
+                result.push({ x, y, dx, dy, direction });
+            }
+            return result;
+        }
+    }
+    
+    Room.Terrain = Terrain;
+    
+    return {
+        RoomPosition,
+        RoomVisual,
+        RoomObject,
+        Room,
+        Source,
+        Mineral,
+        Resource,
+        Tombstone,
+        Ruin,
+        Nuke,
+        Flag,
+        ConstructionSite,
+        Structure,
+        OwnedStructure: Structure,
+        StructureController,
+        StructureSpawn,
+        StructureTower,
+        StructureLink,
+        StructureLab,
+        StructureTerminal,
+        StructureObserver,
+        StructurePowerSpawn,
+        StructureFactory,
+        StructureNuker,
+        StructureRampart,
+        Creep,
+        STRUCTURE_CLASSES
+    };
+};
+
+module.exports = { createClasses, createStore, toGlobal, directionBetween, DIRECTION_OFFSETS, WALKABLE };
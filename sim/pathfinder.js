@@ -0,0 +1,248 @@
+/**
+ * Simulator pathfinder - Grid A* standing in for the native PathFinder
+ * Rooms are laid out on one global grid so multi-room searches need no special casing
+ */
+const C = require('./constants');
+const map = require('./map');
+
+/**
+ * Cost matrix compatible with PathFinder.CostMatrix
+ */
+class CostMatrix {
+    constructor() {
+        this._bits = new Uint8Array(2500);
+    }
+    
+    set(x, y, cost) {
+        this._bits[y * 50 + x] = cost;
+    }
+    
+    get(x, y) {
+        return this._bits[y * 50 + x];
+    }
+    
+    clone() {
+        const copy = new CostMatrix();
+        copy._bits = new Uint8Array(this._bits);
+        return copy;
+    }
+    
+    serialize() {
+        return Array.from(this._bits);
+    }
+    
+    static deserialize(data) {
+        const matrix = new CostMatrix();
+        matrix._bits = new Uint8Array(data);
+        return matrix;
+    }
+}
+
+/**
+ * Minimal binary heap keyed on f-score
+ */
+class Heap {
+    constructor() {
+        this.items = [];
+    }
+    
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+    
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+    
+    get size() {
+        return this.items.length;
+    }
+}
+
+/**
+ * Create the PathFinder global bound to a world
+ * @param {Object} world - Simulator world
+ * @returns {Object} - PathFinder
+ */
+const createPathFinder = function(world) {
+    const toGlobal = function(pos) {
+        const room = map.parseRoomName(pos.roomName);
+        return { x: room.x * 50 + pos.x, y: room.y * 50 + pos.y };
+    };
+    
+    const fromGlobal = function(gx, gy) {
+        const rx = Math.floor(gx / 50);
+        const ry = Math.floor(gy / 50);
+        return new RoomPosition(gx - rx * 50, gy - ry * 50, map.roomNameFromCoords(rx, ry));
+    };
+    
+    const normalizeGoals = function(goal) {
+        const goals = Array.isArray(goal) ? goal : [goal];
+        return goals.map(g => {
+            const pos = g.pos || g;
+            const coords = toGlobal(pos);
+            return { x: coords.x, y: coords.y, range: g.range || 0 };
+        });
+    };
+    
+    return {
+        CostMatrix,
+        
+        use: function() {},
+        
+        /**
+         * Search for a path between an origin and one or more goals
+         * @param {RoomPosition} origin - Start position
+         * @param {Object|Array} goal - Goal(s) as positions or {pos, range}
+         * @param {Object} opts - roomCallback, plainCost, swampCost, flee, maxOps, maxRooms, heuristicWeight
+         * @returns {Object} - {path, ops, cost, incomplete}
+         */
+        search: function(origin, goal, opts = {}) {
+            const goals = normalizeGoals(goal);
+            const plainCost = opts.plainCost || 1;
+            const swampCost = opts.swampCost || 5;
+            const maxOps = opts.maxOps || 2000;
+            const maxRooms = opts.maxRooms || 16;
+            const weight = opts.heuristicWeight || 1.2;
+            const flee = !!opts.flee;
+            
+            const matrices = {};
+            const roomsSeen = new Set();
+            
+            const roomMatrix = function(roomName) {
+                if (matrices[roomName] === undefined) {
+                    if (roomsSeen.size >= maxRooms) {
+                        matrices[roomName] = false;
+                        return false;
+                    }
+                    roomsSeen.add(roomName);
+                    const result = opts.roomCallback ? opts.roomCallback(roomName) : undefined;
+                    matrices[roomName] = result === false ? false : (result || null);
+                }
+                return matrices[roomName];
+            };
+            
+            const tileCost = function(gx, gy) {
+                const pos = fromGlobal(gx, gy);
+                const matrix = roomMatrix(pos.roomName);
+                if (matrix === false) return Infinity;
+                
+                if (matrix) {
+                    const value = matrix.get(pos.x, pos.y);
+                    if (value === 255) return Infinity;
+                    if (value > 0) return value;
+                }
+                
+                const tile = world.getTerrain(pos.roomName)[pos.y * 50 + pos.x];
+                if (tile & C.TERRAIN_MASK_WALL) return Infinity;
+                return tile & C.TERRAIN_MASK_SWAMP ? swampCost : plainCost;
+            };
+            
+            const distance = (gx, gy, g) => Math.max(Math.abs(gx - g.x), Math.abs(gy - g.y));
+            
+            const heuristic = function(gx, gy) {
+                let best = Infinity;
+                for (const g of goals) {
+                    const d = distance(gx, gy, g);
+                    const h = flee ? Math.max(0, g.range - d) : Math.max(0, d - g.range);
+                    best = Math.min(best, h);
+                }
+                return best * weight;
+            };
+            
+            const reached = function(gx, gy) {
+                if (flee) return goals.every(g => distance(gx, gy, g) >= g.range);
+                return goals.some(g => distance(gx, gy, g) <= g.range);
+            };
+            
+            const start = toGlobal(origin);
+            roomMatrix(origin.roomName);
+            
+            const key = (x, y) => `${x},${y}`;
+            const gScore = new Map([[key(start.x, start.y), 0]]);
+            const cameFrom = new Map();
+            const open = new Heap();
+            open.push({ x: start.x, y: start.y, f: heuristic(start.x, start.y) });
+            
+            let ops = 0;
+            let best = { x: start.x, y: start.y, h: heuristic(start.x, start.y) };
+            let found = null;
+            
+            while (open.size > 0 && ops < maxOps) {
+                const node = open.pop();
+                const nodeKey = key(node.x, node.y);
+                const g = gScore.get(nodeKey);
+                ops++;
+                
+                if (reached(node.x, node.y)) {
+                    found = node;
+                    break;
+                }
+                
+                const h = heuristic(node.x, node.y);
+                if (h < best.h) best = { x: node.x, y: node.y, h };
+                
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        if (dx === 0 && dy === 0) continue;
+                        const nx = node.x + dx;
+                        const ny = node.y + dy;
+                        const cost = tileCost(nx, ny);
+                        if (cost === Infinity) continue;
+                        
+                        const nextKey = key(nx, ny);
+                        const tentative = g + cost;
+                        if (gScore.has(nextKey) && gScore.get(nextKey) <= tentative) continue;
+                        
+                        gScore.set(nextKey, tentative);
+                        cameFrom.set(nextKey, nodeKey);
+                        open.push({ x: nx, y: ny, f: tentative + heuristic(nx, ny) });
+                    }
+                }
+            }
+            
+            const end = found || best;
+            const path = [];
+            let current = key(end.x, end.y);
+            while (cameFrom.has(current)) {
+                const [x, y] = current.split(',').map(Number);
+                path.unshift(fromGlobal(x, y));
+                current = cameFrom.get(current);
+            }
+            
+            return {
+                path,
+                ops,
+                cost: gScore.get(key(end.x, end.y)) || 0,
+                incomplete: !found
+            };
+        }
+    };
+};
+
+module.exports = { createPathFinder, CostMatrix };
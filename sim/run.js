@@ -0,0 +1,46 @@
+/**
+ * Simulator CLI - Run main.loop against a fixture and print a summary
+ * Usage: node sim/run.js [fixture] [ticks] [--verbose]
+ */
+const { createHarness, loadFixture } = require('./harness');
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const positional = args.filter(arg => !arg.startsWith('--'));
+const fixtureName = positional[0] || 'basic';
+const ticks = Number(positional[1]) || 100;
+
+const harness = createHarness(loadFixture(fixtureName), { quiet: !verbose });
+const started = Date.now();
+harness.runTicks(ticks);
+
+const world = harness.world;
+const memory = harness.memory;
+
+console.log(`Simulated ${ticks} ticks of '${fixtureName}' in ${Date.now() - started}ms (tick ${world.time})`);
+
+for (const record of world.records.values()) {
+    if (record.structureType !== 'controller' || record.owner !== world.username) continue;
+    console.log(`Room ${record.room}: RCL ${record.level}, progress ${record.progress}`);
+}
+
+const roles = {};
+for (const record of world.records.values()) {
+    if (record.kind !== 'creep' || record.owner !== world.username) continue;
+    const role = (memory.creeps && memory.creeps[record.name] && memory.creeps[record.name].role) || 'unknown';
+    roles[role] = (roles[role] || 0) + 1;
+}
+console.log(`Creeps: ${Object.keys(roles).map(role => `${role}=${roles[role]}`).join(', ') || 'none'}`);
+
+const counts = {};
+for (const event of world.events) counts[event.type] = (counts[event.type] || 0) + 1;
+console.log(`Events: ${Object.keys(counts).map(type => `${type}=${counts[type]}`).join(', ') || 'none'}`);
+console.log(`CPU bucket: ${Math.round(world.cpu.bucket)}, last tick ${(world.cpu.lastUsed || 0).toFixed(2)}ms`);
+
+if (harness.errors.length > 0) {
+    console.log(`Errors thrown out of main.loop: ${harness.errors.length}`);
+    for (const { time, error } of harness.errors.slice(0, 5)) {
+        console.log(`  [${time}] ${error && error.stack ? error.stack : error}`);
+    }
+    process.exitCode = 1;
+}
@@ -0,0 +1,63 @@
+/**
+ * defenseManager.assessThreatLevel specs - Threat levels follow the hostiles' combat parts
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+const harness = createHarness(loadFixture('invaded'), { quiet: true });
+const defenseManager = harness.require('defenseManager');
+
+/**
+ * Build a stand-in hostile with the given parts
+ * @param {Object} parts - Part counts by type
+ * @returns {Object} - Object with a body like a Creep's
+ */
+const hostile = function(parts) {
+    const body = [];
+    for (const type in parts) {
+        for (let i = 0; i < parts[type]; i++) body.push({ type, hits: 100 });
+    }
+    return { body };
+};
+
+test('no hostiles is no threat', () => {
+    assert.strictEqual(defenseManager.assessThreatLevel([]), 0);
+});
+
+test('unarmed hostiles are a base threat', () => {
+    assert.strictEqual(defenseManager.assessThreatLevel([hostile({ [MOVE]: 1 })]), 1);
+    assert.strictEqual(defenseManager.assessThreatLevel([hostile({ [CARRY]: 4, [MOVE]: 4 })]), 1);
+});
+
+test('the invaded fixture\'s invader pair is a level 2 threat', () => {
+    const hostiles = Game.rooms.W1N1.find(FIND_HOSTILE_CREEPS);
+    assert.strictEqual(hostiles.length, 2);
+    assert.strictEqual(defenseManager.assessThreatLevel(hostiles), 2);
+});
+
+test('attack and ranged parts raise the threat across all hostiles', () => {
+    assert.strictEqual(defenseManager.assessThreatLevel([hostile({ [RANGED_ATTACK]: 5 })]), 2);
+    assert.strictEqual(defenseManager.assessThreatLevel([
+        hostile({ [ATTACK]: 3 }),
+        hostile({ [RANGED_ATTACK]: 3 })
+    ]), 3);
+    assert.strictEqual(defenseManager.assessThreatLevel([hostile({ [ATTACK]: 11 })]), 4);
+});
+
+test('more than five heal parts add a level', () => {
+    assert.strictEqual(defenseManager.assessThreatLevel([hostile({ [ATTACK]: 2, [HEAL]: 5 })]), 2);
+    assert.strictEqual(defenseManager.assessThreatLevel([hostile({ [ATTACK]: 2, [HEAL]: 6 })]), 3);
+});
+
+test('dismantlers are at least a level 3 threat', () => {
+    assert.strictEqual(defenseManager.assessThreatLevel([hostile({ [WORK]: 10 })]), 1);
+    assert.strictEqual(defenseManager.assessThreatLevel([hostile({ [WORK]: 11 })]), 3);
+});
+
+test('threat is capped at level 5', () => {
+    assert.strictEqual(defenseManager.assessThreatLevel([
+        hostile({ [ATTACK]: 20, [HEAL]: 10 }),
+        hostile({ [RANGED_ATTACK]: 20, [HEAL]: 10 })
+    ]), 5);
+});
@@ -0,0 +1,54 @@
+/**
+ * economySolver specs - Builders are sized by the construction work left, within the build share of the budget
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+/**
+ * Solve a storage-rich room with the given construction sites
+ * @param {Array} sites - Construction site specs
+ * @returns {Object} - The solution
+ */
+const solve = function(sites) {
+    const fixture = loadFixture('basic');
+    const room = fixture.rooms.W1N1;
+    room.controller.level = 6;
+    room.structures.push({ structureType: 'storage', x: 28, y: 22, store: { energy: 300000 } });
+    room.sites = sites;
+
+    const harness = createHarness(fixture, { quiet: true });
+    harness.beginTick();
+    return harness.require('economySolver').calculate(Game.rooms.W1N1, 2);
+};
+
+/**
+ * Build a row of extension sites
+ * @param {number} count - Number of sites
+ * @returns {Array} - Construction site specs
+ */
+const extensions = count => _.range(count).map(i => ({ structureType: 'extension', x: 10 + i, y: 40 }));
+
+test('one small site gets fewer builders than many large ones', () => {
+    const road = solve([{ structureType: 'road', x: 20, y: 20 }]);
+    const many = solve(extensions(30));
+
+    assert.strictEqual(road.builder, 1);
+    assert.ok(many.builder > road.builder, `${many.builder} builders for 30 extensions`);
+    assert.ok(road.budget.build < many.budget.build);
+});
+
+test('builders never exceed the build share or MAX_BUILDERS', () => {
+    const solution = solve(extensions(30));
+
+    assert.ok(solution.builder <= 4);
+    assert.ok(solution.budget.build <= solution.budget.spendable * 0.7 + 1);
+});
+
+test('without sites only the repairer is kept', () => {
+    const idle = solve([]);
+    const road = solve([{ structureType: 'road', x: 20, y: 20 }]);
+
+    assert.strictEqual(idle.builder, 1);
+    assert.ok(idle.budget.build < road.budget.build);
+});
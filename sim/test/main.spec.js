@@ -0,0 +1,25 @@
+/**
+ * main.loop specs - The full loop runs cleanly against the fixtures and reacts to them
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+test('a fresh colony runs without errors and spawns a harvester', () => {
+    const harness = createHarness(loadFixture('basic'), { quiet: true });
+    harness.runTicks(50);
+
+    assert.deepStrictEqual(harness.errors, []);
+    assert.ok(harness.events({ type: 'spawned' }).length > 0);
+
+    const roles = Object.values(harness.memory.creeps || {}).map(memory => memory.role);
+    assert.ok(roles.includes('harvester'), `spawned roles: ${roles.join(', ')}`);
+});
+
+test('towers open fire on invaders', () => {
+    const harness = createHarness(loadFixture('invaded'), { quiet: true });
+    harness.runTicks(10);
+
+    assert.deepStrictEqual(harness.errors, []);
+    assert.ok(harness.actions({ action: 'tower' }).length > 0);
+});
@@ -0,0 +1,78 @@
+/**
+ * observerManager specs - Observed rooms are recorded as scout intel and become remote candidates
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+/**
+ * Create a harness around the basic fixture with its room at RCL 8 and an observer built
+ * @returns {Object} - {harness, observerManager}
+ */
+const setup = function() {
+    const fixture = loadFixture('basic');
+    fixture.rooms.W1N1.controller.level = 8;
+    fixture.rooms.W1N1.structures.push({ structureType: 'observer', x: 28, y: 28 });
+
+    const harness = createHarness(fixture, { quiet: true });
+    return { harness, observerManager: harness.require('observerManager') };
+};
+
+/**
+ * Run the observer alone for a number of ticks
+ * @param {Object} harness - The harness
+ * @param {Object} observerManager - The module under test
+ * @param {number} ticks - Ticks to run
+ */
+const observe = function(harness, observerManager, ticks) {
+    for (let i = 0; i < ticks; i++) {
+        harness.beginTick();
+        observerManager.run(Game.rooms.W1N1);
+        harness.endTick();
+    }
+};
+
+test('a room found by the observer can be picked as a remote', () => {
+    const { harness, observerManager } = setup();
+    observe(harness, observerManager, 12);
+
+    harness.beginTick();
+    const intel = Memory.remoteOps.rooms.W2N1;
+    assert.ok(intel, 'W2N1 was never observed');
+    assert.strictEqual(intel.baseRoom, 'W1N1');
+    assert.strictEqual(intel.sources, 2);
+    assert.strictEqual(harness.require('remoteManager').findBestRemoteRoom('W1N1'), 'W2N1');
+});
+
+test('a run skipped after an observation does not blacklist the room', () => {
+    const { harness, observerManager } = setup();
+    observe(harness, observerManager, 1);
+
+    harness.beginTick();
+    const target = Memory.rooms.W1N1.observer.target;
+    assert.ok(target);
+    harness.endTick();
+
+    observe(harness, observerManager, 1);
+
+    harness.beginTick();
+    const state = Memory.rooms.W1N1.observer;
+    assert.strictEqual(state.unobservable[target], undefined);
+    assert.strictEqual(state.target, target);
+});
+
+test('a room that gives no vision right after being observed is skipped', () => {
+    const { harness, observerManager } = setup();
+    observe(harness, observerManager, 1);
+
+    harness.beginTick();
+    const target = Memory.rooms.W1N1.observer.target;
+    delete Game.rooms[target];
+    observerManager.run(Game.rooms.W1N1);
+    harness.endTick();
+
+    harness.beginTick();
+    const state = Memory.rooms.W1N1.observer;
+    assert.ok(state.unobservable[target]);
+    assert.notStrictEqual(state.target, target);
+});
@@ -0,0 +1,70 @@
+/**
+ * remoteManager specs - Rooms deferred by the CPU budget are handled first on the next run
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+/**
+ * Create a harness with three RCL 3 rooms and record which rooms each run manages
+ * @returns {Object} - {harness, remoteManager, runs}
+ */
+const setup = function() {
+    const fixture = loadFixture('basic');
+    fixture.time = 9;
+    for (const roomName of ['W1N1', 'W1N3', 'W1N5']) {
+        fixture.rooms[roomName] = Object.assign({}, fixture.rooms.W1N1, {
+            controller: { x: 25, y: 8, level: 3 },
+            structures: [{ structureType: 'spawn', x: 25, y: 25, name: `Spawn_${roomName}`, store: { energy: 300 } }]
+        });
+    }
+
+    const harness = createHarness(fixture, { quiet: true });
+    const remoteManager = harness.require('remoteManager');
+    const runs = [];
+    remoteManager.identifyRoomsToScout = function() {};
+    remoteManager.manageRemoteOperations = function(room) {
+        runs[runs.length - 1].push(room.name);
+    };
+    return { harness, remoteManager, runs };
+};
+
+/**
+ * Run the manager on its next ten ticks
+ * @param {Object} harness - The harness
+ * @param {Object} remoteManager - The module under test
+ * @param {Array} runs - Rooms managed per run
+ */
+const nextRun = function(harness, remoteManager, runs) {
+    runs.push([]);
+    for (let i = 0; i < 10; i++) {
+        harness.beginTick();
+        remoteManager.run();
+        harness.endTick();
+    }
+};
+
+test('every room is managed in one run while CPU allows', () => {
+    const { harness, remoteManager, runs } = setup();
+    remoteManager.CPU_BUDGET = Infinity;
+    try {
+        nextRun(harness, remoteManager, runs);
+    } finally {
+        remoteManager.CPU_BUDGET = 3;
+    }
+
+    assert.deepStrictEqual(runs, [['W1N1', 'W1N3', 'W1N5']]);
+    assert.strictEqual(harness.memory.remoteOps.nextRoom, undefined);
+});
+
+test('rooms deferred by the CPU budget go first next run', () => {
+    const { harness, remoteManager, runs } = setup();
+    remoteManager.CPU_BUDGET = -1;
+    try {
+        for (let i = 0; i < 4; i++) nextRun(harness, remoteManager, runs);
+    } finally {
+        remoteManager.CPU_BUDGET = 3;
+    }
+
+    assert.deepStrictEqual(runs, [['W1N1'], ['W1N3'], ['W1N5'], ['W1N1']]);
+});
@@ -0,0 +1,61 @@
+/**
+ * role.builder specs - Builders put ramparts against an incoming nuke first and leave sites it will destroy
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+/**
+ * Create a harness with a worn road, a rampart in a nuke's blast and construction sites in and out of it
+ * @param {boolean} nuked - Whether a nuke is incoming
+ * @returns {Object} - {harness, roleBuilder, creep}
+ */
+const setup = function(nuked) {
+    const fixture = loadFixture('basic');
+    const room = fixture.rooms.W1N1;
+    room.controller.level = 6;
+    room.structures.push(
+        { id: 'road1', structureType: 'road', x: 21, y: 21, hits: 100 },
+        { id: 'rampart1', structureType: 'rampart', x: 30, y: 30, hits: 10000 }
+    );
+    room.sites = [
+        { id: 'extensionSite', structureType: 'extension', x: 31, y: 31 },
+        { id: 'rampartSite', structureType: 'rampart', x: 32, y: 30 },
+        { id: 'roadSite', structureType: 'road', x: 15, y: 20 }
+    ];
+    room.creeps = [{
+        name: 'Builder_1', body: ['work', 'carry', 'move'], x: 20, y: 20, store: { energy: 50 },
+        memory: { role: 'builder', homeRoom: 'W1N1', isRepairer: true, task: 'repairing' }
+    }];
+    if (nuked) {
+        fixture.memory = { rooms: { W1N1: { nukes: {
+            nukes: [{ id: 'nuke1', x: 30, y: 30, landsAt: 40000 }],
+            rampartTargets: { '30,30': 5000000 }
+        } } } };
+    }
+
+    const harness = createHarness(fixture, { quiet: true });
+    harness.beginTick();
+    return { harness, roleBuilder: harness.require('role.builder'), creep: Game.creeps.Builder_1 };
+};
+
+test('repairers raise ramparts against an incoming nuke before patching roads', () => {
+    const { roleBuilder, creep } = setup(true);
+    assert.strictEqual(roleBuilder.findTarget(creep).id, 'rampart1');
+});
+
+test('repairers patch roads when no nuke is incoming', () => {
+    const { roleBuilder, creep } = setup(false);
+    assert.strictEqual(roleBuilder.findTarget(creep).id, 'road1');
+});
+
+test('sites inside a blast are left alone, except ramparts', () => {
+    const { roleBuilder } = setup(true);
+    const sites = roleBuilder.getBuildSites(Game.rooms.W1N1).map(site => site.id).sort();
+    assert.deepStrictEqual(sites, ['rampartSite', 'roadSite']);
+});
+
+test('every site is built when no nuke is incoming', () => {
+    const { roleBuilder } = setup(false);
+    assert.strictEqual(roleBuilder.getBuildSites(Game.rooms.W1N1).length, 3);
+});
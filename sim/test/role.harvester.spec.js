@@ -0,0 +1,63 @@
+/**
+ * role.harvester specs - Full harvesters unload into a source link once one is built next to their source
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+/**
+ * Create a harness with a full harvester on its source container and a source link in range
+ * @param {Object} link - Link store
+ * @returns {Object} - {harness, roleHarvester}
+ */
+const setup = function(link) {
+    const fixture = loadFixture('basic');
+    const room = fixture.rooms.W1N1;
+    fixture.time = 100;
+    room.controller.level = 5;
+    room.sources[0].id = 'source1';
+    room.structures.push(
+        { id: 'container1', structureType: 'container', x: 11, y: 13, store: {} },
+        { id: 'link1', structureType: 'link', x: 12, y: 14, store: link },
+        { id: 'link2', structureType: 'link', x: 24, y: 10, store: {} }
+    );
+    room.creeps = [{
+        name: 'Harvester_1', body: ['work', 'work', 'carry', 'move'], x: 11, y: 13, store: { energy: 50 },
+        memory: { role: 'harvester', homeRoom: 'W1N1', sourceId: 'source1', containerId: 'container1' }
+    }];
+    fixture.memory = { rooms: { W1N1: { links: { source: ['link1'], controller: 'link2' } } } };
+
+    const harness = createHarness(fixture, { quiet: true });
+    harness.beginTick();
+    return { harness, roleHarvester: harness.require('role.harvester') };
+};
+
+/**
+ * Run the harvester once and return where its energy went
+ * @param {Object} harness - The harness
+ * @param {Object} roleHarvester - The module under test
+ * @returns {Array} - transfer and drop intents
+ */
+const unload = function(harness, roleHarvester) {
+    assert.strictEqual(Game.time % roleHarvester.LINK_CHECK_INTERVAL, 0);
+    roleHarvester.run(Game.creeps.Harvester_1);
+    harness.endTick();
+    return harness.actions().filter(intent => intent.action === 'transfer' || intent.action === 'drop');
+};
+
+test('a harvester with a cached container switches to a source link built later', () => {
+    const { harness, roleHarvester } = setup({});
+
+    const [transfer] = unload(harness, roleHarvester);
+    assert.strictEqual(transfer.action, 'transfer');
+    assert.strictEqual(transfer.args.target, 'link1');
+    assert.strictEqual(harness.memory.creeps.Harvester_1.containerId, 'link1');
+});
+
+test('a full source link spills into the source container', () => {
+    const { harness, roleHarvester } = setup({ energy: 800 });
+
+    const [transfer] = unload(harness, roleHarvester);
+    assert.strictEqual(transfer.action, 'transfer');
+    assert.strictEqual(transfer.args.target, 'container1');
+});
@@ -0,0 +1,66 @@
+/**
+ * roomPlanner.generateRoomPlan specs - Plans are anchored on the spawn, fit the terrain and RCL limits,
+ * and lower RCL plans are cut from the RCL 8 plan
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+const harness = createHarness(loadFixture('basic'), { quiet: true });
+const roomPlanner = harness.require('roomPlanner');
+
+const room = Game.rooms.W1N1;
+const terrain = room.getTerrain();
+const plan = roomPlanner.generateRoomPlan(room);
+
+test('rooms without a spawn get no plan', () => {
+    assert.strictEqual(roomPlanner.generateRoomPlan({ find: () => [] }), null);
+});
+
+test('the plan is anchored on the first spawn and covers every RCL', () => {
+    const spawn = room.find(FIND_MY_SPAWNS)[0];
+    assert.deepStrictEqual(plan.anchor, { x: spawn.pos.x, y: spawn.pos.y });
+    assert.deepStrictEqual(Object.keys(plan.rcl).map(Number), [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('planned positions are buildable tiles inside the room', () => {
+    for (let rcl = 1; rcl <= 8; rcl++) {
+        for (const [type, positions] of Object.entries(plan.rcl[rcl].structures)) {
+            for (const pos of positions) {
+                assert.ok(pos.x >= 1 && pos.x <= 48 && pos.y >= 1 && pos.y <= 48,
+                    `RCL ${rcl} ${type} at (${pos.x},${pos.y}) is on the room edge`);
+                assert.strictEqual(terrain.get(pos.x, pos.y) & TERRAIN_MASK_WALL, 0,
+                    `RCL ${rcl} ${type} at (${pos.x},${pos.y}) is on a wall`);
+            }
+        }
+    }
+});
+
+test('no RCL plan has more of a structure than the controller allows', () => {
+    for (let rcl = 1; rcl <= 8; rcl++) {
+        const { structures, maxStructures } = plan.rcl[rcl];
+        for (const type in structures) {
+            assert.ok(structures[type].length <= maxStructures[type],
+                `RCL ${rcl} plans ${structures[type].length} ${type} for ${maxStructures[type]} allowed`);
+        }
+    }
+});
+
+test('every extension the controller allows is planned', () => {
+    for (let rcl = 1; rcl <= 8; rcl++) {
+        assert.strictEqual(plan.rcl[rcl].structures[STRUCTURE_EXTENSION].length,
+            CONTROLLER_STRUCTURES[STRUCTURE_EXTENSION][rcl]);
+    }
+});
+
+test('lower RCL plans only use positions from the RCL 8 plan', () => {
+    const full = plan.rcl[8].structures;
+    for (let rcl = 1; rcl < 8; rcl++) {
+        for (const [type, positions] of Object.entries(plan.rcl[rcl].structures)) {
+            for (const pos of positions) {
+                assert.ok(full[type].some(p => p.x === pos.x && p.y === pos.y),
+                    `RCL ${rcl} ${type} at (${pos.x},${pos.y}) is not in the RCL 8 plan`);
+            }
+        }
+    }
+});
@@ -0,0 +1,71 @@
+/**
+ * spawnManager.calculateBody specs - Bodies fit the energy given and follow their role templates
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+const harness = createHarness(loadFixture('basic'), { quiet: true });
+const spawnManager = harness.require('spawnManager');
+
+const ROLES = ['harvester', 'hauler', 'upgrader', 'builder', 'defender'];
+const BUDGETS = [200, 300, 550, 800, 1300, 5600, 12900];
+
+/**
+ * Count the parts of one type in a body
+ * @param {string[]} body - Body parts
+ * @param {string} type - Part type
+ * @returns {number} - Part count
+ */
+const count = (body, type) => body.filter(part => part === type).length;
+
+test('bodies never cost more than the energy available', () => {
+    for (const role of ROLES) {
+        for (const energy of BUDGETS) {
+            const body = spawnManager.calculateBody(role, energy, 0.5);
+            assert.ok(body.length > 0, `${role} at ${energy} got an empty body`);
+            assert.ok(spawnManager.calculateBodyCost(body) <= energy,
+                `${role} at ${energy} costs ${spawnManager.calculateBodyCost(body)}`);
+        }
+    }
+});
+
+test('bodies stay within MAX_CREEP_SIZE and can move', () => {
+    for (const role of ROLES) {
+        const body = spawnManager.calculateBody(role, 12900, 0.5);
+        assert.ok(body.length <= MAX_CREEP_SIZE, `${role} has ${body.length} parts`);
+        assert.ok(count(body, MOVE) > 0, `${role} has no MOVE`);
+    }
+});
+
+test('harvesters stop growing at six WORK parts', () => {
+    assert.deepStrictEqual(spawnManager.calculateBody('harvester', 300, 0.5), [WORK, WORK, CARRY, MOVE]);
+
+    for (const energy of [800, 1300, 5600]) {
+        assert.strictEqual(count(spawnManager.calculateBody('harvester', energy, 0.5), WORK), 6);
+    }
+});
+
+test('a minimum body is used when no pattern repeat is affordable', () => {
+    assert.deepStrictEqual(spawnManager.calculateBody('upgrader', 200, 0.5), [WORK, CARRY, MOVE]);
+    assert.deepStrictEqual(spawnManager.calculateBody('harvester', 200, 0.5), [WORK, CARRY, MOVE]);
+});
+
+test('road-moving roles get one MOVE per two other parts', () => {
+    const body = spawnManager.calculateBody('hauler', 1300, 0.5);
+    assert.strictEqual(count(body, MOVE) * 2, count(body, CARRY));
+});
+
+test('urgent haulers move at full speed off roads', () => {
+    const body = spawnManager.calculateBody('hauler', 1300, 1);
+    assert.strictEqual(count(body, MOVE), count(body, CARRY));
+});
+
+test('bodies are cached by role, energy and rounded urgency', () => {
+    spawnManager.resetCache();
+
+    const first = spawnManager.calculateBody('builder', 800, 0.51);
+    assert.strictEqual(spawnManager.calculateBody('builder', 800, 0.49), first);
+    assert.notStrictEqual(spawnManager.calculateBody('builder', 1300, 0.5), first);
+    assert.strictEqual(Object.keys(spawnManager.bodyCache).length, 2);
+});
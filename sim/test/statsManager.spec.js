@@ -0,0 +1,55 @@
+/**
+ * statsManager specs - The stats segment holds the retained window and stays under the size limit
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+test('the segment matches a full serialization of the retained samples', () => {
+    const harness = createHarness(loadFixture('basic'), { quiet: true });
+    harness.runTicks(35);
+
+    const statsManager = harness.require('statsManager');
+    const state = global.statsState;
+    const flushed = state.samples.slice(0, state.flushed);
+    const expected = flushed.map(sample => statsManager.serialize(sample, Game.shard.name)).join('\n');
+
+    // Samples taken since the last flush wait for the next one
+    assert.ok(flushed.length > 20 && flushed.length < 35);
+    assert.strictEqual(harness.world.segments[statsManager.SEGMENT], expected);
+});
+
+test('the oldest samples are dropped once the segment is full', () => {
+    const harness = createHarness(loadFixture('basic'), { quiet: true });
+    harness.loadMain();
+
+    const statsManager = harness.require('statsManager');
+    statsManager.MAX_SEGMENT_SIZE = 2000;
+    try {
+        harness.runTicks(60);
+    } finally {
+        statsManager.MAX_SEGMENT_SIZE = 95000;
+    }
+
+    const segment = harness.world.segments[statsManager.SEGMENT];
+    const samples = statsManager.parse(segment);
+    assert.ok(segment.length <= 2000);
+    const state = global.statsState;
+    assert.deepStrictEqual(samples.map(sample => sample.time), state.samples.slice(0, state.flushed).map(sample => sample.time));
+    assert.ok(samples[0].time > 1);
+});
+
+test('after a global reset the window is restored from the segment and extended', () => {
+    const harness = createHarness(loadFixture('basic'), { quiet: true });
+    harness.runTicks(25);
+    const before = harness.require('statsManager').parse(harness.world.segments[90]).map(sample => sample.time);
+
+    harness.loadMain();
+    harness.runTicks(25);
+
+    const statsManager = harness.require('statsManager');
+    const times = statsManager.parse(harness.world.segments[statsManager.SEGMENT]).map(sample => sample.time);
+    assert.deepStrictEqual(times.slice(0, before.length), before);
+    assert.ok(times.length > before.length);
+    assert.deepStrictEqual(times, _.sortBy(_.uniq(times)));
+});
@@ -0,0 +1,176 @@
+/**
+ * terminalManager specs - Balancing, selling and buying against the simulator's market stand-in
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness, loadFixture } = require('../harness');
+
+/**
+ * Create a harness around the trading fixture
+ * @param {Function} [tweak] - Changes the fixture before the world is built
+ * @returns {Object} - {harness, terminalManager}
+ */
+const setup = function(tweak) {
+    const fixture = loadFixture('trading');
+    if (tweak) tweak(fixture);
+
+    const harness = createHarness(fixture, { quiet: true });
+    harness.beginTick();
+
+    const terminalManager = harness.require('terminalManager');
+    terminalManager.priceCache = {};
+    return { harness, terminalManager };
+};
+
+/**
+ * Resolve the tick and return the intents of one type
+ * @param {Object} harness - The harness
+ * @param {string} action - Intent name, e.g. 'deal'
+ * @returns {Array} - Matching intents
+ */
+const intents = function(harness, action) {
+    harness.endTick();
+    return harness.actions({ action });
+};
+
+/**
+ * Find a market order in the fixture
+ * @param {Object} fixture - The fixture
+ * @param {string} id - Order id
+ * @returns {Object} - The order
+ */
+const order = (fixture, id) => fixture.market.orders.find(o => o.id === id);
+
+test('balancing sends spare energy to the room short of it, within the terminal\'s energy', () => {
+    const { harness, terminalManager } = setup();
+    const rooms = [Game.rooms.W1N1, Game.rooms.W5N1];
+
+    assert.strictEqual(terminalManager.balanceRoom(Game.rooms.W1N1, rooms), true);
+
+    const [send] = intents(harness, 'send');
+    assert.strictEqual(send.args.destination, 'W5N1');
+    assert.strictEqual(send.args.resourceType, RESOURCE_ENERGY);
+    assert.ok(send.args.amount + send.args.cost <= 50000);
+});
+
+test('balancing leaves rooms alone once every room is at target', () => {
+    const { terminalManager } = setup(fixture => {
+        fixture.rooms.W5N1.structures[1].store = { energy: 150000, H: 5000 };
+    });
+
+    assert.strictEqual(terminalManager.balanceRoom(Game.rooms.W1N1, [Game.rooms.W1N1, Game.rooms.W5N1]), false);
+});
+
+test('surplus is sold to buyers at or above the minimum price only', () => {
+    const { harness, terminalManager } = setup();
+
+    assert.strictEqual(terminalManager.sellSurplus(Game.rooms.W1N1), true);
+
+    const deals = intents(harness, 'deal');
+    assert.deepStrictEqual(deals.map(deal => deal.args.orderId), ['buyH']);
+    assert.strictEqual(deals[0].args.amount, 2000);
+});
+
+test('without an acceptable buyer, surplus is listed at the minimum price', () => {
+    const { harness, terminalManager } = setup(fixture => {
+        order(fixture, 'buyH').price = 0.8;
+    });
+
+    assert.strictEqual(terminalManager.sellSurplus(Game.rooms.W1N1), false);
+
+    const listed = harness.events({ type: 'createOrder' }).map(event => event.params);
+    const hydrogen = listed.find(params => params.resourceType === RESOURCE_HYDROGEN);
+    assert.strictEqual(hydrogen.type, ORDER_SELL);
+    assert.strictEqual(hydrogen.price, 1 - terminalManager.PRICE_MARGIN);
+});
+
+test('energy sales keep the terminal\'s transfer energy back', () => {
+    const { harness, terminalManager } = setup(fixture => {
+        fixture.rooms.W1N1.structures[2].store = { energy: 50000 };
+    });
+
+    terminalManager.sellSurplus(Game.rooms.W1N1);
+
+    const [listed] = harness.events({ type: 'createOrder' });
+    assert.strictEqual(listed.params.resourceType, RESOURCE_ENERGY);
+    assert.strictEqual(listed.params.totalAmount, 50000 - terminalManager.TERMINAL_ENERGY);
+});
+
+test('sales are cut down to what the terminal can pay to deliver', () => {
+    const { harness, terminalManager } = setup(fixture => {
+        fixture.rooms.W1N1.structures[2].store = { energy: 100, H: 5000 };
+    });
+
+    terminalManager.sellSurplus(Game.rooms.W1N1);
+
+    const [deal] = intents(harness, 'deal');
+    assert.ok(deal.args.amount < 2000);
+    assert.ok(Game.market.calcTransactionCost(deal.args.amount, 'W1N1', 'W10N1') <= 100);
+});
+
+test('shortfalls are bought from the cheapest seller under the price limit', () => {
+    const { harness, terminalManager } = setup();
+
+    assert.strictEqual(terminalManager.buyShortfall(Game.rooms.W5N1, [Game.rooms.W5N1]), true);
+
+    const [deal] = intents(harness, 'deal');
+    assert.strictEqual(deal.args.orderId, 'sellEnergy');
+    assert.ok(Game.market.calcTransactionCost(deal.args.amount, 'W5N1', 'W10N1') <= 5000);
+});
+
+test('without a seller under the limit, a buy order is listed at the limit', () => {
+    const { harness, terminalManager } = setup(fixture => {
+        order(fixture, 'sellEnergy').price = 0.4;
+    });
+
+    assert.strictEqual(terminalManager.buyShortfall(Game.rooms.W5N1, [Game.rooms.W5N1]), false);
+
+    const [listed] = harness.events({ type: 'createOrder' });
+    assert.strictEqual(listed.params.type, ORDER_BUY);
+    assert.strictEqual(listed.params.price, 0.33);
+});
+
+test('nothing is bought while another room can send the shortfall', () => {
+    const { terminalManager } = setup();
+
+    assert.strictEqual(terminalManager.buyShortfall(Game.rooms.W5N1, [Game.rooms.W1N1, Game.rooms.W5N1]), false);
+});
+
+test('buying never takes credits below MIN_CREDITS', () => {
+    const { harness, terminalManager } = setup(fixture => {
+        fixture.market.credits = 12000;
+    });
+
+    terminalManager.buyShortfall(Game.rooms.W5N1, [Game.rooms.W5N1]);
+
+    const [deal] = intents(harness, 'deal');
+    assert.ok(12000 - deal.args.amount * 0.31 >= terminalManager.MIN_CREDITS);
+});
+
+test('buying stops entirely below MIN_CREDITS', () => {
+    const { harness, terminalManager } = setup(fixture => {
+        fixture.market.credits = 9000;
+    });
+
+    assert.strictEqual(terminalManager.buyShortfall(Game.rooms.W5N1, [Game.rooms.W5N1]), false);
+    assert.deepStrictEqual(intents(harness, 'deal'), []);
+    assert.deepStrictEqual(harness.events({ type: 'createOrder' }), []);
+});
+
+test('minerals bought only need the terminal to pay the transfer cost', () => {
+    const { harness, terminalManager } = setup(fixture => {
+        fixture.rooms.W5N1.structures[2].store = { energy: 1000 };
+        fixture.market.orders.push({ id: 'sellH', type: 'sell', resourceType: 'H', price: 1, amount: 10000, roomName: 'W10N1' });
+    });
+    terminalManager.BUY_RESOURCES = [RESOURCE_HYDROGEN];
+
+    try {
+        terminalManager.buyShortfall(Game.rooms.W5N1, [Game.rooms.W5N1]);
+    } finally {
+        terminalManager.BUY_RESOURCES = [RESOURCE_ENERGY];
+    }
+
+    const [deal] = intents(harness, 'deal');
+    assert.strictEqual(deal.args.orderId, 'sellH');
+    assert.strictEqual(deal.args.amount, terminalManager.getTarget(RESOURCE_HYDROGEN));
+});
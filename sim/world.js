@@ -0,0 +1,1542 @@
+/**
+ * Simulator world - Holds room state, builds the Game object each tick and resolves intents
+ * Mechanics are simplified but keep the rules the AI reacts to: ranges, capacities, costs and timers
+ */
+const C = require('./constants');
+const map = require('./map');
+const { createPathFinder } = require('./pathfinder');
+const { createClasses, createStore, toGlobal, DIRECTION_OFFSETS, WALKABLE } = require('./objects');
+
+// Structures that hold resources and their capacity
+const STORE_CAPACITY = {
+    [C.STRUCTURE_SPAWN]: () => ({ energy: C.SPAWN_ENERGY_CAPACITY }),
+    [C.STRUCTURE_EXTENSION]: rcl => ({ energy: C.EXTENSION_ENERGY_CAPACITY[rcl] || 50 }),
+    [C.STRUCTURE_TOWER]: () => ({ energy: C.TOWER_CAPACITY }),
+    [C.STRUCTURE_LINK]: () => ({ energy: C.LINK_CAPACITY }),
+    [C.STRUCTURE_STORAGE]: () => C.STORAGE_CAPACITY,
+    [C.STRUCTURE_CONTAINER]: () => C.CONTAINER_CAPACITY,
+    [C.STRUCTURE_TERMINAL]: () => C.TERMINAL_CAPACITY,
+    [C.STRUCTURE_LAB]: () => ({ energy: C.LAB_ENERGY_CAPACITY, mineral: C.LAB_MINERAL_CAPACITY }),
+    [C.STRUCTURE_POWER_SPAWN]: () => ({ energy: C.POWER_SPAWN_ENERGY_CAPACITY, power: C.POWER_SPAWN_POWER_CAPACITY }),
+    [C.STRUCTURE_NUKER]: () => ({ energy: C.NUKER_ENERGY_CAPACITY, G: C.NUKER_GHODIUM_CAPACITY }),
+    [C.STRUCTURE_FACTORY]: () => 50000
+};
+
+const HITS_MAX = {
+    [C.STRUCTURE_SPAWN]: 5000,
+    [C.STRUCTURE_EXTENSION]: 1000,
+    [C.STRUCTURE_ROAD]: 5000,
+    [C.STRUCTURE_WALL]: 300000000,
+    [C.STRUCTURE_RAMPART]: 300000000,
+    [C.STRUCTURE_LINK]: 1000,
+    [C.STRUCTURE_STORAGE]: 10000,
+    [C.STRUCTURE_TOWER]: 3000,
+    [C.STRUCTURE_OBSERVER]: 500,
+    [C.STRUCTURE_POWER_SPAWN]: 5000,
+    [C.STRUCTURE_EXTRACTOR]: 500,
+    [C.STRUCTURE_LAB]: 500,
+    [C.STRUCTURE_TERMINAL]: 3000,
+    [C.STRUCTURE_CONTAINER]: 250000,
+    [C.STRUCTURE_NUKER]: 1000,
+    [C.STRUCTURE_FACTORY]: 1000
+};
+
+// Unowned structures; everything else belongs to whoever built it
+const NEUTRAL = [C.STRUCTURE_ROAD, C.STRUCTURE_CONTAINER, C.STRUCTURE_WALL];
+
+// Order intents resolve in, loosely following the server's processing order
+const INTENT_ORDER = [
+    'spawnCreep', 'renewCreep', 'recycleCreep', 'cancelSpawning', 'setDirections',
+    'harvest', 'pickup', 'withdraw', 'transfer', 'drop', 'build', 'repair', 'dismantle',
+    'upgradeController', 'claimController', 'reserveController', 'attackController', 'signController',
+    'attack', 'rangedAttack', 'rangedMassAttack', 'heal', 'tower', 'transferEnergy', 'runReaction',
+    'boostCreep', 'send', 'deal', 'processPower', 'produce', 'observeRoom', 'activateSafeMode',
+    'unclaim', 'destroy', 'removeSite', 'removeFlag', 'setPublic', 'launchNuke', 'suicide', 'say', 'move'
+];
+
+// Boost compounds map to the body part they enhance via their base mineral and line
+const BOOST_PARTS = {
+    U: { H: C.ATTACK, O: C.WORK },
+    K: { H: C.CARRY, O: C.RANGED_ATTACK },
+    L: { H: C.WORK, O: C.HEAL },
+    Z: { H: C.WORK, O: C.MOVE },
+    G: { H: C.WORK, O: C.TOUGH }
+};
+
+/**
+ * Create a world from a fixture
+ * @param {Object} fixture - Rooms, memory and global settings
+ * @returns {Object} - Simulator world
+ */
+const createWorld = function(fixture) {
+    const world = {
+        username: fixture.username || 'sim',
+        time: fixture.time || 1,
+        records: new Map(),
+        terrain: {},
+        rawMemory: JSON.stringify(fixture.memory || {}),
+        segments: Object.assign({}, fixture.segments || {}),
+        activeSegments: [],
+        observed: new Set(),
+        alwaysVisible: new Set(),
+        gcl: Object.assign({ level: 1, progress: 0, progressTotal: 1000000 }, fixture.gcl || {}),
+        cpu: Object.assign({ limit: 20, bucket: 10000, scale: 1 }, fixture.cpu || {}),
+        market: Object.assign({ credits: 0, orders: [], history: {} }, fixture.market || {}),
+        myOrders: {},
+        intents: new Map(),
+        actions: [],
+        events: [],
+        roomEvents: {},
+        eventLogs: {},
+        nextId: 1,
+        game: null,
+        memory: null
+    };
+    
+    const classes = createClasses(world);
+    const PathFinder = createPathFinder(world);
+    world.classes = classes;
+    world.PathFinder = PathFinder;
+    
+    /**
+     * Add a record to the world
+     * @param {Object} record - Record with kind, room, x and y
+     * @returns {Object} - The stored record
+     */
+    world.add = function(record) {
+        record.id = record.id || `sim${(world.nextId++).toString(16).padStart(6, '0')}`;
+        world.records.set(record.id, record);
+        return record;
+    };
+    
+    world.remove = function(record) {
+        world.records.delete(record.id);
+    };
+    
+    world.recordsIn = function(roomName, kind) {
+        const result = [];
+        for (const record of world.records.values()) {
+            if (record.room === roomName && (!kind || record.kind === kind)) result.push(record);
+        }
+        return result;
+    };
+    
+    world.recordsAt = function(roomName, x, y) {
+        return world.recordsIn(roomName).filter(r => r.x === x && r.y === y);
+    };
+    
+    world.controllerOf = function(roomName) {
+        return world.recordsIn(roomName, 'structure').find(r => r.structureType === C.STRUCTURE_CONTROLLER);
+    };
+    
+    world.roomLevel = function(roomName) {
+        const controller = world.controllerOf(roomName);
+        return controller && controller.owner ? controller.level : 0;
+    };
+    
+    world.getTerrain = function(roomName) {
+        if (!world.terrain[roomName]) world.terrain[roomName] = map.buildTerrain();
+        return world.terrain[roomName];
+    };
+    
+    world.terrainName = function(roomName, x, y) {
+        const tile = world.getTerrain(roomName)[y * 50 + x];
+        if (tile & C.TERRAIN_MASK_WALL) return 'wall';
+        if (tile & C.TERRAIN_MASK_SWAMP) return 'swamp';
+        return 'plain';
+    };
+    
+    world.getStoreCapacity = function(record) {
+        if (record.kind === 'creep') {
+            return record.body.filter(p => p.type === C.CARRY && p.hits > 0).length * C.CARRY_CAPACITY;
+        }
+        if (record.kind !== 'structure') return null;
+        const capacity = STORE_CAPACITY[record.structureType];
+        return capacity ? capacity(world.roomLevel(record.room)) : null;
+    };
+    
+    world.bodyCost = function(body) {
+        return body.reduce((sum, part) => sum + C.BODYPART_COST[part], 0);
+    };
+    
+    /**
+     * Create a structure record with sensible defaults
+     * @param {string} roomName - Room
+     * @param {Object} spec - {structureType, x, y, ...}
+     * @returns {Object} - The record
+     */
+    world.addStructure = function(roomName, spec) {
+        const record = Object.assign({
+            kind: 'structure',
+            room: roomName,
+            hits: HITS_MAX[spec.structureType] || 1000,
+            hitsMax: HITS_MAX[spec.structureType] || 1000
+        }, spec);
+        
+        if (record.owner === undefined && !NEUTRAL.includes(record.structureType)) {
+            const controller = world.controllerOf(roomName);
+            record.owner = controller && controller.owner ? controller.owner : world.username;
+        }
+        if (STORE_CAPACITY[record.structureType]) record.store = Object.assign({}, spec.store || {});
+        if ([C.STRUCTURE_LINK, C.STRUCTURE_LAB, C.STRUCTURE_TERMINAL, C.STRUCTURE_EXTRACTOR,
+             C.STRUCTURE_FACTORY, C.STRUCTURE_NUKER].includes(record.structureType)) {
+            record.cooldown = record.cooldown || 0;
+        }
+        return world.add(record);
+    };
+    
+    /**
+     * Create a creep record
+     * @param {string} roomName - Room
+     * @param {Object} spec - {name, body, x, y, memory, owner, store}
+     * @returns {Object} - The record
+     */
+    world.addCreep = function(roomName, spec) {
+        const body = spec.body.map(part => typeof part === 'string' ? { type: part, hits: 100 } : part);
+        const record = world.add({
+            kind: 'creep',
+            room: roomName,
+            x: spec.x,
+            y: spec.y,
+            name: spec.name,
+            owner: spec.owner || world.username,
+            body,
+            hits: spec.hits || body.length * 100,
+            fatigue: 0,
+            ticksToLive: spec.ticksToLive || (body.some(p => p.type === C.CLAIM) ? C.CREEP_CLAIM_LIFE_TIME : C.CREEP_LIFE_TIME),
+            store: Object.assign({}, spec.store || {}),
+            spawning: false
+        });
+        
+        if (spec.memory && record.owner === world.username) {
+            const memory = JSON.parse(world.rawMemory);
+            memory.creeps = memory.creeps || {};
+            memory.creeps[spec.name] = spec.memory;
+            world.rawMemory = JSON.stringify(memory);
+        }
+        return record;
+    };
+    
+    /**
+     * Load rooms from a fixture
+     * @param {Object} rooms - Room specs keyed by name
+     */
+    world.loadRooms = function(rooms) {
+        for (const roomName in rooms) {
+            const spec = rooms[roomName];
+            world.terrain[roomName] = map.buildTerrain(spec.terrain);
+            
+            if (spec.controller) {
+                const level = spec.controller.level || 0;
+                world.add(Object.assign({
+                    kind: 'structure',
+                    structureType: C.STRUCTURE_CONTROLLER,
+                    room: roomName,
+                    level,
+                    progress: 0,
+                    owner: level > 0 ? world.username : undefined,
+                    ticksToDowngrade: level > 0 ? C.CONTROLLER_DOWNGRADE[level] : undefined,
+                    safeModeAvailable: level > 0 ? 1 : 0
+                }, spec.controller));
+            }
+            
+            const owned = spec.controller && (spec.controller.level || 0) > 0;
+            for (const source of spec.sources || []) {
+                const capacity = owned || (spec.controller && spec.controller.reservation) ?
+                    C.SOURCE_ENERGY_CAPACITY : C.SOURCE_ENERGY_CAPACITY / 2;
+                world.add(Object.assign({
+                    kind: 'source',
+                    room: roomName,
+                    energy: capacity,
+                    energyCapacity: capacity
+                }, source));
+            }
+            
+            if (spec.mineral) {
+                world.add(Object.assign({ kind: 'mineral', room: roomName, mineralAmount: 70000, density: 3 }, spec.mineral));
+            }
+            
+            for (const structure of spec.structures || []) world.addStructure(roomName, structure);
+            
+            for (const site of spec.sites || []) {
+                world.add(Object.assign({
+                    kind: 'constructionSite',
+                    room: roomName,
+                    owner: world.username,
+                    progress: 0,
+                    progressTotal: C.CONSTRUCTION_COST[site.structureType]
+                }, site));
+            }
+            
+            for (const creep of spec.creeps || []) world.addCreep(roomName, creep);
+            for (const hostile of spec.hostiles || []) {
+                world.addCreep(roomName, Object.assign({ owner: 'Invader' }, hostile));
+            }
+            
+            if (spec.visible) world.alwaysVisible.add(roomName);
+        }
+    };
+    
+    world.isVisible = function(roomName) {
+        if (world.observed.has(roomName) || world.alwaysVisible.has(roomName)) return true;
+        const controller = world.controllerOf(roomName);
+        if (controller && controller.owner === world.username) return true;
+        return world.recordsIn(roomName).some(r =>
+            (r.kind === 'creep' || r.kind === 'structure') && r.owner === world.username);
+    };
+    
+    world.isObstacle = function(pos) {
+        if (world.getTerrain(pos.roomName)[pos.y * 50 + pos.x] & C.TERRAIN_MASK_WALL) return true;
+        return world.recordsAt(pos.roomName, pos.x, pos.y).some(r =>
+            r.kind === 'source' || r.kind === 'mineral' ||
+            (r.kind === 'structure' && !WALKABLE.includes(r.structureType)));
+    };
+    
+    /**
+     * Default movement cost matrix for a room
+     * @param {string} roomName - Room
+     * @param {Object} opts - ignoreCreeps, ignoreRoads
+     * @returns {CostMatrix} - Cost matrix
+     */
+    world.movementMatrix = function(roomName, opts = {}) {
+        const matrix = new PathFinder.CostMatrix();
+        for (const record of world.recordsIn(roomName)) {
+            if (record.kind === 'structure') {
+                if (record.structureType === C.STRUCTURE_ROAD) {
+                    if (!opts.ignoreRoads) matrix.set(record.x, record.y, 1);
+                } else if (record.structureType === C.STRUCTURE_RAMPART) {
+                    if (record.owner !== world.username && !record.isPublic) matrix.set(record.x, record.y, 255);
+                } else if (!WALKABLE.includes(record.structureType)) {
+                    matrix.set(record.x, record.y, 255);
+                }
+            } else if (record.kind === 'source' || record.kind === 'mineral') {
+                matrix.set(record.x, record.y, 255);
+            } else if (record.kind === 'creep' && !record.spawning && !opts.ignoreCreeps) {
+                matrix.set(record.x, record.y, 255);
+            }
+        }
+        return matrix;
+    };
+    
+    /**
+     * Find a movement path the way moveTo and Room.findPath would
+     * @param {RoomPosition} from - Start
+     * @param {RoomPosition} goal - Target
+     * @param {Object} opts - moveTo/findPath options plus range
+     * @returns {Array} - RoomPositions, excluding the start
+     */
+    world.findPath = function(from, goal, opts = {}) {
+        const ignoreRoads = !!opts.ignoreRoads;
+        const result = PathFinder.search(from, { pos: goal, range: opts.range || 0 }, {
+            plainCost: opts.plainCost || (ignoreRoads ? 1 : 2),
+            swampCost: opts.swampCost || (ignoreRoads ? 5 : 10),
+            maxOps: opts.maxOps || 2000,
+            maxRooms: opts.maxRooms || 16,
+            heuristicWeight: opts.heuristicWeight,
+            roomCallback: function(roomName) {
+                let matrix = world.isVisible(roomName) ? world.movementMatrix(roomName, opts) : new PathFinder.CostMatrix();
+                
+                // Never block our own tile
+                if (roomName === from.roomName) matrix.set(from.x, from.y, 0);
+                
+                if (opts.costCallback) {
+                    const custom = opts.costCallback(roomName, matrix);
+                    if (custom instanceof PathFinder.CostMatrix) matrix = custom;
+                }
+                if (opts.roomCallback) {
+                    const custom = opts.roomCallback(roomName);
+                    if (custom === false) return false;
+                    if (custom instanceof PathFinder.CostMatrix) matrix = custom;
+                }
+                return matrix;
+            }
+        });
+        return result.path;
+    };
+    
+    world.lookType = function(object) {
+        return object._record.kind;
+    };
+    
+    world.createVisual = function() {
+        return new classes.RoomVisual();
+    };
+    
+    /**
+     * Queue an intent for resolution at the end of the tick
+     * @param {Object} actor - Game object issuing the intent
+     * @param {string} action - Intent name
+     * @param {Object} args - Intent arguments
+     * @returns {number} - OK
+     */
+    world.queueIntent = function(actor, action, args) {
+        world.intents.set(`${actor.id}:${action}`, {
+            time: world.time,
+            actorId: actor.id,
+            actor: actor.name || actor.id,
+            action,
+            args
+        });
+        return C.OK;
+    };
+    
+    world.cancelIntent = function(actor, action) {
+        return world.intents.delete(`${actor.id}:${action}`) ? C.OK : C.ERR_NOT_FOUND;
+    };
+    
+    world.event = function(type, details) {
+        world.events.push(Object.assign({ time: world.time, type }, details));
+    };
+    
+    /**
+     * Record an entry for a room's event log, readable next tick through room.getEventLog()
+     * @param {string} roomName - Room the event happened in
+     * @param {number} event - EVENT_* constant
+     * @param {Object} actor - Record that caused the event
+     * @param {Object} data - Event data
+     */
+    world.logRoomEvent = function(roomName, event, actor, data) {
+        if (!world.roomEvents[roomName]) world.roomEvents[roomName] = [];
+        world.roomEvents[roomName].push({ event, objectId: actor.id, data });
+    };
+    
+    /**
+     * Validate and queue a spawn request
+     * @param {StructureSpawn} spawn - Spawning structure
+     * @param {Array} body - Body parts
+     * @param {string} name - Creep name
+     * @param {Object} opts - memory, dryRun, energyStructures, directions
+     * @returns {number} - Result code
+     */
+    world.spawnCreep = function(spawn, body, name, opts) {
+        const tick = world.tickState;
+        if (!spawn.my) return C.ERR_NOT_OWNER;
+        if (spawn.spawning || tick.spawned.has(spawn.id)) return C.ERR_BUSY;
+        if (!Array.isArray(body) || body.length === 0 || body.length > C.MAX_CREEP_SIZE ||
+            body.some(part => C.BODYPART_COST[part] === undefined) || !name) {
+            return C.ERR_INVALID_ARGS;
+        }
+        if (world.game.creeps[name] || tick.names.has(name)) return C.ERR_NAME_EXISTS;
+        
+        const roomName = spawn.pos.roomName;
+        const cost = world.bodyCost(body);
+        const available = world.game.rooms[roomName].energyAvailable - (tick.energySpent[roomName] || 0);
+        if (cost > available) return C.ERR_NOT_ENOUGH_ENERGY;
+        if (opts.dryRun) return C.OK;
+        
+        Memory.creeps = Memory.creeps || {};
+        Memory.creeps[name] = opts.memory || Memory.creeps[name] || {};
+        
+        tick.spawned.add(spawn.id);
+        tick.names.add(name);
+        tick.energySpent[roomName] = (tick.energySpent[roomName] || 0) + cost;
+        
+        return world.queueIntent(spawn, 'spawnCreep', {
+            body: body.slice(),
+            name,
+            cost,
+            energyStructures: opts.energyStructures ? opts.energyStructures.map(s => s.id) : null,
+            directions: opts.directions
+        });
+    };
+    
+    /**
+     * Validate and place a construction site
+     * @param {Room} room - Room wrapper
+     * @param {number} x - X
+     * @param {number} y - Y
+     * @param {string} structureType - Structure type
+     * @param {string} name - Spawn name
+     * @returns {number} - Result code
+     */
+    world.createConstructionSite = function(room, x, y, structureType, name) {
+        if (C.CONSTRUCTION_COST[structureType] === undefined) return C.ERR_INVALID_ARGS;
+        if (x <= 0 || y <= 0 || x >= 49 || y >= 49) return C.ERR_INVALID_TARGET;
+        
+        const controller = world.controllerOf(room.name);
+        const owned = controller && controller.owner === world.username;
+        const reservedByOther = controller && ((controller.owner && !owned) ||
+            (controller.reservation && controller.reservation.username !== world.username));
+        if (reservedByOther) return C.ERR_NOT_OWNER;
+        if (!owned && ![C.STRUCTURE_ROAD, C.STRUCTURE_CONTAINER].includes(structureType)) {
+            return C.ERR_RCL_NOT_ENOUGH;
+        }
+        
+        if (world.terrainName(room.name, x, y) === 'wall' && structureType !== C.STRUCTURE_ROAD) {
+            return C.ERR_INVALID_TARGET;
+        }
+        
+        const here = world.recordsAt(room.name, x, y);
+        if (here.some(r => r.kind === 'constructionSite')) return C.ERR_INVALID_TARGET;
+        const structures = here.filter(r => r.kind === 'structure');
+        if (structures.some(r => r.structureType === structureType)) return C.ERR_INVALID_TARGET;
+        if (structureType !== C.STRUCTURE_RAMPART &&
+            structures.some(r => r.structureType !== C.STRUCTURE_RAMPART && r.structureType !== C.STRUCTURE_ROAD)) {
+            return C.ERR_INVALID_TARGET;
+        }
+        if (here.some(r => r.kind === 'source' || r.kind === 'mineral')) return C.ERR_INVALID_TARGET;
+        
+        if (owned) {
+            const limits = C.CONTROLLER_STRUCTURES[structureType];
+            const existing = world.recordsIn(room.name).filter(r =>
+                (r.kind === 'structure' || r.kind === 'constructionSite') && r.structureType === structureType).length;
+            if (limits && existing >= (limits[controller.level] || 0)) return C.ERR_RCL_NOT_ENOUGH;
+        }
+        
+        const mySites = Array.from(world.records.values())
+            .filter(r => r.kind === 'constructionSite' && r.owner === world.username).length;
+        if (mySites >= 100) return C.ERR_FULL;
+        
+        // Sites appear to the AI next tick
+        world.add({
+            kind: 'constructionSite',
+            room: room.name,
+            x,
+            y,
+            structureType,
+            name,
+            owner: world.username,
+            progress: 0,
+            progressTotal: C.CONSTRUCTION_COST[structureType]
+        });
+        world.queueIntent({ id: `${room.name}:${x},${y}` }, 'createConstructionSite', { room: room.name, x, y, structureType });
+        return C.OK;
+    };
+    
+    /**
+     * Build the Game object for the current tick
+     * @returns {Object} - Game
+     */
+    world.buildGame = function() {
+        const objects = new Map();
+        const rooms = {};
+        const game = {
+            time: world.time,
+            rooms,
+            creeps: {},
+            spawns: {},
+            structures: {},
+            constructionSites: {},
+            flags: {},
+            powerCreeps: {},
+            resources: {},
+            shard: { name: 'sim', type: 'normal', ptr: false },
+            gcl: Object.assign({}, world.gcl),
+            gpl: { level: 0, progress: 0, progressTotal: 1000 },
+            getObjectById: id => objects.get(id) || null,
+            notify: message => world.event('notify', { message })
+        };
+        world.game = game;
+        
+        const roomNames = new Set();
+        for (const record of world.records.values()) roomNames.add(record.room);
+        
+        for (const roomName of roomNames) {
+            if (!world.isVisible(roomName)) continue;
+            rooms[roomName] = new classes.Room({ name: roomName });
+        }
+        
+        for (const record of world.records.values()) {
+            const room = rooms[record.room];
+            const visibleSite = record.kind === 'constructionSite' && record.owner === world.username;
+            if (!room && !visibleSite) continue;
+            
+            const object = world.wrap(record);
+            objects.set(record.id, object);
+            
+            if (room) room._objects.push(object);
+            if (object.my) {
+                if (record.kind === 'creep') game.creeps[record.name] = object;
+                if (record.kind === 'constructionSite') game.constructionSites[record.id] = object;
+                if (record.kind === 'structure') game.structures[record.id] = object;
+                if (record.structureType === C.STRUCTURE_SPAWN) game.spawns[record.name] = object;
+            }
+        }
+        
+        // Room level shortcuts
+        for (const roomName in rooms) {
+            const room = rooms[roomName];
+            const structures = room._objects.filter(o => o instanceof classes.Structure);
+            room.controller = structures.find(s => s.structureType === C.STRUCTURE_CONTROLLER);
+            room.storage = structures.find(s => s.structureType === C.STRUCTURE_STORAGE && s.my);
+            room.terminal = structures.find(s => s.structureType === C.STRUCTURE_TERMINAL && s.my);
+            
+            const energyStructures = structures.filter(s => s.my &&
+                (s.structureType === C.STRUCTURE_SPAWN || s.structureType === C.STRUCTURE_EXTENSION));
+            room.energyAvailable = energyStructures.reduce((sum, s) => sum + s.store[C.RESOURCE_ENERGY], 0);
+            room.energyCapacityAvailable = energyStructures.reduce((sum, s) => sum + s.store.getCapacity(C.RESOURCE_ENERGY), 0);
+        }
+        
+        game.map = map.createGameMap(world, classes.Room.Terrain);
+        game.market = world.buildMarket();
+        game.cpu = world.buildCpu();
+        
+        world.tickState = { spawned: new Set(), names: new Set(), energySpent: {}, upgraded: {} };
+        world.observed = new Set();
+        return game;
+    };
+    
+    world.wrap = function(record) {
+        switch (record.kind) {
+            case 'creep': return new classes.Creep(record);
+            case 'source': return new classes.Source(record);
+            case 'mineral': return new classes.Mineral(record);
+            case 'resource': return new classes.Resource(record);
+            case 'tombstone': return new classes.Tombstone(record);
+            case 'ruin': return new classes.Ruin(record);
+            case 'nuke': return new classes.Nuke(record);
+            case 'flag': return new classes.Flag(record);
+            case 'constructionSite': return new classes.ConstructionSite(record);
+            default: {
+                const StructureClass = classes.STRUCTURE_CLASSES[record.structureType] || classes.Structure;
+                return new StructureClass(record);
+            }
+        }
+    };
+    
+    world.buildCpu = function() {
+        const start = process.hrtime.bigint();
+        world.tickStart = start;
+        return {
+            limit: world.cpu.limit,
+            tickLimit: 500,
+            bucket: world.cpu.bucket,
+            shardLimits: { sim: world.cpu.limit },
+            unlocked: true,
+            getUsed: () => Number(process.hrtime.bigint() - start) / 1e6 * world.cpu.scale,
+            getHeapStatistics: () => process.memoryUsage(),
+            halt: () => { throw new Error('Game.cpu.halt() called'); },
+            generatePixel: () => {
+                if (world.cpu.bucket < 10000) return C.ERR_NOT_ENOUGH_RESOURCES;
+                world.cpu.bucket -= 10000;
+                world.event('pixel', {});
+                return C.OK;
+            }
+        };
+    };
+    
+    world.buildMarket = function() {
+        const market = world.market;
+        const calcTransactionCost = function(amount, roomA, roomB) {
+            const distance = map.getRoomLinearDistance(roomA, roomB);
+            return Math.ceil(amount * (1 - Math.exp(-distance / 30)));
+        };
+        
+        return {
+            credits: market.credits,
+            orders: JSON.parse(JSON.stringify(world.myOrders)),
+            incomingTransactions: [],
+            outgoingTransactions: [],
+            calcTransactionCost,
+            getAllOrders: filter => {
+                const orders = market.orders.map(o => Object.assign({ remainingAmount: o.amount }, o));
+                return filter ? _.filter(orders, filter) : orders;
+            },
+            getOrderById: id => market.orders.find(o => o.id === id) || world.myOrders[id] || null,
+            getHistory: resourceType => market.history[resourceType] || [],
+            deal: (orderId, amount, roomName) => {
+                const order = market.orders.find(o => o.id === orderId);
+                if (!order) return C.ERR_INVALID_ARGS;
+                return world.queueIntent({ id: `market:${orderId}` }, 'deal', { orderId, amount, roomName });
+            },
+            createOrder: params => {
+                const id = `order${world.nextId++}`;
+                world.myOrders[id] = Object.assign({
+                    id,
+                    created: world.time,
+                    active: true,
+                    remainingAmount: params.totalAmount,
+                    amount: params.totalAmount
+                }, params);
+                world.event('createOrder', { id, params });
+                return C.OK;
+            },
+            cancelOrder: id => {
+                if (!world.myOrders[id]) return C.ERR_INVALID_ARGS;
+                delete world.myOrders[id];
+                world.event('cancelOrder', { id });
+                return C.OK;
+            },
+            changeOrderPrice: (id, price) => {
+                if (!world.myOrders[id]) return C.ERR_INVALID_ARGS;
+                world.myOrders[id].price = price;
+                return C.OK;
+            },
+            extendOrder: (id, amount) => {
+                if (!world.myOrders[id]) return C.ERR_INVALID_ARGS;
+                world.myOrders[id].remainingAmount += amount;
+                return C.OK;
+            }
+        };
+    };
+    
+    /**
+     * Build the RawMemory global for the current tick
+     * @returns {Object} - RawMemory
+     */
+    world.buildRawMemory = function() {
+        const segments = {};
+        for (const id of world.activeSegments) {
+            if (world.segments[id] !== undefined) segments[id] = world.segments[id];
+            else segments[id] = '';
+        }
+        
+        const raw = {
+            segments,
+            foreignSegment: undefined,
+            get: () => world.rawMemory,
+            set: value => { raw._override = value; },
+            setActiveSegments: ids => { raw._nextActive = ids.slice(0, 10); },
+            setPublicSegments: () => {},
+            setDefaultPublicSegment: () => {},
+            setActiveForeignSegment: () => {}
+        };
+        world.rawMemoryObject = raw;
+        return raw;
+    };
+    
+    /**
+     * Start a tick: build Game, Memory and RawMemory
+     * @returns {Object} - {Game, Memory, RawMemory}
+     */
+    world.beginTick = function() {
+        world.intents = new Map();
+        const game = world.buildGame();
+        world.memory = JSON.parse(world.rawMemory);
+        return { Game: game, Memory: world.memory, RawMemory: world.buildRawMemory() };
+    };
+    
+    /**
+     * Finish a tick: resolve intents, persist memory and advance the clock
+     * @param {Object} memory - Memory object as left by the AI
+     */
+    world.endTick = function(memory) {
+        const used = world.game.cpu.getUsed();
+        
+        const intents = Array.from(world.intents.values());
+        intents.sort((a, b) => INTENT_ORDER.indexOf(a.action) - INTENT_ORDER.indexOf(b.action));
+        for (const intent of intents) world.actions.push(intent);
+        
+        const moves = [];
+        for (const intent of intents) {
+            if (intent.action === 'move') {
+                moves.push(intent);
+                continue;
+            }
+            const handler = world.resolvers[intent.action];
+            if (handler) handler(world.records.get(intent.actorId), intent.args, intent);
+        }
+        world.resolveMoves(moves);
+        world.upkeep();
+        
+        // Event logs describe the tick that just resolved
+        world.eventLogs = world.roomEvents;
+        world.roomEvents = {};
+        
+        // Persist memory and segments
+        const raw = world.rawMemoryObject;
+        world.rawMemory = raw._override !== undefined ? raw._override : JSON.stringify(memory);
+        for (const id in raw.segments) {
+            const value = raw.segments[id];
+            if (typeof value !== 'string') continue;
+            if (value.length > 100 * 1024) {
+                world.event('segmentOverflow', { segment: Number(id), length: value.length });
+                continue;
+            }
+            world.segments[id] = value;
+        }
+        if (raw._nextActive) world.activeSegments = raw._nextActive;
+        
+        // Bucket fills with unused CPU
+        world.cpu.bucket = Math.max(0, Math.min(10000, Math.floor(world.cpu.bucket + world.cpu.limit - used)));
+        world.cpu.lastUsed = used;
+        world.time++;
+    };
+    
+    world.addResource = function(record, resourceType, amount) {
+        if (amount <= 0) return;
+        record.store[resourceType] = (record.store[resourceType] || 0) + amount;
+    };
+    
+    world.takeResource = function(record, resourceType, amount) {
+        record.store[resourceType] = (record.store[resourceType] || 0) - amount;
+        if (record.store[resourceType] <= 0) delete record.store[resourceType];
+    };
+    
+    world.freeCapacity = function(record, resourceType) {
+        const free = createStore(record.store, world.getStoreCapacity(record)).getFreeCapacity(resourceType);
+        return free === null ? Infinity : Math.max(0, free);
+    };
+    
+    world.dropResource = function(roomName, x, y, resourceType, amount) {
+        if (amount <= 0) return;
+        
+        // Dropping onto a container fills it first
+        const container = world.recordsAt(roomName, x, y).find(r => r.kind === 'structure' && r.structureType === C.STRUCTURE_CONTAINER);
+        if (container) {
+            const stored = Math.min(amount, world.freeCapacity(container, resourceType));
+            world.addResource(container, resourceType, stored);
+            amount -= stored;
+        }
+        if (amount <= 0) return;
+        
+        const pile = world.recordsAt(roomName, x, y).find(r => r.kind === 'resource' && r.resourceType === resourceType);
+        if (pile) pile.amount += amount;
+        else world.add({ kind: 'resource', room: roomName, x, y, resourceType, amount });
+    };
+    
+    world.activeParts = function(record, type) {
+        return record.body.filter(part => part.type === type && part.hits > 0).length;
+    };
+    
+    world.range = function(a, b) {
+        if (a.room !== b.room) return Infinity;
+        return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+    };
+    
+    world.damage = function(target, amount) {
+        if (!target || target.hits === undefined) return;
+        target.hits -= amount;
+        
+        // Creep body parts lose hits from the front
+        if (target.kind === 'creep') {
+            let remaining = target.hits;
+            for (let i = target.body.length - 1; i >= 0; i--) {
+                const part = target.body[i];
+                part.hits = Math.max(0, Math.min(100, remaining));
+                remaining -= 100;
+            }
+        }
+    };
+    
+    world.heal = function(target, amount) {
+        if (!target || target.hits === undefined) return;
+        const max = target.kind === 'creep' ? target.body.length * 100 : target.hitsMax;
+        target.hits = Math.min(max, target.hits + amount);
+        if (target.kind === 'creep') world.damage(target, 0);
+    };
+    
+    world.towerPower = function(base, range) {
+        if (range <= C.TOWER_OPTIMAL_RANGE) return base;
+        if (range >= C.TOWER_FALLOFF_RANGE) return base * (1 - C.TOWER_FALLOFF);
+        const falloff = (range - C.TOWER_OPTIMAL_RANGE) / (C.TOWER_FALLOFF_RANGE - C.TOWER_OPTIMAL_RANGE);
+        return Math.floor(base * (1 - C.TOWER_FALLOFF * falloff));
+    };
+    
+    world.boostPart = function(compound) {
+        const base = compound.replace(/^X/, '');
+        const mineral = base[0];
+        const line = base.endsWith('HO2') || base.endsWith('O') ? 'O' : 'H';
+        return BOOST_PARTS[mineral] ? BOOST_PARTS[mineral][line] : null;
+    };
+    
+    world.killCreep = function(record, reason) {
+        world.remove(record);
+        world.add({
+            kind: 'tombstone',
+            room: record.room,
+            x: record.x,
+            y: record.y,
+            creepName: record.name,
+            owner: record.owner,
+            store: Object.assign({}, record.store),
+            deathTime: world.time,
+            ticksToDecay: record.body.length * 5
+        });
+        world.event('death', { name: record.name, owner: record.owner, reason });
+    };
+    
+    /**
+     * Intent resolvers keyed by action
+     */
+    world.resolvers = {
+        spawnCreep: function(spawn, args) {
+            if (!spawn) return;
+            world.spendEnergy(spawn.room, args.cost, args.energyStructures);
+            
+            world.addCreep(spawn.room, { name: args.name, body: args.body, x: spawn.x, y: spawn.y }).spawning = true;
+            const time = args.body.length * C.CREEP_SPAWN_TIME;
+            spawn.spawning = { name: args.name, needTime: time, remainingTime: time, directions: args.directions };
+            world.event('spawnStart', { name: args.name, spawn: spawn.name, body: args.body });
+        },
+        
+        renewCreep: function(spawn, args) {
+            const creep = world.records.get(args.target);
+            if (!spawn || !creep) return;
+            world.spendEnergy(spawn.room, args.cost);
+            creep.ticksToLive = Math.min(C.CREEP_LIFE_TIME, creep.ticksToLive + Math.floor(600 / creep.body.length));
+        },
+        
+        recycleCreep: function(spawn, args) {
+            const creep = world.records.get(args.target);
+            if (!creep) return;
+            const refund = Math.floor(world.bodyCost(creep.body.map(p => p.type)) * creep.ticksToLive / C.CREEP_LIFE_TIME / 2);
+            world.killCreep(creep, 'recycled');
+            world.dropResource(creep.room, creep.x, creep.y, C.RESOURCE_ENERGY, refund);
+        },
+        
+        cancelSpawning: function(spawn) {
+            if (!spawn || !spawn.spawning) return;
+            const creep = Array.from(world.records.values()).find(r => r.kind === 'creep' && r.name === spawn.spawning.name);
+            if (creep) world.remove(creep);
+            spawn.spawning = null;
+        },
+        
+        setDirections: function(spawn, args) {
+            if (spawn && spawn.spawning) spawn.spawning.directions = args.directions;
+        },
+        
+        harvest: function(creep, args) {
+            const target = world.records.get(args.target);
+            if (!creep || !target) return;
+            let amount;
+            
+            if (target.kind === 'source') {
+                amount = Math.min(world.activeParts(creep, C.WORK) * C.HARVEST_POWER, target.energy);
+                target.energy -= amount;
+                if (target.ticksToRegeneration === undefined) target.ticksToRegeneration = C.ENERGY_REGEN_TIME;
+                world.dropOrStore(creep, C.RESOURCE_ENERGY, amount);
+                world.logRoomEvent(creep.room, C.EVENT_HARVEST, creep, { targetId: target.id, amount });
+            } else {
+                amount = Math.min(world.activeParts(creep, C.WORK) * C.HARVEST_MINERAL_POWER, target.mineralAmount);
+                target.mineralAmount -= amount;
+                if (target.mineralAmount <= 0) target.ticksToRegeneration = C.MINERAL_REGEN_TIME;
+                const extractor = world.recordsAt(target.room, target.x, target.y)
+                    .find(r => r.kind === 'structure' && r.structureType === C.STRUCTURE_EXTRACTOR);
+                if (extractor) extractor.cooldown = C.EXTRACTOR_COOLDOWN;
+                world.dropOrStore(creep, target.mineralType, amount);
+                world.logRoomEvent(creep.room, C.EVENT_HARVEST, creep, { targetId: target.id, amount });
+            }
+        },
+        
+        pickup: function(creep, args) {
+            const target = world.records.get(args.target);
+            if (!creep || !target) return;
+            const amount = Math.min(target.amount, world.freeCapacity(creep));
+            world.addResource(creep, target.resourceType, amount);
+            target.amount -= amount;
+            if (target.amount <= 0) world.remove(target);
+        },
+        
+        withdraw: function(creep, args) {
+            const target = world.records.get(args.target);
+            if (!creep || !target || !target.store) return;
+            const amount = Math.min(args.amount, target.store[args.resourceType] || 0, world.freeCapacity(creep));
+            world.takeResource(target, args.resourceType, amount);
+            world.addResource(creep, args.resourceType, amount);
+        },
+        
+        transfer: function(creep, args) {
+            const target = world.records.get(args.target);
+            if (!creep || !target || !target.store) return;
+            const amount = Math.min(args.amount, creep.store[args.resourceType] || 0,
+                world.freeCapacity(target, args.resourceType));
+            world.takeResource(creep, args.resourceType, amount);
+            world.addResource(target, args.resourceType, amount);
+        },
+        
+        drop: function(creep, args) {
+            if (!creep) return;
+            const amount = Math.min(args.amount, creep.store[args.resourceType] || 0);
+            world.takeResource(creep, args.resourceType, amount);
+            world.dropResource(creep.room, creep.x, creep.y, args.resourceType, amount);
+        },
+        
+        build: function(creep, args) {
+            const site = world.records.get(args.target);
+            if (!creep || !site) return;
+            const amount = Math.min(world.activeParts(creep, C.WORK) * C.BUILD_POWER,
+                creep.store[C.RESOURCE_ENERGY] || 0, site.progressTotal - site.progress);
+            site.progress += amount;
+            world.takeResource(creep, C.RESOURCE_ENERGY, amount);
+            world.logRoomEvent(creep.room, C.EVENT_BUILD, creep,
+                { targetId: site.id, amount, energySpent: amount });
+        },
+        
+        repair: function(creep, args) {
+            const target = world.records.get(args.target);
+            if (!creep || !target) return;
+            const energy = Math.min(world.activeParts(creep, C.WORK), creep.store[C.RESOURCE_ENERGY] || 0,
+                Math.ceil((target.hitsMax - target.hits) / C.REPAIR_POWER));
+            target.hits = Math.min(target.hitsMax, target.hits + energy * C.REPAIR_POWER);
+            world.takeResource(creep, C.RESOURCE_ENERGY, energy);
+            world.logRoomEvent(creep.room, C.EVENT_REPAIR, creep,
+                { targetId: target.id, amount: energy * C.REPAIR_POWER, energySpent: energy });
+        },
+        
+        dismantle: function(creep, args) {
+            const target = world.records.get(args.target);
+            if (!creep || !target) return;
+            world.damage(target, world.activeParts(creep, C.WORK) * 50);
+        },
+        
+        upgradeController: function(creep, args) {
+            const controller = world.records.get(args.target);
+            if (!creep || !controller || !controller.owner) return;
+            const tick = world.tickState;
+            let amount = Math.min(world.activeParts(creep, C.WORK) * C.UPGRADE_CONTROLLER_POWER,
+                creep.store[C.RESOURCE_ENERGY] || 0);
+            
+            // RCL 8 controllers accept a limited amount per tick
+            if (controller.level === 8) {
+                const done = tick.upgraded[controller.id] || 0;
+                amount = Math.min(amount, C.CONTROLLER_MAX_UPGRADE_PER_TICK - done);
+                tick.upgraded[controller.id] = done + amount;
+            }
+            if (amount <= 0) return;
+            
+            world.takeResource(creep, C.RESOURCE_ENERGY, amount);
+            world.logRoomEvent(creep.room, C.EVENT_UPGRADE_CONTROLLER, creep, { amount, energySpent: amount });
+            world.gcl.progress += amount;
+            controller.ticksToDowngrade = Math.min(C.CONTROLLER_DOWNGRADE[controller.level],
+                controller.ticksToDowngrade + 100);
+            
+            if (controller.level < 8) {
+                controller.progress += amount;
+                const needed = C.CONTROLLER_LEVELS[controller.level];
+                if (controller.progress >= needed) {
+                    controller.progress -= needed;
+                    controller.level++;
+                    controller.ticksToDowngrade = C.CONTROLLER_DOWNGRADE[controller.level];
+                    controller.safeModeAvailable = (controller.safeModeAvailable || 0) + 1;
+                    world.event('levelUp', { room: controller.room, level: controller.level });
+                }
+            }
+        },
+        
+        claimController: function(creep, args) {
+            const controller = world.records.get(args.target);
+            if (!creep || !controller) return;
+            controller.owner = world.username;
+            controller.level = 1;
+            controller.progress = 0;
+            controller.reservation = undefined;
+            controller.ticksToDowngrade = C.CONTROLLER_DOWNGRADE[1] / 2;
+            controller.safeModeAvailable = 0;
+            world.event('claim', { room: controller.room });
+        },
+        
+        reserveController: function(creep, args) {
+            const controller = world.records.get(args.target);
+            if (!creep || !controller) return;
+            const current = controller.reservation ? controller.reservation.ticksToEnd : 0;
+            controller.reservation = {
+                username: world.username,
+                ticksToEnd: Math.min(C.CONTROLLER_RESERVE_MAX, current + world.activeParts(creep, C.CLAIM) * C.CONTROLLER_RESERVE)
+            };
+        },
+        
+        attackController: function(creep, args) {
+            const controller = world.records.get(args.target);
+            if (!creep || !controller) return;
+            const parts = world.activeParts(creep, C.CLAIM);
+            if (controller.reservation) {
+                controller.reservation.ticksToEnd -= parts * C.CONTROLLER_RESERVE;
+                if (controller.reservation.ticksToEnd <= 0) controller.reservation = undefined;
+            } else if (controller.owner) {
+                controller.ticksToDowngrade -= parts * C.CONTROLLER_CLAIM_DOWNGRADE;
+                controller.upgradeBlocked = 1000;
+            }
+        },
+        
+        signController: function(creep, args) {
+            const controller = world.records.get(args.target);
+            if (!creep || !controller) return;
+            controller.sign = args.text ? { username: creep.owner, text: args.text, time: world.time } : undefined;
+        },
+        
+        attack: function(creep, args) {
+            if (!creep) return;
+            world.damage(world.records.get(args.target), world.activeParts(creep, C.ATTACK) * C.ATTACK_POWER);
+        },
+        
+        rangedAttack: function(creep, args) {
+            if (!creep) return;
+            world.damage(world.records.get(args.target), world.activeParts(creep, C.RANGED_ATTACK) * C.RANGED_ATTACK_POWER);
+        },
+        
+        rangedMassAttack: function(creep) {
+            if (!creep) return;
+            const power = world.activeParts(creep, C.RANGED_ATTACK) * C.RANGED_ATTACK_POWER;
+            for (const target of world.recordsIn(creep.room)) {
+                if (target.owner === creep.owner || target.hits === undefined) continue;
+                const range = world.range(creep, target);
+                if (range <= 3) world.damage(target, power * [1, 1, 0.4, 0.1][range]);
+            }
+        },
+        
+        heal: function(creep, args) {
+            if (!creep) return;
+            world.heal(world.records.get(args.target), world.activeParts(creep, C.HEAL) * args.power);
+        },
+        
+        tower: function(tower, args) {
+            const target = world.records.get(args.target);
+            if (!tower || !target) return;
+            const range = world.range(tower, target);
+            world.takeResource(tower, C.RESOURCE_ENERGY, C.TOWER_ENERGY_COST);
+            
+            if (args.action === 'attack') {
+                const damage = world.towerPower(C.TOWER_POWER_ATTACK, range);
+                world.damage(target, damage);
+                world.logRoomEvent(tower.room, C.EVENT_ATTACK, tower,
+                    { targetId: target.id, damage, attackType: C.EVENT_ATTACK_TYPE_RANGED });
+            } else if (args.action === 'heal') {
+                const amount = world.towerPower(C.TOWER_POWER_HEAL, range);
+                world.heal(target, amount);
+                world.logRoomEvent(tower.room, C.EVENT_HEAL, tower,
+                    { targetId: target.id, amount, healType: C.EVENT_HEAL_TYPE_RANGED });
+            } else {
+                const amount = world.towerPower(C.TOWER_POWER_REPAIR, range);
+                target.hits = Math.min(target.hitsMax, target.hits + amount);
+                world.logRoomEvent(tower.room, C.EVENT_REPAIR, tower,
+                    { targetId: target.id, amount, energySpent: C.TOWER_ENERGY_COST });
+            }
+        },
+        
+        transferEnergy: function(link, args) {
+            const target = world.records.get(args.target);
+            if (!link || !target) return;
+            const amount = Math.min(args.amount, link.store[C.RESOURCE_ENERGY] || 0,
+                world.freeCapacity(target, C.RESOURCE_ENERGY));
+            world.takeResource(link, C.RESOURCE_ENERGY, amount);
+            world.addResource(target, C.RESOURCE_ENERGY, amount - Math.ceil(amount * C.LINK_LOSS_RATIO));
+            link.cooldown = C.LINK_COOLDOWN * world.range(link, target);
+        },
+        
+        runReaction: function(lab, args) {
+            const lab1 = world.records.get(args.lab1);
+            const lab2 = world.records.get(args.lab2);
+            if (!lab || !lab1 || !lab2) return;
+            for (const input of [lab1, lab2]) {
+                const mineral = Object.keys(input.store).find(r => r !== C.RESOURCE_ENERGY);
+                world.takeResource(input, mineral, C.LAB_REACTION_AMOUNT);
+            }
+            world.addResource(lab, args.product, C.LAB_REACTION_AMOUNT);
+            lab.cooldown = 10;
+        },
+        
+        boostCreep: function(lab, args) {
+            const creep = world.records.get(args.target);
+            if (!lab || !creep) return;
+            const compound = Object.keys(lab.store).find(r => r !== C.RESOURCE_ENERGY);
+            const partType = world.boostPart(compound);
+            let limit = args.count || Infinity;
+            
+            for (const part of creep.body) {
+                if (limit <= 0) break;
+                if (part.type !== partType || part.boost) continue;
+                if ((lab.store[compound] || 0) < C.LAB_BOOST_MINERAL ||
+                    (lab.store[C.RESOURCE_ENERGY] || 0) < C.LAB_BOOST_ENERGY) break;
+                part.boost = compound;
+                world.takeResource(lab, compound, C.LAB_BOOST_MINERAL);
+                world.takeResource(lab, C.RESOURCE_ENERGY, C.LAB_BOOST_ENERGY);
+                limit--;
+            }
+        },
+        
+        send: function(terminal, args) {
+            if (!terminal) return;
+            world.takeResource(terminal, args.resourceType, args.amount);
+            world.takeResource(terminal, C.RESOURCE_ENERGY, args.cost);
+            terminal.cooldown = C.TERMINAL_COOLDOWN;
+            
+            const destination = world.recordsIn(args.destination, 'structure')
+                .find(r => r.structureType === C.STRUCTURE_TERMINAL);
+            if (destination) world.addResource(destination, args.resourceType, args.amount);
+        },
+        
+        deal: function(actor, args) {
+            const market = world.market;
+            const order = market.orders.find(o => o.id === args.orderId);
+            const terminal = world.recordsIn(args.roomName, 'structure')
+                .find(r => r.structureType === C.STRUCTURE_TERMINAL && r.owner === world.username);
+            if (!order || !terminal || terminal.cooldown > 0) return;
+            
+            const amount = Math.min(args.amount, order.amount);
+            const cost = Math.ceil(amount * (1 - Math.exp(-map.getRoomLinearDistance(args.roomName, order.roomName) / 30)));
+            if (order.type === C.ORDER_BUY) {
+                world.takeResource(terminal, order.resourceType, amount);
+                market.credits += amount * order.price;
+            } else {
+                if (market.credits < amount * order.price) return;
+                world.addResource(terminal, order.resourceType, amount);
+                market.credits -= amount * order.price;
+            }
+            world.takeResource(terminal, C.RESOURCE_ENERGY, cost);
+            terminal.cooldown = C.TERMINAL_COOLDOWN;
+            order.amount -= amount;
+            if (order.amount <= 0) _.remove(market.orders, o => o.id === order.id);
+        },
+        
+        processPower: function(powerSpawn) {
+            if (!powerSpawn) return;
+            world.takeResource(powerSpawn, C.RESOURCE_POWER, 1);
+            world.takeResource(powerSpawn, C.RESOURCE_ENERGY, C.POWER_SPAWN_ENERGY_RATIO);
+        },
+        
+        produce: function(factory, args) {
+            const recipe = C.COMMODITIES[args.resourceType];
+            if (!factory || !recipe) return;
+            for (const component in recipe.components) {
+                if ((factory.store[component] || 0) < recipe.components[component]) return;
+            }
+            for (const component in recipe.components) {
+                world.takeResource(factory, component, recipe.components[component]);
+            }
+            world.addResource(factory, args.resourceType, recipe.amount);
+            factory.cooldown = recipe.cooldown;
+        },
+        
+        observeRoom: function(observer, args) {
+            world.observed.add(args.roomName);
+        },
+        
+        activateSafeMode: function(controller) {
+            if (!controller) return;
+            controller.safeMode = C.SAFE_MODE_DURATION;
+            controller.safeModeAvailable--;
+            controller.safeModeCooldown = C.SAFE_MODE_COOLDOWN;
+            world.event('safeMode', { room: controller.room });
+        },
+        
+        unclaim: function(controller) {
+            if (!controller) return;
+            controller.owner = undefined;
+            controller.level = 0;
+            controller.progress = 0;
+        },
+        
+        destroy: function(structure) {
+            if (structure) world.remove(structure);
+        },
+        
+        removeSite: function(site) {
+            if (site) world.remove(site);
+        },
+        
+        removeFlag: function(flag) {
+            if (flag) world.remove(flag);
+        },
+        
+        setPublic: function(rampart, args) {
+            if (rampart) rampart.isPublic = args.isPublic;
+        },
+        
+        launchNuke: function(nuker, args) {
+            if (!nuker) return;
+            world.takeResource(nuker, C.RESOURCE_ENERGY, C.NUKER_ENERGY_CAPACITY);
+            world.takeResource(nuker, C.RESOURCE_GHODIUM, C.NUKER_GHODIUM_CAPACITY);
+            nuker.cooldown = 100000;
+            world.add({
+                kind: 'nuke',
+                room: args.roomName,
+                x: args.x,
+                y: args.y,
+                launchRoomName: nuker.room,
+                timeToLand: C.NUKE_LAND_TIME
+            });
+        },
+        
+        suicide: function(creep) {
+            if (creep) world.killCreep(creep, 'suicide');
+        },
+        
+        say: function(creep, args) {
+            if (creep) creep.saying = args.message;
+        }
+    };
+    
+    /**
+     * Take energy from spawns and extensions, in the given order if any
+     * @param {string} roomName - Room paying the cost
+     * @param {number} amount - Energy to spend
+     * @param {Array} ids - Optional energyStructures order
+     */
+    world.spendEnergy = function(roomName, amount, ids) {
+        const pool = ids ? ids.map(id => world.records.get(id)).filter(Boolean) :
+            _.sortBy(world.recordsIn(roomName, 'structure').filter(r => r.owner === world.username &&
+                (r.structureType === C.STRUCTURE_SPAWN || r.structureType === C.STRUCTURE_EXTENSION)),
+                r => r.structureType === C.STRUCTURE_SPAWN ? 0 : 1);
+        
+        for (const structure of pool) {
+            const take = Math.min(amount, structure.store[C.RESOURCE_ENERGY] || 0);
+            world.takeResource(structure, C.RESOURCE_ENERGY, take);
+            amount -= take;
+            if (amount <= 0) break;
+        }
+    };
+    
+    world.dropOrStore = function(creep, resourceType, amount) {
+        const stored = Math.min(amount, world.freeCapacity(creep));
+        world.addResource(creep, resourceType, stored);
+        world.dropResource(creep.room, creep.x, creep.y, resourceType, amount - stored);
+    };
+    
+    world.blocksMovement = function(roomName, x, y, creep) {
+        if (world.getTerrain(roomName)[y * 50 + x] & C.TERRAIN_MASK_WALL) return true;
+        return world.recordsAt(roomName, x, y).some(r => {
+            if (r.kind === 'source' || r.kind === 'mineral') return true;
+            if (r.kind !== 'structure') return false;
+            if (r.structureType === C.STRUCTURE_RAMPART) return r.owner !== creep.owner && !r.isPublic;
+            return !WALKABLE.includes(r.structureType);
+        });
+    };
+    
+    /**
+     * Move creeps, letting creeps swap and follow each other but never stack
+     * @param {Array} moves - Move intents
+     */
+    world.resolveMoves = function(moves) {
+        const pending = [];
+        for (const intent of moves) {
+            const creep = world.records.get(intent.actorId);
+            if (!creep || creep.kind !== 'creep' || creep.spawning) continue;
+            
+            const [dx, dy] = DIRECTION_OFFSETS[intent.args.direction];
+            const from = toGlobal({ x: creep.x, y: creep.y, roomName: creep.room });
+            const gx = from.x + dx;
+            const gy = from.y + dy;
+            const rx = Math.floor(gx / 50);
+            const ry = Math.floor(gy / 50);
+            const to = { room: map.roomNameFromCoords(rx, ry), x: gx - rx * 50, y: gy - ry * 50 };
+            
+            if (world.blocksMovement(to.room, to.x, to.y, creep)) continue;
+            pending.push({ creep, to, direction: intent.args.direction, key: `${to.room}:${to.x},${to.y}` });
+        }
+        
+        const occupant = {};
+        for (const record of world.records.values()) {
+            if (record.kind === 'creep' && !record.spawning) occupant[`${record.room}:${record.x},${record.y}`] = record;
+        }
+        
+        const moving = new Set(pending);
+        let changed = true;
+        while (changed) {
+            changed = false;
+            const claimed = new Set();
+            const leaving = new Set(Array.from(moving).map(m => m.creep));
+            for (const move of pending) {
+                if (!moving.has(move)) continue;
+                const other = occupant[move.key];
+                if (claimed.has(move.key) || (other && other !== move.creep && !leaving.has(other))) {
+                    moving.delete(move);
+                    changed = true;
+                    continue;
+                }
+                claimed.add(move.key);
+            }
+        }
+        
+        for (const move of moving) {
+            const creep = move.creep;
+            creep.room = move.to.room;
+            creep.x = move.to.x;
+            creep.y = move.to.y;
+            world.applyFatigue(creep);
+            world.crossExit(creep, move.direction);
+        }
+    };
+    
+    world.applyFatigue = function(creep) {
+        const here = world.recordsAt(creep.room, creep.x, creep.y);
+        let factor = 2;
+        if (here.some(r => r.kind === 'structure' && r.structureType === C.STRUCTURE_ROAD)) factor = 1;
+        else if (world.terrainName(creep.room, creep.x, creep.y) === 'swamp') factor = 10;
+        
+        const used = Object.values(creep.store).reduce((sum, amount) => sum + amount, 0);
+        let loadedCarry = Math.ceil(used / C.CARRY_CAPACITY);
+        let weight = 0;
+        for (const part of creep.body) {
+            if (part.type === C.MOVE) continue;
+            if (part.type === C.CARRY) {
+                if (loadedCarry <= 0) continue;
+                loadedCarry--;
+            }
+            weight++;
+        }
+        creep.fatigue += weight * factor;
+    };
+    
+    // Stepping onto an exit tile moves the creep into the neighbouring room
+    world.crossExit = function(creep, direction) {
+        const [dx, dy] = DIRECTION_OFFSETS[direction];
+        const { x, y } = map.parseRoomName(creep.room);
+        if (creep.x === 0 && dx < 0) {
+            creep.room = map.roomNameFromCoords(x - 1, y);
+            creep.x = 49;
+        } else if (creep.x === 49 && dx > 0) {
+            creep.room = map.roomNameFromCoords(x + 1, y);
+            creep.x = 0;
+        } else if (creep.y === 0 && dy < 0) {
+            creep.room = map.roomNameFromCoords(x, y - 1);
+            creep.y = 49;
+        } else if (creep.y === 49 && dy > 0) {
+            creep.room = map.roomNameFromCoords(x, y + 1);
+            creep.y = 0;
+        }
+    };
+    
+    world.findSpawnExit = function(spawn, directions) {
+        const order = directions && directions.length ? directions : Object.keys(DIRECTION_OFFSETS).map(Number);
+        for (const dir of order) {
+            const [dx, dy] = DIRECTION_OFFSETS[dir];
+            const x = spawn.x + dx;
+            const y = spawn.y + dy;
+            if (world.blocksMovement(spawn.room, x, y, spawn)) continue;
+            const occupied = world.recordsAt(spawn.room, x, y).some(r => r.kind === 'creep' && !r.spawning);
+            if (!occupied) return { x, y };
+        }
+        return null;
+    };
+    
+    /**
+     * Advance timers, finish construction and spawning, and remove the dead
+     */
+    world.upkeep = function() {
+        const intentsByActor = new Set(Array.from(world.intents.values())
+            .filter(i => i.action === 'say').map(i => i.actorId));
+        
+        for (const record of Array.from(world.records.values())) {
+            if (!world.records.has(record.id)) continue;
+            
+            switch (record.kind) {
+                case 'creep':
+                    if (!intentsByActor.has(record.id)) delete record.saying;
+                    if (record.spawning) break;
+                    record.fatigue = Math.max(0, record.fatigue - world.activeParts(record, C.MOVE) * 2);
+                    record.ticksToLive--;
+                    if (record.hits <= 0) world.killCreep(record, 'killed');
+                    else if (record.ticksToLive <= 0) world.killCreep(record, 'age');
+                    break;
+                
+                case 'structure':
+                    if (record.cooldown > 0) record.cooldown--;
+                    if (record.structureType === C.STRUCTURE_SPAWN) world.regenerateSpawn(record);
+                    if (record.structureType === C.STRUCTURE_SPAWN && record.spawning) {
+                        record.spawning.remainingTime--;
+                        if (record.spawning.remainingTime <= 0) world.finishSpawning(record);
+                    }
+                    if (record.structureType === C.STRUCTURE_CONTROLLER) world.controllerUpkeep(record);
+                    if (record.hits !== undefined && record.hits <= 0 && record.structureType !== C.STRUCTURE_CONTROLLER) {
+                        world.remove(record);
+                        world.event('destroyed', { structureType: record.structureType, room: record.room });
+                        world.logRoomEvent(record.room, C.EVENT_OBJECT_DESTROYED, record, { type: record.structureType });
+                    }
+                    break;
+                
+                case 'source':
+                case 'mineral':
+                    if (record.ticksToRegeneration !== undefined) {
+                        record.ticksToRegeneration--;
+                        if (record.ticksToRegeneration <= 0) {
+                            if (record.kind === 'source') record.energy = record.energyCapacity;
+                            else record.mineralAmount = 70000;
+                            record.ticksToRegeneration = undefined;
+                        }
+                    }
+                    break;
+                
+                case 'constructionSite':
+                    if (record.progress >= record.progressTotal) {
+                        world.remove(record);
+                        const spec = { structureType: record.structureType, x: record.x, y: record.y, owner: record.owner };
+                        if (record.structureType === C.STRUCTURE_SPAWN) spec.name = record.name || `Spawn${world.nextId}`;
+                        if (record.structureType === C.STRUCTURE_RAMPART || record.structureType === C.STRUCTURE_WALL) spec.hits = 1;
+                        world.addStructure(record.room, spec);
+                        world.event('built', { structureType: record.structureType, room: record.room, x: record.x, y: record.y });
+                    }
+                    break;
+                
+                case 'resource':
+                    record.amount -= Math.ceil(record.amount / 1000);
+                    if (record.amount <= 0) world.remove(record);
+                    break;
+                
+                case 'tombstone':
+                case 'ruin':
+                    record.ticksToDecay--;
+                    if (record.ticksToDecay <= 0) world.remove(record);
+                    break;
+                
+                case 'nuke':
+                    record.timeToLand--;
+                    if (record.timeToLand <= 0) world.landNuke(record);
+                    break;
+            }
+        }
+    };
+    
+    // Spawns trickle energy back while the room is below the spawn's capacity
+    world.regenerateSpawn = function(spawn) {
+        const roomEnergy = world.recordsIn(spawn.room, 'structure')
+            .filter(r => r.owner === world.username &&
+                (r.structureType === C.STRUCTURE_SPAWN || r.structureType === C.STRUCTURE_EXTENSION))
+            .reduce((sum, r) => sum + (r.store[C.RESOURCE_ENERGY] || 0), 0);
+        if (roomEnergy < C.SPAWN_ENERGY_CAPACITY && (spawn.store[C.RESOURCE_ENERGY] || 0) < C.SPAWN_ENERGY_CAPACITY) {
+            world.addResource(spawn, C.RESOURCE_ENERGY, 1);
+        }
+    };
+    
+    world.finishSpawning = function(spawn) {
+        const creep = Array.from(world.records.values())
+            .find(r => r.kind === 'creep' && r.name === spawn.spawning.name);
+        const exit = world.findSpawnExit(spawn, spawn.spawning.directions);
+        
+        // Blocked spawns hold the creep until a tile frees up
+        if (!exit) {
+            spawn.spawning.remainingTime = 1;
+            return;
+        }
+        
+        if (creep) {
+            creep.spawning = false;
+            creep.x = exit.x;
+            creep.y = exit.y;
+            world.event('spawned', { name: creep.name, spawn: spawn.name });
+        }
+        spawn.spawning = null;
+    };
+    
+    world.controllerUpkeep = function(controller) {
+        if (controller.reservation) {
+            controller.reservation.ticksToEnd--;
+            if (controller.reservation.ticksToEnd <= 0) controller.reservation = undefined;
+        }
+        if (controller.safeMode) controller.safeMode--;
+        if (controller.safeModeCooldown) controller.safeModeCooldown--;
+        if (controller.upgradeBlocked) controller.upgradeBlocked--;
+        
+        if (controller.owner) {
+            controller.ticksToDowngrade--;
+            if (controller.ticksToDowngrade <= 0) {
+                controller.level--;
+                world.event('downgrade', { room: controller.room, level: controller.level });
+                if (controller.level <= 0) world.resolvers.unclaim(controller);
+                else controller.ticksToDowngrade = C.CONTROLLER_DOWNGRADE[controller.level] / 2;
+            }
+        }
+    };
+    
+    world.landNuke = function(nuke) {
+        world.remove(nuke);
+        for (const record of world.recordsIn(nuke.room)) {
+            if (record.kind === 'creep') {
+                world.killCreep(record, 'nuke');
+            } else if (record.kind === 'structure' && record.structureType !== C.STRUCTURE_CONTROLLER) {
+                const range = world.range(record, nuke);
+                if (range === 0) world.damage(record, 10000000);
+                else if (range <= 2) world.damage(record, 5000000);
+            } else if (record.kind === 'constructionSite') {
+                world.remove(record);
+            }
+        }
+        world.event('nuke', { room: nuke.room, x: nuke.x, y: nuke.y });
+    };
+    
+    world.loadRooms(fixture.rooms || {});
+    if (fixture.activeSegments) world.activeSegments = fixture.activeSegments.slice();
+    return world;
+};
+
+module.exports = { createWorld };
@@ -3,19 +3,46 @@
  * CPU optimized for maximum efficiency
  */
 const roomManager = require('roomManager');
+const bodyPlanner = require('bodyPlanner');
+const economySolver = require('economySolver');
 
 const spawnManager = {
     // Cache for body part calculations
     bodyCache: {},
     
+    // Spawn queue priorities - higher priorities spawn first and hold energy until they can
+    SPAWN_PRIORITY: {
+        emergency: 100,
+        defense: 80,
+        replacement: 70,
+        economy: 50,
+        expansion: 40,
+        remote: 30,
+        manual: 20
+    },
+    
+    // Ticks a request planned by this manager stays queued - it is refreshed while still needed
+    PLANNED_REQUEST_TTL: 5,
+    
+    // Roles that work a fixed spot and get a replacement timed to arrive as they die
+    REPLACED_ROLES: ['harvester', 'remoteMiner'],
+    
+    // Memory a dying creep hands to its replacement
+    HANDOFF_MEMORY: ['role', 'homeRoom', 'targetRoom', 'sourceId', 'sourcePos', 'containerId'],
+    
     /**
      * Run the spawn logic for a room
      * @param {Room} room - The room to manage spawning for
      */
     run: function(room) {
-        const utils = require('utils');
-        
         try {
+            // Find all spawns in the room - use cached data if available
+            const spawns = room.find(FIND_MY_SPAWNS);
+            if (spawns.length === 0) return;
+            
+            // Replacements are queued ahead of time, even while energy is low, so the queue saves up for them
+            this.planReplacements(room, spawns[0]);
+            
             // Skip if no energy available for even the smallest creep
             if (room.energyAvailable < 200) { // Minimum viable creep is 200 energy (1W+1C+1M)
                 if (Game.time % 50 === 0) {
@@ -24,10 +51,6 @@ const spawnManager = {
                 return;
             }
             
-            // Find all spawns in the room - use cached data if available
-            const spawns = room.find(FIND_MY_SPAWNS);
-            if (spawns.length === 0) return;
-            
             // Get creep counts from room manager cache
             const counts = roomManager.getRoomData(room.name, 'creepCounts') || {
                 harvester: 0,
@@ -46,8 +69,13 @@ const spawnManager = {
             const criticalCollapse = counts.harvester === 0 || 
                                     (counts.harvester > 0 && counts.hauler === 0);
             
+            // Rampart defenders are needed most when an invasion has put us in emergency mode,
+            // followed by help for nearby rooms under attack
+            const defenseManager = require('defenseManager');
+            const defenderRequest = defenseManager.getDefenderRequest(room) || defenseManager.getAssistRequest(room);
+            
             // In emergency mode, be more lenient with spawning
-            if (global.emergencyMode && !criticalCollapse) {
+            if (global.emergencyMode && !criticalCollapse && !defenderRequest) {
                 // Check CPU usage - if it's very low, allow spawning even in emergency mode
                 const avgCpuUsage = global.cpuHistory && global.cpuHistory.length > 0 ?
                                   global.cpuHistory.reduce((sum, val) => sum + val, 0) / global.cpuHistory.length : 1.0;
@@ -61,159 +89,20 @@ const spawnManager = {
                 if (counts.total > creepLimit) return;
             }
             
-            // Use the first available spawn
-            for (const spawn of spawns) {
-                if (spawn.spawning) {
-                    if (Game.time % 50 === 0) {
+            // Every spawn is busy - nothing to plan or hand out this tick
+            const freeSpawns = spawns.filter(spawn => !spawn.spawning);
+            if (freeSpawns.length === 0) {
+                if (Game.time % 50 === 0) {
+                    for (const spawn of spawns) {
                         console.log(`Room ${room.name} spawn blocked: spawn ${spawn.name} is busy (${spawn.spawning.remainingTime} ticks)`);
                     }
-                    continue;
-                }
-                
-                // Emergency recovery - if no harvesters, spawn one immediately (no delay)
-                if (counts.harvester === 0) {
-                    console.log(`Room ${room.name} emergency spawning harvester (0 harvesters)`);
-                    
-                    // For emergency harvesters, use at least 50% of capacity if available
-                    // This ensures we get a decent sized harvester even in emergency
-                    const minEnergy = Math.min(room.energyCapacityAvailable * 0.5, room.energyAvailable);
-                    const energyToUse = Math.max(250, minEnergy); // At least try for a 2W+1C+1M harvester
-                    
-                    // Wait for energy if we're close to having enough for a better harvester
-                    // but only if we have at least one harvester already
-                    const shouldWait = room.energyAvailable < energyToUse && 
-                                      room.energyAvailable > 200 && 
-                                      room.energyAvailable / energyToUse > 0.8;
-                    
-                    if (shouldWait) {
-                        console.log(`Waiting for more energy for emergency harvester: ${room.energyAvailable}/${energyToUse}`);
-                        return;
-                    }
-                    
-                    // Spawn with whatever energy we have, but at least 200
-                    this.spawnCreep(spawn, 'harvester', Math.max(200, room.energyAvailable));
-                    
-                    // Clear any spawn delay data
-                    room.memory.spawnDelay = null;
-                    return;
-                }
-                
-                // Emergency recovery - if no haulers but we have harvesters, spawn hauler
-                if (counts.harvester > 0 && counts.hauler === 0) {
-                    // For haulers, we might want to wait a bit for more energy if we're below 80%
-                    const energyRatio = room.energyAvailable / room.energyCapacityAvailable;
-                    const shouldDelay = energyRatio < 0.8 && counts.total >= 2; // Only delay if we have at least 2 creeps
-                    
-                    // Initialize or update emergency hauler spawn delay
-                    if (shouldDelay) {
-                        if (!room.memory.emergencyHaulerDelay) {
-                            room.memory.emergencyHaulerDelay = {
-                                startTick: Game.time
-                            };
-                            console.log(`Room ${room.name} delaying emergency hauler spawn to accumulate energy (${Math.round(energyRatio * 100)}% of capacity)`);
-                            return;
-                        } else if (Game.time - room.memory.emergencyHaulerDelay.startTick < 20) { // Shorter delay (20 ticks) for emergency hauler
-                            if (Game.time % 10 === 0) {
-                                console.log(`Room ${room.name} still delaying emergency hauler spawn (${Math.round(energyRatio * 100)}% of capacity, ${20 - (Game.time - room.memory.emergencyHaulerDelay.startTick)} ticks remaining)`);
-                            }
-                            return;
-                        }
-                    }
-                    
-                    // Spawn hauler after delay or immediately if not delaying
-                    console.log(`Room ${room.name} emergency spawning hauler (${counts.harvester} harvesters, 0 haulers)`);
-                    this.spawnCreep(spawn, 'hauler', room.energyAvailable);
-                    // Clear delay data
-                    room.memory.emergencyHaulerDelay = null;
-                    room.memory.spawnDelay = null;
-                    return;
-                }
-                
-                // Clear emergency hauler delay if we have haulers
-                if (room.memory.emergencyHaulerDelay && counts.hauler > 0) {
-                    room.memory.emergencyHaulerDelay = null;
-                }
-                
-                // Check CPU usage for adaptive spawning behavior
-                const avgCpuUsage = global.cpuHistory && global.cpuHistory.length > 0 ?
-                                  global.cpuHistory.reduce((sum, val) => sum + val, 0) / global.cpuHistory.length : 1.0;
-                const veryLowCpuUsage = avgCpuUsage < 2.0;
-                
-                // Normal spawning - more lenient CPU conditions
-                if (utils.shouldExecute('medium') || veryLowCpuUsage) {
-                    // Determine what role we need most
-                    const neededRole = this.getNeededRole(room, counts);
-                    if (neededRole) {
-                        // Check if we should delay spawning to accumulate more energy
-                        const energyRatio = room.energyAvailable / room.energyCapacityAvailable;
-                        
-                        // Get optimal counts from roomManager
-                        const optimalCounts = roomManager.analyzeRoomNeeds(room);
-                        
-                        // Calculate role urgency (0-1) based on deficit percentage
-                        const roleUrgency = this.calculateRoleUrgency(room, neededRole, counts, optimalCounts);
-                        
-                        // Adjust energy threshold based on role urgency and CPU usage
-                        // Lower urgency = higher threshold (wait for more energy)
-                        // Higher urgency = lower threshold (spawn sooner)
-                        const baseThreshold = veryLowCpuUsage ? 0.6 : 0.8;
-                        const energyThreshold = baseThreshold * (1 - (roleUrgency * 0.5)); // Scale between 50-100% of base threshold
-                        
-                        const shouldDelay = !criticalCollapse && energyRatio < energyThreshold;
-                        
-                        // Initialize or update spawn delay tracking
-                        if (!room.memory.spawnDelay) {
-                            room.memory.spawnDelay = {
-                                role: neededRole,
-                                startTick: Game.time,
-                                waiting: shouldDelay
-                            };
-                        } else if (room.memory.spawnDelay.role !== neededRole) {
-                            // Role changed, reset delay
-                            room.memory.spawnDelay = {
-                                role: neededRole,
-                                startTick: Game.time,
-                                waiting: shouldDelay
-                            };
-                        }
-                        
-                        // Check if we should spawn now - adjust delay based on role urgency
-                        // Higher urgency = shorter delay
-                        const baseDelay = veryLowCpuUsage ? 15 : 30;
-                        const maxDelay = Math.round(baseDelay * (1 - (roleUrgency * 0.7))); // Scale between 30-90% of base delay
-                        const delayElapsed = Game.time - room.memory.spawnDelay.startTick >= maxDelay;
-                        const spawnNow = !shouldDelay || delayElapsed || criticalCollapse;
-                        
-                        if (Game.time % 10 === 0) {
-                            console.log(`Role ${neededRole} urgency: ${(roleUrgency * 100).toFixed(0)}%, energy threshold: ${(energyThreshold * 100).toFixed(0)}%, max delay: ${maxDelay} ticks`);
-                        }
-                        
-                        if (spawnNow) {
-                            // In emergency mode, spawn smaller creeps to save energy
-                            // But be more aggressive when CPU usage is low
-                            const energyFactor = veryLowCpuUsage ? 0.9 : 0.7;
-                            const energyToUse = global.emergencyMode ? 
-                                Math.min(room.energyAvailable, room.energyCapacityAvailable * energyFactor) : 
-                                room.energyAvailable;
-                                
-                            // Spawn the appropriate creep
-                            this.spawnCreep(spawn, neededRole, energyToUse);
-                            
-                            // Reset delay after spawning
-                            room.memory.spawnDelay = null;
-                        } else if (Game.time % 10 === 0) {
-                            // Log that we're waiting for more energy
-                            console.log(`Room ${room.name} delaying spawn of ${neededRole}: waiting for energy (${Math.round(energyRatio * 100)}% of capacity, ${maxDelay - (Game.time - room.memory.spawnDelay.startTick)} ticks remaining)`);
-                        }
-                    } else if (Game.time % 50 === 0) {
-                        console.log(`Room ${room.name} spawn blocked: no needed role determined`);
-                        // Clear delay data when no role is needed
-                        room.memory.spawnDelay = null;
-                    }
-                } else if (Game.time % 50 === 0) {
-                    console.log(`Room ${room.name} spawn blocked: CPU conditions (shouldExecute medium = false and CPU usage not low enough)`);
                 }
+                return;
             }
+            
+            // Add what the room needs to its queue, then hand queued requests to every free spawn
+            this.planSpawns(room, counts, criticalCollapse, defenderRequest);
+            this.processQueue(room, freeSpawns);
         } catch (error) {
             console.log(`Error in spawnManager.run for room ${room.name}: ${error}`);
             
@@ -233,6 +122,290 @@ const spawnManager = {
         }
     },
     
+    /**
+     * Queue replacements for creeps working a fixed spot so they arrive just as the old creep dies
+     * @param {Room} room - The room
+     * @param {StructureSpawn} spawn - Spawn the replacement walks from
+     */
+    planReplacements: function(room, spawn) {
+        const creeps = _.filter(Game.creeps, c =>
+            c.memory.homeRoom === room.name &&
+            this.REPLACED_ROLES.includes(c.memory.role) &&
+            c.memory.sourceId &&
+            !c.memory.replacedBy &&
+            !c.spawning
+        );
+        
+        for (const creep of creeps) {
+            const workPos = this.getWorkPosition(creep);
+            if (!workPos) continue;
+            
+            // Local harvesters get the best body the room can build now; others keep the body their manager chose
+            const body = creep.memory.role === 'harvester' ?
+                this.calculateBody('harvester', room.energyCapacityAvailable) :
+                creep.body.map(part => part.type);
+            if (body.length === 0) continue;
+            
+            if (creep.ticksToLive > this.getReplacementLeadTime(creep, body, spawn, workPos)) continue;
+            
+            const memory = { replaces: creep.name };
+            for (const key of this.HANDOFF_MEMORY) {
+                if (creep.memory[key] !== undefined) memory[key] = creep.memory[key];
+            }
+            
+            this.addRequest(room.name, {
+                id: `replace_${creep.name}`,
+                role: creep.memory.role,
+                body: body,
+                memory: memory,
+                priority: creep.memory.role === 'remoteMiner' ? this.SPAWN_PRIORITY.remote : this.SPAWN_PRIORITY.replacement,
+                deadline: Game.time + creep.ticksToLive
+            });
+        }
+    },
+    
+    /**
+     * Ticks before a creep's death its replacement has to start spawning
+     * Spawn time for the body plus the walk from the spawn, slowed by the body's fatigue on plains
+     * @param {Creep} creep - The creep being replaced
+     * @param {string[]} body - Body of the replacement
+     * @param {StructureSpawn} spawn - Spawn the replacement walks from
+     * @param {RoomPosition} workPos - Where the creep works
+     * @returns {number} - Lead time in ticks
+     */
+    getReplacementLeadTime: function(creep, body, spawn, workPos) {
+        // The path only changes when the work spot does, so measure it once per creep
+        if (creep.memory.travelDistance === undefined) {
+            const movementManager = require('movementManager');
+            creep.memory.travelDistance = movementManager.getPathLength(spawn.pos, workPos, 1);
+        }
+        
+        const moveParts = body.filter(part => part === MOVE).length;
+        const weight = body.filter(part => part !== MOVE && part !== CARRY).length;
+        const ticksPerTile = moveParts > 0 ? Math.max(1, Math.ceil(weight / moveParts)) : 1;
+        
+        return body.length * CREEP_SPAWN_TIME + creep.memory.travelDistance * ticksPerTile;
+    },
+    
+    /**
+     * Get the spot a creep works at
+     * @param {Creep} creep - The creep
+     * @returns {RoomPosition|null} - Work position, or null if unknown
+     */
+    getWorkPosition: function(creep) {
+        const sourcePos = creep.memory.sourcePos;
+        if (sourcePos) return new RoomPosition(sourcePos.x, sourcePos.y, sourcePos.roomName);
+        
+        const source = Game.getObjectById(creep.memory.sourceId);
+        if (source) return source.pos;
+        
+        // Remote sources out of sight are known from scouting
+        const remoteData = Memory.remoteOps && Memory.remoteOps.rooms && Memory.remoteOps.rooms[creep.memory.targetRoom];
+        const known = remoteData && remoteData.sourcePositions ?
+            remoteData.sourcePositions.find(p => p.id === creep.memory.sourceId) : null;
+        return known ? new RoomPosition(known.x, known.y, creep.memory.targetRoom) : null;
+    },
+    
+    /**
+     * Work out what the room needs most and add it to the spawn queue
+     * @param {Room} room - The room to plan for
+     * @param {Object} counts - Current creep counts by role
+     * @param {boolean} criticalCollapse - True if harvesters or haulers are missing
+     * @param {Object|null} defenderRequest - Defender or assist request from defenseManager
+     */
+    planSpawns: function(room, counts, criticalCollapse, defenderRequest) {
+        const utils = require('utils');
+        
+        // Emergency recovery - if no harvesters, spawn one immediately (no delay)
+        if (counts.harvester === 0) {
+            console.log(`Room ${room.name} emergency spawning harvester (0 harvesters)`);
+            
+            // For emergency harvesters, use at least 50% of capacity if available
+            // This ensures we get a decent sized harvester even in emergency
+            const minEnergy = Math.min(room.energyCapacityAvailable * 0.5, room.energyAvailable);
+            const energyToUse = Math.max(250, minEnergy); // At least try for a 2W+1C+1M harvester
+            
+            // Wait for energy if we're close to having enough for a better harvester
+            // but only if we have at least one harvester already
+            const shouldWait = room.energyAvailable < energyToUse && 
+                              room.energyAvailable > 200 && 
+                              room.energyAvailable / energyToUse > 0.8;
+            
+            if (shouldWait) {
+                console.log(`Waiting for more energy for emergency harvester: ${room.energyAvailable}/${energyToUse}`);
+                return;
+            }
+            
+            // Spawn with whatever energy we have, but at least 200
+            this.addRequest(room.name, {
+                id: 'emergency',
+                role: 'harvester',
+                energy: Math.max(200, room.energyAvailable),
+                priority: this.SPAWN_PRIORITY.emergency,
+                deadline: Game.time + this.PLANNED_REQUEST_TTL
+            });
+            
+            // Clear any spawn delay data
+            room.memory.spawnDelay = null;
+            return;
+        }
+        
+        // Emergency recovery - if no haulers but we have harvesters, spawn hauler
+        if (counts.harvester > 0 && counts.hauler === 0) {
+            // For haulers, we might want to wait a bit for more energy if we're below 80%
+            const energyRatio = room.energyAvailable / room.energyCapacityAvailable;
+            const shouldDelay = energyRatio < 0.8 && counts.total >= 2; // Only delay if we have at least 2 creeps
+            
+            // Initialize or update emergency hauler spawn delay
+            if (shouldDelay) {
+                if (!room.memory.emergencyHaulerDelay) {
+                    room.memory.emergencyHaulerDelay = {
+                        startTick: Game.time
+                    };
+                    console.log(`Room ${room.name} delaying emergency hauler spawn to accumulate energy (${Math.round(energyRatio * 100)}% of capacity)`);
+                    return;
+                } else if (Game.time - room.memory.emergencyHaulerDelay.startTick < 20) { // Shorter delay (20 ticks) for emergency hauler
+                    if (Game.time % 10 === 0) {
+                        console.log(`Room ${room.name} still delaying emergency hauler spawn (${Math.round(energyRatio * 100)}% of capacity, ${20 - (Game.time - room.memory.emergencyHaulerDelay.startTick)} ticks remaining)`);
+                    }
+                    return;
+                }
+            }
+            
+            // Spawn hauler after delay or immediately if not delaying
+            console.log(`Room ${room.name} emergency spawning hauler (${counts.harvester} harvesters, 0 haulers)`);
+            this.addRequest(room.name, {
+                id: 'emergency',
+                role: 'hauler',
+                energy: room.energyAvailable,
+                priority: this.SPAWN_PRIORITY.emergency,
+                deadline: Game.time + this.PLANNED_REQUEST_TTL
+            });
+            // Clear delay data
+            room.memory.emergencyHaulerDelay = null;
+            room.memory.spawnDelay = null;
+            return;
+        }
+        
+        // Clear emergency hauler delay if we have haulers
+        if (room.memory.emergencyHaulerDelay && counts.hauler > 0) {
+            room.memory.emergencyHaulerDelay = null;
+        }
+        
+        // Defenders come before the rest of the economy; the queue holds energy until one is affordable
+        if (defenderRequest) {
+            this.addRequest(room.name, Object.assign({
+                id: 'defense',
+                priority: this.SPAWN_PRIORITY.defense,
+                deadline: Game.time + this.PLANNED_REQUEST_TTL
+            }, defenderRequest));
+            return;
+        }
+        
+        // Check CPU usage for adaptive spawning behavior
+        const avgCpuUsage = global.cpuHistory && global.cpuHistory.length > 0 ?
+                          global.cpuHistory.reduce((sum, val) => sum + val, 0) / global.cpuHistory.length : 1.0;
+        const veryLowCpuUsage = avgCpuUsage < 2.0;
+        
+        // Normal spawning - more lenient CPU conditions
+        if (utils.shouldExecute('medium') || veryLowCpuUsage) {
+            // Determine what role we need most
+            const neededRole = this.getNeededRole(room, counts);
+            if (neededRole) {
+                // Check if we should delay spawning to accumulate more energy
+                const energyRatio = room.energyAvailable / room.energyCapacityAvailable;
+                
+                // Get optimal counts from roomManager
+                const optimalCounts = roomManager.analyzeRoomNeeds(room);
+                
+                // Calculate role urgency (0-1) based on deficit percentage
+                const roleUrgency = this.calculateRoleUrgency(room, neededRole, counts, optimalCounts);
+                
+                // Adjust energy threshold based on role urgency and CPU usage
+                // Lower urgency = higher threshold (wait for more energy)
+                // Higher urgency = lower threshold (spawn sooner)
+                const baseThreshold = veryLowCpuUsage ? 0.6 : 0.8;
+                const energyThreshold = baseThreshold * (1 - (roleUrgency * 0.5)); // Scale between 50-100% of base threshold
+                
+                const shouldDelay = !criticalCollapse && energyRatio < energyThreshold;
+                
+                // Initialize or update spawn delay tracking
+                if (!room.memory.spawnDelay) {
+                    room.memory.spawnDelay = {
+                        role: neededRole,
+                        startTick: Game.time,
+                        waiting: shouldDelay
+                    };
+                } else if (room.memory.spawnDelay.role !== neededRole) {
+                    // Role changed, reset delay
+                    room.memory.spawnDelay = {
+                        role: neededRole,
+                        startTick: Game.time,
+                        waiting: shouldDelay
+                    };
+                }
+                
+                // Check if we should spawn now - adjust delay based on role urgency
+                // Higher urgency = shorter delay
+                const baseDelay = veryLowCpuUsage ? 15 : 30;
+                const maxDelay = Math.round(baseDelay * (1 - (roleUrgency * 0.7))); // Scale between 30-90% of base delay
+                const delayElapsed = Game.time - room.memory.spawnDelay.startTick >= maxDelay;
+                const spawnNow = !shouldDelay || delayElapsed || criticalCollapse;
+                
+                if (Game.time % 10 === 0) {
+                    console.log(`Role ${neededRole} urgency: ${(roleUrgency * 100).toFixed(0)}%, energy threshold: ${(energyThreshold * 100).toFixed(0)}%, max delay: ${maxDelay} ticks`);
+                }
+                
+                if (spawnNow) {
+                    // In emergency mode, spawn smaller creeps to save energy
+                    // But be more aggressive when CPU usage is low
+                    const energyFactor = veryLowCpuUsage ? 0.9 : 0.7;
+                    const energyToUse = global.emergencyMode ? 
+                        Math.min(room.energyAvailable, room.energyCapacityAvailable * energyFactor) : 
+                        room.energyAvailable;
+                        
+                    // Queue the appropriate creep
+                    this.addRequest(room.name, {
+                        id: 'economy',
+                        role: neededRole,
+                        energy: energyToUse,
+                        priority: this.SPAWN_PRIORITY.economy,
+                        deadline: Game.time + this.PLANNED_REQUEST_TTL
+                    });
+                    
+                    // Reset delay after spawning
+                    room.memory.spawnDelay = null;
+                } else if (Game.time % 10 === 0) {
+                    // Log that we're waiting for more energy
+                    console.log(`Room ${room.name} delaying spawn of ${neededRole}: waiting for energy (${Math.round(energyRatio * 100)}% of capacity, ${maxDelay - (Game.time - room.memory.spawnDelay.startTick)} ticks remaining)`);
+                }
+            } else {
+                // Local economy is satisfied - fill remaining spawn time with expansion, mineral and remote creeps
+                const expansionManager = require('expansionManager');
+                const mineralManager = require('mineralManager');
+                const remoteManager = require('remoteManager');
+                const expansionRequest = !global.emergencyMode ? expansionManager.getSpawnRequest(room) : null;
+                const request = !global.emergencyMode ? expansionRequest || mineralManager.getSpawnRequest(room) ||
+                    remoteManager.getSpawnRequest(room) : null;
+                
+                if (request) {
+                    this.addRequest(room.name, Object.assign({
+                        id: 'remote',
+                        priority: expansionRequest ? this.SPAWN_PRIORITY.expansion : this.SPAWN_PRIORITY.remote,
+                        deadline: Game.time + this.PLANNED_REQUEST_TTL
+                    }, request));
+                } else if (Game.time % 50 === 0) {
+                    console.log(`Room ${room.name} spawn blocked: no needed role determined`);
+                }
+                
+                // Clear delay data when no local role is needed
+                room.memory.spawnDelay = null;
+            }
+        } else if (Game.time % 50 === 0) {
+            console.log(`Room ${room.name} spawn blocked: CPU conditions (shouldExecute medium = false and CPU usage not low enough)`);
+        }
+    },
+    
     /**
      * Determine which role needs to be spawned next
      * @param {Room} room - The room to analyze
@@ -323,10 +496,10 @@ const spawnManager = {
         }
         
         // Sort by deficit and filter out roles at max capacity
-        deficits.sort((a, b) => b.deficit - a.deficit)
-                .filter(p => p.current < p.max && p.deficit > 0);
+        const needed = deficits.filter(p => p.current < p.max && p.deficit > 0)
+                .sort((a, b) => b.deficit - a.deficit);
         
-        return deficits.length > 0 ? deficits[0].role : null;
+        return needed.length > 0 ? needed[0].role : null;
     },
     
     /**
@@ -353,7 +526,8 @@ const spawnManager = {
         
         // Calculate remaining lifetime of existing creeps
         let averageRemainingLifetime = 1500; // Default assumption
-        const roleCreeps = _.filter(Game.creeps, c => c.memory.role === role && c.memory.homeRoom === room.name);
+        const roleCreeps = _.filter(Game.creeps, c => c.memory.role === role && c.memory.homeRoom === room.name &&
+            !c.memory.assistRoom);
         
         if (roleCreeps.length > 0) {
             const totalRemainingLife = _.sum(roleCreeps, c => c.ticksToLive || 1500);
@@ -426,28 +600,8 @@ const spawnManager = {
             return false;
         }
         
-        // Calculate the best body based on available energy and role urgency
-        let body = this.calculateBody(role, energy, urgency);
-        
-        // Double-check the body cost doesn't exceed available energy
-        const bodyCost = this.calculateBodyCost(body);
-        if (bodyCost > energy) {
-            console.log(`ERROR: Body cost ${bodyCost} exceeds available energy ${energy}, forcing recalculation`);
-            // Force a simple body that we know will fit
-            if (role === 'hauler') {
-                const pairs = Math.floor(energy / 100);
-                body = [];
-                for (let i = 0; i < pairs; i++) body.push(CARRY);
-                for (let i = 0; i < pairs; i++) body.push(MOVE);
-            } else {
-                const workParts = Math.floor((energy - 100) / 100);
-                body = [];
-                for (let i = 0; i < workParts; i++) body.push(WORK);
-                body.push(CARRY);
-                body.push(MOVE);
-            }
-            console.log(`Forced safe body: [${body.join(',')}], cost: ${this.calculateBodyCost(body)}`);
-        }
+        // Calculate the best body based on available energy, role urgency and the room's upgrade policy
+        const body = this.calculateBody(role, energy, urgency, economySolver.getBodyOptions(spawn.room, role));
         
         console.log(`Attempting to spawn ${role} with energy ${energy}, urgency: ${(urgency*100).toFixed(0)}%, body: [${body.join(',')}]`);
         
@@ -460,11 +614,20 @@ const spawnManager = {
         const name = role + Game.time;
         
         // Spawn the creep with minimal memory
+        const memory = {
+            role: role,
+            homeRoom: spawn.room.name
+        };
+        
+        // Request boosts if the boost lab is stocked for this role
+        const labManager = require('labManager');
+        const boost = labManager.getBoostForSpawn(spawn.room, role, body);
+        if (boost) {
+            memory.boost = boost;
+        }
+        
         const result = spawn.spawnCreep(body, name, {
-            memory: {
-                role: role,
-                homeRoom: spawn.room.name
-            }
+            memory: memory
         });
         
         console.log(`Spawn result for ${role}: ${result} (${this.getSpawnErrorText(result)})`);
@@ -492,494 +655,231 @@ const spawnManager = {
     },
     
     /**
-     * Get human readable spawn error text
-     * @param {number} errorCode - The spawn error code
-     * @returns {string} - Human readable error text
-     */
-    getSpawnErrorText: function(errorCode) {
-        const errors = {
-            [OK]: 'OK',
-            [ERR_NOT_OWNER]: 'NOT_OWNER',
-            [ERR_NAME_EXISTS]: 'NAME_EXISTS', 
-            [ERR_BUSY]: 'BUSY',
-            [ERR_NOT_ENOUGH_ENERGY]: 'NOT_ENOUGH_ENERGY',
-            [ERR_INVALID_ARGS]: 'INVALID_ARGS',
-            [ERR_RCL_NOT_ENOUGH]: 'RCL_NOT_ENOUGH'
-        };
-        return errors[errorCode] || `UNKNOWN_ERROR_${errorCode}`;
-    },
-    
-    /**
-     * Calculate the best possible body for a creep based on role and energy
-     * @param {string} role - The creep's role
-     * @param {number} energy - Available energy
-     * @param {number} urgency - Role urgency factor (0-1)
-     * @returns {string[]} - Array of body parts
+     * Spawn a creep from a prepared request with a fixed body
+     * Used by managers that plan their own creeps (e.g. remote operations)
+     * @param {StructureSpawn} spawn - The spawn to use
+     * @param {Object} request - Spawn request ({role, body, name, memory}); memory defaults to the role and home room
+     * @returns {boolean} - True if spawning was initiated
      */
-    calculateBody: function(role, energy, urgency = 0.5) {
-        // Use cached body if available - include urgency in cache key for different body compositions
-        // Round urgency to nearest 0.1 to limit cache entries
-        const roundedUrgency = Math.round(urgency * 10) / 10;
-        const cacheKey = `${role}_${energy}_${roundedUrgency}`;
-        if (this.bodyCache[cacheKey]) {
-            return this.bodyCache[cacheKey];
-        }
-        
-        // Minimum viable creep costs 200 energy (1 WORK, 1 CARRY, 1 MOVE)
-        if (energy < 200) return [];
-        
-        // Log the energy available for debugging
-        console.log(`Calculating body for ${role} with ${energy} energy and urgency ${(urgency*100).toFixed(0)}%`);
-        
-        let body = [];
+    spawnRequestedCreep: function(spawn, request) {
+        const bodyCost = this.calculateBodyCost(request.body);
         
-        switch (role) {
-            case 'harvester':
-                // Check if we have enough energy for at least one set
-                if (energy >= 250) {
-                    // Harvester: 2 WORK per MOVE for efficiency, 1 CARRY for pickup
-                    // Pattern: 2W + 1C + 1M = 250 energy per set
-                    const harvesterSets = Math.min(Math.floor(energy / 250), 12); // Max 48 parts
-                    
-                    // For high urgency, prioritize WORK parts over balanced body
-                    let workParts, carryParts, moveParts;
-                    
-                    if (urgency > 0.8) {
-                        // High urgency - maximize WORK parts for immediate impact
-                        const workEnergy = Math.min(energy - 100, energy * 0.8); // Reserve some energy for CARRY and MOVE
-                        workParts = Math.floor(workEnergy / 100);
-                        carryParts = 1; // Minimum CARRY
-                        moveParts = Math.max(1, Math.ceil(workParts / 4)); // At least 1 MOVE, more for larger creeps
-                    } else {
-                        // Normal urgency - balanced body
-                        workParts = harvesterSets * 2;
-                        carryParts = harvesterSets;
-                        moveParts = harvesterSets;
-                    }
-                    
-                    // Optimal order: WORK parts first, then CARRY, then MOVE
-                    for (let i = 0; i < workParts; i++) body.push(WORK);
-                    for (let i = 0; i < carryParts; i++) body.push(CARRY);
-                    for (let i = 0; i < moveParts; i++) body.push(MOVE);
-                } else if (energy >= 200) {
-                    // Fallback to minimum viable harvester if we can't afford a full set
-                    body = [WORK, CARRY, MOVE]; // 200 energy
-                }
-                break;
-                
-            case 'hauler':
-                // Hauler: Pure transport, no WORK needed for efficiency
-                // Pattern: 2C + 1M = 150 energy per set (2:1 carry to move ratio)
-                const haulerSets = Math.min(Math.floor(energy / 150), 16); // Max 48 parts
-                
-                // For high urgency haulers, prioritize MOVE parts for faster response
-                let haulerCarry, haulerMove;
-                
-                if (urgency > 0.8) {
-                    // High urgency - more balanced CARRY:MOVE ratio for faster movement
-                    haulerCarry = Math.floor(haulerSets * 1.5);
-                    haulerMove = Math.floor(haulerSets * 1.5);
-                } else {
-                    // Normal urgency - maximize CARRY capacity
-                    haulerCarry = haulerSets * 2;
-                    haulerMove = haulerSets;
-                }
-                
-                // Optimal order: CARRY parts first, then MOVE
-                for (let i = 0; i < haulerCarry; i++) body.push(CARRY);
-                for (let i = 0; i < haulerMove; i++) body.push(MOVE);
-                
-                if (body.length === 0) body = [CARRY, CARRY, MOVE];
-                break;
-                
-            case 'upgrader':
-                // Upgrader: Balanced WORK/CARRY for continuous upgrading
-                // Pattern: 1W + 1C + 1M = 200 energy per set
-                const upgraderSets = Math.min(Math.floor(energy / 200), 16); // Max 48 parts
-                
-                // For high urgency, prioritize WORK parts
-                let upgraderWork, upgraderCarry, upgraderMove;
-                
-                if (urgency > 0.8) {
-                    // High urgency - more WORK parts
-                    upgraderWork = Math.ceil(upgraderSets * 1.3);
-                    upgraderCarry = Math.floor(upgraderSets * 0.8);
-                    upgraderMove = Math.floor(upgraderSets * 0.9);
-                } else {
-                    // Normal urgency - balanced body
-                    upgraderWork = upgraderSets;
-                    upgraderCarry = upgraderSets;
-                    upgraderMove = upgraderSets;
-                }
-                
-                // Optimal order: WORK first, then CARRY, then MOVE
-                for (let i = 0; i < upgraderWork; i++) body.push(WORK);
-                for (let i = 0; i < upgraderCarry; i++) body.push(CARRY);
-                for (let i = 0; i < upgraderMove; i++) body.push(MOVE);
-                
-                if (body.length === 0) body = [WORK, CARRY, MOVE];
-                break;
-                
-            case 'builder':
-                // Builder: Balanced for construction and repair
-                // Pattern: 1W + 1C + 1M = 200 energy per set
-                const builderSets = Math.min(Math.floor(energy / 200), 16); // Max 48 parts
-                
-                // For high urgency, prioritize WORK and CARRY
-                let builderWork, builderCarry, builderMove;
-                
-                if (urgency > 0.8) {
-                    // High urgency - more WORK and CARRY for faster building
-                    builderWork = Math.ceil(builderSets * 1.2);
-                    builderCarry = Math.ceil(builderSets * 1.2);
-                    builderMove = Math.floor(builderSets * 0.8);
-                } else {
-                    // Normal urgency - balanced body
-                    builderWork = builderSets;
-                    builderCarry = builderSets;
-                    builderMove = builderSets;
-                }
-                
-                // Optimal order: WORK first, then CARRY, then MOVE
-                for (let i = 0; i < builderWork; i++) body.push(WORK);
-                for (let i = 0; i < builderCarry; i++) body.push(CARRY);
-                for (let i = 0; i < builderMove; i++) body.push(MOVE);
-                
-                if (body.length === 0) body = [WORK, CARRY, MOVE];
-                break;
-        }
+        // Wait until the room can afford the full body
+        if (bodyCost > spawn.room.energyAvailable) return false;
         
-        // Ensure we have at least one of each essential part
-        if (!body || body.length === 0) {
-            // Fallback to minimum viable creep
-            if (role === 'hauler') {
-                body = [CARRY, CARRY, MOVE];
-            } else {
-                body = [WORK, CARRY, MOVE];
-            }
-        }
+        const name = request.name || request.role + Game.time;
+        const memory = request.memory || { role: request.role, homeRoom: spawn.room.name };
+        const result = spawn.spawnCreep(request.body, name, {
+            memory: memory
+        });
         
-        // Validate body doesn't exceed 50 parts (game limit)
-        if (body.length > 50) {
-            body = body.slice(0, 50);
-        }
+        console.log(`Spawn result for ${request.role}: ${result} (${this.getSpawnErrorText(result)})`);
         
-        // Use the calculateBodyCost function to check energy limit
-        const actualCost = this.calculateBodyCost(body);
-        
-        if (actualCost > energy) {
-            console.log(`Warning: Body cost ${actualCost} exceeds available energy ${energy}`);
-            
-            // Instead of defaulting to a minimum body that might still be too expensive,
-            // calculate the largest body we can actually afford
-            if (role === 'hauler') {
-                // For haulers: try to get as many CARRY+MOVE pairs as possible
-                const affordablePairs = Math.floor(energy / 100); // 50+50 per pair
-                if (affordablePairs >= 1) {
-                    body = [];
-                    for (let i = 0; i < affordablePairs; i++) {
-                        body.push(CARRY);
-                    }
-                    for (let i = 0; i < affordablePairs; i++) {
-                        body.push(MOVE);
-                    }
-                } else {
-                    // Can't even afford one pair
-                    return [];
-                }
-            } else {
-                // For other roles: check if we can afford the minimum viable creep
-                if (energy >= 200) { // 100+50+50 for WORK+CARRY+MOVE
-                    body = [WORK, CARRY, MOVE];
-                } else {
-                    // Can't afford minimum viable creep
-                    return [];
-                }
+        if (result === OK) {
+            // The creep being replaced keeps its source until it dies, then the replacement carries on
+            if (memory.replaces && Memory.creeps[memory.replaces]) {
+                Memory.creeps[memory.replaces].replacedBy = name;
             }
-        }
-        
-        // Check if we need to recalculate the body to fit energy limit
-        const bodyCost = this.calculateBodyCost(body);
-        if (bodyCost > energy) {
-            console.log(`Body cost ${bodyCost} exceeds energy ${energy}, recalculating`);
-            // Recalculate with exact energy limit
-            body = this.recalculateBodyForEnergy(role, energy, body);
-        }
-        
-        // Verify we're not spawning a minimal creep when we have energy for more
-        if (body.length <= 3 && energy >= 300) {
-            console.log(`WARNING: Calculated minimal body despite having ${energy} energy. Forcing better body.`);
-            // Force a better body based on role
-            if (role === 'harvester' && energy >= 250) {
-                const workParts = Math.min(Math.floor((energy - 50) / 100), 5); // Up to 5 WORK parts
-                body = [];
-                for (let i = 0; i < workParts; i++) body.push(WORK);
-                body.push(CARRY);
-                body.push(MOVE);
-            } else if (role === 'hauler' && energy >= 300) {
-                const pairs = Math.floor(energy / 100); // CARRY+MOVE pairs
-                body = [];
-                for (let i = 0; i < pairs; i++) body.push(CARRY);
-                for (let i = 0; i < pairs; i++) body.push(MOVE);
-            } else if (energy >= 300) {
-                // For other roles, use balanced body
-                const parts = Math.floor(energy / 200); // WORK+CARRY+MOVE sets
-                body = [];
-                for (let i = 0; i < parts; i++) body.push(WORK);
-                for (let i = 0; i < parts; i++) body.push(CARRY);
-                for (let i = 0; i < parts; i++) body.push(MOVE);
+            
+            // Charge the spawn cost to the remote room the creep serves
+            if (memory.targetRoom) {
+                const remoteManager = require('remoteManager');
+                remoteManager.recordUpkeep(memory.targetRoom, bodyCost);
             }
+            
+            console.log(`Spawning ${request.role}: ${request.body.length} parts`);
+            return true;
         }
         
-        // Cache the result
-        this.bodyCache[cacheKey] = body;
-        
-        return body;
+        return false;
     },
     
     /**
-     * Create a balanced body with the given ratio of parts
-     * @param {number} energy - Available energy
-     * @param {number} workRatio - Ratio of WORK parts
-     * @param {number} carryRatio - Ratio of CARRY parts
-     * @param {number} moveRatio - Ratio of MOVE parts
-     * @returns {string[]} - Array of body parts
+     * Add a request to a room's spawn queue, replacing any queued request with the same id
+     * Any module can queue creeps this way; the queue is kept in room memory
+     * @param {string} roomName - Room whose spawns should build the creep
+     * @param {Object} request - {id, role, body, memory, name, priority, deadline}; without a body,
+     *                           energy (default: full capacity) is spent on the role's usual body
+     * @returns {string} - Id of the queued request
      */
-    createBalancedBody: function(energy, workRatio, carryRatio, moveRatio) {
-        // Calculate costs
-        const workCost = 100;
-        const carryCost = 50;
-        const moveCost = 50;
-        
-        // Calculate cost per set of parts
-        const setCost = (workRatio * workCost) + (carryRatio * carryCost) + (moveRatio * moveCost);
-        if (setCost === 0) return [];
-        
-        // Calculate how many complete sets we can afford
-        const sets = Math.floor(energy / setCost);
-        if (sets === 0) return [];
-        
-        // Cap at 50 parts total (game limit)
-        const totalPartsPerSet = workRatio + carryRatio + moveRatio;
-        const maxSets = Math.floor(50 / totalPartsPerSet);
-        const actualSets = Math.min(sets, maxSets);
-        
-        // Create the body array
-        const body = [];
-        
-        // Add parts in the right order (most important first)
-        // WORK parts first for efficiency
-        for (let i = 0; i < actualSets * workRatio; i++) {
-            body.push(WORK);
-        }
-        
-        // CARRY parts next
-        for (let i = 0; i < actualSets * carryRatio; i++) {
-            body.push(CARRY);
-        }
+    addRequest: function(roomName, request) {
+        const queue = this.getQueue(roomName);
+        const id = request.id || `${request.role}_${Game.time}_${queue.length}`;
+        const index = queue.findIndex(r => r.id === id);
+        
+        const entry = Object.assign({}, request, {
+            id: id,
+            priority: request.priority !== undefined ? request.priority : this.SPAWN_PRIORITY.manual,
+            added: index !== -1 ? queue[index].added : Game.time
+        });
         
-        // MOVE parts last
-        for (let i = 0; i < actualSets * moveRatio; i++) {
-            body.push(MOVE);
+        if (index !== -1) {
+            queue[index] = entry;
+        } else {
+            queue.push(entry);
         }
-        
-        return body;
+        return id;
     },
     
     /**
-     * Calculate the energy cost of a body
-     * @param {string[]} body - Array of body parts
-     * @returns {number} - Total energy cost
+     * Get a room's spawn queue
+     * @param {string} roomName - Room name
+     * @returns {Array} - Queued requests
      */
-    calculateBodyCost: function(body) {
-        if (!body || body.length === 0) return 0;
+    getQueue: function(roomName) {
+        if (!Memory.rooms) Memory.rooms = {};
+        if (!Memory.rooms[roomName]) Memory.rooms[roomName] = {};
+        if (!Memory.rooms[roomName].spawnQueue) Memory.rooms[roomName].spawnQueue = [];
+        return Memory.rooms[roomName].spawnQueue;
+    },
+    
+    /**
+     * Get a room's spawn queue in spawning order - highest priority first, oldest first within a priority
+     * @param {string} roomName - Room name
+     * @returns {Array} - Queued requests, sorted
+     */
+    getOrderedQueue: function(roomName) {
+        return this.getQueue(roomName).slice().sort((a, b) => b.priority - a.priority || a.added - b.added);
+    },
+    
+    /**
+     * Remove a request from a room's spawn queue
+     * @param {string} roomName - Room name
+     * @param {string} id - Request id
+     * @returns {boolean} - True if a request was removed
+     */
+    removeRequest: function(roomName, id) {
+        const queue = this.getQueue(roomName);
+        const index = queue.findIndex(r => r.id === id);
+        if (index === -1) return false;
         
-        // Count parts by type for logging
-        const partCounts = {};
-        for (const part of body) {
-            partCounts[part] = (partCounts[part] || 0) + 1;
-        }
+        queue.splice(index, 1);
+        return true;
+    },
+    
+    /**
+     * Change the priority of a queued request
+     * @param {string} roomName - Room name
+     * @param {string} id - Request id
+     * @param {number} priority - New priority
+     * @returns {boolean} - True if the request was found
+     */
+    setPriority: function(roomName, id, priority) {
+        const request = this.getQueue(roomName).find(r => r.id === id);
+        if (!request) return false;
         
-        // Calculate total cost
-        const totalCost = body.reduce((cost, part) => {
-            switch(part) {
-                case WORK: return cost + 100;
-                case CARRY: case MOVE: return cost + 50;
-                case ATTACK: return cost + 80;
-                case RANGED_ATTACK: return cost + 150;
-                case HEAL: return cost + 250;
-                case CLAIM: return cost + 600;
-                case TOUGH: return cost + 10;
-                default: return cost;
-            }
-        }, 0);
-        
-        // Log detailed cost breakdown for debugging
-        const partDetails = Object.entries(partCounts)
-            .map(([part, count]) => {
-                const partCost = part === WORK ? 100 : 
-                               (part === CARRY || part === MOVE) ? 50 : 
-                               part === ATTACK ? 80 : 
-                               part === RANGED_ATTACK ? 150 : 
-                               part === HEAL ? 250 : 
-                               part === CLAIM ? 600 : 
-                               part === TOUGH ? 10 : 0;
-                return `${count}×${part}(${partCost})`;
-            })
-            .join(', ');
-        
-        console.log(`Body cost calculation: [${body.join(',')}] = ${totalCost} (${partDetails})`);
-        return totalCost;
+        request.priority = priority;
+        return true;
     },
     
     /**
-     * Recalculate body to fit within energy limit
-     * @param {string} role - Creep role
-     * @param {number} energy - Available energy
-     * @param {string[]} originalBody - Original body that exceeded energy limit
-     * @returns {string[]} - Adjusted body that fits within energy limit
+     * Hand queued requests to free spawns, highest priority first
+     * @param {Room} room - The room
+     * @param {Array} spawns - Spawns that aren't busy
      */
-    recalculateBodyForEnergy: function(role, energy, originalBody) {
-        console.log(`Recalculating body for ${role} with ${energy} energy`);
-        
-        // If energy is sufficient for a decent body, just create a new one from scratch
-        if (energy >= 300) {
-            // For harvesters, prioritize WORK parts
-            if (role === 'harvester') {
-                // Calculate how many WORK parts we can afford with 1 CARRY and 1 MOVE
-                // WORK = 100, CARRY = 50, MOVE = 50, so we need to reserve 100 energy for CARRY+MOVE
-                const workParts = Math.floor((energy - 100) / 100);
-                
-                // Ensure we have at least 1 WORK part and don't exceed 5 WORK parts
-                const finalWorkParts = Math.max(1, Math.min(workParts, 5));
-                
-                // Calculate total cost to verify
-                const totalCost = (finalWorkParts * 100) + 100; // WORK parts + (CARRY+MOVE)
-                
-                // Double-check we're not exceeding energy
-                if (totalCost > energy) {
-                    console.log(`WARNING: Calculated body cost ${totalCost} exceeds energy ${energy}, reducing parts`);
-                    // Reduce WORK parts if needed
-                    const adjustedWorkParts = Math.floor((energy - 100) / 100);
-                    let body = [];
-                    for (let i = 0; i < adjustedWorkParts; i++) body.push(WORK);
-                    body.push(CARRY);
-                    body.push(MOVE);
-                    console.log(`Adjusted harvester body: [${body.join(',')}], cost: ${(adjustedWorkParts * 100) + 100}`);
-                    return body;
-                }
-                
-                // Create the body
-                let body = [];
-                for (let i = 0; i < finalWorkParts; i++) body.push(WORK);
-                body.push(CARRY);
-                body.push(MOVE);
-                console.log(`Created harvester body with ${finalWorkParts} WORK parts: [${body.join(',')}], cost: ${totalCost}`);
-                return body;
-            }
-            // For haulers, maximize CARRY with enough MOVE
-            else if (role === 'hauler') {
-                // Use 2:1 CARRY:MOVE ratio for efficiency
-                const sets = Math.floor(energy / 150); // 2 CARRY + 1 MOVE = 150 energy
-                let body = [];
-                for (let i = 0; i < sets * 2; i++) body.push(CARRY);
-                for (let i = 0; i < sets; i++) body.push(MOVE);
-                console.log(`Created new hauler body with ${sets * 2} CARRY parts: [${body.join(',')}]`);
-                return body;
-            }
-            // For other roles, use balanced body
-            else {
-                const sets = Math.floor(energy / 200); // WORK+CARRY+MOVE sets
-                let body = [];
-                for (let i = 0; i < sets; i++) body.push(WORK);
-                for (let i = 0; i < sets; i++) body.push(CARRY);
-                for (let i = 0; i < sets; i++) body.push(MOVE);
-                console.log(`Created new balanced body with ${sets} sets: [${body.join(',')}]`);
-                return body;
-            }
-        }
+    processQueue: function(room, spawns) {
+        const queue = this.getQueue(room.name);
         
-        // For lower energy amounts, try to optimize the original body
-        // Count parts by type
-        const partCounts = {};
-        for (const part of originalBody) {
-            partCounts[part] = (partCounts[part] || 0) + 1;
+        // Drop requests past their deadline
+        const expired = queue.filter(r => r.deadline !== undefined && r.deadline < Game.time);
+        for (const request of expired) {
+            this.removeRequest(room.name, request.id);
         }
         
-        // Determine part costs
-        const partCosts = {
-            [WORK]: 100,
-            [CARRY]: 50,
-            [MOVE]: 50,
-            [ATTACK]: 80,
-            [RANGED_ATTACK]: 150,
-            [HEAL]: 250,
-            [CLAIM]: 600,
-            [TOUGH]: 10
-        };
-        
-        // Determine part priorities (higher number = higher priority to keep)
-        const partPriorities = {
-            [WORK]: role === 'harvester' ? 3 : 2,
-            [CARRY]: role === 'hauler' ? 3 : 2,
-            [MOVE]: 1
-        };
+        const ordered = this.getOrderedQueue(room.name);
+        const freeSpawns = spawns.slice();
         
-        // Create a new body by adding parts in priority order until we hit the energy limit
-        let newBody = [];
-        let remainingEnergy = energy;
+        // Energy isn't deducted until the end of the tick, so track what each spawn has used
+        let energy = room.energyAvailable;
         
-        // Sort part types by priority
-        const partTypes = Object.keys(partCounts).sort((a, b) => 
-            (partPriorities[b] || 0) - (partPriorities[a] || 0)
-        );
-        
-        // Add parts in priority order
-        for (const partType of partTypes) {
-            const partCost = partCosts[partType];
-            const maxParts = Math.floor(remainingEnergy / partCost);
-            const partsToAdd = Math.min(maxParts, partCounts[partType]);
+        for (const request of ordered) {
+            if (freeSpawns.length === 0) break;
             
-            for (let i = 0; i < partsToAdd; i++) {
-                newBody.push(partType);
-                remainingEnergy -= partCost;
-            }
-        }
-        
-        // Ensure we have at least one of each essential part
-        const hasWork = newBody.includes(WORK);
-        const hasCarry = newBody.includes(CARRY);
-        const hasMove = newBody.includes(MOVE);
-        
-        // For haulers, ensure at least CARRY and MOVE
-        if (role === 'hauler') {
-            if (!hasCarry && remainingEnergy >= 50) {
-                newBody.push(CARRY);
-                remainingEnergy -= 50;
-            }
-            if (!hasMove && remainingEnergy >= 50) {
-                newBody.push(MOVE);
-                remainingEnergy -= 50;
-            }
-        } 
-        // For other roles, ensure at least WORK, CARRY, and MOVE
-        else {
-            if (!hasWork && remainingEnergy >= 100) {
-                newBody.push(WORK);
-                remainingEnergy -= 100;
+            // Requests without a body or energy wait for a full-size creep
+            const cost = request.body ? this.calculateBodyCost(request.body) : request.energy || room.energyCapacityAvailable;
+            if (cost > room.energyCapacityAvailable) {
+                console.log(`Room ${room.name} dropping spawn request ${request.id}: body costs ${cost}, capacity is ${room.energyCapacityAvailable}`);
+                this.removeRequest(room.name, request.id);
+                continue;
             }
-            if (!hasCarry && remainingEnergy >= 50) {
-                newBody.push(CARRY);
-                remainingEnergy -= 50;
-            }
-            if (!hasMove && remainingEnergy >= 50) {
-                newBody.push(MOVE);
-                remainingEnergy -= 50;
+            
+            // Hold the energy for the most important request rather than spending it on cheaper ones
+            if (cost > energy) break;
+            
+            const spawned = request.body ?
+                this.spawnRequestedCreep(freeSpawns[0], request) :
+                this.spawnCreep(freeSpawns[0], request.role, cost);
+            
+            if (spawned) {
+                this.removeRequest(room.name, request.id);
+                freeSpawns.shift();
+                energy -= cost;
             }
         }
+    },
+    
+    /**
+     * Describe a room's spawn queue for the console
+     * @param {string} roomName - Room name
+     * @returns {string} - Queue listing
+     */
+    getQueueStatus: function(roomName) {
+        const queue = this.getOrderedQueue(roomName);
+        if (queue.length === 0) return `Spawn queue for ${roomName} is empty`;
+        
+        let output = `Spawn queue for ${roomName}:\n`;
+        for (const request of queue) {
+            const size = request.body ? `${request.body.length} parts, ${this.calculateBodyCost(request.body)} energy` : `${request.energy || 'full'} energy`;
+            const deadline = request.deadline !== undefined ? `, deadline ${request.deadline}` : '';
+            output += `[${request.priority}] ${request.id}: ${request.role} (${size}), queued ${Game.time - request.added} ticks${deadline}\n`;
+        }
+        return output;
+    },
+    
+    /**
+     * Get human readable spawn error text
+     * @param {number} errorCode - The spawn error code
+     * @returns {string} - Human readable error text
+     */
+    getSpawnErrorText: function(errorCode) {
+        const errors = {
+            [OK]: 'OK',
+            [ERR_NOT_OWNER]: 'NOT_OWNER',
+            [ERR_NAME_EXISTS]: 'NAME_EXISTS', 
+            [ERR_BUSY]: 'BUSY',
+            [ERR_NOT_ENOUGH_ENERGY]: 'NOT_ENOUGH_ENERGY',
+            [ERR_INVALID_ARGS]: 'INVALID_ARGS',
+            [ERR_RCL_NOT_ENOUGH]: 'RCL_NOT_ENOUGH'
+        };
+        return errors[errorCode] || `UNKNOWN_ERROR_${errorCode}`;
+    },
+    
+    /**
+     * Calculate the best possible body for a creep from its role's body template
+     * @param {string} role - The creep's role
+     * @param {number} energy - Available energy
+     * @param {number} urgency - Role urgency factor (0-1)
+     * @param {Object} options - Template overrides for bodyPlanner.getBody
+     * @returns {string[]} - Array of body parts
+     */
+    calculateBody: function(role, energy, urgency = 0.5, options = {}) {
+        // Round urgency to nearest 0.1 to limit cache entries
+        const roundedUrgency = Math.round(urgency * 10) / 10;
+        const cacheKey = `${role}_${energy}_${roundedUrgency}_${JSON.stringify(options)}`;
+        if (!this.bodyCache[cacheKey]) {
+            this.bodyCache[cacheKey] = bodyPlanner.getBody(role, energy, Object.assign({ urgency: roundedUrgency }, options));
+        }
         
-        console.log(`Optimized body: [${newBody.join(',')}]`);
-        return newBody;
+        return this.bodyCache[cacheKey];
+    },
+    
+    /**
+     * Calculate the energy cost of a body
+     * @param {string[]} body - Array of body parts
+     * @returns {number} - Total energy cost
+     */
+    calculateBodyCost: function(body) {
+        return bodyPlanner.getCost(body || []);
     },
     
     /**
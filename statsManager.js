@@ -0,0 +1,459 @@
+/**
+ * Stats Manager - Collects per-tick economy and CPU stats for external graphing
+ * Samples are kept on global and flushed to a RawMemory segment as InfluxDB line protocol,
+ * so they survive global resets and can be shipped to Grafana by a stats agent
+ */
+const statsManager = {
+    // RawMemory segment holding the rolling stats window
+    SEGMENT: 90,
+    
+    // Stay under the 100KB segment limit; the oldest samples are dropped first
+    MAX_SEGMENT_SIZE: 95000,
+    
+    // Samples are buffered on global and written to the segment this often
+    FLUSH_INTERVAL: 10,
+    
+    // Spending categories always written, so graphs don't have gaps
+    SPEND_CATEGORIES: ['spawn', 'upgrade', 'build', 'repair', 'towers'],
+    
+    // Income categories always written
+    INCOME_CATEGORIES: ['harvest', 'remote'],
+    
+    /**
+     * Get the stats state kept on global, restoring it from the segment after a reset
+     * @returns {Object} - Stats state
+     */
+    getState: function() {
+        if (!global.statsState) {
+            global.statsState = {
+                samples: [],
+                serialized: null,
+                flushed: 0,
+                pending: this.createTickData(),
+                spawning: null,
+                restored: false,
+                lastFlush: Game.time
+            };
+        }
+        
+        const state = global.statsState;
+        
+        // Pull the persisted window back in once the segment is readable
+        if (!state.restored) {
+            const data = RawMemory.segments[this.SEGMENT];
+            if (data === undefined) {
+                RawMemory.setActiveSegments([this.SEGMENT]);
+            } else {
+                const restored = this.parse(data).filter(sample => !state.samples.length || sample.time < state.samples[0].time);
+                state.samples = restored.concat(state.samples);
+                state.restored = true;
+                
+                // The window changed underneath the cached text, so the next flush rebuilds it
+                state.serialized = null;
+            }
+        }
+        
+        return state;
+    },
+    
+    /**
+     * Create an empty accumulator for values reported during a tick
+     * @returns {Object} - Tick accumulator
+     */
+    createTickData: function() {
+        return { income: {}, spend: {}, cpu: {} };
+    },
+    
+    /**
+     * Record energy income for a room
+     * @param {string} roomName - The room receiving the energy
+     * @param {string} category - Income category (harvest, remote)
+     * @param {number} amount - Energy gained
+     */
+    recordIncome: function(roomName, category, amount) {
+        this.addTo(this.getState().pending.income, roomName, category, amount);
+    },
+    
+    /**
+     * Record energy spent by a room
+     * @param {string} roomName - The room spending the energy
+     * @param {string} category - Spending category (spawn, upgrade, build, repair, towers)
+     * @param {number} amount - Energy spent
+     */
+    recordSpending: function(roomName, category, amount) {
+        this.addTo(this.getState().pending.spend, roomName, category, amount);
+    },
+    
+    /**
+     * Record CPU used by a module this tick
+     * @param {string} moduleName - Module name
+     * @param {number} cpu - CPU used
+     */
+    recordCpu: function(moduleName, cpu) {
+        const pending = this.getState().pending.cpu;
+        pending[moduleName] = (pending[moduleName] || 0) + cpu;
+    },
+    
+    /**
+     * Add an amount to a per-room category counter
+     * @param {Object} target - Counters keyed by room
+     * @param {string} roomName - Room name
+     * @param {string} category - Category
+     * @param {number} amount - Amount to add
+     */
+    addTo: function(target, roomName, category, amount) {
+        if (!amount) return;
+        if (!target[roomName]) target[roomName] = {};
+        target[roomName][category] = (target[roomName][category] || 0) + amount;
+    },
+    
+    /**
+     * Collect this tick's sample and flush to the segment when due
+     * Call once at the end of the main loop
+     */
+    run: function() {
+        const state = this.getState();
+        
+        // Stats are the first thing to go when the bucket is nearly empty
+        if (global.emergencyMode && global.emergencyMode.level === 'critical') {
+            state.pending = this.createTickData();
+            return;
+        }
+        
+        const pending = state.pending;
+        const sample = {
+            time: Game.time,
+            timestamp: Date.now(),
+            rooms: {},
+            cpu: {
+                used: Game.cpu.getUsed(),
+                bucket: Game.cpu.bucket,
+                limit: Game.cpu.limit
+            },
+            modules: pending.cpu
+        };
+        
+        this.collectSpawnSpending(state);
+        
+        // Creep counts by role, credited to the room that owns the creep
+        const creepCounts = {};
+        for (const name in Game.creeps) {
+            const creep = Game.creeps[name];
+            const home = creep.memory.homeRoom || creep.room.name;
+            const role = creep.memory.role || 'unknown';
+            if (!creepCounts[home]) creepCounts[home] = {};
+            creepCounts[home][role] = (creepCounts[home][role] || 0) + 1;
+        }
+        
+        for (const roomName in Game.rooms) {
+            const room = Game.rooms[roomName];
+            if (!room.controller || !room.controller.my) continue;
+            
+            this.collectEvents(room);
+            
+            const controller = room.controller;
+            sample.rooms[roomName] = {
+                room: {
+                    rcl: controller.level,
+                    rclProgress: controller.progress || 0,
+                    rclProgressTotal: controller.progressTotal || 0,
+                    energyAvailable: room.energyAvailable,
+                    energyCapacity: room.energyCapacityAvailable,
+                    storedEnergy: room.storage ? room.storage.store[RESOURCE_ENERGY] : 0
+                },
+                income: this.withCategories(pending.income[roomName], this.INCOME_CATEGORIES),
+                spend: this.withCategories(pending.spend[roomName], this.SPEND_CATEGORIES),
+                creeps: creepCounts[roomName] || {}
+            };
+        }
+        
+        state.samples.push(sample);
+        state.pending = this.createTickData();
+        
+        if (Game.time - state.lastFlush >= this.FLUSH_INTERVAL) {
+            this.flush(state);
+        }
+    },
+    
+    /**
+     * Fill in missing categories with zero
+     * @param {Object} values - Values keyed by category
+     * @param {Array} categories - Categories that must be present
+     * @returns {Object} - Complete values
+     */
+    withCategories: function(values, categories) {
+        const result = Object.assign({}, values);
+        for (const category of categories) {
+            if (!result[category]) result[category] = 0;
+        }
+        return result;
+    },
+    
+    /**
+     * Read last tick's event log for harvest income and creep/tower spending
+     * @param {Room} room - An owned room
+     */
+    collectEvents: function(room) {
+        const events = room.getEventLog();
+        
+        for (const entry of events) {
+            const data = entry.data || {};
+            
+            switch (entry.event) {
+                case EVENT_HARVEST: {
+                    const actor = Game.getObjectById(entry.objectId);
+                    const target = Game.getObjectById(data.targetId);
+                    if (actor && actor.my && target && target instanceof Source) {
+                        this.recordIncome(room.name, 'harvest', data.amount);
+                    }
+                    break;
+                }
+                case EVENT_UPGRADE_CONTROLLER:
+                    this.recordSpending(room.name, 'upgrade', data.energySpent);
+                    break;
+                case EVENT_BUILD:
+                case EVENT_REPAIR: {
+                    const actor = Game.getObjectById(entry.objectId);
+                    if (actor && actor.my) {
+                        this.recordSpending(room.name, entry.event === EVENT_BUILD ? 'build' : 'repair', data.energySpent);
+                    }
+                    break;
+                }
+                case EVENT_ATTACK:
+                case EVENT_HEAL: {
+                    const actor = Game.getObjectById(entry.objectId);
+                    if (actor && actor.my && actor.structureType === STRUCTURE_TOWER) {
+                        this.recordSpending(room.name, 'towers', TOWER_ENERGY_COST);
+                    }
+                    break;
+                }
+            }
+        }
+    },
+    
+    /**
+     * Charge the body cost of newly started spawns to their room
+     * @param {Object} state - Stats state
+     */
+    collectSpawnSpending: function(state) {
+        const spawning = {};
+        
+        for (const name in Game.spawns) {
+            const spawn = Game.spawns[name];
+            if (!spawn.spawning) continue;
+            
+            const creepName = spawn.spawning.name;
+            spawning[creepName] = true;
+            
+            // Skip creeps already counted, and anything in progress before a global reset
+            if (!state.spawning || state.spawning[creepName]) continue;
+            
+            const creep = Game.creeps[creepName];
+            if (creep) {
+                const cost = _.sum(creep.body, part => BODYPART_COST[part.type]);
+                this.recordSpending(spawn.room.name, 'spawn', cost);
+            }
+        }
+        
+        state.spawning = spawning;
+    },
+    
+    /**
+     * Write the rolling window to the stats segment
+     * Only samples taken since the last flush are serialized; they are appended to the cached segment text
+     * @param {Object} state - Stats state
+     */
+    flush: function(state) {
+        const shard = Game.shard ? Game.shard.name : 'shard0';
+        
+        if (state.serialized === null) {
+            state.serialized = state.samples.map(sample => this.serialize(sample, shard)).join('\n');
+        } else if (state.flushed < state.samples.length) {
+            const added = state.samples.slice(state.flushed).map(sample => this.serialize(sample, shard)).join('\n');
+            state.serialized = state.serialized ? `${state.serialized}\n${added}` : added;
+        }
+        
+        // Drop the oldest samples until the window fits in the segment - each sample starts with its cpu line
+        while (state.serialized.length > this.MAX_SEGMENT_SIZE && state.samples.length > 0) {
+            const next = state.serialized.indexOf('\ncpu,');
+            state.serialized = next === -1 ? '' : state.serialized.slice(next + 1);
+            state.samples.shift();
+        }
+        
+        RawMemory.segments[this.SEGMENT] = state.serialized;
+        state.flushed = state.samples.length;
+        state.lastFlush = Game.time;
+    },
+    
+    /**
+     * Serialize a sample as InfluxDB line protocol (millisecond precision)
+     * @param {Object} sample - Tick sample
+     * @param {string} shard - Shard name used as a tag
+     * @returns {string} - Lines for the sample
+     */
+    serialize: function(sample, shard) {
+        const lines = [];
+        const stamp = sample.timestamp;
+        
+        const cpu = sample.cpu;
+        const cpuFields = `${this.formatFields({ tick: sample.time, bucket: cpu.bucket, limit: cpu.limit })},` +
+                          this.formatFields({ used: cpu.used }, true);
+        lines.push(`cpu,shard=${shard} ${cpuFields} ${stamp}`);
+        if (Object.keys(sample.modules).length > 0) {
+            lines.push(`cpu_modules,shard=${shard} ${this.formatFields(sample.modules, true)} ${stamp}`);
+        }
+        
+        for (const roomName in sample.rooms) {
+            const room = sample.rooms[roomName];
+            const tags = `shard=${shard},room=${roomName}`;
+            lines.push(`room,${tags} ${this.formatFields(room.room)} ${stamp}`);
+            lines.push(`energy_income,${tags} ${this.formatFields(room.income)} ${stamp}`);
+            lines.push(`energy_spend,${tags} ${this.formatFields(room.spend)} ${stamp}`);
+            if (Object.keys(room.creeps).length > 0) {
+                lines.push(`creeps,${tags} ${this.formatFields(room.creeps)} ${stamp}`);
+            }
+        }
+        
+        return lines.join('\n');
+    },
+    
+    /**
+     * Format a field set as integers, or as floats for CPU values
+     * InfluxDB rejects a field that changes type, so the type is fixed per field set
+     * @param {Object} fields - Field values
+     * @param {boolean} asFloat - Write values as floats
+     * @returns {string} - Line protocol field set
+     */
+    formatFields: function(fields, asFloat) {
+        return Object.keys(fields).map(key => {
+            const value = Number(fields[key]) || 0;
+            return asFloat ? `${key}=${value.toFixed(3)}` : `${key}=${Math.round(value)}i`;
+        }).join(',');
+    },
+    
+    /**
+     * Parse the segment back into samples
+     * @param {string} data - Segment contents
+     * @returns {Array} - Samples, oldest first
+     */
+    parse: function(data) {
+        const samples = [];
+        let sample = null;
+        
+        for (const line of data.split('\n')) {
+            const parts = line.split(' ');
+            if (parts.length !== 3) continue;
+            
+            const [measurement, ...tagList] = parts[0].split(',');
+            const tags = {};
+            for (const tag of tagList) {
+                const [key, value] = tag.split('=');
+                tags[key] = value;
+            }
+            
+            const fields = {};
+            for (const field of parts[1].split(',')) {
+                const [key, value] = field.split('=');
+                fields[key] = parseFloat(value);
+            }
+            
+            // Each sample starts with its cpu line
+            if (measurement === 'cpu') {
+                sample = { time: fields.tick, timestamp: Number(parts[2]), rooms: {}, modules: {} };
+                delete fields.tick;
+                sample.cpu = fields;
+                samples.push(sample);
+                continue;
+            }
+            if (!sample) continue;
+            
+            if (measurement === 'cpu_modules') {
+                sample.modules = fields;
+                continue;
+            }
+            
+            const roomName = tags.room;
+            if (!roomName) continue;
+            if (!sample.rooms[roomName]) {
+                sample.rooms[roomName] = { room: {}, income: {}, spend: {}, creeps: {} };
+            }
+            
+            const key = { room: 'room', energy_income: 'income', energy_spend: 'spend', creeps: 'creeps' }[measurement];
+            if (key) sample.rooms[roomName][key] = fields;
+        }
+        
+        return samples;
+    },
+    
+    /**
+     * Summarize the stats window for the console
+     * @param {string} roomName - Optional room to limit the report to
+     * @returns {string} - Report
+     */
+    getReport: function(roomName) {
+        const samples = this.getState().samples;
+        if (samples.length === 0) return 'No stats collected yet';
+        
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const count = samples.length;
+        const average = (values) => (values.reduce((sum, value) => sum + value, 0) / count).toFixed(2);
+        
+        let output = `Stats over ${count} samples (ticks ${first.time}-${last.time}), segment ${this.SEGMENT}\n`;
+        output += `CPU: ${average(samples.map(s => s.cpu.used))} avg of ${last.cpu.limit}, bucket ${last.cpu.bucket}\n`;
+        
+        // Per-module CPU, heaviest first
+        const modules = {};
+        for (const sample of samples) {
+            for (const name in sample.modules) {
+                modules[name] = (modules[name] || 0) + sample.modules[name];
+            }
+        }
+        const moduleList = Object.keys(modules).sort((a, b) => modules[b] - modules[a]);
+        if (moduleList.length > 0) {
+            output += `Modules: ${moduleList.map(name => `${name} ${(modules[name] / count).toFixed(2)}`).join(', ')}\n`;
+        }
+        
+        const roomNames = roomName ? [roomName] : Object.keys(last.rooms);
+        for (const name of roomNames) {
+            const roomSamples = samples.filter(s => s.rooms[name]);
+            if (roomSamples.length === 0) {
+                output += `${name}: no samples\n`;
+                continue;
+            }
+            
+            const current = roomSamples[roomSamples.length - 1].rooms[name];
+            const oldest = roomSamples[0].rooms[name];
+            const totals = { income: {}, spend: {} };
+            for (const sample of roomSamples) {
+                for (const kind of ['income', 'spend']) {
+                    for (const category in sample.rooms[name][kind]) {
+                        totals[kind][category] = (totals[kind][category] || 0) + sample.rooms[name][kind][category];
+                    }
+                }
+            }
+            
+            const perTick = (values) => Object.keys(values)
+                .map(category => `${category} ${(values[category] / roomSamples.length).toFixed(1)}`)
+                .join(', ');
+            const incomeTotal = _.sum(_.values(totals.income)) / roomSamples.length;
+            const spendTotal = _.sum(_.values(totals.spend)) / roomSamples.length;
+            
+            output += `${name}: RCL ${current.room.rcl} (${current.room.rclProgress}/${current.room.rclProgressTotal})`;
+            if (current.room.rcl === oldest.room.rcl && roomSamples.length > 1) {
+                const rate = (current.room.rclProgress - oldest.room.rclProgress) / (roomSamples.length - 1);
+                output += rate > 0 ?
+                    `, ${rate.toFixed(1)}/tick, next level in ~${Math.ceil((current.room.rclProgressTotal - current.room.rclProgress) / rate)} ticks` :
+                    ', no progress';
+            }
+            output += `\n  Income/tick: ${incomeTotal.toFixed(1)} (${perTick(totals.income)})\n`;
+            output += `  Spend/tick: ${spendTotal.toFixed(1)} (${perTick(totals.spend)})\n`;
+            output += `  Energy: ${current.room.energyAvailable}/${current.room.energyCapacity}, stored ${current.room.storedEnergy}\n`;
+            output += `  Creeps: ${Object.keys(current.creeps).map(role => `${role}=${current.creeps[role]}`).join(', ') || 'none'}\n`;
+        }
+        
+        return output;
+    }
+};
+
+module.exports = statsManager;
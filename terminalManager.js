@@ -0,0 +1,396 @@
+/**
+ * Terminal Manager - Balances resources between rooms and trades on the market
+ * Keeps each room near its target stock: shortages are filled from other rooms first, then bought
+ */
+const roomManager = require('roomManager');
+const utils = require('utils');
+
+const terminalManager = {
+    // Target stock (storage + terminal) per resource, anything not listed uses DEFAULT_TARGET
+    TARGET_STOCK: {
+        [RESOURCE_ENERGY]: 100000
+    },
+    DEFAULT_TARGET: 3000,
+    
+    // Resources bought from the market when short - everything else is only balanced and sold
+    BUY_RESOURCES: [RESOURCE_ENERGY],
+    
+    // Stock above target * SURPLUS_FACTOR is sold when no room needs it
+    SURPLUS_FACTOR: 2,
+    
+    // Energy kept in the terminal to pay for transfers
+    TERMINAL_ENERGY: 20000,
+    
+    // Smallest amount worth sending or trading
+    MIN_TRANSFER: 100,
+    
+    // Never trade below/above the average market price by more than this fraction
+    PRICE_MARGIN: 0.1,
+    
+    // Hard price limits (credits per unit) for resources we buy
+    MAX_BUY_PRICE: {
+        [RESOURCE_ENERGY]: 0.5,
+        default: 5
+    },
+    
+    // Credits kept in reserve - buying stops below this
+    MIN_CREDITS: 10000,
+    
+    // Own orders are cancelled if they haven't filled after this many ticks
+    ORDER_TIMEOUT: 10000,
+    
+    // How often terminals are processed
+    RUN_INTERVAL: 20,
+    
+    // Average prices looked up during the current run
+    priceCache: null,
+    
+    /**
+     * Run terminal operations for all rooms
+     */
+    run: function() {
+        if (Game.time % this.RUN_INTERVAL !== 0) return;
+        
+        // Skip in emergency mode
+        if (global.emergencyMode) return;
+        
+        const rooms = _.filter(Game.rooms, room =>
+            room.controller && room.controller.my && room.terminal && room.terminal.my);
+        if (rooms.length === 0) return;
+        
+        // Price data is shared by every room this run
+        this.priceCache = {};
+        
+        for (const room of rooms) {
+            // Keep the terminal stocked from storage
+            this.stockTerminal(room);
+            
+            // One terminal action per room - terminals share a cooldown for send and deal
+            if (room.terminal.cooldown > 0) continue;
+            
+            if (this.balanceRoom(room, rooms)) continue;
+            if (this.sellSurplus(room)) continue;
+            this.buyShortfall(room, rooms);
+        }
+        
+        // Clean up stale orders occasionally
+        if (Game.time % (this.RUN_INTERVAL * 50) === 0) {
+            this.cleanupOrders();
+        }
+    },
+    
+    /**
+     * Get the target stock for a resource
+     * @param {string} resourceType - The resource
+     * @returns {number} - Target amount
+     */
+    getTarget: function(resourceType) {
+        return this.TARGET_STOCK[resourceType] !== undefined ?
+            this.TARGET_STOCK[resourceType] : this.DEFAULT_TARGET;
+    },
+    
+    /**
+     * Get the amount of a resource in storage and terminal
+     * @param {Room} room - The room
+     * @param {string} resourceType - The resource
+     * @returns {number} - Amount in stock
+     */
+    getStock: function(room, resourceType) {
+        let amount = 0;
+        if (room.storage) amount += room.storage.store[resourceType] || 0;
+        if (room.terminal) amount += room.terminal.store[resourceType] || 0;
+        return amount;
+    },
+    
+    /**
+     * Queue hauler jobs to keep transfer energy and surplus resources in the terminal
+     * @param {Room} room - The room
+     */
+    stockTerminal: function(room) {
+        const storage = room.storage;
+        const terminal = room.terminal;
+        if (!storage || terminal.store.getFreeCapacity() < 5000) return;
+        
+        // Energy for transfer costs
+        if (terminal.store[RESOURCE_ENERGY] < this.TERMINAL_ENERGY &&
+            storage.store[RESOURCE_ENERGY] > this.getTarget(RESOURCE_ENERGY) / 2) {
+            roomManager.addHaulJob(room, `terminal_${room.name}`, {
+                from: storage.id,
+                to: terminal.id,
+                resourceType: RESOURCE_ENERGY,
+                amount: this.TERMINAL_ENERGY - terminal.store[RESOURCE_ENERGY]
+            });
+            return;
+        }
+        
+        // Move resources above target out of storage so they can be sent or sold
+        for (const resourceType in storage.store) {
+            if (resourceType === RESOURCE_ENERGY) continue;
+            
+            const excess = storage.store[resourceType] - this.getTarget(resourceType);
+            if (excess >= this.MIN_TRANSFER) {
+                roomManager.addHaulJob(room, `terminal_${room.name}`, {
+                    from: storage.id,
+                    to: terminal.id,
+                    resourceType: resourceType,
+                    amount: excess
+                });
+                return;
+            }
+        }
+    },
+    
+    /**
+     * Send a resource this room has spare to the owned room that needs it most cheaply
+     * @param {Room} room - The sending room
+     * @param {Room[]} rooms - All rooms with terminals
+     * @returns {boolean} - True if a transfer was made
+     */
+    balanceRoom: function(room, rooms) {
+        const terminal = room.terminal;
+        
+        for (const resourceType in terminal.store) {
+            const spare = Math.min(
+                terminal.store[resourceType],
+                this.getStock(room, resourceType) - this.getTarget(resourceType)
+            );
+            if (spare < this.MIN_TRANSFER) continue;
+            
+            let bestRoom = null;
+            let bestAmount = 0;
+            let bestCost = Infinity;
+            
+            for (const other of rooms) {
+                if (other.name === room.name) continue;
+                
+                const shortage = this.getTarget(resourceType) - this.getStock(other, resourceType);
+                const freeSpace = other.terminal.store.getFreeCapacity();
+                // Scale down to what the terminal can pay to send
+                const amount = this.fitToEnergy(room, resourceType, Math.min(spare, shortage, freeSpace), other.name);
+                if (amount < this.MIN_TRANSFER) continue;
+                
+                const cost = Game.market.calcTransactionCost(amount, room.name, other.name);
+                
+                // Cheapest route per unit wins
+                const costPerUnit = cost / amount;
+                if (costPerUnit < bestCost) {
+                    bestCost = costPerUnit;
+                    bestRoom = other;
+                    bestAmount = amount;
+                }
+            }
+            
+            if (bestRoom) {
+                const result = terminal.send(resourceType, bestAmount, bestRoom.name, 'balance');
+                if (result === OK) {
+                    console.log(`Terminal ${room.name} sent ${bestAmount} ${resourceType} to ${bestRoom.name}`);
+                    return true;
+                }
+                utils.logError(`terminal_send_${room.name}`, `Terminal ${room.name} failed to send ${resourceType}: ${result}`, 100);
+            }
+        }
+        
+        return false;
+    },
+    
+    /**
+     * Sell resources stocked far above target
+     * @param {Room} room - The selling room
+     * @returns {boolean} - True if a deal was made
+     */
+    sellSurplus: function(room) {
+        const terminal = room.terminal;
+        
+        for (const resourceType in terminal.store) {
+            const target = this.getTarget(resourceType);
+            // The terminal's transfer energy pays for the deal, so it is never sold
+            const available = terminal.store[resourceType] - (resourceType === RESOURCE_ENERGY ? this.TERMINAL_ENERGY : 0);
+            const surplus = Math.min(
+                available,
+                this.getStock(room, resourceType) - target * this.SURPLUS_FACTOR
+            );
+            if (surplus < this.MIN_TRANSFER) continue;
+            
+            const averagePrice = this.getAveragePrice(resourceType);
+            if (!averagePrice) continue;
+            const minPrice = averagePrice * (1 - this.PRICE_MARGIN);
+            const energyPrice = this.getAveragePrice(RESOURCE_ENERGY) || 0;
+            
+            // Pick the order that pays best after the energy cost of delivery
+            const orders = Game.market.getAllOrders({ type: ORDER_BUY, resourceType: resourceType });
+            let bestOrder = null;
+            let bestValue = -Infinity;
+            
+            for (const order of orders) {
+                if (order.price < minPrice || order.remainingAmount <= 0) continue;
+                
+                const amount = Math.min(surplus, order.remainingAmount);
+                const cost = Game.market.calcTransactionCost(amount, room.name, order.roomName);
+                const value = (order.price * amount - cost * energyPrice) / amount;
+                
+                if (value > bestValue && value >= minPrice) {
+                    bestValue = value;
+                    bestOrder = order;
+                }
+            }
+            
+            if (bestOrder) {
+                let amount = Math.min(surplus, bestOrder.remainingAmount);
+                amount = this.fitToEnergy(room, resourceType, amount, bestOrder.roomName);
+                if (amount < this.MIN_TRANSFER) continue;
+                
+                const result = Game.market.deal(bestOrder.id, amount, room.name);
+                if (result === OK) {
+                    console.log(`Terminal ${room.name} sold ${amount} ${resourceType} at ${bestOrder.price}`);
+                    return true;
+                }
+                utils.logError(`terminal_sell_${room.name}`, `Terminal ${room.name} failed to sell ${resourceType}: ${result}`, 100);
+                continue;
+            }
+            
+            // No acceptable buyer - list our own order at the price limit
+            this.createOrder(room, ORDER_SELL, resourceType, minPrice, surplus);
+        }
+        
+        return false;
+    },
+    
+    /**
+     * Buy resources this room is short of that no other room can send
+     * @param {Room} room - The buying room
+     * @param {Room[]} rooms - All rooms with terminals
+     * @returns {boolean} - True if a deal was made
+     */
+    buyShortfall: function(room, rooms) {
+        if (Game.market.credits < this.MIN_CREDITS) return false;
+        
+        for (const resourceType of this.BUY_RESOURCES) {
+            const target = this.getTarget(resourceType);
+            const shortage = target - this.getStock(room, resourceType);
+            
+            // Only buy once well below target
+            if (shortage < target / 2) continue;
+            
+            // Another room will cover it through balancing
+            const spareElsewhere = rooms.some(other => other.name !== room.name &&
+                this.getStock(other, resourceType) - this.getTarget(resourceType) >= this.MIN_TRANSFER);
+            if (spareElsewhere) continue;
+            
+            const averagePrice = this.getAveragePrice(resourceType);
+            if (!averagePrice) continue;
+            const hardLimit = this.MAX_BUY_PRICE[resourceType] !== undefined ?
+                this.MAX_BUY_PRICE[resourceType] : this.MAX_BUY_PRICE.default;
+            const maxPrice = Math.min(hardLimit, averagePrice * (1 + this.PRICE_MARGIN));
+            
+            // Cheapest sell order within the limit
+            const orders = Game.market.getAllOrders({ type: ORDER_SELL, resourceType: resourceType })
+                .filter(order => order.price <= maxPrice && order.remainingAmount > 0);
+            const bestOrder = _.min(orders, order => order.price);
+            
+            if (orders.length > 0 && bestOrder) {
+                let amount = Math.min(shortage, bestOrder.remainingAmount,
+                    Math.floor((Game.market.credits - this.MIN_CREDITS) / bestOrder.price));
+                amount = this.fitToEnergy(room, resourceType, amount, bestOrder.roomName, true);
+                if (amount < this.MIN_TRANSFER) continue;
+                
+                const result = Game.market.deal(bestOrder.id, amount, room.name);
+                if (result === OK) {
+                    console.log(`Terminal ${room.name} bought ${amount} ${resourceType} at ${bestOrder.price}`);
+                    return true;
+                }
+                utils.logError(`terminal_buy_${room.name}`, `Terminal ${room.name} failed to buy ${resourceType}: ${result}`, 100);
+                continue;
+            }
+            
+            // No acceptable seller - list our own order at the price limit
+            this.createOrder(room, ORDER_BUY, resourceType, maxPrice, shortage);
+        }
+        
+        return false;
+    },
+    
+    /**
+     * Reduce an amount until the terminal can pay the energy cost of moving it
+     * @param {Room} room - The room paying
+     * @param {string} resourceType - Resource being sent (energy shares the cost pool)
+     * @param {number} amount - Desired amount
+     * @param {string} otherRoom - The other end of the transfer
+     * @param {boolean} [receiving] - True when buying (the amount arrives instead of leaving the terminal)
+     * @returns {number} - Amount that can be paid for
+     */
+    fitToEnergy: function(room, resourceType, amount, otherRoom, receiving) {
+        const energy = room.terminal.store[RESOURCE_ENERGY];
+        if (amount <= 0) return 0;
+        
+        const cost = Game.market.calcTransactionCost(amount, room.name, otherRoom);
+        const spent = resourceType === RESOURCE_ENERGY && !receiving ? amount + cost : cost;
+        if (spent <= energy) return amount;
+        
+        return Math.floor(amount * energy / spent);
+    },
+    
+    /**
+     * Create our own market order if we don't already have one for this resource
+     * @param {Room} room - The room the order is for
+     * @param {string} type - ORDER_BUY or ORDER_SELL
+     * @param {string} resourceType - The resource
+     * @param {number} price - Price per unit (already within limits)
+     * @param {number} amount - Amount to trade
+     */
+    createOrder: function(room, type, resourceType, price, amount) {
+        const existing = _.some(Game.market.orders, order =>
+            order.type === type && order.resourceType === resourceType && order.roomName === room.name);
+        if (existing) return;
+        
+        // Orders cost 5% of their value up front
+        if (Game.market.credits - price * amount * MARKET_FEE < this.MIN_CREDITS) return;
+        
+        const result = Game.market.createOrder({
+            type: type,
+            resourceType: resourceType,
+            price: Math.round(price * 1000) / 1000,
+            totalAmount: amount,
+            roomName: room.name
+        });
+        
+        if (result === OK) {
+            console.log(`Terminal ${room.name} created ${type} order: ${amount} ${resourceType} at ${price.toFixed(3)}`);
+        }
+    },
+    
+    /**
+     * Cancel orders that are finished or have not filled in time
+     */
+    cleanupOrders: function() {
+        for (const id in Game.market.orders) {
+            const order = Game.market.orders[id];
+            if (order.remainingAmount === 0 || Game.time - order.created > this.ORDER_TIMEOUT) {
+                Game.market.cancelOrder(id);
+            }
+        }
+    },
+    
+    /**
+     * Get the recent average market price of a resource
+     * @param {string} resourceType - The resource
+     * @returns {number|null} - Average price or null without history
+     */
+    getAveragePrice: function(resourceType) {
+        if (this.priceCache && this.priceCache[resourceType] !== undefined) {
+            return this.priceCache[resourceType];
+        }
+        
+        const history = Game.market.getHistory(resourceType);
+        let price = null;
+        if (history && history.length > 0) {
+            // Use the last few days to smooth out spikes
+            const recent = history.slice(-3);
+            price = recent.reduce((sum, day) => sum + day.avgPrice, 0) / recent.length;
+        }
+        
+        if (this.priceCache) this.priceCache[resourceType] = price;
+        return price;
+    }
+};
+
+module.exports = terminalManager;
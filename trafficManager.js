@@ -0,0 +1,347 @@
+/**
+ * Traffic Manager - Collects every creep's move intent for the tick and resolves them together
+ * Creeps swap places with each other and push idle creeps aside; conflicts are settled by role priority
+ */
+const trafficManager = {
+    // Movement priority by role - higher priorities move first and may push lower ones aside
+    ROLE_PRIORITY: {
+        defender: 100,
+        harvester: 90,
+        remoteMiner: 85,
+        mineralMiner: 80,
+        hauler: 70,
+        remoteHauler: 65,
+        claimer: 60,
+        pioneer: 55,
+        reserver: 55,
+        upgrader: 40,
+        builder: 30,
+        scout: 10
+    },
+    
+    // Priority for roles not listed above
+    DEFAULT_PRIORITY: 50,
+    
+    // Ticks a blocked creep keeps routing around other creeps before trusting traffic again
+    BLOCKED_TIMEOUT: 3,
+    
+    /**
+     * Get the intents registered this tick
+     * @returns {Object} - Intents keyed by creep name
+     */
+    getIntents: function() {
+        if (!global.trafficState || global.trafficState.tick !== Game.time) {
+            global.trafficState = { tick: Game.time, intents: {} };
+        }
+        return global.trafficState.intents;
+    },
+    
+    /**
+     * Register a creep's move for this tick; the move is issued when traffic is resolved
+     * @param {Creep} creep - The creep
+     * @param {number} direction - Direction constant
+     * @param {number} priority - Optional priority override
+     * @param {Object} destination - Optional {pos, range} the creep is heading for
+     * @returns {number} - OK or the reason the creep can't move
+     */
+    registerMove: function(creep, direction, priority, destination) {
+        const status = this.canMove(creep);
+        if (status !== OK) return status;
+        
+        // Remembered so the creep isn't pushed out of range once it arrives and starts working
+        if (destination) {
+            creep.memory._dest = {
+                x: destination.pos.x,
+                y: destination.pos.y,
+                roomName: destination.pos.roomName,
+                range: destination.range
+            };
+        }
+        
+        this.getIntents()[creep.name] = {
+            creep: creep,
+            direction: direction,
+            priority: priority !== undefined ? priority : this.getPriority(creep)
+        };
+        return OK;
+    },
+    
+    /**
+     * Check if a creep is able to move this tick
+     * @param {Creep} creep - The creep
+     * @returns {number} - OK or the reason it can't
+     */
+    canMove: function(creep) {
+        if (creep.spawning) return ERR_BUSY;
+        if (creep.fatigue > 0) return ERR_TIRED;
+        // Power creeps have no body and can always move
+        if (creep.body && creep.getActiveBodyparts(MOVE) === 0) return ERR_NO_BODYPART;
+        return OK;
+    },
+    
+    /**
+     * Get a creep's movement priority from its role
+     * @param {Creep} creep - The creep
+     * @returns {number} - Priority
+     */
+    getPriority: function(creep) {
+        const priority = this.ROLE_PRIORITY[creep.memory.role];
+        return priority !== undefined ? priority : this.DEFAULT_PRIORITY;
+    },
+    
+    /**
+     * Get the destination an idle creep is parked at, if it is still within range of it
+     * @param {Creep} creep - The creep
+     * @returns {Object|null} - {pos, range} or null
+     */
+    getParkedDestination: function(creep) {
+        const dest = creep.memory._dest;
+        if (!dest || dest.roomName !== creep.room.name) return null;
+        
+        const pos = new RoomPosition(dest.x, dest.y, dest.roomName);
+        return creep.pos.inRangeTo(pos, dest.range) ? { pos: pos, range: dest.range } : null;
+    },
+    
+    /**
+     * Check if a creep recently failed to move because of traffic
+     * @param {Creep} creep - The creep
+     * @returns {boolean} - True if the creep should path around other creeps
+     */
+    isBlocked: function(creep) {
+        return creep.memory._blocked !== undefined && Game.time - creep.memory._blocked <= this.BLOCKED_TIMEOUT;
+    },
+    
+    /**
+     * Resolve all registered move intents - called once per tick after creeps have run
+     */
+    run: function() {
+        const intents = this.getIntents();
+        const names = Object.keys(intents);
+        if (names.length === 0) return;
+        
+        // Who stands where, for every room a creep wants to move in - power creeps hold their tiles too
+        const occupants = {};
+        const rooms = _.uniq(names.map(name => intents[name].creep.room.name));
+        for (const roomName of rooms) {
+            const room = Game.rooms[roomName];
+            if (!room) continue;
+            for (const creep of room.find(FIND_CREEPS).concat(room.find(FIND_POWER_CREEPS))) {
+                occupants[this.posKey(creep.pos)] = creep;
+            }
+        }
+        
+        const resolution = {
+            intents: intents,
+            occupants: occupants,
+            reserved: {},
+            moved: {},
+            resolving: {}
+        };
+        
+        // Highest priority first so important creeps claim contested tiles
+        const ordered = _.sortBy(names, name => -intents[name].priority);
+        for (const name of ordered) {
+            if (resolution.moved[name] === undefined) {
+                this.resolve(intents[name], resolution);
+            }
+        }
+        
+        for (const name of ordered) {
+            const creep = intents[name].creep;
+            if (resolution.moved[name]) {
+                delete creep.memory._blocked;
+            } else {
+                creep.memory._blocked = Game.time;
+            }
+        }
+    },
+    
+    /**
+     * Resolve a single intent, moving or swapping any creep in the way
+     * @param {Object} intent - The intent to resolve
+     * @param {Object} resolution - Shared resolution state
+     * @returns {boolean} - True if the creep moves this tick
+     */
+    resolve: function(intent, resolution) {
+        const creep = intent.creep;
+        if (resolution.moved[creep.name] !== undefined) return resolution.moved[creep.name];
+        
+        const target = this.getPosInDirection(creep.pos, intent.direction);
+        
+        // Off the room edge - the creep leaves through an exit and nothing can block it
+        if (!target) {
+            return this.commit(creep, intent.direction, null, resolution);
+        }
+        
+        const key = this.posKey(target);
+        if (resolution.reserved[key]) return this.fail(creep, resolution);
+        
+        const occupant = resolution.occupants[key];
+        if (!occupant || occupant.id === creep.id || resolution.moved[occupant.name]) {
+            return this.commit(creep, intent.direction, key, resolution);
+        }
+        
+        if (!occupant.my) return this.fail(creep, resolution);
+        
+        const occupantIntent = resolution.intents[occupant.name];
+        if (occupantIntent) {
+            const occupantTarget = this.getPosInDirection(occupant.pos, occupantIntent.direction);
+            
+            // Two creeps heading into each other's tile simply swap
+            if (occupantTarget && occupantTarget.isEqualTo(creep.pos)) {
+                this.commit(occupant, occupantIntent.direction, this.posKey(creep.pos), resolution);
+                return this.commit(creep, intent.direction, key, resolution);
+            }
+            
+            // Let the occupant move first - a loop of creeps following each other can all move
+            if (resolution.moved[occupant.name] === undefined) {
+                resolution.resolving[creep.name] = true;
+                const cleared = resolution.resolving[occupant.name] || this.resolve(occupantIntent, resolution);
+                delete resolution.resolving[creep.name];
+                
+                if (cleared && !resolution.reserved[key]) {
+                    return this.commit(creep, intent.direction, key, resolution);
+                }
+            }
+            
+            return this.fail(creep, resolution);
+        }
+        
+        // Idle creep in the way - only creeps of equal or lower priority give way; idle power creeps stay parked
+        if (occupant.powers || occupant.spawning || occupant.fatigue > 0 || this.getPriority(occupant) > intent.priority) {
+            return this.fail(creep, resolution);
+        }
+        
+        // Creeps working at their destination only step to tiles that keep them in range of it
+        const parked = this.getParkedDestination(occupant);
+        let aside = this.findFreeTile(occupant, creep.pos, parked, resolution);
+        if (!aside && (!parked || creep.pos.inRangeTo(parked.pos, parked.range))) {
+            // Nowhere to step aside - trade places instead
+            aside = creep.pos;
+        }
+        if (!aside || !this.commit(occupant, occupant.pos.getDirectionTo(aside), this.posKey(aside), resolution)) {
+            return this.fail(creep, resolution);
+        }
+        
+        return this.commit(creep, intent.direction, key, resolution);
+    },
+    
+    /**
+     * Issue a move and reserve its destination
+     * @param {Creep} creep - The creep
+     * @param {number} direction - Direction constant
+     * @param {string|null} key - Destination key
+     * @param {Object} resolution - Shared resolution state
+     * @returns {boolean} - True if the move was issued
+     */
+    commit: function(creep, direction, key, resolution) {
+        const result = creep.move(direction);
+        resolution.moved[creep.name] = result === OK;
+        if (result === OK && key) resolution.reserved[key] = creep.name;
+        return result === OK;
+    },
+    
+    /**
+     * Record that a creep can't move this tick
+     * @param {Creep} creep - The creep
+     * @param {Object} resolution - Shared resolution state
+     * @returns {boolean} - Always false
+     */
+    fail: function(creep, resolution) {
+        resolution.moved[creep.name] = false;
+        return false;
+    },
+    
+    /**
+     * Find a free walkable tile next to an idle creep, away from roads where possible
+     * @param {Creep} creep - The creep being pushed
+     * @param {RoomPosition} avoid - The pushing creep's position
+     * @param {Object|null} parked - {pos, range} the creep must stay within, if any
+     * @param {Object} resolution - Shared resolution state
+     * @returns {RoomPosition|null} - Tile to step onto
+     */
+    findFreeTile: function(creep, avoid, parked, resolution) {
+        const terrain = Game.map.getRoomTerrain(creep.room.name);
+        let best = null;
+        let bestScore = Infinity;
+        
+        for (let direction = TOP; direction <= TOP_LEFT; direction++) {
+            const pos = this.getPosInDirection(creep.pos, direction);
+            if (!pos || pos.isEqualTo(avoid)) continue;
+            if (parked && !pos.inRangeTo(parked.pos, parked.range)) continue;
+            
+            // Exit tiles would throw the creep into the next room
+            if (pos.x === 0 || pos.x === 49 || pos.y === 0 || pos.y === 49) continue;
+            if (terrain.get(pos.x, pos.y) === TERRAIN_MASK_WALL) continue;
+            
+            const key = this.posKey(pos);
+            if (resolution.reserved[key]) continue;
+            
+            const occupant = resolution.occupants[key];
+            if (occupant && !resolution.moved[occupant.name]) continue;
+            
+            // Sources, minerals and solid structures block the tile; creeps were checked above
+            const objects = pos.look();
+            if (objects.some(o => this.isObstacle(o))) continue;
+            
+            // Keep roads clear for traffic and prefer plains over swamp
+            let score = 0;
+            if (objects.some(o => o.type === LOOK_STRUCTURES && o.structure.structureType === STRUCTURE_ROAD)) score += 10;
+            if (terrain.get(pos.x, pos.y) === TERRAIN_MASK_SWAMP) score += 5;
+            
+            if (score < bestScore) {
+                best = pos;
+                bestScore = score;
+            }
+        }
+        
+        return best;
+    },
+    
+    /**
+     * Check if a look result stops a creep from stepping onto its tile
+     * @param {Object} object - Entry from RoomPosition.look()
+     * @returns {boolean} - True if the tile is blocked
+     */
+    isObstacle: function(object) {
+        if (object.type === LOOK_CREEPS) return false;
+        if (object.type === LOOK_POWER_CREEPS) return true;
+        if (object.type !== LOOK_STRUCTURES) return OBSTACLE_OBJECT_TYPES.includes(object.type);
+        
+        const structure = object.structure;
+        if (structure.structureType === STRUCTURE_RAMPART) return !structure.my && !structure.isPublic;
+        return OBSTACLE_OBJECT_TYPES.includes(structure.structureType);
+    },
+    
+    /**
+     * Get the position one step in a direction, or null past the room edge
+     * @param {RoomPosition} pos - Starting position
+     * @param {number} direction - Direction constant
+     * @returns {RoomPosition|null} - Adjacent position
+     */
+    getPosInDirection: function(pos, direction) {
+        const offsets = {
+            [TOP]: [0, -1], [TOP_RIGHT]: [1, -1], [RIGHT]: [1, 0], [BOTTOM_RIGHT]: [1, 1],
+            [BOTTOM]: [0, 1], [BOTTOM_LEFT]: [-1, 1], [LEFT]: [-1, 0], [TOP_LEFT]: [-1, -1]
+        };
+        const offset = offsets[direction];
+        if (!offset) return null;
+        
+        const x = pos.x + offset[0];
+        const y = pos.y + offset[1];
+        if (x < 0 || x > 49 || y < 0 || y > 49) return null;
+        
+        return new RoomPosition(x, y, pos.roomName);
+    },
+    
+    /**
+     * Key for a room position
+     * @param {RoomPosition} pos - The position
+     * @returns {string} - Key
+     */
+    posKey: function(pos) {
+        return `${pos.roomName}:${pos.x},${pos.y}`;
+    }
+};
+
+module.exports = trafficManager;
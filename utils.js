@@ -196,6 +196,7 @@ const utils = {
             Defense: ${stats.defense ? stats.defense.toFixed(2) : '0.00'}
             Spawning: ${stats.spawning.toFixed(2)}
             Construction: ${stats.construction.toFixed(2)}
+            Remote: ${stats.remote ? stats.remote.toFixed(2) : '0.00'}
             Memory Cleanup: ${stats.memoryCleanup.toFixed(2)}
             Emergency Mode: ${stats.emergencyMode || 'off'}
             Bucket: ${stats.bucket}`);